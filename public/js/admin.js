@@ -16,6 +16,9 @@ const PLACEHOLDER_METRICS = {
     }
 };
 
+// How often the handoff queue and the open conversation are refreshed
+const HANDOFF_REFRESH_MS = 5000;
+
 class AdminDashboard {
     constructor() {
         this.currentUser = null;
@@ -37,6 +40,8 @@ class AdminDashboard {
         this.personas = [];
         this.personaListEl = null;
         this.personaFormEl = null;
+        this.activeHandoff = null;  // { transcriptId, lastIndex } of the conversation being answered
+        this.handoffRefreshTimer = null;
         // Don't call updateAgentDashboards here - DOM not ready yet
         // It will be called in loadAllData() after DOM is ready
         this.init();
@@ -50,6 +55,7 @@ class AdminDashboard {
         this.initializeCharts();
         this.loadTranscripts();
         this.loadInterviewSessions();
+        this.initializeHandoffQueue();
         
         // Refresh buttons
         const refreshTranscriptsBtn = document.getElementById('refreshTranscripts');
@@ -659,10 +665,45 @@ class AdminDashboard {
             }
         });
 
+        this.updateAnswerQuality('sales', this.analyticsSummary?.sales?.feedback, this.analyticsSummary?.sales?.grounding);
+        this.updateAnswerQuality('support', this.analyticsSummary?.support?.feedback, this.analyticsSummary?.support?.grounding);
+
         // Update "Last" timestamps
         this.updateLastUsedTimestamps();
     }
 
+    // CSAT, negative-feedback rate, grounding score and the recent daily trend from the analytics summary
+    updateAnswerQuality(agent, feedback, grounding) {
+        const formatPercent = (rate) => (rate === null || rate === undefined ? '—' : `${Math.round(rate * 100)}%`);
+        const csatEl = document.getElementById(`${agent}-csat-score`);
+        const negativeEl = document.getElementById(`${agent}-negative-rate`);
+        const trendEl = document.getElementById(`${agent}-feedback-trend`);
+        const groundingEl = document.getElementById(`${agent}-grounding-score`);
+
+        if (csatEl) {
+            csatEl.textContent = formatPercent(feedback?.csatScore);
+            csatEl.title = feedback?.csatResponses ? `${feedback.csatResponses} responses, average ${feedback.csatAverage}/5` : 'No CSAT responses yet';
+        }
+        if (negativeEl) {
+            negativeEl.textContent = formatPercent(feedback?.negativeRate);
+            negativeEl.title = feedback?.ratings ? `${feedback.negative} of ${feedback.ratings} rated answers` : 'No rated answers yet';
+        }
+        if (groundingEl) {
+            groundingEl.textContent = formatPercent(grounding?.averageScore);
+            groundingEl.title = grounding?.checkedAnswers
+                ? `${grounding.flaggedAnswers} of ${grounding.checkedAnswers} checked answers had unverified values, ${grounding.regenerated} regenerated`
+                : 'No answers with checkable values yet';
+        }
+        if (trendEl) {
+            const recent = (feedback?.trend || []).slice(-7);
+            trendEl.textContent = recent.length
+                ? `Last ${recent.length} active day(s): ` + recent
+                    .map(day => `${day.date.slice(5)} ${formatPercent(day.negativeRate)} 👎${day.csatAverage !== null ? `, CSAT ${day.csatAverage}` : ''}`)
+                    .join(' · ')
+                : '';
+        }
+    }
+
     updateLastUsedTimestamps() {
         // Get most recent activity for each AI type
         const getLatestDate = (data) => {
@@ -1111,12 +1152,20 @@ ${this.generateRecommendations()}
                         <button class="text-xs bg-gray-100 hover:bg-gray-200 text-gray-700 px-3 py-1 rounded" data-transcript-id="${transcript.id}" data-persona="${persona}" data-action="send">
                             <i class="fas fa-paper-plane mr-1"></i>Email
                         </button>
+                        <button class="text-xs bg-gray-100 hover:bg-gray-200 text-gray-700 px-3 py-1 rounded" data-transcript-id="${transcript.id}" data-persona="${persona}" data-action="trace">
+                            <i class="fas fa-brain mr-1"></i>Trace
+                        </button>
                     </div>
+                    <div class="hidden mt-3 border-t border-gray-100 pt-3 space-y-3" data-trace-panel></div>
                 `;
 
                 container.appendChild(card);
             });
 
+        container.querySelectorAll('[data-action="trace"]').forEach(btn => {
+            btn.addEventListener('click', () => this.toggleTranscriptTrace(btn));
+        });
+
         container.querySelectorAll('[data-action="download"]').forEach(btn => {
             btn.addEventListener('click', () => this.handleTranscriptDownload(btn.dataset.transcriptId, btn.dataset.persona));
         });
@@ -1138,6 +1187,274 @@ ${this.generateRecommendations()}
         }
     }
 
+    async toggleTranscriptTrace(button) {
+        const panel = button.closest('div.border')?.querySelector('[data-trace-panel]');
+        if (!panel) return;
+
+        if (!panel.classList.contains('hidden')) {
+            panel.classList.add('hidden');
+            return;
+        }
+
+        panel.classList.remove('hidden');
+        if (panel.dataset.loaded === 'true') return;
+
+        panel.innerHTML = '<p class="text-xs text-gray-500"><i class="fas fa-spinner fa-spin mr-1"></i>Loading trace...</p>';
+        try {
+            const { transcriptId, persona } = button.dataset;
+            const response = await fetch(`/api/transcripts/${encodeURIComponent(transcriptId)}/trace?persona=${persona}`, {
+                headers: this.buildTenantHeaders()
+            });
+            const data = await response.json();
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || `Failed to load trace (status ${response.status})`);
+            }
+            panel.innerHTML = this.renderTraceTurns(data.data?.turns || []);
+            panel.dataset.loaded = 'true';
+        } catch (error) {
+            console.error('Transcript trace error:', error);
+            panel.innerHTML = `<p class="text-xs text-red-500">${SMEAIUtils.escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    renderTraceTurns(turns) {
+        if (!turns.length) {
+            return '<p class="text-xs text-gray-500">No assistant turns recorded.</p>';
+        }
+
+        return turns.map((turn, position) => {
+            const trace = turn.trace;
+            const header = `
+                <p class="text-xs font-semibold text-gray-700">Turn ${position + 1}: ${SMEAIUtils.escapeHtml(turn.userMessage || '(no user message)')}</p>
+            `;
+            if (!trace) {
+                return `<div>${header}<p class="text-xs text-gray-400">No trace captured for this turn.</p></div>`;
+            }
+
+            const usage = trace.usage || {};
+            const thinkSteps = (trace.thinkSteps || [])
+                .map(step => `<li><span class="text-gray-400">#${step.step}</span> ${SMEAIUtils.escapeHtml(step.thought)}</li>`)
+                .join('');
+            const toolCalls = (trace.toolCalls || [])
+                .map(call => `<li>${SMEAIUtils.escapeHtml(call.name)} <code class="text-gray-500">${SMEAIUtils.escapeHtml(JSON.stringify(call.input))}</code>${call.isError ? ' <span class="text-red-500">error</span>' : ''}</li>`)
+                .join('');
+
+            return `
+                <div>
+                    ${header}
+                    <p class="text-xs text-gray-500">
+                        ${SMEAIUtils.escapeHtml(trace.model || 'unknown model')} via ${SMEAIUtils.escapeHtml(trace.provider || 'unknown')} &middot;
+                        ${trace.iterations} iteration(s) &middot; ${trace.latencyMs} ms &middot;
+                        ${usage.inputTokens || 0} in / ${usage.outputTokens || 0} out tokens
+                        ${usage.cacheReadTokens ? `&middot; ${usage.cacheReadTokens} cached` : ''}
+                        ${trace.llm?.fallbackUsed ? '&middot; <span class="text-amber-600">fallback model</span>' : ''}
+                    </p>
+                    ${thinkSteps ? `<ul class="mt-1 text-xs text-gray-700 list-none space-y-1">${thinkSteps}</ul>` : ''}
+                    ${toolCalls ? `<ul class="mt-1 text-xs text-gray-700 list-disc list-inside">${toolCalls}</ul>` : ''}
+                </div>
+            `;
+        }).join('');
+    }
+
+    initializeHandoffQueue() {
+        const refreshBtn = document.getElementById('refreshHandoffs');
+        if (refreshBtn) refreshBtn.addEventListener('click', () => this.loadHandoffQueue());
+
+        const replyForm = document.getElementById('handoffReplyForm');
+        if (replyForm) {
+            replyForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.sendHandoffReply();
+            });
+        }
+
+        const releaseBtn = document.getElementById('releaseHandoff');
+        if (releaseBtn) releaseBtn.addEventListener('click', () => this.releaseActiveHandoff());
+
+        this.loadHandoffQueue();
+        this.handoffRefreshTimer = setInterval(() => {
+            this.loadHandoffQueue();
+            if (this.activeHandoff) this.loadHandoffMessages();
+        }, HANDOFF_REFRESH_MS);
+    }
+
+    // Handoff routes are staff-only: the agent is identified by the signed-in account
+    buildAgentHeaders() {
+        const headers = this.buildTenantHeaders();
+        const authHeader = window.authManager?.getAuthHeader() || {};
+        Object.entries(authHeader).forEach(([name, value]) => headers.set(name, value));
+        return headers;
+    }
+
+    async postHandoffAction(transcriptId, action, body = {}) {
+        const headers = this.buildAgentHeaders();
+        headers.set('Content-Type', 'application/json');
+        const response = await fetch(`/api/transcripts/${encodeURIComponent(transcriptId)}/handoff/${action}?persona=support`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(body)
+        });
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+            throw new Error(data.error || `Handoff ${action} failed (status ${response.status})`);
+        }
+        return data;
+    }
+
+    async loadHandoffQueue() {
+        const container = document.getElementById('handoffQueueList');
+        if (!container) return;
+
+        try {
+            const response = await fetch('/api/handoffs?persona=support', {
+                headers: this.buildAgentHeaders()
+            });
+            const data = await response.json();
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || `Failed to load handoff queue (status ${response.status})`);
+            }
+            this.renderHandoffQueue(Array.isArray(data.data) ? data.data : []);
+        } catch (error) {
+            console.error('Handoff queue error:', error);
+            container.innerHTML = `<p class="text-xs text-red-500">${SMEAIUtils.escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    renderHandoffQueue(items) {
+        const container = document.getElementById('handoffQueueList');
+        if (!container) return;
+
+        if (!items.length) {
+            container.innerHTML = `
+                <div class="text-center py-8">
+                    <p class="text-neutral-500 text-sm">No conversations waiting</p>
+                    <p class="text-neutral-400 text-xs">Escalated Support AI chats will appear here</p>
+                </div>
+            `;
+            return;
+        }
+
+        const agentId = String(this.currentUser?.email || '').toLowerCase() || null;
+        container.innerHTML = items.map(item => {
+            const handoff = item.handoff || {};
+            const waiting = handoff.status === 'awaiting_agent';
+            const mine = !waiting && handoff.agent?.id === agentId;
+            const statusLabel = waiting
+                ? '<span class="text-xs px-2 py-0.5 rounded bg-amber-100 text-amber-700">Waiting</span>'
+                : `<span class="text-xs px-2 py-0.5 rounded bg-blue-100 text-blue-700">With ${SMEAIUtils.escapeHtml(handoff.agent?.name || 'agent')}</span>`;
+            const action = waiting
+                ? `<button class="text-xs bg-primary-500 hover:bg-primary-600 text-white px-3 py-1 rounded" data-handoff-action="claim" data-transcript-id="${item.id}">Claim</button>`
+                : mine
+                    ? `<button class="text-xs bg-gray-100 hover:bg-gray-200 text-gray-700 px-3 py-1 rounded" data-handoff-action="open" data-transcript-id="${item.id}">Open</button>`
+                    : '';
+
+            return `
+                <div class="border border-gray-200 rounded-lg p-3">
+                    <div class="flex items-center justify-between">
+                        <div class="flex items-center gap-2">
+                            <h4 class="text-sm font-semibold text-gray-800">Conversation ${SMEAIUtils.escapeHtml(item.conversationId?.slice(-6) || '')}</h4>
+                            ${statusLabel}
+                        </div>
+                        ${action}
+                    </div>
+                    <p class="text-xs text-gray-500 mt-1">Requested ${SMEAIUtils.formatDateTime(handoff.requestedAt)}${handoff.reason ? ` &middot; ${SMEAIUtils.escapeHtml(handoff.reason)}` : ''}</p>
+                    <p class="mt-1 text-sm text-gray-700 line-clamp-2">${SMEAIUtils.escapeHtml(item.metadata?.lastUserMessage || '')}</p>
+                </div>
+            `;
+        }).join('');
+
+        container.querySelectorAll('[data-handoff-action]').forEach(btn => {
+            btn.addEventListener('click', () => this.handleHandoffAction(btn.dataset.handoffAction, btn.dataset.transcriptId));
+        });
+    }
+
+    async handleHandoffAction(action, transcriptId) {
+        try {
+            if (action === 'claim') {
+                await this.postHandoffAction(transcriptId, 'claim');
+                this.showNotification('Conversation claimed - the AI is paused', 'success');
+            }
+            this.activeHandoff = { transcriptId, lastIndex: -1 };
+            const messagesEl = document.getElementById('handoffMessages');
+            if (messagesEl) messagesEl.innerHTML = '';
+            document.getElementById('handoffConversation')?.classList.remove('hidden');
+            await Promise.all([this.loadHandoffMessages(), this.loadHandoffQueue()]);
+        } catch (error) {
+            console.error('Handoff action error:', error);
+            this.showNotification(error.message, 'error');
+            this.loadHandoffQueue();
+        }
+    }
+
+    async loadHandoffMessages() {
+        const active = this.activeHandoff;
+        const messagesEl = document.getElementById('handoffMessages');
+        if (!active || !messagesEl) return;
+
+        try {
+            const response = await fetch(`/api/transcripts/${encodeURIComponent(active.transcriptId)}/updates?persona=support&after=${active.lastIndex}`, {
+                headers: this.buildTenantHeaders()
+            });
+            const data = await response.json();
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || `Failed to load conversation (status ${response.status})`);
+            }
+            if (this.activeHandoff !== active) return;
+
+            const title = document.getElementById('handoffConversationTitle');
+            if (title) title.textContent = `Conversation ${data.conversationId?.slice(-6) || ''}`;
+
+            (data.messages || []).forEach(message => {
+                active.lastIndex = Math.max(active.lastIndex, message.index);
+                const tone = message.role === 'user'
+                    ? 'bg-gray-100 text-gray-800'
+                    : message.role === 'agent' ? 'bg-blue-50 text-blue-900' : 'bg-white border border-gray-200 text-gray-700';
+                const label = message.role === 'user'
+                    ? 'Customer'
+                    : message.role === 'agent' ? `🧑‍💼 ${message.agent?.name || 'Agent'}` : '🤖 AI';
+                messagesEl.insertAdjacentHTML('beforeend', `
+                    <div class="rounded p-2 text-sm ${tone}">
+                        <p class="text-xs font-semibold mb-1">${SMEAIUtils.escapeHtml(label)}</p>
+                        <p class="whitespace-pre-wrap">${SMEAIUtils.escapeHtml(message.content || '')}</p>
+                    </div>
+                `);
+            });
+            if (data.messages?.length) messagesEl.scrollTop = messagesEl.scrollHeight;
+        } catch (error) {
+            console.error('Handoff conversation error:', error);
+        }
+    }
+
+    async sendHandoffReply() {
+        const input = document.getElementById('handoffReplyInput');
+        const content = input?.value.trim();
+        if (!this.activeHandoff || !content) return;
+
+        try {
+            await this.postHandoffAction(this.activeHandoff.transcriptId, 'messages', { content });
+            input.value = '';
+            await this.loadHandoffMessages();
+        } catch (error) {
+            console.error('Agent reply error:', error);
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    async releaseActiveHandoff() {
+        if (!this.activeHandoff) return;
+
+        try {
+            await this.postHandoffAction(this.activeHandoff.transcriptId, 'release');
+            this.activeHandoff = null;
+            document.getElementById('handoffConversation')?.classList.add('hidden');
+            this.showNotification('Conversation returned to the AI', 'success');
+            this.loadHandoffQueue();
+        } catch (error) {
+            console.error('Handoff release error:', error);
+            this.showNotification(error.message, 'error');
+        }
+    }
+
     async handleTranscriptSend(transcriptId, persona = 'sales') {
         const email = prompt('Enter the recipient email address:');
         if (!email) return;
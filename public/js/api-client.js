@@ -161,6 +161,127 @@
         return data;
     };
 
+    const parseSseBlock = (block) => {
+        let event = 'message';
+        const dataLines = [];
+        block.split('\n').forEach(line => {
+            if (line.startsWith('event:')) {
+                event = line.slice(6).trim();
+            } else if (line.startsWith('data:')) {
+                dataLines.push(line.slice(5).trimStart());
+            }
+        });
+        if (dataLines.length === 0) return null;
+        try {
+            return { event, data: JSON.parse(dataLines.join('\n')) };
+        } catch (error) {
+            return null;
+        }
+    };
+
+    // Streams /api/chat/stream and resolves with the final `done` payload.
+    // handlers: { onDelta(text), onThink(step), onContactIntent(intent) }
+    const chatStream = async (message, conversationHistory = [], options = {}, handlers = {}) => {
+        if (!message) {
+            throw new Error('Message is required');
+        }
+        const tenantId = resolveTenantId(options);
+        const persona = resolvePersona(options);
+        const response = await fetch('/api/chat/stream', {
+            method: 'POST',
+            headers: buildHeaders(tenantId, persona, {
+                'Content-Type': 'application/json',
+                Accept: 'text/event-stream'
+            }),
+            body: JSON.stringify({
+                message,
+                conversationHistory,
+                conversationId: options.conversationId || null,
+                transcriptId: options.transcriptId || null,
+                persona
+            }),
+            signal: options.signal
+        });
+
+        const contentType = response.headers.get('Content-Type') || '';
+        if (!response.ok || !contentType.includes('text/event-stream')) {
+            return handleResponse(response);
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let result = null;
+
+        const dispatch = (parsed) => {
+            if (!parsed) return;
+            const { event, data } = parsed;
+            if (event === 'delta') {
+                handlers.onDelta?.(data.text || '');
+            } else if (event === 'think') {
+                handlers.onThink?.(data);
+            } else if (event === 'contact_intent') {
+                handlers.onContactIntent?.(data.contactIntent || null);
+            } else if (event === 'done') {
+                result = data;
+            } else if (event === 'error') {
+                result = { success: false, error: data.error || 'Streaming failed' };
+            }
+        };
+
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+            let boundary = buffer.indexOf('\n\n');
+            while (boundary !== -1) {
+                dispatch(parseSseBlock(buffer.slice(0, boundary)));
+                buffer = buffer.slice(boundary + 2);
+                boundary = buffer.indexOf('\n\n');
+            }
+        }
+        if (buffer.trim()) {
+            dispatch(parseSseBlock(buffer));
+        }
+
+        if (!result) {
+            throw new Error('Chat stream ended unexpectedly');
+        }
+        result.tenantId = tenantId;
+        if (persona) result.persona = persona;
+        return result;
+    };
+
+    // Surrounding source text for a chat citation.
+    // params: { conversationId, chunkId, page, row, sheet, context } - only locations cited in that conversation are served
+    const getFileExcerpt = async (fileId, params = {}, options = {}) => {
+        if (!fileId) throw new Error('fileId is required');
+        const tenantId = resolveTenantId(options);
+        const persona = resolvePersona(options);
+        const query = {};
+        ['conversationId', 'chunkId', 'page', 'row', 'sheet', 'context'].forEach(key => {
+            if (params[key] !== undefined && params[key] !== null) query[key] = params[key];
+        });
+        const response = await fetch(buildUrl(`/api/files/${encodeURIComponent(fileId)}/excerpt`, tenantId, persona, query), {
+            headers: buildHeaders(tenantId, persona)
+        });
+        return handleResponse(response);
+    };
+
+    // Mark which sheet of an uploaded workbook is the main tracking sheet.
+    const setMainSheet = async (fileId, sheet, options = {}) => {
+        if (!fileId) throw new Error('fileId is required');
+        if (!sheet) throw new Error('sheet is required');
+        const tenantId = resolveTenantId(options);
+        const persona = resolvePersona(options);
+        const response = await fetch(buildUrl(`/api/files/${encodeURIComponent(fileId)}/main-sheet`, tenantId, persona), {
+            method: 'PUT',
+            headers: buildHeaders(tenantId, persona, { 'Content-Type': 'application/json' }),
+            body: JSON.stringify({ sheet })
+        });
+        return handleResponse(response);
+    };
+
     const listCompanies = async () => {
         const response = await fetch('/api/companies');
         return handleResponse(response);
@@ -236,6 +357,47 @@
         return handleResponse(response);
     };
 
+    const submitFeedback = async (transcriptId, messageIndex, feedback = {}, options = {}) => {
+        if (!transcriptId) throw new Error('transcriptId is required');
+        const tenantId = resolveTenantId(options);
+        const persona = resolvePersona(options);
+        const headers = buildHeaders(tenantId, persona, { 'Content-Type': 'application/json' });
+        const response = await fetch(`/api/transcripts/${encodeURIComponent(transcriptId)}/messages/${encodeURIComponent(messageIndex)}/feedback`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({
+                rating: feedback.rating,
+                comment: feedback.comment || null,
+                reasons: feedback.reasons || []
+            })
+        });
+        return handleResponse(response);
+    };
+
+    const submitCsat = async (transcriptId, score, comment = null, options = {}) => {
+        if (!transcriptId) throw new Error('transcriptId is required');
+        const tenantId = resolveTenantId(options);
+        const persona = resolvePersona(options);
+        const headers = buildHeaders(tenantId, persona, { 'Content-Type': 'application/json' });
+        const response = await fetch(`/api/transcripts/${encodeURIComponent(transcriptId)}/csat`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({ score, comment })
+        });
+        return handleResponse(response);
+    };
+
+    const getConversationUpdates = async (transcriptId, after = -1, options = {}) => {
+        if (!transcriptId) throw new Error('transcriptId is required');
+        const tenantId = resolveTenantId(options);
+        const persona = resolvePersona(options);
+        const url = buildUrl(`/api/transcripts/${encodeURIComponent(transcriptId)}/updates`, tenantId, persona, { after: String(after) });
+        const response = await fetch(url, {
+            headers: buildHeaders(tenantId, persona)
+        });
+        return handleResponse(response);
+    };
+
     const listPersonas = async (options = {}) => {
         const tenantId = resolveTenantId(options);
         const response = await fetch(buildUrl('/api/personas', tenantId, null), {
@@ -293,6 +455,9 @@
         deleteFile,
         clearAll,
         chat,
+        chatStream,
+        getFileExcerpt,
+        setMainSheet,
         resolveTenantId,
         listCompanies,
         getCompany,
@@ -302,6 +467,9 @@
         deleteConfig,
         exportTranscript,
         sendTranscript,
+        submitFeedback,
+        submitCsat,
+        getConversationUpdates,
         listPersonas,
         createPersona,
         updatePersona,
@@ -1,6 +1,190 @@
 (function (global) {
     const defaultWelcome = `👋 Hi! I'm your AI assistant. Upload your files above (Excel, PDF, DOCX, TXT), then ask me about tracking data, products, procedures, or any information in your documents!`;
 
+    const formatCitationLocation = (citation = {}) => {
+        const parts = [citation.fileName || 'Uploaded file'];
+        if (citation.page) parts.push(`Page ${citation.page}`);
+        if (citation.sheet) parts.push(`Sheet ${citation.sheet}`);
+        if (citation.rowStart) {
+            parts.push(citation.rowEnd && citation.rowEnd !== citation.rowStart
+                ? `Rows ${citation.rowStart}-${citation.rowEnd}`
+                : `Row ${citation.rowStart}`);
+        }
+        if (citation.heading) parts.push(citation.heading);
+        return parts.join(' · ');
+    };
+
+    // Append numbered source footnotes to a rendered assistant message.
+    // Expanding a footnote loads the surrounding source text.
+    const renderCitations = (messageDiv, citations = [], options = {}) => {
+        if (!messageDiv || !Array.isArray(citations) || citations.length === 0) return;
+        messageDiv.querySelector('.message-citations')?.remove();
+
+        const container = document.createElement('div');
+        container.className = 'message-citations';
+        container.style.cssText = 'margin-top:10px;padding-top:8px;border-top:1px dashed #e5e7eb;font-size:12px;color:#6b7280;';
+
+        citations.forEach(citation => {
+            const details = document.createElement('details');
+            details.id = `${messageDiv.id}-cite-${citation.index}`;
+            details.style.cssText = 'margin:2px 0;';
+
+            const summary = document.createElement('summary');
+            summary.style.cssText = 'cursor:pointer;';
+            summary.textContent = `[${citation.index}] ${formatCitationLocation(citation)}`;
+            details.appendChild(summary);
+
+            const quote = document.createElement('blockquote');
+            quote.style.cssText = 'margin:4px 0 4px 12px;padding-left:8px;border-left:2px solid #e5e7eb;white-space:pre-wrap;';
+            quote.textContent = citation.excerpt || '';
+            details.appendChild(quote);
+
+            let loaded = false;
+            details.addEventListener('toggle', async () => {
+                if (!details.open || loaded || !citation.fileId || !global.SMEAIClient?.getFileExcerpt) return;
+                loaded = true;
+                try {
+                    const location = citation.chunkId
+                        ? { chunkId: citation.chunkId }
+                        : { row: citation.rowStart, page: citation.page, sheet: citation.sheet };
+                    const params = { ...location, conversationId: options.getConversationId?.() };
+                    const result = await global.SMEAIClient.getFileExcerpt(citation.fileId, params, options);
+                    const excerpt = result?.excerpt;
+                    if (!excerpt) return;
+                    const surrounding = document.createElement('div');
+                    surrounding.style.cssText = 'margin:4px 0 4px 12px;max-height:200px;overflow:auto;white-space:pre-wrap;color:#4b5563;';
+                    surrounding.textContent = [...excerpt.before, excerpt, ...excerpt.after]
+                        .map(section => section.text)
+                        .join('\n\n');
+                    details.appendChild(surrounding);
+                } catch (error) {
+                    console.warn('Failed to load citation excerpt', error);
+                }
+            });
+
+            container.appendChild(details);
+        });
+
+        // Inline [n] markers jump to their footnote
+        messageDiv.innerHTML = messageDiv.innerHTML.replace(/\[(\d+)\](?![^<]*>)/g, (match, number) => (
+            citations.some(citation => String(citation.index) === number)
+                ? `<a href="#${messageDiv.id}-cite-${number}" class="citation-ref" data-citation="${number}">[${number}]</a>`
+                : match
+        ));
+        messageDiv.querySelectorAll('.citation-ref').forEach(link => {
+            link.addEventListener('click', (event) => {
+                event.preventDefault();
+                const target = container.querySelector(`[id$="-cite-${link.dataset.citation}"]`);
+                if (target) {
+                    target.open = true;
+                    target.scrollIntoView({ block: 'nearest' });
+                }
+            });
+        });
+
+        messageDiv.appendChild(container);
+    };
+
+    // Clickable follow-up chips after the latest answer; only one set is shown at a time.
+    const renderSuggestions = (messagesContainer, suggestions = [], onSelect = () => {}) => {
+        if (!messagesContainer) return;
+        messagesContainer.querySelectorAll('.message-suggestions').forEach(element => element.remove());
+        if (!Array.isArray(suggestions) || suggestions.length === 0) return;
+
+        const container = document.createElement('div');
+        container.className = 'message-suggestions';
+        container.style.cssText = 'display:flex;flex-wrap:wrap;gap:6px;margin:4px 0 12px;';
+
+        suggestions.forEach(suggestion => {
+            const question = typeof suggestion === 'string' ? suggestion : suggestion?.question;
+            if (!question) return;
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'suggestion-chip';
+            chip.textContent = question;
+            if (suggestion?.fileName) chip.title = `From ${suggestion.fileName}`;
+            chip.style.cssText = 'border:1px solid #c7d2fe;background:#eef2ff;color:#3730a3;border-radius:16px;padding:4px 12px;font-size:13px;cursor:pointer;text-align:left;';
+            chip.addEventListener('click', () => {
+                container.remove();
+                onSelect(question);
+            });
+            container.appendChild(chip);
+        });
+
+        messagesContainer.appendChild(container);
+        messagesContainer.scrollTop = messagesContainer.scrollHeight;
+    };
+
+    const HANDOFF_POLL_MS = 4000;
+    const HANDOFF_OPEN_STATUSES = ['awaiting_agent', 'active'];
+
+    // Polls a conversation while a human agent owns it; returns a function that stops polling.
+    // onMessages(messages) gets new agent messages, onStatus(handoff) every handoff change.
+    const watchHandoff = ({ transcriptId, after = -1, tenantId, persona, intervalMs = HANDOFF_POLL_MS, onMessages = () => {}, onStatus = () => {} } = {}) => {
+        let lastIndex = after;
+        let lastStatus = null;
+        let timer = null;
+        let stopped = false;
+
+        const stop = () => {
+            stopped = true;
+            clearTimeout(timer);
+        };
+
+        const poll = async () => {
+            if (stopped) return;
+            try {
+                const updates = await global.SMEAIClient.getConversationUpdates(transcriptId, lastIndex, { tenantId, persona });
+                const messages = Array.isArray(updates.messages) ? updates.messages : [];
+                if (messages.length > 0) {
+                    lastIndex = messages[messages.length - 1].index;
+                    const agentMessages = messages.filter(message => message.role === 'agent');
+                    if (agentMessages.length > 0) onMessages(agentMessages);
+                }
+                const handoff = updates.handoff || null;
+                const statusKey = handoff ? `${handoff.status}:${handoff.agentName || ''}` : 'none';
+                if (statusKey !== lastStatus) {
+                    lastStatus = statusKey;
+                    onStatus(handoff);
+                }
+                if (!handoff || !HANDOFF_OPEN_STATUSES.includes(handoff.status)) {
+                    stop();
+                    return;
+                }
+            } catch (error) {
+                console.warn('Failed to check for agent messages', error);
+            }
+            if (!stopped) timer = setTimeout(poll, intervalMs);
+        };
+
+        timer = setTimeout(poll, 0);
+        return stop;
+    };
+
+    const handoffNotice = (handoff) => {
+        if (!handoff) return null;
+        if (handoff.status === 'awaiting_agent') return '🙋 Connecting you with a support agent. Your messages will be passed on.';
+        if (handoff.status === 'active') return `🧑‍💼 ${handoff.agentName || 'A support agent'} has joined the conversation.`;
+        if (handoff.status === 'released') return '🤖 You are back with the AI assistant.';
+        return null;
+    };
+
+    const FEEDBACK_REASONS = [
+        { code: 'incorrect', label: 'Incorrect' },
+        { code: 'incomplete', label: 'Incomplete' },
+        { code: 'not_relevant', label: 'Not relevant' },
+        { code: 'unclear', label: 'Unclear' },
+        { code: 'missing_source', label: 'No source' }
+    ];
+    const CSAT_SCORES = [
+        { score: 1, label: '😠' },
+        { score: 2, label: '🙁' },
+        { score: 3, label: '😐' },
+        { score: 4, label: '🙂' },
+        { score: 5, label: '😍' }
+    ];
+    const feedbackButtonStyle = 'border:1px solid #e5e7eb;background:#fff;border-radius:12px;padding:2px 8px;margin-right:4px;cursor:pointer;font-size:12px;';
+
     const ChatClient = function (options = {}) {
         this.messagesContainer = options.messagesContainer;
         this.onStatus = options.onStatus || function () {};
@@ -9,9 +193,19 @@
         this.tenantId = options.tenantId || global.SMEAIClient?.resolveTenantId?.();
         this.conversationId = options.conversationId || null;
         this.transcriptId = null;
+        this.stream = options.stream !== false;
         this.localStorageKey = `conversationHistory:${this.tenantId}`;
         this.history = [];
         this.isProcessing = false;
+        // Updated from each answer: the persona's collect_feedback setting
+        this.collectFeedback = false;
+        this.csatDelayMs = options.csatDelayMs ?? 120000;
+        this.csatSubmitted = false;
+        this.csatTimer = null;
+        // Set while a human agent owns the conversation; the AI does not answer then
+        this.handoff = null;
+        this.lastMessageIndex = -1;
+        this.stopHandoffWatch = null;
         this.restoreConversation();
     };
 
@@ -26,14 +220,23 @@
         this.onProcessingChange(this.isProcessing);
     };
 
-    ChatClient.prototype.addMessage = function (role, content) {
+    ChatClient.prototype.addMessage = function (role, content, citations = null, options = {}) {
         this.ensureContainer();
         const messageId = 'msg-' + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 8);
         const messageDiv = document.createElement('div');
         messageDiv.className = `message ${role}`;
         messageDiv.id = messageId;
 
-        if (role === 'assistant' && this.markdown && typeof this.markdown.parse === 'function' && !content.includes('<span class="loading">')) {
+        if (role === 'agent') {
+            messageDiv.style.cssText = 'background:#eff6ff;border-left:3px solid #3b82f6;color:#1e3a8a;';
+            const label = document.createElement('div');
+            label.className = 'message-agent-label';
+            label.style.cssText = 'font-size:12px;font-weight:600;color:#1d4ed8;margin-bottom:4px;';
+            label.textContent = `🧑‍💼 ${options.agentName || 'Support agent'}`;
+            const body = document.createElement('div');
+            body.textContent = content;
+            messageDiv.append(label, body);
+        } else if (role === 'assistant' && this.markdown && typeof this.markdown.parse === 'function' && !content.includes('<span class="loading">')) {
             try {
                 messageDiv.innerHTML = this.markdown.parse(content);
             } catch (error) {
@@ -43,18 +246,203 @@
             messageDiv.textContent = content;
         }
 
+        if (role === 'assistant' && citations) {
+            renderCitations(messageDiv, citations, { tenantId: this.tenantId, getConversationId: () => this.conversationId });
+        }
+
         this.messagesContainer.appendChild(messageDiv);
         this.messagesContainer.scrollTop = this.messagesContainer.scrollHeight;
         return messageId;
     };
 
+    ChatClient.prototype.renderMessage = function (messageId, content, citations = null) {
+        const messageDiv = document.getElementById(messageId);
+        if (!messageDiv) return;
+        if (this.markdown && typeof this.markdown.parse === 'function') {
+            try {
+                messageDiv.innerHTML = this.markdown.parse(content);
+            } catch (error) {
+                messageDiv.textContent = content;
+            }
+        } else {
+            messageDiv.textContent = content;
+        }
+        if (citations) {
+            renderCitations(messageDiv, citations, { tenantId: this.tenantId, getConversationId: () => this.conversationId });
+        }
+        this.messagesContainer.scrollTop = this.messagesContainer.scrollHeight;
+    };
+
+    // Thumbs up/down under an answer; thumbs down asks for reason codes and an optional comment.
+    ChatClient.prototype.renderFeedbackBar = function (messageId, entry) {
+        const messageDiv = document.getElementById(messageId);
+        if (!messageDiv || !this.collectFeedback || !this.transcriptId || entry?.messageIndex === undefined || entry?.messageIndex === null) return;
+        messageDiv.querySelector('.message-feedback')?.remove();
+
+        const bar = document.createElement('div');
+        bar.className = 'message-feedback';
+        bar.style.cssText = 'margin-top:8px;font-size:12px;color:#6b7280;';
+
+        if (entry.feedback) {
+            bar.textContent = entry.feedback === 'up' ? '👍 Thanks for your feedback' : '👎 Thanks, we will use this to improve';
+            messageDiv.appendChild(bar);
+            return;
+        }
+
+        const submit = async (rating, reasons = [], comment = null) => {
+            bar.querySelectorAll('button, input').forEach(control => { control.disabled = true; });
+            try {
+                await global.SMEAIClient.submitFeedback(this.transcriptId, entry.messageIndex, { rating, reasons, comment }, { tenantId: this.tenantId });
+                entry.feedback = rating;
+                this.persistConversation();
+                this.renderFeedbackBar(messageId, entry);
+            } catch (error) {
+                console.warn('Failed to submit feedback', error);
+                bar.querySelectorAll('button, input').forEach(control => { control.disabled = false; });
+            }
+        };
+
+        const addButton = (parent, label, title, onClick) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = label;
+            button.title = title;
+            button.style.cssText = feedbackButtonStyle;
+            button.addEventListener('click', onClick);
+            parent.appendChild(button);
+            return button;
+        };
+
+        const prompt = document.createElement('span');
+        prompt.textContent = 'Was this helpful? ';
+        bar.appendChild(prompt);
+        addButton(bar, '👍', 'Helpful', () => submit('up', ['helpful']));
+        addButton(bar, '👎', 'Not helpful', () => {
+            if (bar.querySelector('.feedback-details')) return;
+            const details = document.createElement('div');
+            details.className = 'feedback-details';
+            details.style.cssText = 'margin-top:6px;';
+            const selected = new Set();
+            FEEDBACK_REASONS.forEach(reason => {
+                const chip = addButton(details, reason.label, reason.label, () => {
+                    if (selected.has(reason.code)) {
+                        selected.delete(reason.code);
+                        chip.style.background = '#fff';
+                    } else {
+                        selected.add(reason.code);
+                        chip.style.background = '#fee2e2';
+                    }
+                });
+            });
+            const comment = document.createElement('input');
+            comment.type = 'text';
+            comment.maxLength = 1000;
+            comment.placeholder = 'What was wrong? (optional)';
+            comment.style.cssText = 'display:block;width:100%;margin:6px 0;padding:4px 6px;border:1px solid #e5e7eb;border-radius:6px;font-size:12px;';
+            details.appendChild(comment);
+            addButton(details, 'Send', 'Send feedback', () => submit('down', [...selected], comment.value.trim() || null));
+            bar.appendChild(details);
+        });
+
+        messageDiv.appendChild(bar);
+    };
+
+    ChatClient.prototype.scheduleCsatPrompt = function () {
+        clearTimeout(this.csatTimer);
+        if (!this.collectFeedback || this.csatSubmitted || !this.transcriptId || !(this.csatDelayMs > 0)) return;
+        this.csatTimer = setTimeout(() => this.showCsatPrompt(), this.csatDelayMs);
+    };
+
+    // End-of-conversation survey. Shown after a quiet period, or call it directly when the chat is closed.
+    ChatClient.prototype.showCsatPrompt = function () {
+        clearTimeout(this.csatTimer);
+        if (!this.messagesContainer || !this.collectFeedback || this.csatSubmitted || !this.transcriptId) return;
+        if (this.messagesContainer.querySelector('.csat-prompt')) return;
+
+        const promptDiv = document.createElement('div');
+        promptDiv.className = 'message assistant csat-prompt';
+        const question = document.createElement('div');
+        question.textContent = 'How satisfied are you with this conversation?';
+        promptDiv.appendChild(question);
+
+        const scores = document.createElement('div');
+        scores.style.cssText = 'margin-top:8px;';
+        CSAT_SCORES.forEach(({ score, label }) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = label;
+            button.title = `${score} / 5`;
+            button.style.cssText = feedbackButtonStyle + 'font-size:18px;';
+            button.addEventListener('click', async () => {
+                scores.querySelectorAll('button').forEach(control => { control.disabled = true; });
+                try {
+                    await global.SMEAIClient.submitCsat(this.transcriptId, score, null, { tenantId: this.tenantId });
+                    this.csatSubmitted = true;
+                    this.persistConversation();
+                    promptDiv.textContent = 'Thank you for rating this conversation!';
+                } catch (error) {
+                    console.warn('Failed to submit CSAT', error);
+                    scores.querySelectorAll('button').forEach(control => { control.disabled = false; });
+                }
+            });
+            scores.appendChild(button);
+        });
+        promptDiv.appendChild(scores);
+
+        this.messagesContainer.appendChild(promptDiv);
+        this.messagesContainer.scrollTop = this.messagesContainer.scrollHeight;
+    };
+
+    // Tracks the handoff state from a chat response or poll and keeps polling while an agent is involved.
+    ChatClient.prototype.updateHandoff = function (handoff, { announce = true } = {}) {
+        const previous = this.handoff;
+        this.handoff = handoff || null;
+        const changed = (previous?.status || null) !== (this.handoff?.status || null)
+            || (previous?.agentName || null) !== (this.handoff?.agentName || null);
+        if (announce && changed) {
+            const notice = handoffNotice(this.handoff);
+            if (notice) this.addMessage('assistant', notice);
+        }
+
+        const open = HANDOFF_OPEN_STATUSES.includes(this.handoff?.status);
+        if (open && !this.stopHandoffWatch && this.transcriptId) {
+            this.stopHandoffWatch = watchHandoff({
+                transcriptId: this.transcriptId,
+                after: this.lastMessageIndex,
+                tenantId: this.tenantId,
+                onMessages: messages => messages.forEach(message => {
+                    this.lastMessageIndex = Math.max(this.lastMessageIndex, message.index);
+                    const agentName = message.agent?.name || this.handoff?.agentName || null;
+                    this.addMessage('agent', message.content, null, { agentName });
+                    this.history.push({ role: 'agent', content: message.content, agentName, messageIndex: message.index });
+                    this.persistConversation();
+                }),
+                onStatus: next => {
+                    this.updateHandoff(next);
+                    this.persistConversation();
+                }
+            });
+        } else if (!open && this.stopHandoffWatch) {
+            this.stopHandoffWatch();
+            this.stopHandoffWatch = null;
+        }
+    };
+
+    ChatClient.prototype.endConversation = function () {
+        this.showCsatPrompt();
+    };
+
     ChatClient.prototype.persistConversation = function () {
         const payload = {
             history: this.history.slice(-50),
             timestamp: Date.now(),
             tenantId: this.tenantId,
             conversationId: this.conversationId,
-            transcriptId: this.transcriptId
+            transcriptId: this.transcriptId,
+            collectFeedback: this.collectFeedback,
+            csatSubmitted: this.csatSubmitted,
+            handoff: this.handoff,
+            lastMessageIndex: this.lastMessageIndex
         };
         try {
             localStorage.setItem(this.localStorageKey, JSON.stringify(payload));
@@ -77,16 +465,30 @@
             this.history = payload.history;
             this.conversationId = payload.conversationId || null;
             this.transcriptId = payload.transcriptId || null;
+            this.collectFeedback = Boolean(payload.collectFeedback);
+            this.csatSubmitted = Boolean(payload.csatSubmitted);
+            this.lastMessageIndex = Number.isInteger(payload.lastMessageIndex) ? payload.lastMessageIndex : -1;
             if (this.messagesContainer) {
                 this.messagesContainer.innerHTML = '';
-                this.history.forEach(entry => this.addMessage(entry.role, entry.content));
+                this.history.forEach(entry => {
+                    const messageId = this.addMessage(entry.role, entry.content, entry.citations, { agentName: entry.agentName });
+                    if (entry.role === 'assistant') this.renderFeedbackBar(messageId, entry);
+                });
             }
+            // Resume polling if an agent was handling the conversation before the reload
+            this.updateHandoff(payload.handoff || null, { announce: false });
         } catch (error) {
             console.warn('Failed to restore conversation history', error);
         }
     };
 
     ChatClient.prototype.clearConversation = function () {
+        clearTimeout(this.csatTimer);
+        this.csatSubmitted = false;
+        this.stopHandoffWatch?.();
+        this.stopHandoffWatch = null;
+        this.handoff = null;
+        this.lastMessageIndex = -1;
         this.history = [];
         localStorage.removeItem(this.localStorageKey);
         if (this.messagesContainer) {
@@ -102,24 +504,84 @@
         }
         if (this.isProcessing) return;
 
+        clearTimeout(this.csatTimer);
+        renderSuggestions(this.messagesContainer, []);
         this.addMessage('user', message);
         this.history.push({ role: 'user', content: message });
         this.persistConversation();
         const typingId = this.addMessage('assistant', '⏳ Thinking...');
         this.setProcessing(true);
 
+        // Earlier turns are rebuilt server-side from the stored transcript (conversationId)
+        const requestOptions = {
+            tenantId: this.tenantId,
+            conversationId: this.conversationId,
+            transcriptId: this.transcriptId
+        };
+
         try {
-            const result = await global.SMEAIClient.chat(message, this.history, {
-                tenantId: this.tenantId,
-                conversationId: this.conversationId,
-                transcriptId: this.transcriptId
-            });
-            document.getElementById(typingId)?.remove();
-            if (result.success) {
-                this.addMessage('assistant', result.response);
-                this.history.push({ role: 'assistant', content: result.response });
+            let result;
+            let answerId = null;
+            if (this.stream && typeof global.SMEAIClient.chatStream === 'function') {
+                let streamedText = '';
+                let streamId = null;
+                result = await global.SMEAIClient.chatStream(message, [], requestOptions, {
+                    onDelta: (text) => {
+                        if (!streamId) {
+                            document.getElementById(typingId)?.remove();
+                            streamId = this.addMessage('assistant', '');
+                        }
+                        streamedText += text;
+                        this.renderMessage(streamId, streamedText);
+                    },
+                    onThink: () => {
+                        const typingDiv = document.getElementById(typingId);
+                        if (typingDiv) typingDiv.textContent = '🧠 Reviewing documents...';
+                    }
+                });
+                document.getElementById(typingId)?.remove();
+                if (result.success && result.response !== null) {
+                    // Replace streamed text with the sanitized final answer
+                    if (!streamId) streamId = this.addMessage('assistant', '');
+                    this.renderMessage(streamId, result.response, result.citations);
+                    answerId = streamId;
+                } else {
+                    document.getElementById(streamId)?.remove();
+                }
+            } else {
+                result = await global.SMEAIClient.chat(message, [], requestOptions);
+                document.getElementById(typingId)?.remove();
+                if (result.success && result.response !== null) {
+                    answerId = this.addMessage('assistant', result.response, result.citations);
+                }
+            }
+
+            if (result.success && result.response === null) {
+                // A human agent owns the conversation: the message was passed on, replies arrive by polling
+                this.conversationId = result.conversationId || this.conversationId;
+                this.transcriptId = result.transcriptId || this.transcriptId;
+                if (Number.isInteger(result.messageIndex)) this.lastMessageIndex = result.messageIndex;
+                this.updateHandoff(result.handoff);
+                this.persistConversation();
+            } else if (result.success) {
+                const entry = {
+                    role: 'assistant',
+                    content: result.response,
+                    ...(result.citations?.length ? { citations: result.citations } : {}),
+                    ...(Number.isInteger(result.messageIndex) ? { messageIndex: result.messageIndex } : {})
+                };
+                this.history.push(entry);
                 this.conversationId = result.conversationId || this.conversationId || result.transcriptId || null;
                 this.transcriptId = result.transcriptId || this.transcriptId || null;
+                this.collectFeedback = Boolean(result.collectFeedback);
+                if (Number.isInteger(result.messageIndex)) this.lastMessageIndex = result.messageIndex;
+                this.persistConversation();
+                this.renderFeedbackBar(answerId, entry);
+                renderSuggestions(this.messagesContainer, result.suggestions, question => {
+                    this.send(question).catch(error => console.warn('Failed to send suggested question', error));
+                });
+                this.scheduleCsatPrompt();
+                this.updateHandoff(result.handoff);
                 this.persistConversation();
             } else {
                 this.addMessage('assistant', `❌ Error: ${result.error}`);
@@ -134,5 +596,10 @@
         }
     };
 
+    ChatClient.renderCitations = renderCitations;
+    ChatClient.renderSuggestions = renderSuggestions;
+    ChatClient.watchHandoff = watchHandoff;
+    ChatClient.handoffNotice = handoffNotice;
+
     global.SMEAIChat = ChatClient;
 })(window);
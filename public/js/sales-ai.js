@@ -216,11 +216,14 @@ class SalesAIManager {
                 const displayName = file.name || (storageKey ? storageKey.split('/').pop() : 'Uploaded file');
                 const rawSize = file.artifacts?.rawSize || file.artifacts?.size || file.size || 0;
                 return {
+                    id: file.id || null,
                     name: file.name || displayName,
                     displayName,
                     type: file.type || '',
                     size: rawSize,
                     path: storageKey,
+                    sheets: Array.isArray(file.sheets) ? file.sheets.map(sheet => sheet.name) : [],
+                    mainSheet: file.mainSheet || file.metadata?.sheetName || null,
                     uploadedAt: file.uploadDate || file.uploadedAt || manifest.uploadTime || new Date().toISOString()
                 };
             });
@@ -234,7 +237,7 @@ class SalesAIManager {
 
     async handleFileSelection(files) {
         const validFiles = files.filter(file => {
-            const validTypes = ['.pdf', '.docx', '.txt', '.csv', '.xlsx'];
+            const validTypes = ['.pdf', '.docx', '.txt', '.csv', '.xlsx', '.pptx', '.html', '.htm', '.md', '.markdown', '.json', '.eml'];
             const extension = '.' + file.name.split('.').pop().toLowerCase();
             const validSize = file.size <= 10 * 1024 * 1024; // 10MB
             
@@ -343,6 +346,13 @@ class SalesAIManager {
                     <div class="font-semibold text-sm text-gray-900">${file.displayName}</div>
                     <div class="text-gray-500 text-xs">${file.type ? file.type.toUpperCase() : ''}</div>
                     <div class="text-gray-400 text-xs">${this.formatFileSize(file.size)} • ${new Date(file.uploadedAt).toLocaleDateString()}</div>
+                    ${file.sheets?.length > 1 && file.id ? `
+                    <label class="text-gray-500 text-xs flex items-center space-x-1 mt-1">
+                        <span>Main sheet</span>
+                        <select class="main-sheet-select border border-gray-200 rounded px-1 py-0.5 text-xs text-gray-800">
+                            ${file.sheets.map(sheet => `<option value="${sheet}" ${sheet === file.mainSheet ? 'selected' : ''}>${sheet}</option>`).join('')}
+                        </select>
+                    </label>` : ''}
                 </div>
             </div>
             <button class="text-red-500 hover:text-red-400 transition" data-file-name="${file.name}" data-file-path="${file.path}">
@@ -350,6 +360,20 @@ class SalesAIManager {
             </button>
         `;
 
+        const sheetSelect = fileItem.querySelector('.main-sheet-select');
+        if (sheetSelect) {
+            sheetSelect.addEventListener('change', async (event) => {
+                try {
+                    await SMEAIClient.setMainSheet(file.id, event.target.value, { tenantId: platform.getTenantId(), persona: this.getPersonaId() });
+                    this.showNotification(`Main sheet set to ${event.target.value}`, 'success');
+                    await this.loadExistingManifest();
+                } catch (error) {
+                    console.error('Error setting main sheet:', error);
+                    this.showNotification('Failed to set main sheet', 'error');
+                }
+            });
+        }
+
         fileItem.querySelector('button').addEventListener('click', async (event) => {
             const target = event.currentTarget;
             const fileName = target.getAttribute('data-file-name');
@@ -430,12 +454,14 @@ class SalesAIManager {
 
         const toneSelect = document.getElementById('salesToneSelect');
         const tone = toneSelect ? toneSelect.value : 'professional';
+        const suggestFollowUps = document.getElementById('suggestFollowUps');
 
         return {
             customPrompt: document.getElementById('customPrompt').value.trim(),
             salesApproach: document.getElementById('salesApproach').value,
             qualificationQuestions: questions,
             responseTone: tone,
+            suggestFollowUps: suggestFollowUps ? suggestFollowUps.checked : true,
             productFiles: this.uploadedFiles
         };
     }
@@ -468,7 +494,8 @@ class SalesAIManager {
             status: 'active',
             sales_approach: formData.salesApproach,
             qualification_questions: JSON.stringify(formData.qualificationQuestions),
-            response_tone: formData.responseTone
+            response_tone: formData.responseTone,
+            suggest_follow_ups: formData.suggestFollowUps
         };
 
         const headers = this.buildHeaders({ 'Content-Type': 'application/json' });
@@ -492,7 +519,8 @@ class SalesAIManager {
             custom_prompt: formData.customPrompt,
             sales_approach: formData.salesApproach,
             qualification_questions: JSON.stringify(formData.qualificationQuestions),
-            response_tone: formData.responseTone
+            response_tone: formData.responseTone,
+            suggest_follow_ups: formData.suggestFollowUps
         };
 
         const headers = this.buildHeaders({ 'Content-Type': 'application/json' });
@@ -682,6 +710,10 @@ Would you mind sharing a bit about your specific needs and budget range so I can
                 this.updateToneStatus(config.response_tone);
             }
         }
+        const suggestFollowUps = document.getElementById('suggestFollowUps');
+        if (suggestFollowUps) {
+            suggestFollowUps.checked = config.suggest_follow_ups !== false;
+        }
         this.updateStatuses();
         this.renderFilesList();
         this.generateAILink();
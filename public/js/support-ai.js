@@ -371,7 +371,7 @@ class SupportAIManager {
 
     async handleFileSelection(files) {
         const validFiles = files.filter(file => {
-            const validTypes = ['.pdf', '.docx', '.txt', '.csv', '.html'];
+            const validTypes = ['.pdf', '.docx', '.txt', '.csv', '.xlsx', '.xls', '.pptx', '.html', '.htm', '.md', '.markdown', '.json', '.eml'];
             const extension = '.' + file.name.split('.').pop().toLowerCase();
             const validSize = file.size <= 10 * 1024 * 1024; // 10MB
             
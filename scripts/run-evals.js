@@ -0,0 +1,427 @@
+// Dataset-driven evaluation of guardrails and answer quality
+// Suites are JSONL files in evals/ (one case per line, like requests.jsonl):
+//   guardrails.jsonl  { id, message, blockedType: '<check>' | null, policy?, knownFailure?: 'reason' }
+//   answers.jsonl     { id, persona?, files: [paths], question, facts: [fact | [variants]], stub?: [script entries] }
+// Guardrail cases run through checkGuardrails(); answer cases upload their
+// fixtures to a throwaway server and ask /api/chat. The server uses the stub
+// LLM provider (each case's `stub` entries are its script) unless --live is set.
+// A stub entry with a `system` pattern only answers when retrieval put that
+// text in the prompt, so document cases still measure retrieval offline.
+// Scores below evals/thresholds.json (or --min-* flags) fail the run. Cases
+// marked `knownFailure` are reported but left out of the scores, so a known
+// gap is stated in the dataset instead of hidden behind a lowered threshold.
+//
+// Usage: node scripts/run-evals.js [--suite guardrails|answers] [--live] [--json report.json]
+//        [--min-precision 0.9] [--min-recall 0.9] [--min-fact-recall 0.8] [--verbose]
+import http from 'http';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+import { checkGuardrails } from '../src/guardrails.js';
+
+const ROOT_DIR = path.resolve(path.dirname(new URL(import.meta.url).pathname), '..');
+const EVALS_DIR = path.join(ROOT_DIR, 'evals');
+const SUITES = ['guardrails', 'answers'];
+const EVAL_PORT = process.env.EVAL_PORT || '3998';
+const BASE_URL = `http://localhost:${EVAL_PORT}`;
+const ALLOWED_LABEL = 'allowed';
+const CONTENT_TYPES = {
+  '.csv': 'text/csv',
+  '.txt': 'text/plain',
+  '.pdf': 'application/pdf',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.xls': 'application/vnd.ms-excel'
+};
+
+function parseArgs(argv) {
+  const args = { suites: SUITES, live: false, json: null, verbose: false, thresholds: {} };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => argv[++i];
+    if (arg === '--suite') args.suites = [next()];
+    else if (arg === '--live') args.live = true;
+    else if (arg === '--json') args.json = next();
+    else if (arg === '--verbose') args.verbose = true;
+    else if (arg === '--min-precision') args.thresholds.minPrecision = Number(next());
+    else if (arg === '--min-recall') args.thresholds.minRecall = Number(next());
+    else if (arg === '--min-fact-recall') args.thresholds.minFactRecall = Number(next());
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+  args.suites.forEach(suite => {
+    if (!SUITES.includes(suite)) throw new Error(`Unknown suite: ${suite} (expected ${SUITES.join(' or ')})`);
+  });
+  return args;
+}
+
+function loadJsonl(filePath) {
+  return fs.readFileSync(filePath, 'utf-8')
+    .split('\n')
+    .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+    .filter(({ line }) => line && !line.startsWith('//'))
+    .map(({ line, number }) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`${path.basename(filePath)}:${number}: ${error.message}`);
+      }
+    });
+}
+
+function loadThresholds(overrides) {
+  const file = path.join(EVALS_DIR, 'thresholds.json');
+  const stored = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf-8')) : {};
+  // A --min-* flag applies to every type, replacing the per-type values
+  const byType = Object.fromEntries(Object.entries(stored.guardrails?.byType || {}).map(([type, limits]) => [
+    type,
+    Object.fromEntries(Object.entries(limits).filter(([key]) => overrides[key] === undefined))
+  ]));
+  return {
+    guardrails: {
+      minPrecision: overrides.minPrecision ?? stored.guardrails?.minPrecision ?? 0,
+      minRecall: overrides.minRecall ?? stored.guardrails?.minRecall ?? 0,
+      byType
+    },
+    answers: {
+      minFactRecall: overrides.minFactRecall ?? stored.answers?.minFactRecall ?? 0
+    }
+  };
+}
+
+function ratio(numerator, denominator) {
+  return denominator > 0 ? Math.round((numerator / denominator) * 1000) / 1000 : null;
+}
+
+function formatScore(value) {
+  return value === null ? '  —  ' : value.toFixed(3);
+}
+
+/**
+ * Precision/recall per label, treating each blockedType (and "allowed") as a class
+ */
+function scoreGuardrailResults(allResults) {
+  const results = allResults.filter(result => !result.knownFailure);
+  const labels = new Set(results.flatMap(result => [result.expected, result.actual]));
+  const byType = {};
+
+  for (const label of [...labels].sort()) {
+    const truePositives = results.filter(result => result.expected === label && result.actual === label).length;
+    const predicted = results.filter(result => result.actual === label).length;
+    const support = results.filter(result => result.expected === label).length;
+    byType[label] = {
+      support,
+      predicted,
+      precision: ratio(truePositives, predicted),
+      recall: ratio(truePositives, support)
+    };
+  }
+
+  const shouldBlock = results.filter(result => result.expected !== ALLOWED_LABEL);
+  const blocked = results.filter(result => result.actual !== ALLOWED_LABEL);
+  const correctlyBlocked = shouldBlock.filter(result => result.actual !== ALLOWED_LABEL).length;
+
+  return {
+    cases: results.length,
+    knownFailures: allResults.length - results.length,
+    accuracy: ratio(results.filter(result => result.expected === result.actual).length, results.length),
+    block: {
+      precision: ratio(correctlyBlocked, blocked.length),
+      recall: ratio(correctlyBlocked, shouldBlock.length)
+    },
+    byType
+  };
+}
+
+function runGuardrailSuite(cases) {
+  return cases.map(testCase => {
+    const result = checkGuardrails(testCase.message, null, testCase.policy || null);
+    return {
+      id: testCase.id,
+      message: testCase.message,
+      expected: testCase.blockedType || ALLOWED_LABEL,
+      actual: result.allowed ? ALLOWED_LABEL : result.blockedType,
+      knownFailure: testCase.knownFailure || null
+    };
+  });
+}
+
+function guardrailFailures(scores, thresholds) {
+  const failures = [];
+  // The block/allow decision itself, so a miss cannot hide in a small per-type bucket
+  if (scores.block.precision !== null && scores.block.precision < thresholds.minPrecision) {
+    failures.push(`block precision ${scores.block.precision} < ${thresholds.minPrecision}`);
+  }
+  if (scores.block.recall !== null && scores.block.recall < thresholds.minRecall) {
+    failures.push(`block recall ${scores.block.recall} < ${thresholds.minRecall}`);
+  }
+  for (const [label, score] of Object.entries(scores.byType)) {
+    if (label === ALLOWED_LABEL || score.support === 0) continue;
+    const limits = { ...thresholds, ...(thresholds.byType[label] || {}) };
+    if (score.precision !== null && score.precision < limits.minPrecision) {
+      failures.push(`${label} precision ${score.precision} < ${limits.minPrecision}`);
+    }
+    if (score.recall < limits.minRecall) {
+      failures.push(`${label} recall ${score.recall} < ${limits.minRecall}`);
+    }
+  }
+  return failures;
+}
+
+function normalizeText(text) {
+  return String(text || '').toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Share of expected facts found in an answer; a fact may list accepted variants
+ */
+function scoreFacts(answer, facts = []) {
+  const normalized = normalizeText(answer);
+  const missing = facts.filter(fact => {
+    const variants = Array.isArray(fact) ? fact : [fact];
+    return !variants.some(variant => normalized.includes(normalizeText(variant)));
+  });
+  return {
+    found: facts.length - missing.length,
+    total: facts.length,
+    recall: ratio(facts.length - missing.length, facts.length),
+    missing: missing.map(fact => (Array.isArray(fact) ? fact[0] : fact))
+  };
+}
+
+function escapeRegex(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Every case's stub entries, matched to its question, in one script file
+function buildStubScript(cases, workDir) {
+  const entries = cases.flatMap(testCase => (testCase.stub || []).map(entry => ({
+    kind: 'chat',
+    match: escapeRegex(testCase.question),
+    ...entry
+  })));
+  const scriptFile = path.join(workDir, 'stub-script.json');
+  fs.writeFileSync(scriptFile, JSON.stringify(entries, null, 2));
+  return scriptFile;
+}
+
+function request({ method, route, headers = {}, body = null, contentType = 'application/json' }) {
+  const payload = body === null ? null : (Buffer.isBuffer(body) ? body : Buffer.from(JSON.stringify(body)));
+  const url = new URL(route, BASE_URL);
+
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      method,
+      hostname: url.hostname,
+      port: url.port,
+      path: `${url.pathname}${url.search}`,
+      headers: {
+        'Content-Type': contentType,
+        ...(payload ? { 'Content-Length': payload.length } : {}),
+        ...headers
+      }
+    }, res => {
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => {
+        try {
+          const parsed = data ? JSON.parse(data) : null;
+          if (res.statusCode >= 400) {
+            reject(new Error(parsed?.error || `Request failed (${res.statusCode})`));
+          } else {
+            resolve(parsed);
+          }
+        } catch (error) {
+          reject(error);
+        }
+      });
+    });
+
+    req.on('error', reject);
+    if (payload) req.write(payload);
+    req.end();
+  });
+}
+
+async function waitForServer(timeoutMs = 30000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    try {
+      await request({ method: 'GET', route: '/health' });
+      return;
+    } catch (error) {
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+  }
+  throw new Error(`Server did not start at ${BASE_URL}`);
+}
+
+async function startEvalServer({ live, scriptFile, workDir }) {
+  const server = spawn(process.execPath, ['server.js'], {
+    cwd: ROOT_DIR,
+    env: {
+      ...process.env,
+      PORT: EVAL_PORT,
+      LLM_PROVIDER: live ? (process.env.LLM_PROVIDER || 'anthropic') : 'stub',
+      LLM_STUB_SCRIPT: scriptFile,
+      STORAGE_BACKEND: 'local',
+      LOCAL_STORAGE_DIR: path.join(workDir, 'storage'),
+      USAGE_EVENTS_DIR: path.join(workDir, 'usage-events'),
+      // Every case comes from one client IP
+      RATE_LIMIT_ENABLED: 'false'
+    },
+    stdio: ['ignore', 'ignore', 'inherit']
+  });
+
+  await waitForServer();
+  return { stop: () => server.kill() };
+}
+
+async function uploadFixtures(files, { tenantId, persona }) {
+  const boundary = `----evalBoundary${Date.now()}`;
+  const buffers = [];
+  files.forEach(filePath => {
+    const absolutePath = path.resolve(ROOT_DIR, filePath);
+    if (!fs.existsSync(absolutePath)) {
+      throw new Error(`Missing eval fixture: ${filePath}`);
+    }
+    const contentType = CONTENT_TYPES[path.extname(absolutePath).toLowerCase()] || 'application/octet-stream';
+    buffers.push(Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="files"; filename="${path.basename(absolutePath)}"\r\nContent-Type: ${contentType}\r\n\r\n`));
+    buffers.push(fs.readFileSync(absolutePath));
+    buffers.push(Buffer.from('\r\n'));
+  });
+  buffers.push(Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="persona"\r\n\r\n${persona}\r\n--${boundary}--\r\n`));
+
+  return request({
+    method: 'POST',
+    route: '/api/upload',
+    headers: { 'x-tenant-id': tenantId, 'x-persona-id': persona },
+    body: Buffer.concat(buffers),
+    contentType: `multipart/form-data; boundary=${boundary}`
+  });
+}
+
+async function runAnswerSuite(cases, { live }) {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'evals-'));
+  const server = await startEvalServer({ live, scriptFile: buildStubScript(cases, workDir), workDir });
+  console.log(`🧪 Eval server started with ${live ? 'live' : 'stub'} LLM provider`);
+
+  try {
+    const results = [];
+    for (const testCase of cases) {
+      // Each case gets its own tenant so fixtures never leak between cases
+      const tenantId = `eval-${String(testCase.id).replace(/[^a-zA-Z0-9_-]/g, '-')}`;
+      const persona = testCase.persona || 'support';
+      try {
+        if (testCase.files?.length) {
+          await uploadFixtures(testCase.files, { tenantId, persona });
+        }
+        const response = await request({
+          method: 'POST',
+          route: '/api/chat',
+          headers: { 'x-tenant-id': tenantId, 'x-persona-id': persona },
+          body: { message: testCase.question, conversationId: `eval-${testCase.id}` }
+        });
+        results.push({ id: testCase.id, question: testCase.question, answer: response?.response || '', ...scoreFacts(response?.response, testCase.facts) });
+      } catch (error) {
+        results.push({ id: testCase.id, question: testCase.question, error: error.message, ...scoreFacts('', testCase.facts) });
+      }
+    }
+    return results;
+  } finally {
+    server.stop();
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+function scoreAnswerResults(results) {
+  const scored = results.filter(result => result.total > 0);
+  const found = scored.reduce((sum, result) => sum + result.found, 0);
+  const total = scored.reduce((sum, result) => sum + result.total, 0);
+  return {
+    cases: results.length,
+    errors: results.filter(result => result.error).length,
+    factRecall: ratio(found, total),
+    meanCaseRecall: ratio(scored.reduce((sum, result) => sum + result.recall, 0), scored.length)
+  };
+}
+
+function printGuardrailReport(results, scores, verbose) {
+  console.log('');
+  console.log(`🛡️ Guardrails: ${scores.cases} cases (+${scores.knownFailures} known failures), accuracy ${formatScore(scores.accuracy)}, block precision ${formatScore(scores.block.precision)}, block recall ${formatScore(scores.block.recall)}`);
+  console.log('   type                  support  precision  recall');
+  for (const [label, score] of Object.entries(scores.byType)) {
+    console.log(`   ${label.padEnd(22)}${String(score.support).padStart(7)}  ${formatScore(score.precision).padStart(9)}  ${formatScore(score.recall).padStart(6)}`);
+  }
+  results
+    .filter(result => !result.knownFailure && (verbose || result.expected !== result.actual))
+    .forEach(result => {
+      const icon = result.expected === result.actual ? '✅' : '❌';
+      console.log(`   ${icon} ${result.id}: expected ${result.expected}, got ${result.actual} — "${result.message}"`);
+    });
+  results
+    .filter(result => result.knownFailure)
+    .forEach(result => {
+      const status = result.expected === result.actual ? 'now passes, remove knownFailure' : `got ${result.actual}`;
+      console.log(`   ⚠️ ${result.id} (known failure: ${result.knownFailure}): expected ${result.expected}, ${status} — "${result.message}"`);
+    });
+}
+
+function printAnswerReport(results, scores, verbose) {
+  console.log('');
+  console.log(`📊 Answers: ${scores.cases} cases, fact recall ${formatScore(scores.factRecall)} (mean per case ${formatScore(scores.meanCaseRecall)}), errors ${scores.errors}`);
+  results
+    .filter(result => verbose || result.error || result.missing.length > 0)
+    .forEach(result => {
+      const icon = result.error || result.missing.length > 0 ? '❌' : '✅';
+      const detail = result.error ? `error: ${result.error}` : `${result.found}/${result.total} facts${result.missing.length ? `, missing: ${result.missing.join(', ')}` : ''}`;
+      console.log(`   ${icon} ${result.id}: ${detail}`);
+    });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const thresholds = loadThresholds(args.thresholds);
+  const report = { generatedAt: new Date().toISOString(), provider: args.live ? 'live' : 'stub', suites: {} };
+  const failures = [];
+
+  if (args.suites.includes('guardrails')) {
+    const results = runGuardrailSuite(loadJsonl(path.join(EVALS_DIR, 'guardrails.jsonl')));
+    const scores = scoreGuardrailResults(results);
+    printGuardrailReport(results, scores, args.verbose);
+    failures.push(...guardrailFailures(scores, thresholds.guardrails));
+    report.suites.guardrails = { scores, results };
+  }
+
+  if (args.suites.includes('answers')) {
+    const results = await runAnswerSuite(loadJsonl(path.join(EVALS_DIR, 'answers.jsonl')), { live: args.live });
+    const scores = scoreAnswerResults(results);
+    printAnswerReport(results, scores, args.verbose);
+    if (scores.factRecall !== null && scores.factRecall < thresholds.answers.minFactRecall) {
+      failures.push(`fact recall ${scores.factRecall} < ${thresholds.answers.minFactRecall}`);
+    }
+    if (scores.errors > 0) {
+      failures.push(`${scores.errors} answer case(s) failed to run`);
+    }
+    report.suites.answers = { scores, results };
+  }
+
+  report.failures = failures;
+  if (args.json) {
+    fs.writeFileSync(path.resolve(args.json), JSON.stringify(report, null, 2));
+    console.log(`📝 Report written to ${args.json}`);
+  }
+
+  console.log('');
+  if (failures.length > 0) {
+    console.error(`❌ Eval regression: ${failures.join('; ')}`);
+    process.exitCode = 1;
+  } else {
+    console.log('✅ Evals passed');
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Eval run failed:', error.message);
+  process.exitCode = 1;
+});
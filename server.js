@@ -18,6 +18,12 @@ function sanitizeConfigRecord(record) {
     response_style,
     primary_language,
     collect_feedback,
+    suggest_follow_ups,
+    follow_up_count,
+    guardrail_policy,
+    pii_policy,
+    regenerate_ungrounded,
+    lookup_joins,
     save_transcripts,
     multi_language,
     job_role,
@@ -45,6 +51,12 @@ function sanitizeConfigRecord(record) {
     response_style,
     primary_language,
     collect_feedback,
+    suggest_follow_ups,
+    follow_up_count,
+    guardrail_policy,
+    pii_policy,
+    regenerate_ungrounded,
+    lookup_joins,
     save_transcripts,
     multi_language,
     job_role,
@@ -98,20 +110,35 @@ import os from 'os';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
 import crypto from 'crypto';
-import { processFiles, categorizeFiles, saveProcessedFiles, validateFile, sanitizeTenantId } from './src/file-processor.js';
+import { processFiles, categorizeFiles, saveProcessedFiles, validateFile, sanitizeTenantId, TEXT_FILE_TYPES } from './src/file-processor.js';
 import { getStorage } from './src/storage/index.js';
+import { readJson } from './src/services/storage-helper.js';
 import dataStore from './src/services/data-store.js';
-import transcriptService from './src/services/transcript-service.js';
+import transcriptService, { FEEDBACK_RATINGS, FEEDBACK_REASON_CODES, FEEDBACK_COMMENT_MAX_LENGTH, AGENT_MESSAGE_MAX_LENGTH, isHandoffOpen } from './src/services/transcript-service.js';
+import { loadConversationMemory } from './src/services/conversation-memory.js';
+import { invalidateContext, getContextCacheStats } from './src/services/context-cache.js';
 import { createClaudeClient } from './src/claude-client.js';
+import { getEntrySheets } from './src/data-tools.js';
+import { validateLookupJoins, applyLookupJoins, attachJoinReport } from './src/lookup-joins.js';
 import { analyzeDataQuality } from './src/quality-analyzer.js';
+import { resolveChatPersonaType } from './src/persona-prompt.js';
+import { loadSearchIndex, updateSearchIndex, deleteSearchIndex, describeSearchIndex } from './src/services/search-index.js';
+import { getManifestFileId, findManifestFile, loadFileExcerpt, isCitedLocation } from './src/citations.js';
+import { suggestFollowUps } from './src/suggestions.js';
+import { validateGuardrailPolicy, resolveGuardrailPolicy, getDefaultGuardrailPolicy, suggestAllowPattern, ALLOW_LISTABLE_CHECKS } from './src/guardrails.js';
+import { recordGuardrailIncidents, listGuardrailIncidents, getGuardrailIncident, reviewGuardrailIncident } from './src/services/guardrail-incidents.js';
+import { validatePiiPolicy, resolvePiiPolicy, getDefaultPiiPolicy, detectPii, redactPii, maskPii, checkPiiInput } from './src/pii.js';
 import { loadManifest as loadTenantManifest, saveManifest as saveTenantManifest, deleteManifest as deleteTenantManifest, manifestRelativePath } from './src/services/manifest-store.js';
 import analyticsService from './src/services/analytics-service.js';
 import { emitUsageEvent } from './src/services/usage-events.js';
+import { summarizeAttempts } from './src/llm/resilience.js';
 import aiConfigService from './src/services/ai-config-service.js';
 import { buildRawKey, safeSegment } from './src/storage/paths.js';
 import auth from './src/services/auth.js';
 import billing from './src/services/billing.js';
 import { createTenantBuckets } from './src/services/tenant-buckets.js';
+import { createRateLimiter, resolveRateLimitConfig, getClientIp, hashClientIp } from './src/middleware/rate-limit.js';
+import { createApiRateLimiter } from './src/utils/security.js';
 
 dotenv.config();
 
@@ -121,10 +148,32 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind App Runner or a load balancer, the client IP comes from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY.trim();
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : (trustProxy === 'true' ? true : trustProxy));
+} else if (process.env.NODE_ENV === 'production') {
+  console.warn('⚠️ TRUST_PROXY is not set: behind a load balancer every client shares its IP and per-IP rate limits');
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json());
 app.use(express.static('public'));
+// Stripe retries throttled webhooks, and handoff polls get their own budget below
+const API_RATE_LIMIT_EXEMPT = [/^\/billing\/webhook$/, /^\/transcripts\/[^/]+\/updates$/];
+app.use('/api', createApiRateLimiter({
+  onLimited: recordRateLimited,
+  skip: req => API_RATE_LIMIT_EXEMPT.some(pattern => pattern.test(req.path))
+}));
+
+// Route budgets for the endpoints that spend LLM tokens or storage; the optional
+// sign-in check runs first so the tenant budget can use the signed-in user's tenant
+const identifyCaller = auth.authMiddleware({ required: false });
+const chatRateLimiter = [identifyCaller, createRateLimiter({ name: 'chat', ...resolveRateLimitConfig('chat'), identify: identifyRateLimitClient, onLimited: recordRateLimited })];
+const uploadRateLimiter = [identifyCaller, createRateLimiter({ name: 'upload', ...resolveRateLimitConfig('upload'), identify: identifyRateLimitClient, onLimited: recordRateLimited })];
+const interviewRateLimiter = [identifyCaller, createRateLimiter({ name: 'interview', ...resolveRateLimitConfig('interview'), identify: identifyRateLimitClient, onLimited: recordRateLimited })];
+const pollRateLimiter = createRateLimiter({ name: 'poll', ...resolveRateLimitConfig('poll'), onLimited: recordRateLimited });
 
 // Health check endpoint for App Runner / Load Balancers
 app.get('/health', (req, res) => {
@@ -188,6 +237,39 @@ function getPersonaId(req) {
   return candidate ? sanitizeTenantId(candidate) : null;
 }
 
+function getShareLinkId(req) {
+  return req.body?.shareLinkId || req.headers['x-share-link-id'] || null;
+}
+
+// A share link is the tenant's persona chat link. The client's shareLinkId is only a label for
+// incidents and usage events: keying a budget on it would let every request pick a fresh bucket.
+// The tenant budget only counts signed-in users of that tenant; a header naming another tenant
+// must not drain it, and anonymous widget traffic is bounded per IP and per share link
+function identifyRateLimitClient(req) {
+  const tenantId = getTenantId(req);
+  return {
+    ip: getClientIp(req),
+    shareLink: `${tenantId}:${getPersonaId(req) || 'default'}`,
+    tenant: req.user?.tenantId ? sanitizeTenantId(req.user.tenantId) : null
+  };
+}
+
+async function recordRateLimited(req, details) {
+  await emitUsageEvent({
+    tenantId: getTenantId(req),
+    organizationId: req.headers['x-company-id'] || null,
+    persona: details.limiter === 'interview' ? 'interview' : getPersonaId(req),
+    action: 'rate_limited',
+    metadata: {
+      ...details,
+      method: req.method,
+      path: `${req.baseUrl}${req.path}`,
+      shareLinkId: getShareLinkId(req),
+      clientIpHash: hashClientIp(getClientIp(req))
+    }
+  });
+}
+
 function sanitizePersonaKey(value) {
   if (!value) return null;
   return sanitizeTenantId(value) || null;
@@ -279,13 +361,49 @@ async function ensureDefaultPersonas(tenantId) {
 function getArtifactFilenames(entry) {
   if (!entry?.artifacts) return [];
   const filenames = [];
-  const { jsonKey, txtKey, metaKey } = entry.artifacts;
+  const { jsonKey, txtKey, metaKey, chunksKey } = entry.artifacts;
   if (jsonKey) filenames.push(jsonKey);
   if (txtKey) filenames.push(txtKey);
   if (metaKey) filenames.push(metaKey);
+  if (chunksKey) filenames.push(chunksKey);
+  (entry.sheets || []).forEach(sheet => {
+    if (sheet.jsonKey && !filenames.includes(sheet.jsonKey)) filenames.push(sheet.jsonKey);
+  });
+  if (entry.enrichment?.jsonKey) filenames.push(entry.enrichment.jsonKey);
   return filenames;
 }
 
+/**
+ * Re-apply the persona's lookup joins to a manifest before it is saved
+ * @param {Array} joins - Join definitions; defaults to the persona config's `lookup_joins`
+ */
+async function refreshLookupJoins(manifest, tenantId, personaId, joins = undefined) {
+  const definitions = joins !== undefined
+    ? joins
+    : (await resolveChatPersonaProfile(tenantId, personaId))?.config?.lookup_joins || null;
+  const hasEnrichment = Boolean(manifest.lookupJoins) || (manifest.files || []).some(entry => entry.enrichment);
+  if (!definitions?.length && !hasEnrichment) return manifest;
+
+  await applyLookupJoins(manifest, definitions || [], { tenantId, personaId });
+  return manifest;
+}
+
+/**
+ * Quality report for one sheet of a workbook entry, read from its JSON artifact
+ */
+async function buildSheetQualityReport(entry, sheet, { tenantId, personaId }) {
+  const rows = await readJson(sheet.jsonKey, { tenantId, personaId });
+  if (!Array.isArray(rows)) {
+    throw new Error(`Data for ${entry.name} is unavailable`);
+  }
+  const columns = sheet.columns?.length ? sheet.columns : Object.keys(rows[0] || {});
+  return {
+    ...analyzeDataQuality(rows, columns, { formulas: sheet.formulas }),
+    file: entry.name,
+    sheet: sheet.name
+  };
+}
+
 async function deleteProcessedFile(key) {
   if (!key) return false;
   try {
@@ -362,14 +480,19 @@ const upload = multer({
       'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
       'application/pdf',
       'text/csv',
-      'text/plain'
+      'text/plain',
+      'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+      'text/html',
+      'text/markdown',
+      'application/json',
+      'message/rfc822'
     ];
 
     if (allowedTypes.includes(file.mimetype) ||
-        file.originalname.match(/\.(xlsx|xls|csv|pdf|docx|txt)$/i)) {
+        file.originalname.match(/\.(xlsx|xls|csv|pdf|docx|txt|pptx|html?|md|markdown|json|eml)$/i)) {
       cb(null, true);
     } else {
-      cb(new Error('Supported file types: Excel (.xlsx, .xls), CSV, PDF, DOCX, TXT'));
+      cb(new Error('Supported file types: Excel (.xlsx, .xls), CSV, PDF, DOCX, TXT, PPTX, HTML, Markdown, JSON, EML'));
     }
   }
 });
@@ -383,7 +506,7 @@ const claudeClient = createClaudeClient();
  * Upload multiple Excel files
  * POST /api/upload
  */
-app.post('/api/upload', upload.array('files', 10), async (req, res) => {
+app.post('/api/upload', uploadRateLimiter, upload.array('files', 10), async (req, res) => {
   let uploadedRawKeys = [];
   try {
     const tenantId = getTenantId(req);
@@ -455,9 +578,25 @@ app.post('/api/upload', upload.array('files', 10), async (req, res) => {
     
     if (categories.tracking.length > 0) {
       mainFile = categories.tracking[0];
-      qualityReport = analyzeDataQuality(mainFile.data, mainFile.metadata.columns);
+      qualityReport = {
+        ...analyzeDataQuality(mainFile.data, mainFile.metadata.columns, { formulas: mainFile.metadata.formulas }),
+        file: mainFile.originalName,
+        sheet: mainFile.metadata.sheetName || null
+      };
     }
 
+    // Workbooks with several sheets: every sheet keeps its own artifact, columns and score
+    const describeSheets = (processed, saved) => {
+      if (!Array.isArray(saved?.sheets)) return {};
+      return {
+        mainSheet: processed.metadata.sheetName,
+        sheets: saved.sheets.map((sheet, sheetIndex) => ({
+          ...sheet,
+          qualityScore: analyzeDataQuality(processed.sheets[sheetIndex].data, sheet.columns, { formulas: sheet.formulas }).qualityScore
+        }))
+      };
+    };
+
     // Load existing manifest or create new one
     const categoryByName = new Map();
     categories.tracking.forEach(f => categoryByName.set(f.originalName, 'tracking'));
@@ -466,6 +605,7 @@ app.post('/api/upload', upload.array('files', 10), async (req, res) => {
 
     const timestamp = new Date().toISOString();
     const newFiles = processedFiles.map((f, idx) => ({
+      id: getManifestFileId({ name: f.originalName, artifacts: { storageKey: savedFiles[idx]?.storageKey || null } }),
       name: f.originalName,
       type: f.fileType,
       metadata: f.metadata,
@@ -473,12 +613,15 @@ app.post('/api/upload', upload.array('files', 10), async (req, res) => {
       persona: personaId || f.persona || null,
       uploadedAt: timestamp,
       triage: f.triage || null,
+      index: savedFiles[idx]?.index || null,
+      ...describeSheets(f, savedFiles[idx]),
       artifacts: {
         storageKey: savedFiles[idx]?.storageKey || null,
         rawKey: (rawArtifactByName.get(f.originalName)?.rawKey) || rawArtifacts[idx]?.rawKey || null,
         jsonKey: savedFiles[idx]?.jsonKey || null,
         txtKey: savedFiles[idx]?.txtKey || null,
         metaKey: savedFiles[idx]?.metaKey || null,
+        chunksKey: savedFiles[idx]?.chunksKey || null,
         downloadUrls: savedFiles[idx]?.downloadUrls || null,
         parsedJsonPath: savedFiles[idx]?.artifacts?.parsedJsonPath || f?.artifacts?.parsedJsonPath || null,
         rawResponsePath: savedFiles[idx]?.artifacts?.rawResponsePath || f?.artifacts?.rawResponsePath || null,
@@ -501,7 +644,7 @@ app.post('/api/upload', upload.array('files', 10), async (req, res) => {
       if (file.category) return file.category;
       const type = (file.type || '').toLowerCase();
       if (type === 'excel') return 'tracking';
-      if (['pdf', 'docx', 'txt'].includes(type)) return 'knowledge';
+      if (TEXT_FILE_TYPES.includes(type)) return 'knowledge';
       return 'other';
     };
 
@@ -522,6 +665,7 @@ app.post('/api/upload', upload.array('files', 10), async (req, res) => {
       manifestMainFile = {
         filename: mainFile.originalName,
         type: mainFile.fileType,
+        sheet: mainFile.metadata.sheetName || null,
         rows: mainFile.data.length,
         columns: mainFile.metadata.columns
       };
@@ -550,11 +694,16 @@ app.post('/api/upload', upload.array('files', 10), async (req, res) => {
       files: combinedFiles,
       mainFile: manifestMainFile,
       qualityReport: qualityReport || existingManifest?.qualityReport,
+      searchIndex: describeSearchIndex(await loadSearchIndex(tenantId, personaId), tenantId, personaId),
       tenantId,
       persona: personaId || null
     };
 
+    await refreshLookupJoins(manifest, tenantId, personaId);
+    if (qualityReport) qualityReport = manifest.qualityReport;
+
     const saveKey = await saveTenantManifest(tenantId, manifest, personaId);
+    invalidateContext(tenantId, personaId);
 
     console.log('✅ Files processed successfully');
     console.log(`📊 Total files: ${processedFiles.length}`);
@@ -606,13 +755,228 @@ app.post('/api/upload', upload.array('files', 10), async (req, res) => {
   }
 });
 
+function writeSseEvent(res, event, data) {
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data ?? {})}\n\n`);
+}
+
+/**
+ * Resolve the Sales/Support AI configuration that shapes the chat system prompt
+ * Custom personas map to a chat type through their persona record (type/category/role)
+ * Returns null when the persona is not a chat persona or lookup fails
+ */
+async function resolveChatPersonaProfile(tenantId, personaId) {
+  if (!personaId) return null;
+  try {
+    let personaType = resolveChatPersonaType(personaId);
+    if (!personaType) {
+      const [personaRecord] = await dataStore.list(
+        PERSONAS_COLLECTION,
+        item => sanitizePersonaKey(item?.personaId || item?.id) === personaId,
+        { tenantId }
+      );
+      personaType = resolveChatPersonaType(personaId, personaRecord);
+    }
+    if (!personaType) return null;
+
+    const config = await aiConfigService.getConfig(personaType, tenantId);
+    return { type: personaType, personaId, config: config || null };
+  } catch (error) {
+    console.warn(`⚠️ Unable to load AI config for persona ${personaId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Answer ratings and the CSAT survey are on unless the persona config turns `collect_feedback` off
+ */
+function isFeedbackEnabled(personaProfile) {
+  return personaProfile?.config?.collect_feedback !== false;
+}
+
+/**
+ * Follow-up question chips for an answer, unless the persona config turns `suggest_follow_ups` off
+ * Questions already asked in the conversation are not suggested again
+ */
+async function buildFollowUpSuggestions(manifest, personaProfile, memory, { message, assistantMessage, citations }) {
+  const config = personaProfile?.config;
+  if (config?.suggest_follow_ups === false) return [];
+
+  const askedQuestions = (memory?.transcript?.messages || [])
+    .filter(entry => entry.role === 'user')
+    .map(entry => entry.content);
+  return suggestFollowUps(manifest, {
+    userMessage: message,
+    assistantMessage,
+    citations,
+    askedQuestions,
+    count: config?.follow_up_count
+  });
+}
+
+/**
+ * Persist a completed chat turn and emit its usage event
+ * Shared by the blocking and streaming chat endpoints
+ */
+async function recordChatTurn(req, { tenantId, personaId, conversationId, message, assistantMessage, contactIntent, citations = [], memory = null, llm = null, trace = null, grounding = null, streamed = false, personaProfile = null, guardrail = null, withheld = false }) {
+  const piiPolicy = resolvePiiPolicy(personaProfile?.config?.pii_policy || null);
+  const transcript = await transcriptService.logInteraction({
+    tenantId,
+    persona: personaId,
+    conversationId,
+    userMessage: message,
+    assistantResponse: assistantMessage,
+    contactIntent,
+    citations,
+    trace: trace ? { ...trace, streamed, historyMessages: memory?.history.length || 0 } : null,
+    grounding,
+    piiPolicy,
+    withheld
+  });
+
+  if (guardrail) {
+    try {
+      // The user turn is the second-to-last message (the refusal or answer follows it)
+      await recordGuardrailIncidents(guardrail, {
+        tenantId,
+        personaId,
+        message,
+        conversationId: transcript?.conversationId || conversationId || null,
+        transcriptId: transcript?.id || null,
+        messageIndex: Array.isArray(transcript?.messages) ? transcript.messages.length - 2 : null,
+        shareLinkId: getShareLinkId(req),
+        piiPolicy
+      });
+    } catch (error) {
+      console.warn(`⚠️ Failed to record guardrail incident: ${error.message}`);
+    }
+  }
+
+  let savedTranscript = transcript;
+  if (transcript && contactIntent?.type === 'support_escalation' && !isHandoffOpen(transcript)) {
+    savedTranscript = await transcriptService.requestHandoff(transcript, { contactIntent });
+    console.log(`🙋 Conversation ${transcript.conversationId} queued for a human agent`);
+    await emitUsageEvent({
+      tenantId,
+      organizationId: req.headers['x-company-id'] || null,
+      persona: personaId || 'chat',
+      action: 'handoff_requested',
+      metadata: {
+        conversationId: transcript.conversationId,
+        transcriptId: transcript.id,
+        reason: savedTranscript.handoff?.reason || null
+      }
+    });
+  }
+
+  await emitUsageEvent({
+    tenantId,
+    organizationId: req.headers['x-company-id'] || null,
+    persona: personaId || 'chat',
+    action: 'chat_message',
+    metadata: {
+      conversationId: transcript?.conversationId || conversationId || null,
+      transcriptId: transcript?.id || null,
+      persona: personaId || null,
+      contactIntent,
+      responseLength: assistantMessage?.length || 0,
+      citationCount: citations.length,
+      historyMessages: memory?.history.length || 0,
+      historySummarized: Boolean(memory?.summary),
+      groundingScore: grounding?.score ?? null,
+      unverifiedValues: grounding?.unverified.length || 0,
+      groundingRegenerated: Boolean(grounding?.regeneration?.adopted),
+      llm,
+      streamed
+    }
+  });
+
+  return savedTranscript;
+}
+
+/**
+ * Handoff state safe to show the customer
+ */
+function publicHandoff(handoff) {
+  if (!handoff) return null;
+  return {
+    status: handoff.status,
+    requestedAt: handoff.requestedAt || null,
+    claimedAt: handoff.claimedAt || null,
+    releasedAt: handoff.releasedAt || null,
+    agentName: handoff.agent?.name || null
+  };
+}
+
+/**
+ * While a human agent owns the conversation the AI stays silent: the customer's
+ * message is stored for the agent and the client keeps polling for replies
+ */
+async function recordHandoffMessage(req, { tenantId, personaId, conversationId, message, personaProfile = null }) {
+  const transcript = await transcriptService.logInteraction({
+    tenantId,
+    persona: personaId,
+    conversationId,
+    userMessage: message,
+    assistantResponse: null,
+    piiPolicy: resolvePiiPolicy(personaProfile?.config?.pii_policy || null)
+  });
+
+  await emitUsageEvent({
+    tenantId,
+    organizationId: req.headers['x-company-id'] || null,
+    persona: personaId || 'chat',
+    action: 'handoff_customer_message',
+    metadata: {
+      conversationId: transcript.conversationId,
+      transcriptId: transcript.id,
+      handoffStatus: transcript.handoff?.status || null
+    }
+  });
+
+  return {
+    success: true,
+    response: null,
+    citations: [],
+    suggestions: [],
+    contactIntent: null,
+    handoff: publicHandoff(transcript.handoff),
+    transcriptId: transcript.id,
+    conversationId: transcript.conversationId,
+    persona: personaId || null,
+    messageIndex: transcript.messages.length - 1
+  };
+}
+
+/**
+ * Chat context for a turn, rebuilt from the stored transcript
+ * Client-supplied `conversationHistory` is ignored so earlier turns cannot be forged
+ */
+function loadChatMemory(tenantId, personaId, conversationId) {
+  return loadConversationMemory({
+    tenantId,
+    personaId,
+    conversationId,
+    summarize: claudeClient.rawChat
+  });
+}
+
+/**
+ * Human-readable source label kept for clients that predate `citations`
+ */
+function describeAnswerSources(citations = [], manifest) {
+  const fileNames = [...new Set(citations.map(citation => citation.fileName).filter(Boolean))];
+  if (fileNames.length > 0) return fileNames.join(', ');
+  return manifest?.mainFile ? manifest.mainFile.filename : 'Uploaded files';
+}
+
 /**
  * Chat with Claude about tracking data
  * POST /api/chat
  */
-app.post('/api/chat', async (req, res) => {
+app.post('/api/chat', chatRateLimiter, async (req, res) => {
   try {
-    const { message, conversationHistory = [], conversationId, transcriptId } = req.body;
+    const { message, conversationId, transcriptId } = req.body;
     const tenantId = getTenantId(req);
     const personaId = getPersonaId(req);
 
@@ -634,10 +998,25 @@ app.post('/api/chat', async (req, res) => {
 
     console.log(`💬 Customer question: ${message}`);
 
+    const personaProfile = await resolveChatPersonaProfile(tenantId, personaId);
+    const memory = await loadChatMemory(tenantId, personaId, conversationId);
+
+    if (isHandoffOpen(memory.transcript)) {
+      return res.json(await recordHandoffMessage(req, { tenantId, personaId, conversationId, message, personaProfile }));
+    }
+
     // Call Claude with MCP access to files
-    const chatResult = await claudeClient.chat(message, conversationHistory, manifest);
+    let guardrail = null;
+    let withheld = false;
+    const chatResult = await claudeClient.chat(message, memory.history, manifest, {
+      personaProfile,
+      memorySummary: memory.summary,
+      onGuardrail: result => { guardrail = result; },
+      onPiiBlock: () => { withheld = true; }
+    });
     const assistantMessage = typeof chatResult === 'string' ? chatResult : chatResult?.message;
     const contactIntent = typeof chatResult === 'object' && chatResult ? chatResult.contactIntent : null;
+    const citations = Array.isArray(chatResult?.citations) ? chatResult.citations : [];
 
     if (!assistantMessage) {
       throw new Error('Claude returned an empty response');
@@ -645,52 +1024,358 @@ app.post('/api/chat', async (req, res) => {
 
     console.log(`🤖 Claude response: ${assistantMessage.substring(0, 100)}...`);
 
-    const transcript = await transcriptService.logInteraction({
+    const suggestions = typeof chatResult === 'string'
+      ? []
+      : await buildFollowUpSuggestions(manifest, personaProfile, memory, { message, assistantMessage, citations });
+
+    const transcript = await recordChatTurn(req, {
       tenantId,
-      persona: personaId,
+      personaId,
       conversationId,
-      userMessage: message,
-      assistantResponse: assistantMessage,
-      conversationHistory: [...conversationHistory, { role: 'user', content: message }],
-      contactIntent
+      message,
+      assistantMessage,
+      contactIntent,
+      citations,
+      memory,
+      llm: chatResult?.llm || null,
+      trace: chatResult?.trace || null,
+      grounding: chatResult?.grounding || null,
+      personaProfile,
+      guardrail,
+      withheld
     });
 
-    await emitUsageEvent({
+    res.json({
+      success: true,
+      response: assistantMessage,
+      sources: describeAnswerSources(citations, manifest),
+      citations,
+      suggestions,
+      contactIntent,
+      transcriptId: transcript?.id || transcriptId || null,
+      conversationId: transcript?.conversationId || conversationId || null,
+      persona: personaId || null,
+      messageIndex: Array.isArray(transcript?.messages) ? transcript.messages.length - 1 : null,
+      handoff: publicHandoff(transcript?.handoff),
+      collectFeedback: isFeedbackEnabled(personaProfile)
+    });
+
+  } catch (error) {
+    console.error('❌ Chat error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Failed to process chat message'
+    });
+  }
+});
+
+/**
+ * Stream a chat response as Server-Sent Events
+ * POST /api/chat/stream
+ *
+ * Events: `delta` (text chunk), `think` (think-tool step),
+ * `contact_intent`, `done` (final payload) and `error`.
+ */
+app.post('/api/chat/stream', chatRateLimiter, async (req, res) => {
+  const { message, conversationId, transcriptId } = req.body;
+  const tenantId = getTenantId(req);
+  const personaId = getPersonaId(req);
+
+  if (!message) {
+    return res.status(400).json({
+      success: false,
+      error: 'Message is required'
+    });
+  }
+
+  let manifest;
+  let personaProfile;
+  let memory;
+  try {
+    manifest = await loadTenantManifest(tenantId, personaId);
+    personaProfile = await resolveChatPersonaProfile(tenantId, personaId);
+    memory = manifest ? await loadChatMemory(tenantId, personaId, conversationId) : null;
+  } catch (error) {
+    console.error('❌ Chat stream error:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to process chat message'
+    });
+  }
+
+  if (!manifest) {
+    return res.status(400).json({
+      success: false,
+      error: 'No tracking data uploaded. Please upload Excel files first.'
+    });
+  }
+
+  if (isHandoffOpen(memory.transcript)) {
+    // Plain JSON instead of an event stream; clients treat it like a non-streamed reply
+    try {
+      return res.json(await recordHandoffMessage(req, { tenantId, personaId, conversationId, message, personaProfile }));
+    } catch (error) {
+      console.error('❌ Chat stream error:', error);
+      return res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to process chat message'
+      });
+    }
+  }
+
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+
+  const abortController = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      abortController.abort();
+    }
+  });
+
+  console.log(`💬 Customer question (stream): ${message}`);
+
+  try {
+    let guardrail = null;
+    let withheld = false;
+    const chatResult = await claudeClient.chatStream(message, memory.history, manifest, {
+      personaProfile,
+      memorySummary: memory.summary,
+      signal: abortController.signal,
+      onText: text => writeSseEvent(res, 'delta', { text }),
+      onThink: ({ step }) => writeSseEvent(res, 'think', { step }),
+      onGuardrail: result => { guardrail = result; },
+      onPiiBlock: () => { withheld = true; }
+    });
+    const assistantMessage = chatResult?.message;
+    const contactIntent = chatResult?.contactIntent || null;
+    const citations = Array.isArray(chatResult?.citations) ? chatResult.citations : [];
+
+    if (!assistantMessage) {
+      throw new Error('Claude returned an empty response');
+    }
+
+    if (contactIntent) {
+      writeSseEvent(res, 'contact_intent', { contactIntent });
+    }
+
+    const suggestions = chatResult.blocked
+      ? []
+      : await buildFollowUpSuggestions(manifest, personaProfile, memory, { message, assistantMessage, citations });
+
+    const transcript = await recordChatTurn(req, {
       tenantId,
-      organizationId: req.headers['x-company-id'] || null,
-      persona: personaId || 'chat',
-      action: 'chat_message',
-      metadata: {
-        conversationId: transcript?.conversationId || conversationId || null,
-        transcriptId: transcript?.id || null,
-        persona: personaId || null,
-        contactIntent,
-        responseLength: assistantMessage?.length || 0
-      }
+      personaId,
+      conversationId,
+      message,
+      assistantMessage,
+      contactIntent,
+      citations,
+      memory,
+      llm: chatResult?.llm || null,
+      trace: chatResult?.trace || null,
+      grounding: chatResult?.grounding || null,
+      streamed: true,
+      personaProfile,
+      guardrail,
+      withheld
+    });
+
+    writeSseEvent(res, 'done', {
+      success: true,
+      response: assistantMessage,
+      sources: describeAnswerSources(citations, manifest),
+      citations,
+      suggestions,
+      contactIntent,
+      transcriptId: transcript?.id || transcriptId || null,
+      conversationId: transcript?.conversationId || conversationId || null,
+      persona: personaId || null,
+      messageIndex: Array.isArray(transcript?.messages) ? transcript.messages.length - 1 : null,
+      handoff: publicHandoff(transcript?.handoff),
+      collectFeedback: isFeedbackEnabled(personaProfile)
+    });
+  } catch (error) {
+    if (abortController.signal.aborted) {
+      console.warn('⚠️ Chat stream closed by client before completion');
+    } else {
+      console.error('❌ Chat stream error:', error);
+      writeSseEvent(res, 'error', {
+        success: false,
+        error: error.message || 'Failed to process chat message'
+      });
+    }
+  } finally {
+    res.end();
+  }
+});
+
+// Neighbouring chunks served on each side of a cited excerpt
+const MAX_EXCERPT_CONTEXT = 1;
+
+/**
+ * Source text around a citation
+ * GET /api/files/:fileId/excerpt?conversationId=...&chunkId=...&page=...&row=...&sheet=...&context=1
+ *
+ * Only serves locations cited in an answer of the caller's conversation, with
+ * at most one neighbouring chunk on each side, masked like the answers were.
+ */
+app.get('/api/files/:fileId/excerpt', async (req, res) => {
+  try {
+    const tenantId = getTenantId(req);
+    const personaId = getPersonaId(req);
+    const { conversationId, chunkId, page, row, sheet, context } = req.query;
+
+    if (!conversationId) {
+      return res.status(400).json({
+        success: false,
+        error: 'conversationId is required'
+      });
+    }
+
+    const manifest = await loadTenantManifest(tenantId, personaId);
+    if (!manifest) {
+      return res.status(404).json({
+        success: false,
+        error: 'No data uploaded for current tenant'
+      });
+    }
+
+    const location = { chunkId: chunkId || null, page: page ?? null, row: row ?? null, sheet: sheet || null };
+    const transcript = await transcriptService.findByConversation(tenantId, String(conversationId), personaId);
+    if (!transcript || !isCitedLocation(transcript.messages, req.params.fileId, location)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Excerpt not found'
+      });
+    }
+
+    const excerpt = await loadFileExcerpt(manifest, req.params.fileId, {
+      ...location,
+      context: Math.min(parseInt(context ?? 1, 10) || 0, MAX_EXCERPT_CONTEXT)
     });
 
+    if (!excerpt) {
+      return res.status(404).json({
+        success: false,
+        error: 'Excerpt not found'
+      });
+    }
+
+    const piiPolicy = resolvePiiPolicy((await resolveChatPersonaProfile(tenantId, personaId))?.config?.pii_policy || null);
+    if (piiPolicy.maskOutput) {
+      const maskOptions = { types: piiPolicy.types };
+      const maskSection = section => ({ ...section, text: maskPii(section.text, maskOptions) });
+      Object.assign(excerpt, maskSection(excerpt), {
+        before: excerpt.before.map(maskSection),
+        after: excerpt.after.map(maskSection)
+      });
+    }
+
+    res.json({
+      success: true,
+      excerpt
+    });
+  } catch (error) {
+    console.error('❌ Excerpt error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to load excerpt'
+    });
+  }
+});
+
+/**
+ * Mark which sheet of a workbook is the main tracking sheet
+ * PUT /api/files/:fileId/main-sheet
+ *
+ * The sheet becomes the file's default for data tools, the tenant's main file
+ * and the source of the stored quality report.
+ */
+app.put('/api/files/:fileId/main-sheet', async (req, res) => {
+  try {
+    const tenantId = getTenantId(req);
+    const personaId = getPersonaId(req);
+    const sheetName = typeof req.body?.sheet === 'string' ? req.body.sheet.trim() : '';
+
+    if (!sheetName) {
+      return res.status(400).json({
+        success: false,
+        error: 'Sheet name is required'
+      });
+    }
+
+    const manifest = await loadTenantManifest(tenantId, personaId);
+    const entry = manifest ? findManifestFile(manifest, req.params.fileId) : null;
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'File not found'
+      });
+    }
+
+    const sheet = (entry.sheets || []).find(candidate => candidate.name === sheetName);
+    if (!sheet) {
+      return res.status(400).json({
+        success: false,
+        error: entry.sheets?.length
+          ? `Unknown sheet "${sheetName}". Available: ${entry.sheets.map(candidate => candidate.name).join(', ')}`
+          : `${entry.name} has a single sheet`
+      });
+    }
+
+    const qualityReport = await buildSheetQualityReport(entry, sheet, { tenantId, personaId });
+
+    entry.mainSheet = sheet.name;
+    entry.category = 'tracking';
+    entry.metadata = { ...entry.metadata, sheetName: sheet.name, columns: sheet.columns, rowCount: sheet.rowCount, formulas: sheet.formulas || undefined };
+    entry.artifacts = { ...entry.artifacts, jsonKey: sheet.jsonKey };
+    manifest.mainFile = {
+      filename: entry.name,
+      type: entry.type,
+      sheet: sheet.name,
+      rows: sheet.rowCount,
+      columns: sheet.columns
+    };
+    manifest.qualityReport = qualityReport;
+    recalculateManifestStats(manifest);
+    await refreshLookupJoins(manifest, tenantId, personaId);
+
+    await saveTenantManifest(tenantId, manifest, personaId);
+    invalidateContext(tenantId, personaId);
+
+    console.log(`📑 Main sheet for ${entry.name} set to "${sheet.name}" (tenant=${tenantId})`);
+
     res.json({
       success: true,
-      response: assistantMessage,
-      sources: manifest.mainFile ? manifest.mainFile.filename : 'Uploaded files',
-      contactIntent,
-      transcriptId: transcript?.id || transcriptId || null,
-      conversationId: transcript?.conversationId || conversationId || null,
-      persona: personaId || null
+      file: {
+        id: getManifestFileId(entry),
+        name: entry.name,
+        mainSheet: entry.mainSheet,
+        sheets: entry.sheets
+      },
+      mainFile: manifest.mainFile,
+      qualityReport: manifest.qualityReport
     });
-
   } catch (error) {
-    console.error('❌ Chat error:', error);
+    console.error('❌ Main sheet error:', error);
     res.status(500).json({
       success: false,
-      error: error.message || 'Failed to process chat message'
+      error: error.message || 'Failed to set main sheet'
     });
   }
 });
 
 /**
  * Get current data quality report
- * GET /api/quality-report
+ * GET /api/quality-report?file=<fileId>&sheet=<name>
+ *
+ * Without parameters returns the stored report of the main file; `file` (and
+ * optionally `sheet`) address any spreadsheet or single sheet of a workbook.
  */
 app.get('/api/quality-report', async (req, res) => {
   try {
@@ -705,6 +1390,36 @@ app.get('/api/quality-report', async (req, res) => {
       });
     }
 
+    if (req.query.file || req.query.sheet) {
+      const entry = req.query.file
+        ? findManifestFile(manifest, req.query.file)
+        : manifest.files?.find(file => file.name === manifest.mainFile?.filename);
+      if (!entry || entry.type !== 'excel') {
+        return res.status(404).json({
+          success: false,
+          error: 'Spreadsheet not found'
+        });
+      }
+
+      const sheets = getEntrySheets(entry);
+      const sheet = req.query.sheet
+        ? sheets.find(candidate => candidate.name === req.query.sheet)
+        : sheets[0];
+      if (!sheet || !sheet.jsonKey) {
+        return res.status(404).json({
+          success: false,
+          error: `Sheet "${req.query.sheet}" not found in ${entry.name}`
+        });
+      }
+
+      return res.json({
+        success: true,
+        qualityReport: attachJoinReport(await buildSheetQualityReport(entry, sheet, { tenantId, personaId }), manifest.lookupJoins || []),
+        uploadTime: manifest.uploadTime,
+        mainFile: manifest.mainFile
+      });
+    }
+
     res.json({
       success: true,
       qualityReport: manifest.qualityReport,
@@ -757,7 +1472,9 @@ app.get('/api/status', async (req, res) => {
         transcripts: {
           total: totalTranscripts,
           lastMessageAt: lastTranscriptAt ? new Date(lastTranscriptAt).toISOString() : null
-        }
+        },
+        contextCache: getContextCacheStats(tenantId, personaId),
+        llm: claudeClient.getLLMHealth()
       },
       manifest: manifest
     });
@@ -1088,9 +1805,14 @@ app.delete('/api/delete-file', async (req, res) => {
 
     if (manifest.files.length === 0) {
       await deleteTenantManifest(tenantId, personaId);
+      await deleteSearchIndex(tenantId, personaId);
     } else {
+      const { summary } = await updateSearchIndex(tenantId, personaId, { removals: [fileName] });
+      manifest.searchIndex = summary;
+      await refreshLookupJoins(manifest, tenantId, personaId);
       await saveTenantManifest(tenantId, manifest, personaId);
     }
+    invalidateContext(tenantId, personaId);
 
     console.log(`🗑️ Deleted ${deletedCount} processed artifacts for ${fileName} (tenant=${tenantId})`);
 
@@ -1130,6 +1852,8 @@ app.delete('/api/clear', async (req, res) => {
     }
 
     await deleteTenantManifest(tenantId, personaId);
+    await deleteSearchIndex(tenantId, personaId);
+    invalidateContext(tenantId, personaId);
 
     console.log(`🗑️ Cleared ${deletedCount} processed artifacts for tenant ${tenantId}`);
 
@@ -1266,6 +1990,12 @@ function buildConfigResponse(record) {
     response_style,
     primary_language,
     collect_feedback,
+    suggest_follow_ups,
+    follow_up_count,
+    guardrail_policy,
+    pii_policy,
+    regenerate_ungrounded,
+    lookup_joins,
     save_transcripts,
     multi_language,
     job_role,
@@ -1294,6 +2024,12 @@ function buildConfigResponse(record) {
     response_style,
     primary_language,
     collect_feedback,
+    suggest_follow_ups,
+    follow_up_count,
+    guardrail_policy,
+    pii_policy,
+    regenerate_ungrounded,
+    lookup_joins,
     save_transcripts,
     multi_language,
     job_role,
@@ -1455,13 +2191,487 @@ app.patch('/api/support-ai/:id', async (req, res) => {
 
     res.json({
       success: true,
-      record: buildConfigResponse(updated)
+      record: buildConfigResponse(updated)
+    });
+  } catch (error) {
+    console.error('❌ Support AI update error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to update Support AI configuration'
+    });
+  }
+});
+
+/**
+ * Guardrail and PII policies live on the Sales AI / Support AI config
+ * (`guardrail_policy`, `pii_policy`) and only hold overrides of the defaults
+ */
+async function resolvePolicyTarget(req) {
+  const tenantId = getTenantId(req);
+  const personaId = getPersonaId(req);
+  const personaProfile = await resolveChatPersonaProfile(tenantId, personaId);
+  if (!personaProfile) {
+    throw new Error('Policies apply to Sales AI and Support AI personas');
+  }
+  return { tenantId, personaId, personaProfile };
+}
+
+function policyErrorStatus(error) {
+  if (/^Invalid (guardrail|PII) policy|^Invalid lookup join|^Invalid incident filter|^Policies apply|^Only off-topic/.test(error.message)) return 400;
+  if (error.message === 'Incident not found') return 404;
+  return 500;
+}
+
+function buildGuardrailResponse(personaProfile, overrides) {
+  return {
+    persona: personaProfile.personaId,
+    type: personaProfile.type,
+    policy: overrides || {},
+    effective: resolveGuardrailPolicy(overrides),
+    defaults: getDefaultGuardrailPolicy()
+  };
+}
+
+async function saveGuardrailPolicy(req, { tenantId, personaProfile }, policy) {
+  const record = await aiConfigService.upsertConfig(personaProfile.type, tenantId, { guardrail_policy: policy });
+
+  await emitUsageEvent({
+    tenantId,
+    organizationId: req.headers['x-company-id'] || null,
+    persona: personaProfile.type,
+    action: 'guardrail_policy_updated',
+    metadata: {
+      personaId: personaProfile.personaId,
+      reset: policy === null,
+      fields: policy ? Object.keys(policy) : []
+    }
+  });
+
+  return record;
+}
+
+/**
+ * Guardrail policy for a chat persona: stored overrides, effective policy and defaults
+ * GET /api/guardrails
+ */
+app.get('/api/guardrails', async (req, res) => {
+  try {
+    const { personaProfile } = await resolvePolicyTarget(req);
+    res.json({
+      success: true,
+      data: buildGuardrailResponse(personaProfile, personaProfile.config?.guardrail_policy || null)
+    });
+  } catch (error) {
+    console.error('❌ Guardrail policy fetch error:', error);
+    res.status(policyErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to load guardrail policy'
+    });
+  }
+});
+
+/**
+ * Replace the persona's guardrail overrides (`policy`); omitted fields use the defaults
+ * PUT /api/guardrails
+ */
+app.put('/api/guardrails', async (req, res) => {
+  try {
+    const target = await resolvePolicyTarget(req);
+    const policy = validateGuardrailPolicy(req.body?.policy);
+    await saveGuardrailPolicy(req, target, policy);
+
+    res.json({
+      success: true,
+      data: buildGuardrailResponse(target.personaProfile, policy)
+    });
+  } catch (error) {
+    console.error('❌ Guardrail policy update error:', error);
+    res.status(policyErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to update guardrail policy'
+    });
+  }
+});
+
+/**
+ * Reset the persona to the default guardrail policy
+ * DELETE /api/guardrails
+ */
+app.delete('/api/guardrails', async (req, res) => {
+  try {
+    const target = await resolvePolicyTarget(req);
+    await saveGuardrailPolicy(req, target, null);
+
+    res.json({
+      success: true,
+      data: buildGuardrailResponse(target.personaProfile, null)
+    });
+  } catch (error) {
+    console.error('❌ Guardrail policy reset error:', error);
+    res.status(policyErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to reset guardrail policy'
+    });
+  }
+});
+
+/**
+ * Dry-run a message against the stored policy, or against a draft `policy` before saving it
+ * POST /api/guardrails/test
+ */
+app.post('/api/guardrails/test', async (req, res) => {
+  try {
+    const message = typeof req.body?.message === 'string' ? req.body.message.trim() : '';
+    if (!message) {
+      return res.status(400).json({
+        success: false,
+        error: 'message is required'
+      });
+    }
+
+    const { personaProfile } = await resolvePolicyTarget(req);
+    const policy = req.body?.policy !== undefined
+      ? validateGuardrailPolicy(req.body.policy)
+      : personaProfile.config?.guardrail_policy || null;
+
+    res.json({
+      success: true,
+      data: await claudeClient.evaluateGuardrails(message, policy)
+    });
+  } catch (error) {
+    console.error('❌ Guardrail test error:', error);
+    res.status(policyErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to test guardrail policy'
+    });
+  }
+});
+
+/**
+ * Guardrail incidents (blocks and near misses) for the persona, with counts
+ * GET /api/guardrails/incidents?decision=&type=&severity=&falsePositive=&conversationId=&shareLinkId=&since=&until=&limit=
+ */
+app.get('/api/guardrails/incidents', async (req, res) => {
+  try {
+    const { tenantId, personaId } = await resolvePolicyTarget(req);
+    const { decision, type, severity, falsePositive, conversationId, shareLinkId, since, until, limit } = req.query;
+    const data = await listGuardrailIncidents(tenantId, personaId, {
+      decision,
+      type,
+      severity,
+      falsePositive: falsePositive === undefined ? undefined : falsePositive === 'true',
+      conversationId,
+      shareLinkId,
+      since,
+      until,
+      limit
+    });
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('❌ Guardrail incident list error:', error);
+    res.status(policyErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to load guardrail incidents'
+    });
+  }
+});
+
+/**
+ * Mark an incident as a false positive (`falsePositive: false` clears it)
+ * With `addToAllowList`, `allowPattern` (default: the incident's message) is
+ * added to the persona's `allowTopics`
+ * POST /api/guardrails/incidents/:id/false-positive
+ */
+app.post('/api/guardrails/incidents/:id/false-positive', async (req, res) => {
+  try {
+    const target = await resolvePolicyTarget(req);
+    const { tenantId, personaId, personaProfile } = target;
+    const incident = await getGuardrailIncident(tenantId, personaId, req.params.id);
+    if (!incident) {
+      throw new Error('Incident not found');
+    }
+
+    const falsePositive = req.body?.falsePositive !== false;
+    let allowPattern = null;
+    let policy = null;
+    if (falsePositive && req.body?.addToAllowList) {
+      if (!ALLOW_LISTABLE_CHECKS.includes(incident.blockedType)) {
+        throw new Error('Only off-topic and inappropriate incidents can be allow-listed');
+      }
+      allowPattern = typeof req.body.allowPattern === 'string' && req.body.allowPattern.trim()
+        ? req.body.allowPattern.trim()
+        : suggestAllowPattern(incident.excerpt);
+      const current = personaProfile.config?.guardrail_policy || {};
+      const allowTopics = [...new Set([...(current.allowTopics || []), allowPattern])];
+      policy = validateGuardrailPolicy({ ...current, allowTopics });
+      await saveGuardrailPolicy(req, target, policy);
+    }
+
+    const updated = await reviewGuardrailIncident(tenantId, personaId, incident.id, {
+      falsePositive,
+      note: req.body?.note,
+      reviewedBy: String(req.body?.agentName || req.headers['x-agent-name'] || '').trim().slice(0, 80) || req.headers['x-company-id'] || null,
+      allowPattern
+    });
+    console.log(`🛡️ Guardrail incident ${incident.id} ${falsePositive ? 'marked as false positive' : 'cleared'}${allowPattern ? ` (allow-listed: ${allowPattern})` : ''}`);
+
+    res.json({
+      success: true,
+      data: {
+        incident: updated,
+        guardrails: policy ? buildGuardrailResponse(personaProfile, policy) : null
+      }
+    });
+  } catch (error) {
+    console.error('❌ Guardrail incident review error:', error);
+    res.status(policyErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to review guardrail incident'
+    });
+  }
+});
+
+function buildPiiPolicyResponse(personaProfile, overrides) {
+  return {
+    persona: personaProfile.personaId,
+    type: personaProfile.type,
+    policy: overrides || {},
+    effective: resolvePiiPolicy(overrides),
+    defaults: getDefaultPiiPolicy(),
+    vaultConfigured: Boolean(process.env.PII_VAULT_KEY)
+  };
+}
+
+async function savePiiPolicy(req, { tenantId, personaProfile }, policy) {
+  await aiConfigService.upsertConfig(personaProfile.type, tenantId, { pii_policy: policy });
+
+  await emitUsageEvent({
+    tenantId,
+    organizationId: req.headers['x-company-id'] || null,
+    persona: personaProfile.type,
+    action: 'pii_policy_updated',
+    metadata: {
+      personaId: personaProfile.personaId,
+      reset: policy === null,
+      fields: policy ? Object.keys(policy) : []
+    }
+  });
+}
+
+/**
+ * PII policy for a chat persona: stored overrides, effective policy and defaults
+ * GET /api/pii-policy
+ */
+app.get('/api/pii-policy', async (req, res) => {
+  try {
+    const { personaProfile } = await resolvePolicyTarget(req);
+    res.json({
+      success: true,
+      data: buildPiiPolicyResponse(personaProfile, personaProfile.config?.pii_policy || null)
+    });
+  } catch (error) {
+    console.error('❌ PII policy fetch error:', error);
+    res.status(policyErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to load PII policy'
+    });
+  }
+});
+
+/**
+ * Replace the persona's PII policy (`policy`); omitted fields use the defaults
+ * PUT /api/pii-policy
+ */
+app.put('/api/pii-policy', async (req, res) => {
+  try {
+    const target = await resolvePolicyTarget(req);
+    const policy = validatePiiPolicy(req.body?.policy);
+    await savePiiPolicy(req, target, policy);
+
+    res.json({
+      success: true,
+      data: buildPiiPolicyResponse(target.personaProfile, policy)
+    });
+  } catch (error) {
+    console.error('❌ PII policy update error:', error);
+    res.status(policyErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to update PII policy'
+    });
+  }
+});
+
+/**
+ * Reset the persona to the default PII policy
+ * DELETE /api/pii-policy
+ */
+app.delete('/api/pii-policy', async (req, res) => {
+  try {
+    const target = await resolvePolicyTarget(req);
+    await savePiiPolicy(req, target, null);
+
+    res.json({
+      success: true,
+      data: buildPiiPolicyResponse(target.personaProfile, null)
+    });
+  } catch (error) {
+    console.error('❌ PII policy reset error:', error);
+    res.status(policyErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to reset PII policy'
+    });
+  }
+});
+
+/**
+ * Show what the detector finds in a sample `message`
+ * POST /api/pii-policy/test
+ */
+app.post('/api/pii-policy/test', async (req, res) => {
+  try {
+    const message = typeof req.body?.message === 'string' ? req.body.message : '';
+    if (!message.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'message is required'
+      });
+    }
+
+    const { personaProfile } = await resolvePolicyTarget(req);
+    const policy = req.body?.policy !== undefined
+      ? resolvePiiPolicy(validatePiiPolicy(req.body.policy))
+      : resolvePiiPolicy(personaProfile.config?.pii_policy || null);
+    const findings = detectPii(message, { types: policy.types });
+
+    res.json({
+      success: true,
+      data: {
+        findings: findings.map(({ type, start, end }) => ({ type, start, end })),
+        redacted: redactPii(message, { types: policy.types }).text,
+        masked: maskPii(message, { types: policy.types }),
+        blocked: Boolean(checkPiiInput(message, policy)),
+        policy
+      }
+    });
+  } catch (error) {
+    console.error('❌ PII policy test error:', error);
+    res.status(policyErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to test PII policy'
+    });
+  }
+});
+
+/**
+ * Lookup joins live on the Sales AI / Support AI config (`lookup_joins`);
+ * saving or resetting them re-applies the joins to the uploaded files
+ */
+async function saveLookupJoins(req, { tenantId, personaId, personaProfile }, joins) {
+  await aiConfigService.upsertConfig(personaProfile.type, tenantId, { lookup_joins: joins });
+
+  let results = [];
+  const manifest = await loadTenantManifest(tenantId, personaId);
+  if (manifest) {
+    await refreshLookupJoins(manifest, tenantId, personaId, joins);
+    await saveTenantManifest(tenantId, manifest, personaId);
+    invalidateContext(tenantId, personaId);
+    results = manifest.lookupJoins || [];
+  }
+
+  await emitUsageEvent({
+    tenantId,
+    organizationId: req.headers['x-company-id'] || null,
+    persona: personaProfile.type,
+    action: 'lookup_joins_updated',
+    metadata: {
+      personaId: personaProfile.personaId,
+      reset: joins === null,
+      joins: joins ? joins.length : 0,
+      applied: results.filter(result => result.status === 'applied').length
+    }
+  });
+
+  return results;
+}
+
+/**
+ * Lookup join definitions for a chat persona and the results of the last run
+ * GET /api/lookup-joins
+ */
+app.get('/api/lookup-joins', async (req, res) => {
+  try {
+    const { tenantId, personaId, personaProfile } = await resolvePolicyTarget(req);
+    const manifest = await loadTenantManifest(tenantId, personaId);
+    res.json({
+      success: true,
+      data: {
+        persona: personaProfile.personaId,
+        joins: personaProfile.config?.lookup_joins || [],
+        results: manifest?.lookupJoins || []
+      }
+    });
+  } catch (error) {
+    console.error('❌ Lookup joins fetch error:', error);
+    res.status(policyErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to load lookup joins'
+    });
+  }
+});
+
+/**
+ * Replace the persona's lookup joins (`joins`) and re-apply them to the uploaded files
+ * PUT /api/lookup-joins
+ */
+app.put('/api/lookup-joins', async (req, res) => {
+  try {
+    const target = await resolvePolicyTarget(req);
+    const joins = validateLookupJoins(req.body?.joins ?? null);
+    const results = await saveLookupJoins(req, target, joins);
+
+    res.json({
+      success: true,
+      data: {
+        persona: target.personaProfile.personaId,
+        joins: joins || [],
+        results
+      }
+    });
+  } catch (error) {
+    console.error('❌ Lookup joins update error:', error);
+    res.status(policyErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to update lookup joins'
+    });
+  }
+});
+
+/**
+ * Remove the persona's lookup joins and the enriched artifacts they produced
+ * DELETE /api/lookup-joins
+ */
+app.delete('/api/lookup-joins', async (req, res) => {
+  try {
+    const target = await resolvePolicyTarget(req);
+    await saveLookupJoins(req, target, null);
+
+    res.json({
+      success: true,
+      data: {
+        persona: target.personaProfile.personaId,
+        joins: [],
+        results: []
+      }
     });
   } catch (error) {
-    console.error('❌ Support AI update error:', error);
-    res.status(500).json({
+    console.error('❌ Lookup joins reset error:', error);
+    res.status(policyErrorStatus(error)).json({
       success: false,
-      error: error.message || 'Failed to update Support AI configuration'
+      error: error.message || 'Failed to reset lookup joins'
     });
   }
 });
@@ -1544,7 +2754,7 @@ app.patch('/api/interview-ai/:id', async (req, res) => {
 // ===== INTERVIEW AI - AI-POWERED ENDPOINTS =====
 
 // Generate interview questions using AI
-app.post('/api/interview-ai/generate-questions', async (req, res) => {
+app.post('/api/interview-ai/generate-questions', interviewRateLimiter, async (req, res) => {
   try {
     const { jobDescription, roleType, questionCount = 5 } = req.body;
     const tenantId = getTenantId(req);
@@ -1621,7 +2831,7 @@ Return ONLY a JSON array of question objects with this format:
 });
 
 // Generate job description using AI
-app.post('/api/interview-ai/generate-job-description', async (req, res) => {
+app.post('/api/interview-ai/generate-job-description', interviewRateLimiter, async (req, res) => {
   try {
     const { roleInput, roleType } = req.body;
     
@@ -1691,7 +2901,7 @@ Return ONLY a JSON object with this format:
 });
 
 // Start candidate interview session
-app.post('/api/interview-ai/start-session', async (req, res) => {
+app.post('/api/interview-ai/start-session', interviewRateLimiter, async (req, res) => {
   try {
     const { configId, candidateName, candidateEmail } = req.body;
     const tenantId = getTenantId(req);
@@ -1766,7 +2976,7 @@ app.post('/api/interview-ai/start-session', async (req, res) => {
 });
 
 // Submit candidate response and get next question
-app.post('/api/interview-ai/submit-response', async (req, res) => {
+app.post('/api/interview-ai/submit-response', interviewRateLimiter, async (req, res) => {
   try {
     const { sessionId, questionId, response } = req.body;
     const tenantId = getTenantId(req);
@@ -1807,10 +3017,13 @@ Return ONLY a JSON object:
 }`;
 
     let evaluation = { score: 5, strengths: [], improvements: [], assessment: 'Response recorded' };
+    const evaluationAttempts = [];
     try {
       const aiResponse = await claudeClient.rawChat([
         { role: 'user', content: evaluationPrompt }
-      ]);
+      ], {
+        onAttempt: entry => evaluationAttempts.push(entry)
+      });
       const jsonMatch = aiResponse.match(/\{[\s\S]*\}/);
       if (jsonMatch) {
         evaluation = JSON.parse(jsonMatch[0]);
@@ -1819,6 +3032,18 @@ Return ONLY a JSON object:
       console.error('Failed to evaluate response:', evalError);
     }
 
+    await emitUsageEvent({
+      tenantId,
+      organizationId: session.companyId || req.headers['x-company-id'] || null,
+      persona: session.personaId || 'interview',
+      action: 'interview_evaluation',
+      metadata: {
+        sessionId,
+        questionId,
+        llm: summarizeAttempts(evaluationAttempts)
+      }
+    });
+
     // Store response
     session.responses.push({
       questionId,
@@ -2092,7 +3317,7 @@ function generateInterviewHTML(session, timezone = 'Asia/Singapore') {
 }
 
 // Send interview results via email
-app.post('/api/interview-ai/results/:sessionId/send', async (req, res) => {
+app.post('/api/interview-ai/results/:sessionId/send', interviewRateLimiter, async (req, res) => {
   try {
     const { sessionId } = req.params;
     const { email } = req.body;
@@ -2291,6 +3516,444 @@ app.get('/api/transcripts/:id/download', async (req, res) => {
   }
 });
 
+const HANDOFF_CONFLICTS = new Set([
+  'Conversation is not awaiting an agent',
+  'Conversation already claimed by another agent',
+  'Conversation must be claimed before replying'
+]);
+
+function transcriptErrorStatus(error) {
+  if (error.message === 'Forbidden') return 403;
+  if (['Transcript not found', 'Message not found', 'Message has no redacted content'].includes(error.message)) return 404;
+  if (HANDOFF_CONFLICTS.has(error.message)) return 409;
+  return 500;
+}
+
+/**
+ * The signed-in user belongs to the tenant the request is made for (x-company-id)
+ */
+function isRequestTenantUser(req) {
+  const userTenant = req.user?.tenantId ? sanitizeTenantId(req.user.tenantId) : null;
+  return Boolean(userTenant) && userTenant === getTenantId(req);
+}
+
+/**
+ * PII_ADMIN_EMAILS entries are `tenantId:email`; a bare email is an admin of their own tenant only
+ */
+function isPiiAdmin(email, tenantId) {
+  return (process.env.PII_ADMIN_EMAILS || '')
+    .split(',')
+    .map(entry => entry.trim().toLowerCase())
+    .filter(Boolean)
+    .some(entry => {
+      const separator = entry.lastIndexOf(':');
+      if (separator === -1) return entry === email;
+      return entry.slice(separator + 1) === email && sanitizeTenantId(entry.slice(0, separator)) === tenantId;
+    });
+}
+
+/**
+ * Only signed-in admins of the request's tenant listed in PII_ADMIN_EMAILS may read redacted values
+ */
+function requirePiiAdmin(req, res, next) {
+  const email = String(req.user?.email || '').toLowerCase();
+
+  if (!email || !isRequestTenantUser(req) || !isPiiAdmin(email, getTenantId(req))) {
+    return res.status(403).json({
+      success: false,
+      error: 'Not authorised to reveal redacted data'
+    });
+  }
+  next();
+}
+
+/**
+ * Original content of a redacted transcript message (audited)
+ * GET /api/transcripts/:id/messages/:index/pii
+ */
+app.get('/api/transcripts/:id/messages/:index/pii', auth.authMiddleware({ required: true }), requirePiiAdmin, async (req, res) => {
+  try {
+    const tenantId = getTenantId(req);
+    const personaId = req.query?.persona || req.headers['x-persona-id'] || null;
+    const messageIndex = parseInt(req.params.index, 10);
+    if (!Number.isInteger(messageIndex) || messageIndex < 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Message index must be a non-negative integer'
+      });
+    }
+
+    const revealed = await transcriptService.revealMessage(req.params.id, tenantId, personaId, messageIndex);
+    console.log(`🔓 ${req.user.email} revealed redacted message ${messageIndex} of transcript ${req.params.id}`);
+
+    await emitUsageEvent({
+      tenantId,
+      organizationId: req.headers['x-company-id'] || null,
+      persona: personaId || 'chat',
+      action: 'pii_revealed',
+      metadata: {
+        transcriptId: req.params.id,
+        messageIndex,
+        piiTypes: revealed.piiTypes,
+        admin: req.user.email
+      }
+    });
+
+    res.json({
+      success: true,
+      data: revealed
+    });
+  } catch (error) {
+    console.error('❌ PII reveal error:', error);
+    res.status(transcriptErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to reveal message'
+    });
+  }
+});
+
+/**
+ * Admin-only reasoning traces (think steps, tools, model, tokens, latency) per assistant turn
+ * GET /api/transcripts/:id/trace
+ */
+app.get('/api/transcripts/:id/trace', async (req, res) => {
+  try {
+    const tenantId = getTenantId(req);
+    const personaId = req.query?.persona || req.headers['x-persona-id'] || null;
+    const data = await transcriptService.getTrace(req.params.id, tenantId, personaId);
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('❌ Transcript trace error:', error);
+    res.status(transcriptErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to load transcript trace'
+    });
+  }
+});
+
+/**
+ * Rate one assistant answer (thumbs up/down, optional comment and reason codes)
+ * POST /api/transcripts/:id/messages/:index/feedback
+ */
+app.post('/api/transcripts/:id/messages/:index/feedback', async (req, res) => {
+  try {
+    const tenantId = getTenantId(req);
+    const personaId = getPersonaId(req);
+    const messageIndex = parseInt(req.params.index, 10);
+    const { rating, comment = null, reasons = [] } = req.body || {};
+
+    if (!Number.isInteger(messageIndex) || messageIndex < 0) {
+      return res.status(400).json({ success: false, error: 'Message index must be a non-negative integer' });
+    }
+    if (!FEEDBACK_RATINGS.includes(rating)) {
+      return res.status(400).json({ success: false, error: `rating must be one of: ${FEEDBACK_RATINGS.join(', ')}` });
+    }
+    if (!Array.isArray(reasons) || reasons.some(code => !FEEDBACK_REASON_CODES.includes(code))) {
+      return res.status(400).json({ success: false, error: `reasons must be a list of: ${FEEDBACK_REASON_CODES.join(', ')}` });
+    }
+    if (comment !== null && (typeof comment !== 'string' || comment.length > FEEDBACK_COMMENT_MAX_LENGTH)) {
+      return res.status(400).json({ success: false, error: `comment must be text of at most ${FEEDBACK_COMMENT_MAX_LENGTH} characters` });
+    }
+
+    const personaProfile = await resolveChatPersonaProfile(tenantId, personaId);
+    if (!isFeedbackEnabled(personaProfile)) {
+      return res.status(403).json({ success: false, error: 'Feedback collection is disabled for this assistant' });
+    }
+
+    const result = await transcriptService.recordMessageFeedback(req.params.id, tenantId, personaId, messageIndex, {
+      rating,
+      comment: comment?.trim() || null,
+      reasons: [...new Set(reasons)]
+    });
+
+    await emitUsageEvent({
+      tenantId,
+      organizationId: req.headers['x-company-id'] || null,
+      persona: personaId || 'chat',
+      action: 'chat_feedback',
+      metadata: {
+        transcriptId: result.transcript.id,
+        conversationId: result.transcript.conversationId,
+        messageIndex,
+        rating,
+        reasons: result.feedback.reasons,
+        hasComment: Boolean(result.feedback.comment)
+      }
+    });
+
+    res.json({
+      success: true,
+      feedback: result.feedback
+    });
+  } catch (error) {
+    console.error('❌ Transcript feedback error:', error);
+    res.status(transcriptErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to record feedback'
+    });
+  }
+});
+
+/**
+ * End-of-conversation satisfaction survey (score 1-5, optional comment)
+ * POST /api/transcripts/:id/csat
+ */
+app.post('/api/transcripts/:id/csat', async (req, res) => {
+  try {
+    const tenantId = getTenantId(req);
+    const personaId = getPersonaId(req);
+    const { comment = null } = req.body || {};
+    const score = Number(req.body?.score);
+
+    if (!Number.isInteger(score) || score < 1 || score > 5) {
+      return res.status(400).json({ success: false, error: 'score must be an integer from 1 to 5' });
+    }
+    if (comment !== null && (typeof comment !== 'string' || comment.length > FEEDBACK_COMMENT_MAX_LENGTH)) {
+      return res.status(400).json({ success: false, error: `comment must be text of at most ${FEEDBACK_COMMENT_MAX_LENGTH} characters` });
+    }
+
+    const personaProfile = await resolveChatPersonaProfile(tenantId, personaId);
+    if (!isFeedbackEnabled(personaProfile)) {
+      return res.status(403).json({ success: false, error: 'Feedback collection is disabled for this assistant' });
+    }
+
+    const result = await transcriptService.recordCsat(req.params.id, tenantId, personaId, {
+      score,
+      comment: comment?.trim() || null
+    });
+
+    await emitUsageEvent({
+      tenantId,
+      organizationId: req.headers['x-company-id'] || null,
+      persona: personaId || 'chat',
+      action: 'chat_csat',
+      metadata: {
+        transcriptId: result.transcript.id,
+        conversationId: result.transcript.conversationId,
+        score,
+        hasComment: Boolean(result.csat.comment)
+      }
+    });
+
+    res.json({
+      success: true,
+      csat: result.csat
+    });
+  } catch (error) {
+    console.error('❌ Transcript CSAT error:', error);
+    res.status(transcriptErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to record CSAT response'
+    });
+  }
+});
+
+/**
+ * Handoff actions are staff-only: the caller must be signed in (Cognito bearer
+ * token) as a user of the tenant that owns the conversation. The widget holds
+ * its own transcriptId, so anything weaker would let a customer act as the agent.
+ */
+const requireHandoffAgent = [
+  auth.authMiddleware({ required: true }),
+  (req, res, next) => {
+    if (!isRequestTenantUser(req)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorised to handle conversations for this account'
+      });
+    }
+    next();
+  }
+];
+
+/**
+ * Agent identity for handoff actions, taken from the signed-in user only
+ */
+function resolveAgent(req) {
+  return {
+    id: String(req.user.email || req.user.username).toLowerCase(),
+    name: String(req.user.name || req.user.email || '').trim().slice(0, 80) || null
+  };
+}
+
+function sanitizeHandoffMessage({ agent, trace, ...message }) {
+  return agent ? { ...message, agent: { name: agent.name || null } } : message;
+}
+
+/**
+ * New messages and handoff state for a conversation (customer chat polls this)
+ * GET /api/transcripts/:id/updates?after=<messageIndex>
+ */
+app.get('/api/transcripts/:id/updates', pollRateLimiter, async (req, res) => {
+  try {
+    const tenantId = getTenantId(req);
+    const personaId = getPersonaId(req);
+    const after = Number.isFinite(parseInt(req.query?.after, 10)) ? parseInt(req.query.after, 10) : -1;
+    const updates = await transcriptService.getConversationUpdates(req.params.id, tenantId, personaId, after);
+
+    res.json({
+      success: true,
+      transcriptId: updates.id,
+      conversationId: updates.conversationId,
+      handoff: publicHandoff(updates.handoff),
+      messageCount: updates.messageCount,
+      messages: updates.messages.map(sanitizeHandoffMessage)
+    });
+  } catch (error) {
+    console.error('❌ Transcript updates error:', error);
+    res.status(transcriptErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to load conversation updates'
+    });
+  }
+});
+
+/**
+ * Live queue of conversations waiting for or handled by a human agent
+ * GET /api/handoffs
+ */
+app.get('/api/handoffs', requireHandoffAgent, async (req, res) => {
+  try {
+    const tenantId = getTenantId(req);
+    const personaId = req.query?.persona || req.headers['x-persona-id'] || 'support';
+    const queue = await transcriptService.listHandoffQueue(tenantId, personaId);
+
+    res.json({
+      success: true,
+      data: queue.map(item => ({
+        id: item.id,
+        conversationId: item.conversationId,
+        persona: item.persona || null,
+        handoff: item.handoff,
+        lastMessageAt: item.lastMessageAt,
+        messageCount: (item.messages || []).length,
+        metadata: item.metadata || {}
+      }))
+    });
+  } catch (error) {
+    console.error('❌ Handoff queue error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to load handoff queue'
+    });
+  }
+});
+
+/**
+ * Claim a queued conversation; the AI stays paused until it is released
+ * POST /api/transcripts/:id/handoff/claim
+ */
+app.post('/api/transcripts/:id/handoff/claim', requireHandoffAgent, async (req, res) => {
+  try {
+    const tenantId = getTenantId(req);
+    const personaId = req.query?.persona || req.headers['x-persona-id'] || null;
+    const agent = resolveAgent(req);
+    const transcript = await transcriptService.claimHandoff(req.params.id, tenantId, personaId, agent);
+
+    await emitUsageEvent({
+      tenantId,
+      organizationId: req.headers['x-company-id'] || null,
+      persona: personaId || 'support',
+      action: 'handoff_claimed',
+      metadata: { transcriptId: transcript.id, conversationId: transcript.conversationId, agent: transcript.handoff.agent?.name || null }
+    });
+
+    res.json({
+      success: true,
+      handoff: transcript.handoff
+    });
+  } catch (error) {
+    console.error('❌ Handoff claim error:', error);
+    res.status(transcriptErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to claim conversation'
+    });
+  }
+});
+
+/**
+ * Reply to the customer as a human agent (stored with role 'agent')
+ * POST /api/transcripts/:id/handoff/messages
+ */
+app.post('/api/transcripts/:id/handoff/messages', requireHandoffAgent, async (req, res) => {
+  try {
+    const tenantId = getTenantId(req);
+    const personaId = req.query?.persona || req.headers['x-persona-id'] || null;
+    const content = typeof req.body?.content === 'string' ? req.body.content.trim() : '';
+
+    if (!content || content.length > AGENT_MESSAGE_MAX_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `content must be text of 1-${AGENT_MESSAGE_MAX_LENGTH} characters`
+      });
+    }
+
+    const agent = resolveAgent(req);
+    const result = await transcriptService.appendAgentMessage(req.params.id, tenantId, personaId, agent, content);
+
+    await emitUsageEvent({
+      tenantId,
+      organizationId: req.headers['x-company-id'] || null,
+      persona: personaId || 'support',
+      action: 'agent_message',
+      metadata: {
+        transcriptId: result.transcript.id,
+        conversationId: result.transcript.conversationId,
+        agent: result.message.agent.name,
+        responseLength: content.length
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      messageIndex: result.messageIndex,
+      message: sanitizeHandoffMessage(result.message)
+    });
+  } catch (error) {
+    console.error('❌ Agent message error:', error);
+    res.status(transcriptErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to send agent message'
+    });
+  }
+});
+
+/**
+ * Return the conversation to the AI
+ * POST /api/transcripts/:id/handoff/release
+ */
+app.post('/api/transcripts/:id/handoff/release', requireHandoffAgent, async (req, res) => {
+  try {
+    const tenantId = getTenantId(req);
+    const personaId = req.query?.persona || req.headers['x-persona-id'] || null;
+    const agent = resolveAgent(req);
+    const transcript = await transcriptService.releaseHandoff(req.params.id, tenantId, personaId, agent);
+
+    await emitUsageEvent({
+      tenantId,
+      organizationId: req.headers['x-company-id'] || null,
+      persona: personaId || 'support',
+      action: 'handoff_released',
+      metadata: { transcriptId: transcript.id, conversationId: transcript.conversationId, agent: transcript.handoff.agent?.name || null }
+    });
+
+    res.json({
+      success: true,
+      handoff: transcript.handoff
+    });
+  } catch (error) {
+    console.error('❌ Handoff release error:', error);
+    res.status(transcriptErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to release conversation'
+    });
+  }
+});
+
 app.post('/api/transcripts/:id/send', async (req, res) => {
   try {
     const tenantId = getTenantId(req);
@@ -2717,6 +4380,7 @@ app.listen(PORT, () => {
   console.log('📋 API Endpoints:');
   console.log(`   POST   /api/upload          - Upload files`);
   console.log(`   POST   /api/chat            - Chat with AI`);
+  console.log(`   POST   /api/chat/stream     - Chat with AI (SSE)`);
   console.log(`   GET    /api/status          - System status`);
   console.log('');
   console.log('🔐 Auth Endpoints:');
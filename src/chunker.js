@@ -0,0 +1,304 @@
+/**
+ * Split processed files into retrievable chunks
+ * Chunks never cross a PDF page boundary and carry the nearest heading,
+ * so retrieved excerpts can be cited by page/section
+ */
+
+const DEFAULT_CHUNK_CHARS = parseInt(process.env.RETRIEVAL_CHUNK_CHARS || '1600', 10);
+const MIN_CHUNK_CHARS = 200;
+const ROWS_PER_CHUNK = parseInt(process.env.RETRIEVAL_ROWS_PER_CHUNK || '20', 10);
+
+/**
+ * Rough token estimate used for budgeting (≈4 characters per token)
+ */
+export function estimateTokens(text = '') {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+/**
+ * Chunk a processed file (output of processFiles) into retrievable units
+ * @param {Object} file - Processed file ({ originalName, fileType, data, metadata })
+ * @returns {Array} chunks - [{ id, fileName, fileType, text, page, heading, rowStart, rowEnd, tokens }]
+ */
+export function chunkProcessedFile(file, options = {}) {
+  if (!file) return [];
+  const fileName = file.originalName || file.name || 'unknown';
+  const fileType = file.fileType || file.type || 'unknown';
+
+  // Multi-sheet workbooks: every sheet is chunked, each chunk tagged with its sheet
+  if (fileType === 'excel' && Array.isArray(file.sheets) && file.sheets.length > 1) {
+    const chunks = [];
+    file.sheets.forEach(sheet => {
+      chunks.push(...chunkRows(sheet.data || [], {
+        fileName,
+        fileType,
+        columns: sheet.columns,
+        sheet: sheet.name,
+        ...options,
+        startIndex: chunks.length
+      }));
+    });
+    return chunks;
+  }
+
+  if (fileType === 'excel' && Array.isArray(file.data)) {
+    return chunkRows(file.data, {
+      fileName,
+      fileType,
+      columns: file.metadata?.columns,
+      sheet: file.metadata?.sheetName || null,
+      ...options
+    });
+  }
+
+  const data = file.data || {};
+
+  if (Array.isArray(data.pageTexts) && data.pageTexts.some(text => text && text.trim())) {
+    return chunkPages(data.pageTexts, { fileName, fileType, ...options });
+  }
+
+  if (Array.isArray(data.sections) && data.sections.length > 0) {
+    return chunkSections(data.sections, { fileName, fileType, ...options });
+  }
+
+  return chunkText(data.fullText || '', { fileName, fileType, ...options });
+}
+
+/**
+ * Chunk tabular rows into groups, keeping the row range for citations
+ */
+export function chunkRows(rows = [], { fileName, fileType = 'excel', columns, sheet = null, rowsPerChunk = ROWS_PER_CHUNK, startIndex = 0 } = {}) {
+  const resolvedColumns = Array.isArray(columns) && columns.length > 0
+    ? columns
+    : Object.keys(rows[0] || {});
+  const chunks = [];
+
+  for (let start = 0; start < rows.length; start += rowsPerChunk) {
+    const slice = rows.slice(start, start + rowsPerChunk);
+    const text = slice.map((row, offset) => {
+      const rowText = resolvedColumns
+        .map(col => `${col}: ${row[col] ?? ''}`)
+        .join(', ');
+      return `Row ${start + offset + 1}: ${rowText}`;
+    }).join('\n');
+
+    chunks.push(buildChunk({
+      fileName,
+      fileType,
+      index: startIndex + chunks.length,
+      text,
+      sheet,
+      rowStart: start + 1,
+      rowEnd: start + slice.length
+    }));
+  }
+
+  return chunks;
+}
+
+/**
+ * Chunk per-page text; chunks stay within their page
+ */
+export function chunkPages(pageTexts = [], { fileName, fileType = 'pdf', maxChars = DEFAULT_CHUNK_CHARS } = {}) {
+  const chunks = [];
+  let heading = null;
+
+  pageTexts.forEach((pageText, pageIndex) => {
+    const blocks = splitBlocks(pageText);
+    const pageChunks = packBlocks(blocks, { maxChars, initialHeading: heading });
+    pageChunks.forEach(chunk => {
+      chunks.push(buildChunk({
+        fileName,
+        fileType,
+        index: chunks.length,
+        text: chunk.text,
+        heading: chunk.heading,
+        page: pageIndex + 1
+      }));
+    });
+    if (pageChunks.length > 0) {
+      heading = pageChunks[pageChunks.length - 1].heading;
+    }
+  });
+
+  return chunks;
+}
+
+/**
+ * Chunk heading-delimited sections (e.g. DOCX headings)
+ */
+export function chunkSections(sections = [], { fileName, fileType = 'docx', maxChars = DEFAULT_CHUNK_CHARS } = {}) {
+  const chunks = [];
+
+  sections.forEach(section => {
+    const blocks = splitBlocks(section.text || '');
+    const sectionChunks = packBlocks(blocks, { maxChars, initialHeading: section.heading || null, detectHeadings: false });
+    sectionChunks.forEach(chunk => {
+      chunks.push(buildChunk({
+        fileName,
+        fileType,
+        index: chunks.length,
+        text: chunk.text,
+        heading: section.heading || null
+      }));
+    });
+  });
+
+  return chunks;
+}
+
+/**
+ * Chunk unstructured text, detecting headings heuristically
+ */
+export function chunkText(text = '', { fileName, fileType = 'txt', maxChars = DEFAULT_CHUNK_CHARS } = {}) {
+  const blocks = splitBlocks(text);
+  return packBlocks(blocks, { maxChars }).map((chunk, index) => buildChunk({
+    fileName,
+    fileType,
+    index,
+    text: chunk.text,
+    heading: chunk.heading
+  }));
+}
+
+/**
+ * Detect whether extracted text is garbled/unreadable
+ */
+export function looksGarbled(text = '') {
+  const content = String(text || '');
+  const nonPrintableMatches = content.match(/[^\x20-\x7E\s]/g) || [];
+  const nonPrintableRatio = nonPrintableMatches.length / Math.max(content.length, 1);
+  const hasUsableWords = /[A-Za-z]{4,}/.test(content);
+
+  return content.length < 20 ||
+    /^[\s\n\r\t]+$/.test(content) ||
+    content.includes('\u0000') ||
+    content.includes('\u0001') ||
+    content.includes('\u0002') ||
+    !hasUsableWords ||
+    nonPrintableRatio > 0.8;
+}
+
+function buildChunk({ fileName, fileType, index, text, heading = null, page = null, sheet = null, rowStart = null, rowEnd = null }) {
+  const trimmed = String(text || '').trim();
+  return {
+    id: `${fileName}#${index}`,
+    fileName,
+    fileType,
+    index,
+    page,
+    heading,
+    sheet,
+    rowStart,
+    rowEnd,
+    text: trimmed,
+    tokens: estimateTokens(trimmed)
+  };
+}
+
+function splitBlocks(text = '') {
+  const normalized = String(text || '').replace(/\r\n?/g, '\n');
+  let blocks = normalized.split(/\n{2,}/);
+
+  // Text extracted from PDFs often has no blank lines; fall back to single lines
+  if (blocks.length === 1 && normalized.length > DEFAULT_CHUNK_CHARS) {
+    blocks = normalized.split('\n');
+  }
+
+  return blocks
+    .map(block => block.trim())
+    .filter(block => block.length > 0);
+}
+
+function isHeadingLine(line = '') {
+  const trimmed = line.trim();
+  if (!trimmed || trimmed.length > 100) return false;
+  if (/^#{1,6}\s+\S/.test(trimmed)) return true;
+  if (/[.,;:]$/.test(trimmed)) return false;
+  // Numbered sections: "3.", "3.1 Leave Policy", "Section 4 - Gifts"
+  if (/^((section|part|chapter|article)\s+)?\d+(\.\d+)*[.)]?\s+[A-Z]/i.test(trimmed) && trimmed.split(/\s+/).length <= 12) return true;
+  // Short ALL CAPS lines
+  const letters = trimmed.replace(/[^A-Za-z]/g, '');
+  if (letters.length >= 4 && letters === letters.toUpperCase() && trimmed.split(/\s+/).length <= 10) return true;
+  return false;
+}
+
+function cleanHeading(line = '') {
+  return line.trim().replace(/^#{1,6}\s+/, '').slice(0, 120);
+}
+
+/**
+ * Greedily pack blocks into chunks of at most maxChars, starting a new chunk
+ * at headings once the current chunk has enough content
+ */
+function packBlocks(blocks = [], { maxChars = DEFAULT_CHUNK_CHARS, initialHeading = null, detectHeadings = true } = {}) {
+  const chunks = [];
+  let heading = initialHeading;
+  let current = [];
+  let currentLength = 0;
+  let currentHeading = heading;
+
+  const flush = () => {
+    if (current.length === 0) return;
+    chunks.push({ text: current.join('\n\n'), heading: currentHeading });
+    current = [];
+    currentLength = 0;
+  };
+
+  for (const block of blocks) {
+    const firstLine = block.split('\n')[0];
+    if (detectHeadings && isHeadingLine(firstLine)) {
+      if (currentLength >= MIN_CHUNK_CHARS) {
+        flush();
+      }
+      heading = cleanHeading(firstLine);
+      if (current.length === 0) {
+        currentHeading = heading;
+      }
+    }
+
+    for (const piece of splitOversized(block, maxChars)) {
+      if (currentLength > 0 && currentLength + piece.length > maxChars) {
+        flush();
+      }
+      if (current.length === 0) {
+        currentHeading = heading;
+      }
+      current.push(piece);
+      currentLength += piece.length + 2;
+    }
+  }
+
+  flush();
+  return chunks;
+}
+
+function splitOversized(block, maxChars) {
+  if (block.length <= maxChars) return [block];
+
+  const pieces = [];
+  const sentences = block.split(/(?<=[.!?])\s+/);
+  let buffer = '';
+
+  for (const sentence of sentences) {
+    if (sentence.length > maxChars) {
+      if (buffer) {
+        pieces.push(buffer);
+        buffer = '';
+      }
+      for (let start = 0; start < sentence.length; start += maxChars) {
+        pieces.push(sentence.slice(start, start + maxChars));
+      }
+      continue;
+    }
+    if (buffer && buffer.length + sentence.length + 1 > maxChars) {
+      pieces.push(buffer);
+      buffer = sentence;
+    } else {
+      buffer = buffer ? `${buffer} ${sentence}` : sentence;
+    }
+  }
+
+  if (buffer) pieces.push(buffer);
+  return pieces;
+}
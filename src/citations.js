@@ -0,0 +1,315 @@
+import crypto from 'crypto';
+import { tokenize, loadFileChunks } from './services/search-index.js';
+
+/**
+ * Source citations for chat answers
+ * Every excerpt placed in the system prompt and every data tool result gets a
+ * short label ([S1], [T1]). Claude cites labels inline; after the turn the
+ * labels are resolved into a machine-readable `citations` array and the
+ * markers are renumbered [1], [2], … in order of first use.
+ */
+
+const MAX_QUOTE_CHARS = 280;
+const MAX_FALLBACK_CITATIONS = 3;
+const MIN_FALLBACK_OVERLAP = 0.5;
+const MAX_TOOL_EXCERPT_ROWS = 3;
+const MAX_CITED_ROWS = 20;
+const MARKER_PATTERN = /([ \t]*)\[((?:[ST]\d+)(?:\s*[,;]\s*[ST]\d+)*)\]/g;
+
+/**
+ * Stable identifier for a manifest file entry
+ * Uploads store it as `id`; older manifests derive it from the artifact key
+ */
+export function getManifestFileId(entry = {}) {
+  if (entry.id) return entry.id;
+  const seed = entry.artifacts?.storageKey || entry.artifacts?.jsonKey || entry.name || '';
+  return crypto.createHash('sha1').update(String(seed)).digest('hex').slice(0, 16);
+}
+
+export function findManifestFile(manifest, fileId) {
+  const files = Array.isArray(manifest?.files) ? manifest.files : [];
+  return files.find(entry => getManifestFileId(entry) === fileId) || null;
+}
+
+function splitSegments(text = '') {
+  return String(text || '')
+    .split(/\n+|(?<=[.!?])\s+(?=[A-Z0-9"'(])/)
+    .map(segment => segment.trim())
+    .filter(Boolean);
+}
+
+function truncateQuote(text = '') {
+  const trimmed = String(text || '').trim();
+  if (trimmed.length <= MAX_QUOTE_CHARS) return trimmed;
+  return `${trimmed.slice(0, MAX_QUOTE_CHARS - 1).trimEnd()}…`;
+}
+
+/**
+ * Pick the passage of a chunk that best supports a piece of the answer
+ * @returns {Object} { quote, overlap } - overlap is the share of the quote's terms found in the context
+ */
+export function selectQuote(chunkText = '', context = '') {
+  const segments = splitSegments(chunkText);
+  if (segments.length === 0) return { quote: '', overlap: 0 };
+
+  const contextTerms = new Set(tokenize(context));
+  let best = { index: 0, matched: 0, overlap: 0 };
+
+  segments.forEach((segment, index) => {
+    const terms = [...new Set(tokenize(segment))];
+    if (terms.length === 0) return;
+    const matched = terms.filter(term => contextTerms.has(term)).length;
+    if (matched > best.matched || (matched === best.matched && matched > 0 && matched / terms.length > best.overlap)) {
+      best = { index, matched, overlap: matched / terms.length };
+    }
+  });
+
+  let quote = segments[best.index];
+  // Short hits (e.g. a heading) read better with the following sentence
+  if (quote.length < 80 && segments[best.index + 1]) {
+    quote = `${quote} ${segments[best.index + 1]}`;
+  }
+
+  return { quote: truncateQuote(quote), overlap: best.overlap };
+}
+
+function formatRow(row = {}) {
+  const { _row, ...values } = row;
+  const cells = Object.entries(values).map(([column, value]) => `${column}: ${value ?? ''}`).join(', ');
+  return _row ? `Row ${_row}: ${cells}` : cells;
+}
+
+function describeToolResult(toolName, result = {}) {
+  if (Array.isArray(result.rows)) {
+    if (result.rows.length === 0) return `${toolName}: no matching rows`;
+    return result.rows.slice(0, MAX_TOOL_EXCERPT_ROWS).map(formatRow).join('\n');
+  }
+  if (Array.isArray(result.groups)) {
+    return result.groups
+      .slice(0, MAX_TOOL_EXCERPT_ROWS)
+      .map(group => Object.entries(group).map(([key, value]) => `${key}: ${value}`).join(', '))
+      .join('\n');
+  }
+  if (Array.isArray(result.values)) {
+    return `${result.column}: ${result.values.slice(0, 10).map(item => `${item.value} (${item.count})`).join(', ')}`;
+  }
+  return toolName;
+}
+
+/**
+ * The sentence a marker at `offset` belongs to (markers may follow the full stop)
+ */
+function sentenceAround(text, offset) {
+  let end = offset;
+  while (end > 0 && /[\s.!?]/.test(text[end - 1])) end--;
+  let start = end;
+  while (start > 0 && !/[\n.!?]/.test(text[start - 1])) start--;
+  return text.slice(start, end);
+}
+
+/**
+ * Per-turn registry of citable sources
+ */
+export function createCitationRegistry(manifest = null) {
+  const files = Array.isArray(manifest?.files) ? manifest.files : [];
+  const fileByName = new Map(files.map(entry => [entry.name, entry]));
+  const sources = new Map();
+  let chunkCount = 0;
+  let toolCount = 0;
+
+  function describeFile(fileName) {
+    const entry = fileByName.get(fileName);
+    return {
+      fileId: entry ? getManifestFileId(entry) : null,
+      fileName,
+      fileType: entry?.type || null
+    };
+  }
+
+  function registerChunk(chunk) {
+    const label = `S${++chunkCount}`;
+    sources.set(label, { kind: 'document', chunk });
+    return label;
+  }
+
+  function registerToolResult({ toolName, fileName, sheet = null, result = {} }) {
+    const label = `T${++toolCount}`;
+    sources.set(label, { kind: 'data_tool', toolName, fileName, sheet, result });
+    return label;
+  }
+
+  function buildCitation(source, index, context) {
+    if (source.kind === 'document') {
+      const { chunk } = source;
+      return {
+        index,
+        source: 'document',
+        ...describeFile(chunk.fileName),
+        chunkId: chunk.id,
+        page: chunk.page ?? null,
+        sheet: chunk.sheet ?? null,
+        rowStart: chunk.rowStart ?? null,
+        rowEnd: chunk.rowEnd ?? null,
+        heading: chunk.heading ?? null,
+        excerpt: selectQuote(chunk.text, context).quote
+      };
+    }
+
+    const rows = Array.isArray(source.result.rows)
+      ? source.result.rows.map(row => row._row).filter(Boolean).slice(0, MAX_CITED_ROWS)
+      : [];
+    return {
+      index,
+      source: 'data_tool',
+      ...describeFile(source.fileName),
+      tool: source.toolName,
+      chunkId: null,
+      page: null,
+      sheet: source.sheet,
+      rowStart: rows.length ? Math.min(...rows) : null,
+      rowEnd: rows.length ? Math.max(...rows) : null,
+      rows,
+      heading: null,
+      excerpt: truncateQuote(describeToolResult(source.toolName, source.result))
+    };
+  }
+
+  /**
+   * Resolve [S1]/[T1] markers in the final answer
+   * Without markers, falls back to tool results plus excerpts the answer clearly draws on
+   * @returns {Object} { message, citations }
+   */
+  function resolve(answer = '') {
+    const text = String(answer || '');
+    const numbering = new Map();
+    const citations = [];
+
+    const cite = (label, context) => {
+      if (!sources.has(label)) return null;
+      if (!numbering.has(label)) {
+        numbering.set(label, citations.length + 1);
+        citations.push(buildCitation(sources.get(label), citations.length + 1, context));
+      }
+      return numbering.get(label);
+    };
+
+    const message = text.replace(MARKER_PATTERN, (match, spacing, labels, offset) => {
+      const context = sentenceAround(text, offset);
+      const numbers = labels.split(/\s*[,;]\s*/).map(label => cite(label, context)).filter(Boolean);
+      // Unknown labels are dropped along with their leading space
+      if (numbers.length === 0) return '';
+      return spacing + [...new Set(numbers)].map(number => `[${number}]`).join('');
+    });
+
+    if (citations.length > 0 || sources.size === 0) {
+      return { message, citations };
+    }
+
+    [...sources.entries()]
+      .filter(([, source]) => source.kind === 'data_tool')
+      .forEach(([label]) => cite(label, text));
+
+    [...sources.entries()]
+      .filter(([, source]) => source.kind === 'document')
+      .map(([label, source]) => ({ label, ...selectQuote(source.chunk.text, text) }))
+      .filter(candidate => candidate.overlap >= MIN_FALLBACK_OVERLAP)
+      .sort((a, b) => b.overlap - a.overlap)
+      .slice(0, MAX_FALLBACK_CITATIONS)
+      .forEach(candidate => cite(candidate.label, text));
+
+    return { message, citations };
+  }
+
+  return {
+    registerChunk,
+    registerToolResult,
+    resolve,
+    get size() {
+      return sources.size;
+    }
+  };
+}
+
+/**
+ * Whether a location was cited in one of the transcript's answers
+ * Excerpts are only served for cited locations, so the endpoint cannot page through a whole file
+ * @param {Array} messages - Transcript messages
+ * @param {string} fileId - Manifest file id
+ * @param {Object} location - { chunkId, page, row, sheet } as sent by the client
+ */
+export function isCitedLocation(messages = [], fileId, { chunkId = null, page = null, row = null, sheet = null } = {}) {
+  const pageNumber = page !== null && page !== undefined ? Number(page) : null;
+  const rowNumber = row !== null && row !== undefined ? Number(row) : null;
+
+  return messages.some(message => Array.isArray(message?.citations) && message.citations.some(citation => {
+    if (!fileId || citation.fileId !== fileId) return false;
+    if (chunkId) return citation.chunkId === chunkId;
+    if (Number.isFinite(pageNumber)) return citation.page === pageNumber;
+    if (Number.isFinite(rowNumber)) {
+      return (!sheet || citation.sheet === sheet) && citation.rowStart <= rowNumber && citation.rowEnd >= rowNumber;
+    }
+    return Boolean(sheet) && citation.sheet === sheet;
+  }));
+}
+
+/**
+ * Surrounding source text for a citation
+ * @param {Object} manifest - Tenant/persona manifest
+ * @param {string} fileId - Manifest file id (see getManifestFileId)
+ * @param {Object} options - { chunkId, page, row, sheet, context } - context = neighbouring chunks on each side; sheet narrows row lookups in workbooks
+ * @returns {Object|null} null when the file or location is unknown
+ */
+export async function loadFileExcerpt(manifest, fileId, { chunkId = null, page = null, row = null, sheet = null, context = 1 } = {}) {
+  const entry = findManifestFile(manifest, fileId);
+  if (!entry) return null;
+
+  const chunks = await loadFileChunks(entry, {
+    tenantId: manifest?.tenantId || 'default',
+    personaId: manifest?.persona || null
+  });
+  if (chunks.length === 0) return null;
+
+  const pageNumber = page !== null && page !== undefined ? Number(page) : null;
+  const rowNumber = row !== null && row !== undefined ? Number(row) : null;
+  let position = 0;
+  if (chunkId) {
+    position = chunks.findIndex(chunk => chunk.id === chunkId);
+  } else if (Number.isFinite(pageNumber)) {
+    position = chunks.findIndex(chunk => chunk.page === pageNumber);
+  } else if (Number.isFinite(rowNumber)) {
+    position = chunks.findIndex(chunk => (!sheet || chunk.sheet === sheet) && chunk.rowStart <= rowNumber && chunk.rowEnd >= rowNumber);
+  } else if (sheet) {
+    position = chunks.findIndex(chunk => chunk.sheet === sheet);
+  }
+  if (position === -1) return null;
+
+  const span = Math.min(Math.max(parseInt(context, 10) || 0, 0), 5);
+  const target = chunks[position];
+  const toSection = chunk => ({
+    chunkId: chunk.id,
+    page: chunk.page ?? null,
+    sheet: chunk.sheet ?? null,
+    rowStart: chunk.rowStart ?? null,
+    rowEnd: chunk.rowEnd ?? null,
+    heading: chunk.heading ?? null,
+    text: chunk.text
+  });
+
+  return {
+    file: {
+      id: getManifestFileId(entry),
+      name: entry.name,
+      type: entry.type || null
+    },
+    chunkId: target.id,
+    page: target.page ?? null,
+    sheet: target.sheet ?? null,
+    rowStart: target.rowStart ?? null,
+    rowEnd: target.rowEnd ?? null,
+    heading: target.heading ?? null,
+    text: target.text,
+    before: chunks.slice(Math.max(0, position - span), position).map(toSection),
+    after: chunks.slice(position + 1, position + 1 + span).map(toSection),
+    totalChunks: chunks.length
+  };
+}
@@ -1,12 +1,21 @@
-import Anthropic from '@anthropic-ai/sdk';
 import fs from 'fs';
+import crypto from 'crypto';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { checkGuardrails, sanitizeOutput, getGroundingRules, logBlockedRequest } from './guardrails.js';
+import { evaluateGuardrails, sanitizeOutput, createOutputSanitizerStream, getGroundingRules, logBlockedRequest } from './guardrails.js';
+import { createGuardrailClassifier } from './guardrail-classifier.js';
+import { resolvePiiPolicy, checkPiiInput, maskPii, createPiiMaskStream } from './pii.js';
 import { buildVisionExcerpt, renderVisionContext } from './prompt-utils.js';
-import { getStorage } from './storage/index.js';
-import { tenantPersonaPrefix } from './storage/paths.js';
-import { saveJson, saveText, downloadToTemp, readText as loadTextFromStorage, loadVisionPayload as loadVisionArtifacts } from './services/storage-helper.js';
+import { TEXT_FILE_TYPES } from './knowledge-formats.js';
+import { retrieveChunks, loadManifestIndex } from './services/search-index.js';
+import { getCachedContext } from './services/context-cache.js';
+import { createDataToolExecutor, getDataToolInstructions, getEntrySheets, isDataTool } from './data-tools.js';
+import { buildPersonaIntro, buildPersonaGuidance } from './persona-prompt.js';
+import { createCitationRegistry } from './citations.js';
+import { verifyGrounding, buildRegenerationPrompt } from './grounding.js';
+import { getLLMProvider } from './llm/index.js';
+import { summarizeAttempts } from './llm/resilience.js';
+import { saveJson, saveText, downloadToTemp, loadVisionPayload as loadVisionArtifacts } from './services/storage-helper.js';
 
 function formatTriageSummary(entry = {}) {
   const lines = [];
@@ -72,27 +81,244 @@ const CONTACT_INTENT_INSTRUCTIONS = `
 - Never mention this JSON block to the user; keep it at the very end of your assistant message after a blank line.
 `;
 
+const DEFAULT_ROLE_INTRO = `You are a helpful AI assistant with access to uploaded documents.
+
+Your role:
+- Act as the organisation's trusted representative (sales, support, or compliance) – speak in first person plural when referencing the business ("we", "our team").
+- Answer questions about tracking data, shipment status, and business information
+- Provide clear, accurate information from the uploaded files
+- Search across multiple file types (Excel, PDF, DOCX, text files)
+- Be friendly, professional, and empathetic
+- Stay in character: do **not** remind customers that you are an AI or describe tooling/limitations unless the policy requires a disclosure for safety or honesty. Instead, keep the focus on how "we" can help and, when needed, reference human follow-up ("I can connect you with our team...").
+- If you don't have information, admit it clearly while offering next-best actions (e.g., collect details for human follow-up).`;
+
 const MAX_THINK_ITERATIONS = 3;
+// Extra loop iterations allowed when tracking data tools are available
+const MAX_DATA_TOOL_ITERATIONS = 3;
 
 /**
  * Create Claude client with MCP (filesystem access)
  * This allows Claude to read uploaded Excel files
+ * Model calls go through the configured LLM provider (LLM_PROVIDER, see src/llm)
  */
-export function createClaudeClient() {
-  const apiKey = process.env.ANTHROPIC_API_KEY;
-
-  if (!apiKey) {
-    throw new Error('ANTHROPIC_API_KEY is required. Please set it in your .env file.');
-  }
-
-  const anthropic = new Anthropic({
-    apiKey: apiKey,
-  });
+export function createClaudeClient(options = {}) {
+  const provider = options.provider || getLLMProvider();
 
   const model = process.env.CLAUDE_MODEL || 'claude-sonnet-4-20250514';
   const visionModel = process.env.CLAUDE_VISION_MODEL || process.env.CLAUDE_MODEL || 'claude-sonnet-4-20250514';
   const visionMaxTokens = parseInt(process.env.CLAUDE_VISION_MAX_TOKENS || process.env.CLAUDE_MAX_TOKENS || '16000', 10);
   const visionTemperature = parseFloat(process.env.CLAUDE_VISION_TEMPERATURE || process.env.CLAUDE_TEMPERATURE || '0');
+  // Second guardrail stage, used by personas that enable `guardrail_policy.classifier`
+  const classifyGuardrail = options.classifyGuardrail || createGuardrailClassifier({
+    complete: (messages, classifierOptions) => rawChat(messages, classifierOptions)
+  });
+
+  /**
+   * Run guardrails and assemble the system prompt + message list for a chat turn
+   * Shared by the blocking and streaming chat variants
+   */
+  async function prepareChatTurn(userMessage, conversationHistory = [], manifest = null, { personaProfile = null, memorySummary = null, onGuardrail = null, onPiiBlock = null } = {}) {
+    // Check guardrails first, using the persona's policy when it has one
+    const guardrailCheck = await evaluateGuardrails(userMessage, manifest, personaProfile?.config?.guardrail_policy || null, {
+      classify: classifyGuardrail
+    });
+
+    // Blocks and near misses are reported so the caller can log them as incidents
+    if (typeof onGuardrail === 'function' && (!guardrailCheck.allowed || guardrailCheck.warnings.length > 0)) {
+      onGuardrail(guardrailCheck);
+    }
+
+    if (guardrailCheck.warnings.length > 0) {
+      console.warn(`🛡️ Guardrail findings below the block threshold: ${guardrailCheck.warnings.map(warning => warning.type).join(', ')}`);
+    }
+
+    if (!guardrailCheck.allowed) {
+      // Log blocked request
+      logBlockedRequest(userMessage, guardrailCheck);
+      return { blocked: true, reason: guardrailCheck.reason };
+    }
+
+    // Personal data the persona's PII policy keeps away from the model
+    const piiPolicy = resolvePiiPolicy(personaProfile?.config?.pii_policy || null);
+    const piiBlock = checkPiiInput(userMessage, piiPolicy);
+    if (piiBlock) {
+      console.warn(`🔒 Message withheld from the model: contains ${piiBlock.types.join(', ')}`);
+      // The caller stores the turn redacted and flagged so later turns never replay it
+      if (typeof onPiiBlock === 'function') onPiiBlock(piiBlock);
+      return { blocked: true, reason: piiBlock.reason };
+    }
+
+    // Build system prompt with context retrieved for this turn (include the
+    // previous user turn so follow-ups like "and its ETA?" still match)
+    const previousUserTurn = [...conversationHistory].reverse().find(entry => entry.role === 'user');
+    const retrievalQuery = [previousUserTurn?.content, userMessage].filter(Boolean).join('\n');
+    const citations = createCitationRegistry(manifest);
+    const systemPrompt = await buildSystemPrompt(manifest, retrievalQuery, personaProfile, citations, memorySummary);
+    const dataTools = createDataToolExecutor(manifest, {
+      onResult: citations.registerToolResult,
+      rowCache: manifest ? await getCachedContext(manifest, 'tracking-rows', () => new Map()) : undefined
+    });
+
+    // Build conversation messages with current user turn
+    const messages = [
+      ...conversationHistory.map(entry => ({
+        role: entry.role,
+        content: [{ type: 'text', text: entry.content }]
+      })),
+      {
+        role: 'user',
+        content: [{ type: 'text', text: userMessage }]
+      }
+    ];
+
+    const maxIterations = dataTools.tools.length > 0
+      ? MAX_THINK_ITERATIONS + MAX_DATA_TOOL_ITERATIONS
+      : MAX_THINK_ITERATIONS;
+
+    // Besides the artifacts, anything the model was given this turn counts as grounded
+    const groundingTexts = [
+      userMessage,
+      memorySummary,
+      ...conversationHistory.map(entry => entry.content),
+      systemPrompt.stablePrompt,
+      systemPrompt.turnPrompt
+    ].filter(Boolean);
+
+    return { blocked: false, systemPrompt, messages, dataTools, citations, maxIterations, piiPolicy, manifest, groundingTexts };
+  }
+
+  /**
+   * Grounding check for a finalized answer; failures are logged and yield null
+   */
+  async function checkGrounding(turn, message, toolTexts = []) {
+    try {
+      const grounding = await verifyGrounding(message, {
+        manifest: turn.manifest,
+        turnTexts: [...turn.groundingTexts, ...toolTexts]
+      });
+      if (grounding.unverified.length > 0) {
+        console.warn(`🔎 Grounding: ${grounding.unverified.length} of ${grounding.checked} values unverified (${grounding.unverified.map(claim => claim.value).join(', ')})`);
+      }
+      return grounding;
+    } catch (error) {
+      console.warn(`⚠️ Grounding check skipped: ${error.message}`);
+      return null;
+    }
+  }
+
+  function buildChatRequest(turn, runtimeMessages) {
+    const { stablePrompt, turnPrompt } = turn.systemPrompt;
+    return {
+      model: model,
+      max_tokens: parseInt(process.env.CLAUDE_MAX_TOKENS) || 4096,
+      temperature: parseFloat(process.env.CLAUDE_TEMPERATURE) || 0.3,
+      // Tools plus the stable prompt form the cached prefix; per-turn excerpts follow it
+      system: [
+        { type: 'text', text: stablePrompt, cache_control: { type: 'ephemeral' } },
+        ...(turnPrompt.trim() ? [{ type: 'text', text: turnPrompt }] : [])
+      ],
+      messages: runtimeMessages,
+      tools: [THINK_TOOL, ...turn.dataTools.tools],
+      tool_choice: { type: 'auto' }
+    };
+  }
+
+  function finalizeAssistantMessage(assistantMessage, citations = null, piiPolicy = null) {
+    const hasAnswer = Boolean(assistantMessage.trim());
+    const message = hasAnswer
+      ? assistantMessage
+      : 'I’m sorry, I could not generate a response from the current documents.';
+
+    // Sanitize output to prevent data leakage
+    const sanitizedResult = sanitizeOutput(message);
+
+    // Resolve [S1]/[T1] source markers into numbered citations
+    const resolved = hasAnswer && citations
+      ? citations.resolve(sanitizedResult.sanitized)
+      : { message: sanitizedResult.sanitized, citations: [] };
+
+    if (piiPolicy?.maskOutput) {
+      const maskOptions = { types: piiPolicy.types };
+      return {
+        message: maskPii(resolved.message, maskOptions),
+        contactIntent: sanitizedResult.contactIntent,
+        citations: resolved.citations.map(citation => (
+          citation.excerpt ? { ...citation, excerpt: maskPii(citation.excerpt, maskOptions) } : citation
+        ))
+      };
+    }
+
+    return {
+      message: resolved.message,
+      contactIntent: sanitizedResult.contactIntent,
+      citations: resolved.citations
+    };
+  }
+
+  function mapClaudeError(error) {
+    if (error.status === 401) {
+      return new Error('Invalid API key. Please check your ANTHROPIC_API_KEY in .env file.');
+    }
+
+    // Retries and the fallback model are exhausted; keep provider details out of the customer reply
+    if (error.code === 'LLM_UNAVAILABLE') {
+      const unavailable = new Error('Our assistant is very busy right now. Please try again in a moment.');
+      unavailable.statusCode = 503;
+      return unavailable;
+    }
+
+    return new Error(`Claude API error: ${error.message}`);
+  }
+
+  /**
+   * Model and tool calls for chat() until the model stops calling tools
+   * @param {Object} loop - { attempts, trace, toolTexts } collected across calls
+   * @returns {string} Assistant text produced by this loop
+   */
+  async function runChatLoop(turn, runtimeMessages, { attempts, trace, toolTexts }) {
+    let assistantMessage = '';
+    let iteration = 0;
+
+    while (iteration < turn.maxIterations) {
+      const response = await provider.chat(buildChatRequest(turn, runtimeMessages), {
+        onAttempt: entry => attempts.push(entry)
+      });
+
+      // Log any think steps for debugging/observability
+      logThinkSteps(response);
+      logPromptCacheUsage(response);
+      trace.recordResponse(response);
+
+      // Capture any assistant text generated in this turn
+      const textSegments = extractTextSegments(response.content);
+      if (textSegments.length > 0) {
+        assistantMessage += (assistantMessage ? '\n\n' : '') + textSegments.join('\n\n');
+      }
+
+      // Record assistant turn in conversation before deciding next step
+      runtimeMessages.push({
+        role: 'assistant',
+        content: response.content
+      });
+
+      // Identify tool invocations (think, data tools)
+      const toolCalls = response.content.filter(part => part.type === 'tool_use');
+
+      if (toolCalls.length === 0) {
+        // Claude finished responding
+        break;
+      }
+
+      // Return tool results so Claude can continue
+      const toolResults = await buildToolResults(toolCalls, turn.dataTools);
+      trace.recordToolResults(toolResults);
+      toolTexts.push(...dataToolResultTexts(toolCalls, toolResults));
+      runtimeMessages.push(toolResults);
+      iteration++;
+    }
+
+    return assistantMessage;
+  }
 
   /**
    * Chat with Claude about tracking data
@@ -101,137 +327,177 @@ export function createClaudeClient() {
    * @param {string} userMessage - User's question
    * @param {Array} conversationHistory - Previous messages
    * @param {Object} manifest - File manifest with paths
-   * @returns {string} Claude's response
+   * @param {Object} options - { personaProfile: { type, personaId, config }, memorySummary, onGuardrail(result), onPiiBlock({ types, reason }) }
+   * @returns {Object|string} { message, contactIntent, citations, grounding, llm, trace }, or the guardrail message when blocked
    */
-  async function chat(userMessage, conversationHistory = [], manifest = null) {
+  async function chat(userMessage, conversationHistory = [], manifest = null, options = {}) {
     try {
-      // Check guardrails first
-      const guardrailCheck = checkGuardrails(userMessage, manifest);
-      
-      if (!guardrailCheck.allowed) {
-        // Log blocked request
-        logBlockedRequest(userMessage, guardrailCheck);
-        
+      const turn = await prepareChatTurn(userMessage, conversationHistory, manifest, options);
+
+      if (turn.blocked) {
         // Return friendly message
-        return guardrailCheck.reason;
+        return turn.reason;
       }
-      
-      // Build system prompt with file context
-      const systemPrompt = await buildSystemPrompt(manifest);
-
-      // Build conversation messages with current user turn
-      const baseMessages = [
-        ...conversationHistory.map(entry => ({
-          role: entry.role,
-          content: [{ type: 'text', text: entry.content }]
-        })),
-        {
+
+      console.log(`🤖 Calling Claude (${model}) via ${provider.name}...`);
+      const runtimeMessages = [...turn.messages];
+      const attempts = [];
+      const trace = createTurnTrace(provider.name, model);
+      const toolTexts = [];
+      const loop = { attempts, trace, toolTexts };
+
+      const assistantMessage = await runChatLoop(turn, runtimeMessages, loop);
+      let result = finalizeAssistantMessage(assistantMessage, turn.citations, turn.piiPolicy);
+      let grounding = assistantMessage.trim() ? await checkGrounding(turn, result.message, toolTexts) : null;
+
+      // One regeneration when the persona asks for it; the retry is kept only if it scores at least as well
+      if (grounding?.unverified.length > 0 && options.personaProfile?.config?.regenerate_ungrounded) {
+        console.log('🔁 Regenerating answer without the unverified values...');
+        runtimeMessages.push({
           role: 'user',
-          content: [{ type: 'text', text: userMessage }]
+          content: [{ type: 'text', text: buildRegenerationPrompt(grounding.unverified) }]
+        });
+        const retryMessage = await runChatLoop(turn, runtimeMessages, loop);
+        const retry = finalizeAssistantMessage(retryMessage, turn.citations, turn.piiPolicy);
+        const retryGrounding = retryMessage.trim() ? await checkGrounding(turn, retry.message, toolTexts) : null;
+        const adopted = Boolean(retryGrounding) && (retryGrounding.score ?? 1) >= grounding.score;
+        const regeneration = { adopted, previousScore: grounding.score };
+        if (adopted) {
+          result = retry;
+          grounding = { ...retryGrounding, regeneration };
+        } else {
+          grounding = { ...grounding, regeneration };
         }
-      ];
+      }
+
+      const llm = summarizeAttempts(attempts);
+      return {
+        ...result,
+        grounding,
+        llm,
+        trace: trace.finish(llm)
+      };
+
+    } catch (error) {
+      console.error('Claude API error:', error);
+      throw mapClaudeError(error);
+    }
+  }
 
-      console.log(`🤖 Calling Claude (${model})...`);
+  /**
+   * Streaming variant of chat()
+   * Forwards text deltas and think steps through handlers as they arrive,
+   * then resolves with the same { message, contactIntent, citations } shape as chat().
+   *
+   * @param {string} userMessage - User's question
+   * @param {Array} conversationHistory - Previous messages
+   * @param {Object} manifest - File manifest with paths
+   * @param {Object} options - { onText(delta), onThink({ step }), signal, personaProfile, memorySummary, onGuardrail(result), onPiiBlock({ types, reason }) }
+   * @returns {Object} { message, contactIntent, citations, grounding, llm, trace, blocked }
+   */
+  async function chatStream(userMessage, conversationHistory = [], manifest = null, options = {}) {
+    const onText = typeof options.onText === 'function' ? options.onText : () => {};
+    const onThink = typeof options.onThink === 'function' ? options.onThink : () => {};
+
+    try {
+      const turn = await prepareChatTurn(userMessage, conversationHistory, manifest, options);
+
+      if (turn.blocked) {
+        onText(turn.reason);
+        return { message: turn.reason, contactIntent: null, citations: [], blocked: true };
+      }
+
+      console.log(`🤖 Streaming from Claude (${model}) via ${provider.name}...`);
       let assistantMessage = '';
       let iteration = 0;
-  const runtimeMessages = [...baseMessages];
-
-      while (iteration < MAX_THINK_ITERATIONS) {
-      const response = await anthropic.messages.create({
-          model: model,
-          max_tokens: parseInt(process.env.CLAUDE_MAX_TOKENS) || 4096,
-          temperature: parseFloat(process.env.CLAUDE_TEMPERATURE) || 0.3,
-          system: systemPrompt,
-          messages: runtimeMessages,
-          tools: [THINK_TOOL],
-          tool_choice: { type: 'auto' }
+      let thinkStep = 0;
+      const runtimeMessages = [...turn.messages];
+      const attempts = [];
+      const trace = createTurnTrace(provider.name, model);
+      const toolTexts = [];
+      // Contact intent filter -> system info redaction -> optional PII mask -> client,
+      // so streamed text gets the same output sanitization as chat()
+      const maskStream = turn.piiPolicy.maskOutput ? createPiiMaskStream(onText, { types: turn.piiPolicy.types }) : null;
+      const sanitizerStream = createOutputSanitizerStream(maskStream ? maskStream.push : onText);
+      const textFilter = createContactIntentFilter(sanitizerStream.push);
+
+      while (iteration < turn.maxIterations) {
+        let turnText = '';
+
+        const response = await provider.chatStream(buildChatRequest(turn, runtimeMessages), {
+          signal: options.signal,
+          onAttempt: entry => attempts.push(entry),
+          onText: delta => {
+            if (!turnText && assistantMessage) {
+              // Mirror the paragraph break chat() inserts between iterations
+              textFilter.push('\n\n');
+            }
+            turnText += delta;
+            textFilter.push(delta);
+          }
         });
 
-        // Log any think steps for debugging/observability
         logThinkSteps(response);
+        logPromptCacheUsage(response);
+        trace.recordResponse(response);
+
+        const toolCalls = response.content.filter(part => part.type === 'tool_use');
+        toolCalls
+          .filter(toolUse => toolUse.name === 'think' && toolUse.input?.thought)
+          .forEach(toolUse => {
+            thinkStep++;
+            // Progress only: the thought itself stays in the admin trace, never in the public stream
+            onThink({ step: thinkStep });
+          });
 
-        // Capture any assistant text generated in this turn
         const textSegments = extractTextSegments(response.content);
         if (textSegments.length > 0) {
           assistantMessage += (assistantMessage ? '\n\n' : '') + textSegments.join('\n\n');
         }
 
-        // Record assistant turn in conversation before deciding next step
         runtimeMessages.push({
           role: 'assistant',
           content: response.content
         });
 
-        // Identify tool invocations (e.g., think)
-        const toolCalls = response.content.filter(part => part.type === 'tool_use');
-
         if (toolCalls.length === 0) {
-          // Claude finished responding
           break;
         }
 
-        // Return tool results so Claude can continue
-        const toolResults = toolCalls.map(toolUse => ({
-          role: 'user',
-          content: [
-            {
-              type: 'tool_result',
-              tool_use_id: toolUse.id,
-              content: toolUse.name === 'think'
-                ? 'Thought logged. Continue.'
-                : 'Tool call acknowledged.'
-            }
-          ]
-        }));
-
-        runtimeMessages.push(...toolResults);
+        const toolResults = await buildToolResults(toolCalls, turn.dataTools);
+        trace.recordToolResults(toolResults);
+        toolTexts.push(...dataToolResultTexts(toolCalls, toolResults));
+        runtimeMessages.push(toolResults);
         iteration++;
       }
 
-      if (!assistantMessage.trim()) {
-        assistantMessage = 'I’m sorry, I could not generate a response from the current documents.';
-      }
-      
-      // Sanitize output to prevent data leakage
-      const sanitizedResult = sanitizeOutput(assistantMessage);
-      assistantMessage = sanitizedResult.sanitized;
+      textFilter.flush();
+      sanitizerStream.flush();
+      maskStream?.flush();
 
+      // Already streamed, so unverified values are flagged but not regenerated
+      const result = finalizeAssistantMessage(assistantMessage, turn.citations, turn.piiPolicy);
+      const grounding = assistantMessage.trim() ? await checkGrounding(turn, result.message, toolTexts) : null;
+
+      const llm = summarizeAttempts(attempts);
       return {
-        message: assistantMessage,
-        contactIntent: sanitizedResult.contactIntent
+        ...result,
+        grounding,
+        llm,
+        trace: trace.finish(llm),
+        blocked: false
       };
-
     } catch (error) {
-      console.error('Claude API error:', error);
-      
-      if (error.status === 401) {
-        throw new Error('Invalid API key. Please check your ANTHROPIC_API_KEY in .env file.');
-      }
-      
-      if (error.status === 429) {
-        throw new Error('Rate limit exceeded. Please try again in a moment.');
-      }
-
-      throw new Error(`Claude API error: ${error.message}`);
+      console.error('Claude streaming error:', error);
+      throw mapClaudeError(error);
     }
   }
 
   /**
-   * Build system prompt with file access instructions
-   * This simulates MCP by giving Claude the file contents directly
-   * Handles Excel tracking data, PDFs, DOCX, and other knowledge files
+   * Persona intro, formatting and grounding rules, think-tool guidance
    */
-  async function buildSystemPrompt(manifest) {
-    let prompt = `You are a helpful AI assistant with access to uploaded documents.
-
-Your role:
-- Act as the organisation's trusted representative (sales, support, or compliance) – speak in first person plural when referencing the business ("we", "our team").
-- Answer questions about tracking data, shipment status, and business information
-- Provide clear, accurate information from the uploaded files
-- Search across multiple file types (Excel, PDF, DOCX, text files)
-- Be friendly, professional, and empathetic
-- Stay in character: do **not** remind customers that you are an AI or describe tooling/limitations unless the policy requires a disclosure for safety or honesty. Instead, keep the focus on how "we" can help and, when needed, reference human follow-up ("I can connect you with our team...").
-- If you don't have information, admit it clearly while offering next-best actions (e.g., collect details for human follow-up).
+  function buildBasePrompt(personaProfile = null) {
+    let prompt = `${buildPersonaIntro(personaProfile) || DEFAULT_ROLE_INTRO}
 
 ${CONTACT_INTENT_INSTRUCTIONS}
 
@@ -265,7 +531,16 @@ If presenting multiple items, use tables:
     // Add grounding rules to prevent hallucination
     prompt += getGroundingRules();
 
-    prompt += `
+    const personaGuidance = buildPersonaGuidance(personaProfile);
+    if (personaGuidance) {
+      prompt += `
+## Using the think tool
+Before responding to anything non-trivial, jot brief notes in the think tool: what the customer needs, which uploaded documents or data tools answer it, what is missing, and whether escalation or a follow-up intent applies.
+
+`;
+      prompt += personaGuidance;
+    } else {
+      prompt += `
 ## Using the think tool (Policy & Compliance Focus)
 Before responding, pause and jot notes in the think tool when:
 - A user request might conflict with HR, ethics, or compliance rules.
@@ -297,7 +572,7 @@ User asks: “May I accept a holiday hamper from a vendor?”
 - Plan: quote gift-limit table, require written approval, log in gift register, suggest alternative (donate to charity).
 `;
 
-    prompt += `
+      prompt += `
 ## Response Expectations
 - After thinking, **always** deliver a final answer in the following structure:
   - ### Summary – Direct answer in 1–2 sentences.
@@ -309,206 +584,138 @@ User asks: “May I accept a holiday hamper from a vendor?”
 - Emphasize compliance, duty of disclosure, and record-keeping where relevant.
 - When diagram, architecture, topology, design, or blueprint files are present, proactively describe key components and architecture even if the user request is vague; use available vision extracts before asking for clarification.
 `;
+    }
+
+    return prompt;
+  }
+
+  /**
+   * Build the stable part of the system prompt
+   * Persona, rules and every uploaded file (triage, columns, vision summaries);
+   * it only changes with the manifest or persona config, so it is cached
+   * in-process and marked for Anthropic prompt caching.
+   * Handles Excel tracking data, PDFs, DOCX, and other knowledge files
+   */
+  async function buildStablePrompt(manifest, personaProfile = null, index = null, now = new Date()) {
+    let prompt = buildBasePrompt(personaProfile);
 
     if (!manifest) {
       prompt += `\nCurrently, no data has been uploaded. Please inform the user to upload their files first.`;
       return prompt;
     }
 
-    try {
-      const storage = getStorage();
-      const tenantPrefix = manifest?.tenantId ? tenantPersonaPrefix(manifest.tenantId, manifest?.persona || null) : null;
-      const manifestFiles = Array.isArray(manifest?.files) ? manifest.files : [];
-      for (const entry of manifestFiles) {
-        const storageKey = entry?.artifacts?.jsonKey || entry?.artifacts?.txtKey || entry?.artifacts?.metaKey;
-        if (!storageKey) continue;
-        const resolvedKey = tenantPrefix ? (storageKey.startsWith(tenantPrefix) ? storageKey : `${tenantPrefix}/${storageKey}`) : storageKey;
-        const buffer = await storage.read(resolvedKey);
-        const content = buffer.toString('utf-8');
-
-        prompt += `\nFile: ${entry.name}\n`;
-        prompt += formatTriageSummary(entry);
-
-        if (typeof content === 'string') {
-          if (content.startsWith('{') && content.endsWith('}')) {
-            try {
-              const jsonContent = JSON.parse(content);
-              if (Array.isArray(jsonContent)) {
-                prompt += `Records: ${jsonContent.length}\n`;
-                if (jsonContent.length > 0) {
-                  prompt += `Columns: ${Object.keys(jsonContent[0]).join(', ')}\n`;
-                  if (jsonContent.length <= 100) {
-                    prompt += `\nData:\n${JSON.stringify(jsonContent, null, 2)}\n`;
-                  } else {
-                    prompt += `\nSample (first 10):\n${JSON.stringify(jsonContent.slice(0, 10), null, 2)}\n`;
-                    prompt += `\n[Full dataset available with ${jsonContent.length} records]\n`;
-                  }
-                }
-              } else if (content) {
-                prompt += `⚠️ Structured data file parsed but not an array.\n`;
-              } else {
-                prompt += `⚠️ Structured data file not found in processed artifacts.\n`;
-              }
-            } catch (err) {
-              console.warn(`⚠️ Unable to parse JSON artifact (${resolvedKey}):`, err.message);
-            }
-          } else {
-            prompt += `Content:\n${content}\n`;
-          }
-        } else {
-          prompt += `⚠️ File content not found for ${resolvedKey}\n`;
-        }
+    const manifestFiles = Array.isArray(manifest?.files) ? manifest.files : [];
+    const storageOptions = {
+      tenantId: manifest?.tenantId || 'default',
+      personaId: manifest?.persona || null
+    };
 
-        prompt += `\n---\n`;
+    const summarizeVisionPayload = (payload) => {
+      if (!payload || typeof payload !== 'object') {
+        return null;
       }
 
-      const summarizeVisionPayload = (payload) => {
-        if (!payload || typeof payload !== 'object') {
-          return null;
-        }
-
-        const docProfile = payload.document_profile || payload.document_metadata || {};
-        const technical = payload.core_content?.technical_diagram;
-        const risks = Array.isArray(payload.risks) ? payload.risks.slice(0, 5) : [];
-        const qaPairs = Array.isArray(payload.qa_pairs) ? payload.qa_pairs.slice(0, 3) : [];
-
-        const summary = {
-          profile: {
-            detected_type: docProfile.detected_type || payload.document_metadata?.detected_type || null,
-            primary_purpose: docProfile.primary_purpose || null,
-            confidence_score: docProfile.confidence_score || null
-          },
-          components: technical?.components?.slice(0, 8)?.map(component => ({
-            name: component.component_name || component.name || null,
-            type: component.component_type || null,
-            criticality: component.criticality || null
-          })) || [],
-          connections: technical?.connections?.slice(0, 6)?.map(connection => ({
-            source: connection.source_component || null,
-            destination: connection.destination_component || null,
-            type: connection.connection_type || null
-          })) || [],
-          risks: risks.map(risk => ({
-            id: risk.risk_id || null,
-            type: risk.risk_type || null,
-            description: risk.description || null,
-            impact: risk.impact || null,
-            mitigation: risk.mitigation || risk.mitigation_recommendations || null
-          })),
-          qa_pairs: qaPairs.map(pair => ({
-            question: pair.question || null,
-            answer: pair.answer || null
-          })),
-          executive_summary: payload.executive_summary || null,
-          detailed_summary: payload.detailed_summary ? `${payload.detailed_summary.substring(0, 800)}${payload.detailed_summary.length > 800 ? '...' : ''}` : null
-        };
-
-        return summary;
+      const docProfile = payload.document_profile || payload.document_metadata || {};
+      const technical = payload.core_content?.technical_diagram;
+      const risks = Array.isArray(payload.risks) ? payload.risks.slice(0, 5) : [];
+      const qaPairs = Array.isArray(payload.qa_pairs) ? payload.qa_pairs.slice(0, 3) : [];
+
+      const summary = {
+        profile: {
+          detected_type: docProfile.detected_type || payload.document_metadata?.detected_type || null,
+          primary_purpose: docProfile.primary_purpose || null,
+          confidence_score: docProfile.confidence_score || null
+        },
+        components: technical?.components?.slice(0, 8)?.map(component => ({
+          name: component.component_name || component.name || null,
+          type: component.component_type || null,
+          criticality: component.criticality || null
+        })) || [],
+        connections: technical?.connections?.slice(0, 6)?.map(connection => ({
+          source: connection.source_component || null,
+          destination: connection.destination_component || null,
+          type: connection.connection_type || null
+        })) || [],
+        risks: risks.map(risk => ({
+          id: risk.risk_id || null,
+          type: risk.risk_type || null,
+          description: risk.description || null,
+          impact: risk.impact || null,
+          mitigation: risk.mitigation || risk.mitigation_recommendations || null
+        })),
+        qa_pairs: qaPairs.map(pair => ({
+          question: pair.question || null,
+          answer: pair.answer || null
+        })),
+        executive_summary: payload.executive_summary || null,
+        detailed_summary: payload.detailed_summary ? `${payload.detailed_summary.substring(0, 800)}${payload.detailed_summary.length > 800 ? '...' : ''}` : null
       };
 
-      const knowledgeEntries = manifest.files.filter(file => ['pdf', 'docx', 'txt'].includes((file.type || '').toLowerCase()));
-      if (knowledgeEntries.length > 0) {
-        prompt += `\n=== KNOWLEDGE BASE (PDF/DOCX/Text) ===\n`;
-        for (const entry of knowledgeEntries) {
-          const textContent = await loadTextFromStorage(entry.artifacts?.txtKey, {
-            tenantId: manifest?.tenantId || 'default',
-            personaId: manifest?.persona || null
-          });
+      return summary;
+    };
 
-          prompt += `\nFile: ${entry.name}\n`;
-          prompt += formatTriageSummary(entry);
+    prompt += `\n=== UPLOADED FILES ===\n`;
+    for (const entry of manifestFiles) {
+      prompt += `\nFile: ${entry.name}\n`;
+      prompt += formatTriageSummary(entry);
+      prompt += `\n`;
 
-          const visionPayload = await loadVisionArtifacts(entry, {
-            tenantId: manifest?.tenantId || 'default',
-            personaId: manifest?.persona || null
-          });
-          if (visionPayload) {
-            prompt += `Vision JSON available -> ${entry.artifacts.parsedJsonPath || entry.artifacts.jsonKey}\n`;
-            const excerpt = buildVisionExcerpt(visionPayload);
-            if (excerpt) {
-              prompt += `Vision Extract Summary:\n${excerpt}\n`;
-            }
-            const summarized = summarizeVisionPayload(visionPayload);
-            if (summarized) {
-              prompt += `Vision Context (summarized):\n${JSON.stringify(summarized, null, 2)}\n`;
-            }
-          }
+      const columns = entry.metadata?.columns;
+      if (Array.isArray(entry.sheets) && entry.sheets.length > 1) {
+        getEntrySheets(entry).forEach((sheet, sheetIndex) => {
+          prompt += `Sheet "${sheet.name}"${sheetIndex === 0 ? ' (main)' : ''}: ${sheet.rowCount} records\n`;
+          prompt += `  Columns: ${(sheet.columns || []).join(', ')}\n`;
+        });
+      } else if (Array.isArray(columns) && columns.length > 0) {
+        const rowCount = entry.metadata?.rowCount ?? entry.metadata?.rows;
+        if (rowCount !== undefined) prompt += `Records: ${rowCount}\n`;
+        prompt += `Columns: ${columns.join(', ')}\n`;
+      }
+      (entry.enrichment?.joins || []).forEach(join => {
+        prompt += `Joined from ${join.lookupFile} on ${join.mainKey}: ${join.addedColumns.join(', ')}\n`;
+      });
 
-          if (!textContent) {
-            prompt += `⚠️ Text extraction unavailable for this file.\n`;
-          } else {
-            const nonPrintableMatches = textContent.match(/[^\x20-\x7E\s]/g) || [];
-            const nonPrintableRatio = nonPrintableMatches.length / Math.max(textContent.length, 1);
-            const hasUsableWords = /[A-Za-z]{4,}/.test(textContent);
-            const isGarbled = textContent.length < 20 || 
-                             /^[\s\n\r\t]+$/.test(textContent) || 
-                             textContent.includes('\u0000') ||
-                             textContent.includes('\u0001') ||
-                             textContent.includes('\u0002') ||
-                             (!hasUsableWords) ||
-                             nonPrintableRatio > 0.8;
-
-            if (isGarbled) {
-              prompt += `⚠️ WARNING: This file appears to contain garbled or unreadable content.\n`;
-              prompt += `Content preview (first 200 chars): ${textContent.substring(0, 200)}\n`;
-              prompt += `If asked about this file, inform the user that the content is garbled and cannot be read.\n`;
-            } else {
-              const importantKeywords = [
-                { label: 'sick leave', regex: /.{0,120}sick\s+(leave|days|policy).{0,160}/gi },
-                { label: 'medical leave', regex: /.{0,160}medical\s+leave.{0,160}/gi },
-                { label: 'paid time off', regex: /.{0,160}(paid\s+time\s+off|pto).{0,160}/gi },
-                { label: 'vacation policy', regex: /.{0,160}vacation.{0,160}/gi }
-              ];
-
-              const highlights = [];
-              for (const { label, regex } of importantKeywords) {
-                const matches = [];
-                let match;
-                while ((match = regex.exec(textContent)) !== null && matches.length < 3) {
-                  matches.push(match[0].replace(/\s+/g, ' ').trim());
-                }
-                if (matches.length > 0) {
-                  highlights.push({ label, matches });
-                }
-              }
-
-              if (highlights.length > 0) {
-                prompt += `Key excerpts detected:\n`;
-                for (const { label, matches } of highlights) {
-                  prompt += `- ${label}: ${matches.join(' ... ')}\n`;
-                }
-                prompt += `\n`;
-              }
-
-              if (textContent.length <= 5000) {
-                prompt += `Content:\n${textContent}\n`;
-              } else {
-                prompt += `Content (first 5000 chars):\n${textContent.substring(0, 5000)}...\n`;
-                prompt += `[Document continues, total length: ${textContent.length} characters]\n`;
-              }
-            }
+      if (TEXT_FILE_TYPES.includes((entry.type || '').toLowerCase())) {
+        const visionPayload = await loadVisionArtifacts(entry, storageOptions);
+        if (visionPayload) {
+          prompt += `Vision JSON available -> ${entry.artifacts.parsedJsonPath || entry.artifacts.jsonKey}\n`;
+          const excerpt = buildVisionExcerpt(visionPayload);
+          if (excerpt) {
+            prompt += `Vision Extract Summary:\n${excerpt}\n`;
           }
+          const summarized = summarizeVisionPayload(visionPayload);
+          if (summarized) {
+            prompt += `Vision Context (summarized):\n${JSON.stringify(summarized, null, 2)}\n`;
+          }
+        }
 
-          prompt += `\n---\n`;
+        if (index?.files?.[entry.name]?.garbled) {
+          prompt += `⚠️ WARNING: This file appears to contain garbled or unreadable content.\n`;
+          prompt += `If asked about this file, inform the user that the content is garbled and cannot be read.\n`;
         }
       }
 
-      prompt += `\n\n=== INSTRUCTIONS FOR ANSWERING QUESTIONS ===
+      prompt += `\n---\n`;
+    }
+
+    prompt += getDataToolInstructions(manifest, now);
+
+    prompt += `\n\n=== INSTRUCTIONS FOR ANSWERING QUESTIONS ===
 
 For TRACKING questions (PO numbers, shipment status, ETA):
-1. Search the structured data (Excel/CSV files) for the specific reference
+1. Use the tracking data tools (lookup_record, filter_rows, aggregate_rows) for the specific reference or count
 2. Provide complete information: Status, ETA, Location, Carrier, etc.
 3. If not found, suggest similar matches or ask for clarification
 4. Mention any issues or delays proactively
 
 For KNOWLEDGE questions (products, procedures, policies):
-1. Search the knowledge base (PDF/DOCX/Text files) for relevant information
+1. Use the knowledge base excerpts (PDF/DOCX/Text files) for relevant information
 2. Quote or paraphrase the source document
 3. Provide context and explain clearly
 4. If information spans multiple documents, synthesize it
 
 For GENERAL questions:
-1. Search ALL available files for relevant information
+1. Check excerpts from ALL files for relevant information
 2. Combine information from multiple sources if needed
 3. Be clear about which file(s) you're referencing
 4. If information is uncertain or incomplete, say so
@@ -517,18 +724,75 @@ Answer in a friendly, professional tone. Don't mention file formats or JSON - ju
 **Finally, and most importantly: After providing your full answer, you MUST conclude with a '## References' section that lists the document name and page/section you used.**";
 `;
 
+    return prompt;
+  }
+
+  /**
+   * Build the per-turn part of the system prompt
+   * Only the chunks retrieved for the current query (BM25, token-budgeted),
+   * registered with the turn's citation registry and labelled [S1], [S2], …
+   */
+  function buildTurnPrompt(retrieval, citations = null) {
+    let prompt = `\n=== RELEVANT EXCERPTS ===\n`;
+    prompt += `The excerpts below were retrieved from the uploaded files for the current question (${retrieval.chunks.length} of ${retrieval.totalChunks} sections). `;
+    prompt += `If the answer is not in them, say so rather than guessing.\n`;
+    if (retrieval.chunks.length === 0) {
+      prompt += `\n(No matching content found in the uploaded files.)\n`;
+    }
+    for (const chunk of retrieval.chunks) {
+      const label = citations ? `[${citations.registerChunk(chunk)}] ` : '';
+      prompt += `\n${label}[Source: ${formatChunkLocation(chunk)}]\n${chunk.text}\n---\n`;
+    }
+
+    if (citations) {
+      prompt += `
+## Citing sources
+- Each excerpt above starts with a label such as [S1]; data tool results include a "source" label such as "T1".
+- When a sentence relies on an excerpt or tool result, put its label in square brackets right after the sentence, e.g. "Returns are accepted within 30 days. [S2]" or "PO SG-001 is in transit. [T1]"
+- Cite several sources as [S1][S3]. Only use labels that appear in this conversation turn; never invent labels.
+`;
+    }
+
+    return prompt;
+  }
+
+  /**
+   * Assemble the system prompt for a chat turn
+   * The synced search index and the stable prompt are reused across turns
+   * while the manifest is unchanged (see services/context-cache.js)
+   * @returns {Object} { stablePrompt, turnPrompt }
+   */
+  async function buildSystemPrompt(manifest, query = '', personaProfile = null, citations = null, memorySummary = null) {
+    let stablePrompt;
+    let turnPrompt = '';
+
+    try {
+      const now = new Date();
+      const index = manifest
+        ? await getCachedContext(manifest, 'search-index', () => loadManifestIndex(manifest))
+        : null;
+      // Persona config and today's date (data tool instructions) change without a new manifest
+      const variant = `system:${hashPersonaProfile(personaProfile)}:${now.toISOString().slice(0, 10)}`;
+      stablePrompt = await getCachedContext(manifest, variant, () => buildStablePrompt(manifest, personaProfile, index, now));
+      if (manifest) {
+        turnPrompt = buildTurnPrompt(await retrieveChunks(manifest, query, { index }), citations);
+      }
     } catch (error) {
       console.error('Error reading uploaded data:', error);
-      prompt += `\nError loading uploaded data. Please try uploading the files again.`;
+      stablePrompt = `${buildBasePrompt(personaProfile)}\nError loading uploaded data. Please try uploading the files again.`;
     }
 
-    return prompt;
+    if (memorySummary) {
+      turnPrompt += `\n## Earlier in this conversation\nSummary of turns no longer shown in the message history:\n${memorySummary}\n`;
+    }
+
+    return { stablePrompt, turnPrompt };
   }
 
   /**
    * Raw chat without knowledge base context - for generating content
    * @param {Array} messages - Array of {role, content} message objects
-   * @param {Object} options - Optional settings
+   * @param {Object} options - { system, maxTokens, model, onAttempt(entry) }
    * @returns {string} - AI response text
    */
   async function rawChat(messages, options = {}) {
@@ -536,11 +800,13 @@ Answer in a friendly, professional tone. Don't mention file formats or JSON - ju
       const systemPrompt = options.system || 'You are a helpful AI assistant. Respond in JSON format when requested.';
       const maxTokens = options.maxTokens || 4096;
       
-      const response = await anthropic.messages.create({
+      const response = await provider.rawChat({
         model: options.model || model,
         max_tokens: maxTokens,
         system: systemPrompt,
         messages: messages
+      }, {
+        onAttempt: options.onAttempt
       });
 
       return extractTextFromResponse(response);
@@ -552,11 +818,99 @@ Answer in a friendly, professional tone. Don't mention file formats or JSON - ju
 
   return {
     chat,
+    chatStream,
     rawChat,
+    evaluateGuardrails: (message, policyOverrides = null) => evaluateGuardrails(message, null, policyOverrides, { classify: classifyGuardrail }),
+    getLLMHealth: () => (typeof provider.getHealth === 'function' ? provider.getHealth() : null),
     model
   };
 }
 
+function formatChunkLocation(chunk = {}) {
+  const parts = [chunk.fileName];
+  if (chunk.page) parts.push(`Page ${chunk.page}`);
+  if (chunk.sheet) parts.push(`Sheet ${chunk.sheet}`);
+  if (chunk.rowStart) parts.push(`Rows ${chunk.rowStart}-${chunk.rowEnd}`);
+  if (chunk.heading) parts.push(`Section: ${chunk.heading}`);
+  return parts.join(' | ');
+}
+
+function hashPersonaProfile(personaProfile) {
+  return crypto.createHash('sha1').update(JSON.stringify(personaProfile || null)).digest('hex').slice(0, 12);
+}
+
+function logPromptCacheUsage(response) {
+  const read = response?.usage?.cache_read_input_tokens || 0;
+  const written = response?.usage?.cache_creation_input_tokens || 0;
+  if (read || written) {
+    console.log(`💾 Prompt cache: ${read} tokens read, ${written} tokens written`);
+  }
+}
+
+/**
+ * Admin-only record of one assistant turn: think steps, tool calls, model,
+ * token usage and latency. Stored on the transcript message, never sent to the chat.
+ */
+function createTurnTrace(providerName, requestedModel) {
+  const started = Date.now();
+  const trace = {
+    provider: providerName,
+    model: requestedModel,
+    iterations: 0,
+    thinkSteps: [],
+    toolCalls: [],
+    usage: { inputTokens: 0, outputTokens: 0, cacheReadTokens: 0, cacheWriteTokens: 0 },
+    stopReason: null,
+    latencyMs: 0
+  };
+
+  return {
+    recordResponse(response) {
+      trace.iterations++;
+      trace.model = response?.model || trace.model;
+      trace.stopReason = response?.stop_reason || null;
+
+      const usage = response?.usage || {};
+      trace.usage.inputTokens += usage.input_tokens || 0;
+      trace.usage.outputTokens += usage.output_tokens || 0;
+      trace.usage.cacheReadTokens += usage.cache_read_input_tokens || 0;
+      trace.usage.cacheWriteTokens += usage.cache_creation_input_tokens || 0;
+
+      (response?.content || [])
+        .filter(part => part.type === 'tool_use')
+        .forEach(part => {
+          if (part.name === 'think') {
+            trace.thinkSteps.push({
+              step: trace.thinkSteps.length + 1,
+              iteration: trace.iterations,
+              thought: part.input?.thought || ''
+            });
+          } else {
+            trace.toolCalls.push({ id: part.id, iteration: trace.iterations, name: part.name, input: part.input || {}, isError: false });
+          }
+        });
+    },
+
+    recordToolResults(toolResults) {
+      (toolResults?.content || [])
+        .filter(result => result.is_error)
+        .forEach(result => {
+          const call = trace.toolCalls.find(entry => entry.id === result.tool_use_id);
+          if (call) call.isError = true;
+        });
+    },
+
+    finish(llm) {
+      return {
+        ...trace,
+        toolCalls: trace.toolCalls.map(({ id, ...call }) => call),
+        latencyMs: Date.now() - started,
+        llm: llm ? { attempts: llm.attempts, failures: llm.failures, fallbackUsed: llm.fallbackUsed, models: llm.models } : null
+      };
+    }
+  };
+}
+
 function logThinkSteps(response) {
   if (!response?.content) return;
 
@@ -573,6 +927,88 @@ function logThinkSteps(response) {
   });
 }
 
+/**
+ * Data-tool output of one iteration, as grounding evidence
+ */
+function dataToolResultTexts(toolCalls = [], toolResults = null) {
+  const dataCallIds = new Set(toolCalls.filter(toolUse => isDataTool(toolUse.name)).map(toolUse => toolUse.id));
+  return (toolResults?.content || [])
+    .filter(result => dataCallIds.has(result.tool_use_id) && !result.is_error)
+    .map(result => (typeof result.content === 'string' ? result.content : JSON.stringify(result.content)));
+}
+
+/**
+ * Build the user turn carrying a tool_result for every tool_use in the response
+ * Data tools are executed against the tracking artifacts; think is acknowledged
+ */
+async function buildToolResults(toolCalls = [], dataTools = null) {
+  const content = [];
+
+  for (const toolUse of toolCalls) {
+    if (toolUse.name === 'think') {
+      content.push({ type: 'tool_result', tool_use_id: toolUse.id, content: 'Thought logged. Continue.' });
+    } else if (dataTools && isDataTool(toolUse.name)) {
+      const result = await dataTools.execute(toolUse);
+      content.push({
+        type: 'tool_result',
+        tool_use_id: toolUse.id,
+        content: result.content,
+        ...(result.isError ? { is_error: true } : {})
+      });
+    } else {
+      content.push({ type: 'tool_result', tool_use_id: toolUse.id, content: 'Tool call acknowledged.' });
+    }
+  }
+
+  return { role: 'user', content };
+}
+
+const CONTACT_INTENT_MARKER = '{{contact_intent:';
+
+/**
+ * Wrap a text-delta callback so the machine-readable contact intent block
+ * is withheld from streamed output. Text that could be the start of the
+ * marker is buffered until it is disambiguated.
+ */
+function createContactIntentFilter(emit) {
+  let pending = '';
+  let suppressed = false;
+
+  return {
+    push(delta) {
+      if (suppressed || !delta) return;
+      pending += delta;
+
+      const markerIndex = pending.indexOf(CONTACT_INTENT_MARKER);
+      if (markerIndex !== -1) {
+        const visible = pending.slice(0, markerIndex).trimEnd();
+        if (visible) emit(visible);
+        pending = '';
+        suppressed = true;
+        return;
+      }
+
+      // Keep back any suffix that could still grow into the marker
+      let holdFrom = pending.length;
+      for (let i = Math.max(0, pending.length - CONTACT_INTENT_MARKER.length + 1); i < pending.length; i++) {
+        if (CONTACT_INTENT_MARKER.startsWith(pending.slice(i))) {
+          holdFrom = i;
+          break;
+        }
+      }
+
+      const visible = pending.slice(0, holdFrom);
+      pending = pending.slice(holdFrom);
+      if (visible) emit(visible);
+    },
+
+    flush() {
+      if (!suppressed && pending) emit(pending);
+      pending = '';
+    }
+  };
+}
+
 function extractTextSegments(content = []) {
   return content
     .filter(part => part.type === 'text' && part.text?.trim())
@@ -592,38 +1028,3 @@ function extractTextFromResponse(response) {
 
   return textSegments.join('\n\n');
 }
-
-/**
- * Helper: Extract specific PO data from tracking file
- * Used for quick lookups without loading all data into prompt
- */
-export async function findPOData(poNumber, processedKeyPrefix) {
-  try {
-    const storage = getStorage();
-    const key = path.join(processedKeyPrefix || '', 'tracking_main.json');
-    if (!(await storage.exists(key))) {
-      return null;
-    }
-
-    const buffer = await storage.read(key);
-    const trackingData = JSON.parse(buffer.toString('utf-8'));
-
-    const normalizedPO = poNumber?.toLowerCase?.() || '';
-    if (!normalizedPO) return null;
-
-    const found = trackingData.find(row => {
-      return Object.values(row).some(value => {
-        if (typeof value === 'string') {
-          return value.toLowerCase().includes(normalizedPO);
-        }
-        return false;
-      });
-    });
-
-    return found || null;
-  } catch (error) {
-    console.error('Error finding PO data:', error);
-    return null;
-  }
-}
-
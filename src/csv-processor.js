@@ -0,0 +1,333 @@
+import fs from 'fs';
+
+/**
+ * CSV ingestion
+ * Exports from ERPs and spreadsheets vary: semicolon or tab delimiters,
+ * UTF-16 / Windows-1252 encodings, report titles above the header. The
+ * encoding, delimiter, quote character and header row are sniffed from the
+ * start of the file, then the whole file is decoded and parsed chunk by chunk.
+ * Every row is still returned in memory, so file size is bounded by the
+ * upload limit (MAX_FILE_SIZE), not by this parser.
+ */
+
+const SAMPLE_BYTES = 64 * 1024;
+const CHUNK_BYTES = 1024 * 1024;
+const SAMPLE_RECORDS = 50;
+const HEADER_SEARCH_RECORDS = 20;
+const DELIMITERS = [',', ';', '\t', '|'];
+const QUOTE_CHARS = ['"', "'"];
+
+/**
+ * Encoding from the byte order mark, else from the byte pattern of a sample
+ * @returns {Object} { encoding, bom }
+ */
+export function detectEncoding(sample) {
+  if (sample[0] === 0xEF && sample[1] === 0xBB && sample[2] === 0xBF) return { encoding: 'utf-8', bom: true };
+  if (sample[0] === 0xFF && sample[1] === 0xFE) return { encoding: 'utf-16le', bom: true };
+  if (sample[0] === 0xFE && sample[1] === 0xFF) return { encoding: 'utf-16be', bom: true };
+
+  // UTF-16 without BOM: ASCII text leaves every other byte zero
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i < sample.length; i++) {
+    if (sample[i] === 0) {
+      if (i % 2 === 0) evenZeros++;
+      else oddZeros++;
+    }
+  }
+  const half = sample.length / 2;
+  if (half > 0 && oddZeros / half > 0.3 && evenZeros / half < 0.05) return { encoding: 'utf-16le', bom: false };
+  if (half > 0 && evenZeros / half > 0.3 && oddZeros / half < 0.05) return { encoding: 'utf-16be', bom: false };
+
+  try {
+    // stream: true tolerates a multi-byte character cut off at the end of the sample
+    new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+    return { encoding: 'utf-8', bom: false };
+  } catch {
+    return { encoding: 'windows-1252', bom: false };
+  }
+}
+
+/**
+ * Incremental RFC 4180 parser: push() text as it is decoded, get completed
+ * records back as { fields, line } (line = 1-based line the record starts on)
+ */
+export function createCsvParser({ delimiter = ',', quoteChar = '"' } = {}) {
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  let quotePending = false;   // a quote inside a quoted field: escaped quote or end of field
+  let fieldStarted = false;
+  let lastWasCR = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endField = () => {
+    record.push(field);
+    field = '';
+    fieldStarted = false;
+  };
+
+  const endRecord = records => {
+    endField();
+    records.push({ fields: record, line: recordLine });
+    record = [];
+    recordLine = line;
+  };
+
+  return {
+    push(text) {
+      const records = [];
+      for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (lastWasCR) {
+          lastWasCR = false;
+          if (char === '\n') continue;
+        }
+
+        if (inQuotes) {
+          if (quotePending) {
+            quotePending = false;
+            if (char === quoteChar) {
+              field += quoteChar;
+              continue;
+            }
+            inQuotes = false;
+            // Fall through: the character after the closing quote
+          } else if (char === quoteChar) {
+            quotePending = true;
+            continue;
+          } else {
+            if (char === '\n') line++;
+            field += char;
+            continue;
+          }
+        }
+
+        if (char === quoteChar && !fieldStarted) {
+          inQuotes = true;
+          fieldStarted = true;
+        } else if (char === delimiter) {
+          endField();
+        } else if (char === '\n' || char === '\r') {
+          lastWasCR = char === '\r';
+          line++;
+          endRecord(records);
+        } else {
+          field += char;
+          fieldStarted = true;
+        }
+      }
+      return records;
+    },
+
+    flush() {
+      const records = [];
+      if (record.length > 0 || field !== '' || fieldStarted) {
+        endRecord(records);
+      }
+      return records;
+    }
+  };
+}
+
+function parseSample(text, dialect) {
+  const parser = createCsvParser(dialect);
+  return [...parser.push(text), ...parser.flush()]
+    .filter(record => !isBlankRecord(record.fields))
+    .slice(0, SAMPLE_RECORDS);
+}
+
+function isBlankRecord(record) {
+  return record.every(value => value.trim() === '');
+}
+
+function mode(values) {
+  const counts = new Map();
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  let best = null;
+  let bestCount = 0;
+  counts.forEach((count, value) => {
+    if (count > bestCount || (count === bestCount && value > best)) {
+      best = value;
+      bestCount = count;
+    }
+  });
+  return { value: best, count: bestCount };
+}
+
+/**
+ * Single quotes only when fields are actually wrapped in them; an apostrophe
+ * inside a value ("Customers' orders", 'ok' fine) is not a quote boundary
+ */
+function sniffQuoteChar(text, delimiter) {
+  const fields = text.split(/\r\n|\n|\r/).flatMap(line => line.split(delimiter)).map(field => field.trim());
+  const quotedCount = quote => fields.filter(field => field.length >= 2 &&
+    field.startsWith(quote) && field.endsWith(quote) && !field.slice(1, -1).replaceAll(quote + quote, '').includes(quote)).length;
+  const [double, single] = QUOTE_CHARS.map(quotedCount);
+  return single > double ? "'" : '"';
+}
+
+/**
+ * Delimiter, quote character and header row of a decoded sample
+ * The delimiter is the one giving the most records with the same (>1) field count
+ * @returns {Object} { delimiter, quoteChar, headerIndex (among non-blank records), headerLine, columnCount }
+ */
+export function sniffDialect(text) {
+  // Drop a trailing partial line so a cut-off record doesn't skew the counts
+  const lastBreak = Math.max(text.lastIndexOf('\n'), text.lastIndexOf('\r'));
+  const sample = lastBreak > 0 ? text.slice(0, lastBreak) : text;
+
+  let best = null;
+  for (const delimiter of DELIMITERS) {
+    const quoteChar = sniffQuoteChar(sample, delimiter);
+    const records = parseSample(sample, { delimiter, quoteChar });
+    const { value: columnCount, count } = mode(records.map(record => record.fields.length));
+    if (!columnCount || columnCount < 2) continue;
+    if (!best || count > best.count || (count === best.count && columnCount > best.columnCount)) {
+      best = { delimiter, quoteChar, columnCount, count, records };
+    }
+  }
+
+  if (!best) {
+    const quoteChar = sniffQuoteChar(sample, ',');
+    const [first] = parseSample(sample, { delimiter: ',', quoteChar });
+    return { delimiter: ',', quoteChar, headerIndex: 0, headerLine: first?.line || 1, columnCount: 1 };
+  }
+
+  // Header: the first full-width record with most cells filled; anything above is preamble
+  const minFilled = Math.max(2, Math.ceil(best.columnCount * 0.6));
+  const headerIndex = Math.max(0, best.records
+    .slice(0, HEADER_SEARCH_RECORDS)
+    .findIndex(({ fields }) => fields.length >= best.columnCount &&
+      fields.filter(value => value.trim() !== '').length >= minFilled));
+
+  return {
+    delimiter: best.delimiter,
+    quoteChar: best.quoteChar,
+    headerIndex,
+    headerLine: best.records[headerIndex].line,
+    columnCount: best.columnCount
+  };
+}
+
+function toBuffer(file) {
+  const source = file.buffer?.length ? file.buffer : file.rawBuffer;
+  return Buffer.isBuffer(source) ? source : Buffer.from(source);
+}
+
+async function readSample(file) {
+  if (file?.buffer?.length || file?.rawBuffer?.length) {
+    const buffer = toBuffer(file);
+    return buffer.subarray(0, SAMPLE_BYTES);
+  }
+  if (file?.path) {
+    const handle = await fs.promises.open(file.path, 'r');
+    try {
+      const { buffer, bytesRead } = await handle.read(Buffer.alloc(SAMPLE_BYTES), 0, SAMPLE_BYTES, 0);
+      return buffer.subarray(0, bytesRead);
+    } finally {
+      await handle.close();
+    }
+  }
+  throw new Error(`File buffer unavailable for ${file?.originalname || 'uploaded file'}`);
+}
+
+async function* readChunks(file) {
+  if (file?.buffer?.length || file?.rawBuffer?.length) {
+    const buffer = toBuffer(file);
+    for (let offset = 0; offset < buffer.length; offset += CHUNK_BYTES) {
+      yield buffer.subarray(offset, offset + CHUNK_BYTES);
+    }
+    return;
+  }
+  yield* fs.createReadStream(file.path, { highWaterMark: CHUNK_BYTES });
+}
+
+function buildColumns(header) {
+  const seen = new Map();
+  return header.map((value, index) => {
+    let name = value.trim() || `Column ${index + 1}`;
+    const count = seen.get(name.toLowerCase()) || 0;
+    seen.set(name.toLowerCase(), count + 1);
+    if (count > 0) name = `${name}_${count + 1}`;
+    return name;
+  });
+}
+
+/**
+ * Parse an uploaded CSV file (multer buffer or disk path)
+ * @returns {Object} { rows, columns, dialect: { encoding, bom, delimiter, quoteChar, headerRow, skippedRows, columnCount } }
+ */
+export async function parseCsvFile(file) {
+  const sample = await readSample(file);
+  const { encoding, bom } = detectEncoding(sample);
+  const sniffed = sniffDialect(new TextDecoder(encoding).decode(sample, { stream: true }));
+
+  const decoder = new TextDecoder(encoding);
+  const parser = createCsvParser(sniffed);
+  const rows = [];
+  let columns = null;
+  let headerWidth = 0;
+  let recordIndex = 0;
+
+  const addRecords = records => {
+    for (const { fields: record } of records) {
+      if (isBlankRecord(record)) continue;
+      if (recordIndex++ < sniffed.headerIndex) continue;
+
+      if (!columns) {
+        columns = buildColumns(record);
+        headerWidth = columns.length;
+        continue;
+      }
+
+      // Fields past the header get their own columns instead of being dropped
+      while (columns.length < record.length) {
+        columns.push(`Column ${columns.length + 1}`);
+      }
+      const row = {};
+      columns.forEach((column, index) => {
+        row[column] = (record[index] ?? '').trim();
+      });
+      rows.push(row);
+    }
+  };
+
+  for await (const chunk of readChunks(file)) {
+    addRecords(parser.push(decoder.decode(chunk, { stream: true })));
+  }
+  addRecords(parser.push(decoder.decode()));
+  addRecords(parser.flush());
+
+  columns = columns || [];
+  if (columns.length > headerWidth) {
+    rows.forEach(row => {
+      columns.forEach(column => {
+        if (!(column in row)) row[column] = '';
+      });
+    });
+  }
+
+  return {
+    rows,
+    columns,
+    dialect: {
+      encoding,
+      bom,
+      delimiter: sniffed.delimiter,
+      quoteChar: sniffed.quoteChar,
+      headerRow: sniffed.headerLine,
+      skippedRows: sniffed.headerLine - 1,
+      columnCount: columns.length
+    }
+  };
+}
+
+export default {
+  parseCsvFile,
+  detectEncoding,
+  sniffDialect,
+  createCsvParser
+};
@@ -0,0 +1,584 @@
+import { readJson } from './services/storage-helper.js';
+
+/**
+ * Deterministic data tools for tracking spreadsheets
+ * Exposed to Claude in the chat loop and executed server-side against the
+ * processed JSON artifacts of `tracking` category files, so lookups and
+ * counts don't depend on what happened to fit in the prompt.
+ */
+
+const MAX_FILTER_ROWS = 200;
+const DEFAULT_FILTER_ROWS = 50;
+const MAX_LOOKUP_ROWS = 20;
+const MAX_DISTINCT_VALUES = 200;
+const MAX_AGGREGATE_GROUPS = 200;
+// `po` only as a word ("PO", "PO No", "PONumber"), not inside "Port", "Report" or "Depot"
+const KEY_COLUMN_PATTERN = /\bpo\b|\bpo[_\s]?(no|num|number)\b|purchase\s*order|order|tracking|shipment|invoice|reference|awb|id$/i;
+
+const CONDITION_SCHEMA = {
+  type: 'array',
+  description: 'Row conditions. Operators: eq, neq, contains, not_contains, in, gt, gte, lt, lte, between, is_empty, not_empty. Comparisons are numeric for numbers and chronological for dates (use YYYY-MM-DD).',
+  items: {
+    type: 'object',
+    properties: {
+      column: { type: 'string', description: 'Column name' },
+      operator: {
+        type: 'string',
+        enum: ['eq', 'neq', 'contains', 'not_contains', 'in', 'gt', 'gte', 'lt', 'lte', 'between', 'is_empty', 'not_empty']
+      },
+      value: {
+        description: 'Comparison value. Array of values for "in", [min, max] for "between", omitted for is_empty/not_empty.'
+      }
+    },
+    required: ['column', 'operator']
+  }
+};
+
+const FILE_PROPERTY = {
+  type: 'string',
+  description: 'Tracking file name. Defaults to the main tracking file.'
+};
+
+const SHEET_PROPERTY = {
+  type: 'string',
+  description: 'Worksheet name in a multi-sheet workbook. Defaults to the main sheet.'
+};
+
+export const DATA_TOOLS = [
+  {
+    name: 'lookup_record',
+    description: 'Find tracking rows by key, e.g. a PO number, order number, or tracking number. Matches exactly (case-insensitive) on key columns, falling back to partial matches.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        value: { type: 'string', description: 'Key to look up, e.g. "SG2410-003"' },
+        column: { type: 'string', description: 'Optional column to search. Defaults to PO/order/tracking/reference columns.' },
+        file: FILE_PROPERTY,
+        sheet: SHEET_PROPERTY
+      },
+      required: ['value']
+    }
+  },
+  {
+    name: 'filter_rows',
+    description: 'Return tracking rows matching column conditions, with the total number of matches.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        conditions: CONDITION_SCHEMA,
+        match: { type: 'string', enum: ['all', 'any'], description: 'Combine conditions with AND (all, default) or OR (any)' },
+        columns: { type: 'array', items: { type: 'string' }, description: 'Columns to return (default: all)' },
+        sort_by: { type: 'string', description: 'Column to sort by' },
+        sort_order: { type: 'string', enum: ['asc', 'desc'] },
+        limit: { type: 'integer', description: `Maximum rows to return (default ${DEFAULT_FILTER_ROWS}, max ${MAX_FILTER_ROWS})` },
+        file: FILE_PROPERTY,
+        sheet: SHEET_PROPERTY
+      },
+      required: ['conditions']
+    }
+  },
+  {
+    name: 'aggregate_rows',
+    description: 'Count, sum, average, min or max over tracking rows, optionally filtered and grouped by columns. Use this for any "how many" or "total" question.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        conditions: CONDITION_SCHEMA,
+        match: { type: 'string', enum: ['all', 'any'] },
+        group_by: { type: 'array', items: { type: 'string' }, description: `Columns to group by (largest ${MAX_AGGREGATE_GROUPS} groups are returned)` },
+        metrics: {
+          type: 'array',
+          description: 'Metrics to compute (default: count)',
+          items: {
+            type: 'object',
+            properties: {
+              op: { type: 'string', enum: ['count', 'sum', 'avg', 'min', 'max'] },
+              column: { type: 'string', description: 'Column for sum/avg/min/max' }
+            },
+            required: ['op']
+          }
+        },
+        file: FILE_PROPERTY,
+        sheet: SHEET_PROPERTY
+      }
+    }
+  },
+  {
+    name: 'list_distinct_values',
+    description: 'List the distinct values of a column (with row counts), optionally filtered. Useful to learn valid statuses, carriers, destinations, etc.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        column: { type: 'string', description: 'Column name' },
+        conditions: CONDITION_SCHEMA,
+        match: { type: 'string', enum: ['all', 'any'] },
+        file: FILE_PROPERTY,
+        sheet: SHEET_PROPERTY
+      },
+      required: ['column']
+    }
+  }
+];
+
+const DATA_TOOL_NAMES = new Set(DATA_TOOLS.map(tool => tool.name));
+
+export function isDataTool(name) {
+  return DATA_TOOL_NAMES.has(name);
+}
+
+class DataToolError extends Error {}
+
+/**
+ * Tracking files from the manifest that have a JSON artifact, main file first
+ */
+export function getTrackingEntries(manifest) {
+  const files = Array.isArray(manifest?.files) ? manifest.files : [];
+  const entries = files.filter(entry => entry?.category === 'tracking' && entry.artifacts?.jsonKey);
+  const mainName = manifest?.mainFile?.filename;
+  return entries.sort((a, b) => (b.name === mainName) - (a.name === mainName));
+}
+
+/**
+ * Worksheets of a manifest entry, main sheet first
+ * Entries uploaded before multi-sheet support (or with a single sheet) yield
+ * one sheet backed by the entry's own JSON artifact
+ */
+export function getEntrySheets(entry) {
+  if (!Array.isArray(entry?.sheets) || entry.sheets.length === 0) {
+    return [{
+      name: entry?.metadata?.sheetName || null,
+      jsonKey: entry?.artifacts?.jsonKey || null,
+      columns: entry?.metadata?.columns || [],
+      rowCount: entry?.metadata?.rowCount ?? null,
+      ...(entry?.metadata?.formulas ? { formulas: entry.metadata.formulas } : {})
+    }];
+  }
+  const mainSheet = entry.mainSheet || entry.metadata?.sheetName;
+  return [...entry.sheets].sort((a, b) => (b.name === mainSheet) - (a.name === mainSheet));
+}
+
+function describeEntry(entry) {
+  const sheets = getEntrySheets(entry);
+  if (sheets.length < 2) return entry.name;
+  return `${entry.name} (sheets: ${sheets.map((sheet, index) => (index === 0 ? `${sheet.name} [main]` : sheet.name)).join(', ')})`;
+}
+
+/**
+ * System prompt section describing the data tools (empty when no tracking files)
+ */
+export function getDataToolInstructions(manifest, now = new Date()) {
+  const entries = getTrackingEntries(manifest);
+  if (entries.length === 0) return '';
+
+  return `
+## Tracking data tools
+Tracking files: ${entries.map(describeEntry).join(', ')}
+Today's date: ${now.toISOString().slice(0, 10)}
+- The excerpts in this prompt show only some rows. For a specific PO/order/tracking number, call **lookup_record**.
+- For counts, totals or "how many" questions, call **aggregate_rows** — never count rows from excerpts.
+- Use **filter_rows** to list matching rows and **list_distinct_values** to check exact spellings (statuses, carriers) before filtering.
+- Tools read the main sheet of a workbook; set "sheet" to query another sheet listed above.
+- Resolve relative dates ("this week", "overdue") into YYYY-MM-DD values before calling tools.
+- Tool results are authoritative; if a tool returns no rows, say the record was not found.
+- When a result is marked truncated, say only part of the rows or groups is shown and give the total.
+`;
+}
+
+/**
+ * Create an executor bound to one chat turn's manifest
+ * Artifacts are loaded lazily and cached for the lifetime of the executor,
+ * or in `options.rowCache` when the caller shares one across turns
+ * @param {Object} options - { onResult({ toolName, fileName, sheet, result }) → source label for citations, rowCache }
+ * @returns {Object} { tools, execute(toolUse) → { content, isError } }
+ */
+export function createDataToolExecutor(manifest, options = {}) {
+  const entries = getTrackingEntries(manifest);
+  const storageOptions = {
+    tenantId: manifest?.tenantId || 'default',
+    personaId: manifest?.persona || null
+  };
+  const rowCache = options.rowCache || new Map();
+
+  async function loadRows(fileName, sheetName) {
+    const entry = fileName
+      ? entries.find(candidate => candidate.name.toLowerCase() === String(fileName).toLowerCase())
+      : entries[0];
+
+    if (!entry) {
+      throw new DataToolError(`Unknown tracking file "${fileName}". Available: ${entries.map(e => e.name).join(', ')}`);
+    }
+
+    const sheets = getEntrySheets(entry);
+    const sheet = sheetName
+      ? sheets.find(candidate => String(candidate.name).toLowerCase() === String(sheetName).toLowerCase())
+      : sheets[0];
+
+    if (!sheet || !sheet.jsonKey) {
+      throw new DataToolError(`Unknown sheet "${sheetName}" in ${entry.name}. Available: ${sheets.map(s => s.name).join(', ')}`);
+    }
+
+    // Sheets extended by lookup joins are read from their enriched artifact
+    const enrichment = entry.enrichment?.jsonKey && entry.enrichment.sheet === sheet.name ? entry.enrichment : null;
+    const source = enrichment || sheet;
+
+    const cacheKey = sheets.length > 1 ? `${entry.name}#${sheet.name}` : entry.name;
+    if (!rowCache.has(cacheKey)) {
+      const rows = await readJson(source.jsonKey, storageOptions);
+      if (!Array.isArray(rows)) {
+        throw new DataToolError(`Data for ${entry.name} is unavailable`);
+      }
+      rowCache.set(cacheKey, rows);
+    }
+
+    const rows = rowCache.get(cacheKey);
+    const columns = source.columns?.length ? source.columns : Object.keys(rows[0] || {});
+    return { entry, sheet: sheets.length > 1 ? sheet.name : null, rows, columns };
+  }
+
+  async function execute(toolUse) {
+    const input = toolUse?.input || {};
+    try {
+      const { entry, sheet, rows, columns } = await loadRows(input.file, input.sheet);
+      let result;
+
+      switch (toolUse.name) {
+        case 'lookup_record':
+          result = lookupRecord(rows, columns, input);
+          break;
+        case 'filter_rows':
+          result = filterRows(rows, columns, input);
+          break;
+        case 'aggregate_rows':
+          result = aggregateRows(rows, columns, input);
+          break;
+        case 'list_distinct_values':
+          result = listDistinctValues(rows, columns, input);
+          break;
+        default:
+          throw new DataToolError(`Unknown tool ${toolUse.name}`);
+      }
+
+      console.log(`🔧 Data tool ${toolUse.name} on ${entry.name}${sheet ? ` [${sheet}]` : ''}: ${JSON.stringify(input)}`);
+      const source = typeof options.onResult === 'function'
+        ? options.onResult({ toolName: toolUse.name, fileName: entry.name, sheet: sheet || entry.metadata?.sheetName || null, result })
+        : null;
+      return { content: JSON.stringify({ ...(source ? { source } : {}), file: entry.name, ...(sheet ? { sheet } : {}), ...result }), isError: false };
+    } catch (error) {
+      if (!(error instanceof DataToolError)) {
+        console.error(`❌ Data tool ${toolUse?.name} failed:`, error);
+      }
+      return { content: JSON.stringify({ error: error.message }), isError: true };
+    }
+  }
+
+  return {
+    tools: entries.length > 0 ? DATA_TOOLS : [],
+    execute
+  };
+}
+
+function normalizeColumnName(name) {
+  return String(name || '').toLowerCase().replace(/[\s_\-.]+/g, '');
+}
+
+function resolveColumn(columns, requested) {
+  if (!requested) {
+    throw new DataToolError('Column is required');
+  }
+  const exact = columns.find(column => column === requested);
+  if (exact) return exact;
+  const normalized = normalizeColumnName(requested);
+  const match = columns.find(column => normalizeColumnName(column) === normalized);
+  if (!match) {
+    throw new DataToolError(`Unknown column "${requested}". Available columns: ${columns.join(', ')}`);
+  }
+  return match;
+}
+
+function isEmptyValue(value) {
+  return value === null || value === undefined || String(value).trim() === '';
+}
+
+function normalizeText(value) {
+  return String(value ?? '').trim().toLowerCase();
+}
+
+function parseNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  const text = String(value ?? '').trim();
+  if (!/^[-+]?[$€£]?\s*[\d,]*\.?\d+%?$/.test(text)) return null;
+  const parsed = parseFloat(text.replace(/[$€£,%\s]/g, ''));
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+/**
+ * Parse the date formats found in trackers: ISO (YYYY-MM-DD) and slash/dash
+ * day-month-year. Ambiguous D/M vs M/D dates default to day-first
+ * (DATA_TOOLS_DATE_ORDER=mdy switches to month-first).
+ */
+export function parseDateValue(value) {
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value.getTime();
+  const text = String(value ?? '').trim();
+  if (!text) return null;
+
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (match) {
+    return Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  }
+
+  match = text.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{2}|\d{4})$/);
+  if (match) {
+    let first = Number(match[1]);
+    let second = Number(match[2]);
+    let year = Number(match[3]);
+    if (year < 100) year += 2000;
+
+    const monthFirst = process.env.DATA_TOOLS_DATE_ORDER === 'mdy';
+    let day = monthFirst ? second : first;
+    let month = monthFirst ? first : second;
+    if (month > 12 && day <= 12) {
+      [day, month] = [month, day];
+    }
+    if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+    return Date.UTC(year, month - 1, day);
+  }
+
+  return null;
+}
+
+function compareValues(left, right) {
+  const leftNumber = parseNumber(left);
+  const rightNumber = parseNumber(right);
+  if (leftNumber !== null && rightNumber !== null) {
+    return leftNumber - rightNumber;
+  }
+
+  const leftDate = parseDateValue(left);
+  const rightDate = parseDateValue(right);
+  if (leftDate !== null && rightDate !== null) {
+    return leftDate - rightDate;
+  }
+
+  return null;
+}
+
+function buildPredicate(columns, conditions = [], match = 'all') {
+  if (!Array.isArray(conditions) || conditions.length === 0) {
+    return () => true;
+  }
+
+  const tests = conditions.map(condition => {
+    const column = resolveColumn(columns, condition?.column);
+    const operator = condition?.operator || 'eq';
+    const value = condition?.value;
+    // eq also matches numerically and by date ("5" = "5.00"), so neq is its exact negation
+    const equals = row => normalizeText(row[column]) === normalizeText(value) ||
+      (compareValues(row[column], value) === 0);
+
+    switch (operator) {
+      case 'eq':
+        return equals;
+      case 'neq':
+        return row => !equals(row);
+      case 'contains':
+        return row => normalizeText(row[column]).includes(normalizeText(value));
+      case 'not_contains':
+        return row => !normalizeText(row[column]).includes(normalizeText(value));
+      case 'in': {
+        const values = (Array.isArray(value) ? value : [value]).map(normalizeText);
+        return row => values.includes(normalizeText(row[column]));
+      }
+      case 'gt':
+        return row => (compareValues(row[column], value) ?? NaN) > 0;
+      case 'gte':
+        return row => (compareValues(row[column], value) ?? NaN) >= 0;
+      case 'lt':
+        return row => (compareValues(row[column], value) ?? NaN) < 0;
+      case 'lte':
+        return row => (compareValues(row[column], value) ?? NaN) <= 0;
+      case 'between': {
+        if (!Array.isArray(value) || value.length !== 2) {
+          throw new DataToolError('"between" requires [min, max]');
+        }
+        return row => (compareValues(row[column], value[0]) ?? NaN) >= 0 &&
+          (compareValues(row[column], value[1]) ?? NaN) <= 0;
+      }
+      case 'is_empty':
+        return row => isEmptyValue(row[column]);
+      case 'not_empty':
+        return row => !isEmptyValue(row[column]);
+      default:
+        throw new DataToolError(`Unsupported operator "${operator}"`);
+    }
+  });
+
+  return match === 'any'
+    ? row => tests.some(test => test(row))
+    : row => tests.every(test => test(row));
+}
+
+function withRowNumbers(rows) {
+  // Row numbers match the "Row N" labels used in excerpts and citations
+  return rows.map((row, index) => ({ row: index + 1, data: row }));
+}
+
+function projectRow({ row, data }, columns) {
+  if (!columns) return { _row: row, ...data };
+  const projected = { _row: row };
+  columns.forEach(column => {
+    projected[column] = data[column];
+  });
+  return projected;
+}
+
+function lookupRecord(rows, columns, { value, column }) {
+  if (isEmptyValue(value)) {
+    throw new DataToolError('A lookup value is required');
+  }
+
+  const searchColumns = column
+    ? [resolveColumn(columns, column)]
+    : columns.filter(candidate => KEY_COLUMN_PATTERN.test(candidate));
+  const targetColumns = searchColumns.length > 0 ? searchColumns : columns;
+  const needle = normalizeText(value);
+  const numbered = withRowNumbers(rows);
+
+  let matches = numbered.filter(({ data }) => targetColumns.some(col => normalizeText(data[col]) === needle));
+  let matchType = 'exact';
+
+  if (matches.length === 0) {
+    matches = numbered.filter(({ data }) => targetColumns.some(col => normalizeText(data[col]).includes(needle)));
+    matchType = 'partial';
+  }
+
+  return {
+    searchedColumns: targetColumns,
+    matchType: matches.length > 0 ? matchType : 'none',
+    totalMatches: matches.length,
+    rows: matches.slice(0, MAX_LOOKUP_ROWS).map(match => projectRow(match))
+  };
+}
+
+function filterRows(rows, columns, { conditions, match, columns: requestedColumns, sort_by: sortBy, sort_order: sortOrder, limit }) {
+  const predicate = buildPredicate(columns, conditions, match);
+  let matches = withRowNumbers(rows).filter(({ data }) => predicate(data));
+
+  if (sortBy) {
+    const sortColumn = resolveColumn(columns, sortBy);
+    const direction = sortOrder === 'desc' ? -1 : 1;
+    matches = [...matches].sort((a, b) => {
+      const compared = compareValues(a.data[sortColumn], b.data[sortColumn]);
+      const result = compared ?? normalizeText(a.data[sortColumn]).localeCompare(normalizeText(b.data[sortColumn]));
+      return result * direction;
+    });
+  }
+
+  const projection = Array.isArray(requestedColumns) && requestedColumns.length > 0
+    ? requestedColumns.map(column => resolveColumn(columns, column))
+    : null;
+  const maxRows = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_FILTER_ROWS, 1), MAX_FILTER_ROWS);
+
+  return {
+    totalMatches: matches.length,
+    returned: Math.min(matches.length, maxRows),
+    truncated: matches.length > maxRows,
+    rows: matches.slice(0, maxRows).map(entry => projectRow(entry, projection))
+  };
+}
+
+function computeMetric(groupRows, metric) {
+  if (metric.op === 'count') {
+    return groupRows.length;
+  }
+
+  const values = groupRows
+    .map(row => parseNumber(row[metric.column]))
+    .filter(value => value !== null);
+
+  if (values.length === 0) return null;
+
+  switch (metric.op) {
+    case 'sum':
+      return values.reduce((sum, value) => sum + value, 0);
+    case 'avg':
+      return Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 100) / 100;
+    // Loops rather than Math.min(...values): spreading a large sheet overflows the call stack
+    case 'min':
+      return values.reduce((min, value) => (value < min ? value : min), values[0]);
+    case 'max':
+      return values.reduce((max, value) => (value > max ? value : max), values[0]);
+    default:
+      throw new DataToolError(`Unsupported metric "${metric.op}"`);
+  }
+}
+
+function aggregateRows(rows, columns, { conditions, match, group_by: groupBy, metrics }) {
+  const predicate = buildPredicate(columns, conditions, match);
+  const filtered = rows.filter(predicate);
+  const groupColumns = (Array.isArray(groupBy) ? groupBy : []).map(column => resolveColumn(columns, column));
+  const resolvedMetrics = (Array.isArray(metrics) && metrics.length > 0 ? metrics : [{ op: 'count' }]).map(metric => ({
+    op: metric.op || 'count',
+    column: metric.op && metric.op !== 'count' ? resolveColumn(columns, metric.column) : null
+  }));
+  const metricLabel = metric => (metric.column ? `${metric.op}_${metric.column}` : metric.op);
+
+  const groups = new Map();
+  filtered.forEach(row => {
+    const key = JSON.stringify(groupColumns.map(column => String(row[column] ?? '').trim()));
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  });
+
+  const results = [...groups.entries()]
+    .sort((a, b) => b[1].length - a[1].length)
+    .slice(0, MAX_AGGREGATE_GROUPS)
+    .map(([key, groupRows]) => {
+      const keyValues = JSON.parse(key);
+      const result = {};
+      groupColumns.forEach((column, index) => {
+        result[column] = keyValues[index];
+      });
+      resolvedMetrics.forEach(metric => {
+        result[metricLabel(metric)] = computeMetric(groupRows, metric);
+      });
+      return result;
+    });
+
+  if (groupColumns.length === 0 && results.length === 0) {
+    const empty = {};
+    resolvedMetrics.forEach(metric => {
+      empty[metricLabel(metric)] = metric.op === 'count' ? 0 : null;
+    });
+    results.push(empty);
+  }
+
+  return {
+    matchedRows: filtered.length,
+    totalRows: rows.length,
+    totalGroups: groups.size,
+    truncated: groups.size > MAX_AGGREGATE_GROUPS,
+    groups: results
+  };
+}
+
+function listDistinctValues(rows, columns, { column, conditions, match }) {
+  const resolvedColumn = resolveColumn(columns, column);
+  const predicate = buildPredicate(columns, conditions, match);
+  const counts = new Map();
+
+  rows.filter(predicate).forEach(row => {
+    const value = String(row[resolvedColumn] ?? '').trim();
+    counts.set(value, (counts.get(value) || 0) + 1);
+  });
+
+  const values = [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .map(([value, count]) => ({ value: value || '(empty)', count }));
+
+  return {
+    column: resolvedColumn,
+    distinctCount: values.length,
+    truncated: values.length > MAX_DISTINCT_VALUES,
+    values: values.slice(0, MAX_DISTINCT_VALUES)
+  };
+}
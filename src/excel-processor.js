@@ -1,8 +1,10 @@
 import XLSX from 'xlsx';
+import { evaluateWorkbookFormulas } from './formula-evaluator.js';
 
 /**
  * Process multiple Excel files and extract data
  * Handles VLOOKUP formulas by extracting calculated values
+ * Returns one entry per non-empty sheet (entries share originalName)
  * 
  * @param {Array} files - Array of uploaded file objects from multer
  * @returns {Array} Array of processed file data
@@ -18,62 +20,70 @@ export async function processExcelFiles(files) {
       const fileBuffer = await ensureBuffer(file);
       const workbook = XLSX.read(fileBuffer, {
         type: 'buffer',
-        cellFormula: false,  // Get calculated values, not formulas
+        cellFormula: true,   // Cached values win; formulas fill cells saved without one
+        sheetStubs: true,
         cellDates: true,     // Convert Excel dates to JS dates
         cellNF: false,       // Don't include number formats
         cellStyles: false    // Don't include styles
       });
+      evaluateWorkbookFormulas(workbook);
+
+      // Every non-empty sheet becomes its own entry
+      let sheetCount = 0;
+      for (const sheetName of workbook.SheetNames) {
+        const worksheet = workbook.Sheets[sheetName];
+
+        // Convert to JSON with proper handling
+        const jsonData = XLSX.utils.sheet_to_json(worksheet, {
+          raw: false,          // Format values (important for VLOOKUPs!)
+          defval: '',          // Default value for empty cells
+          dateNF: 'yyyy-mm-dd' // Date format
+        });
 
-      // Get first sheet (or you can iterate through all sheets)
-      const firstSheetName = workbook.SheetNames[0];
-      const worksheet = workbook.Sheets[firstSheetName];
-
-      // Convert to JSON with proper handling
-      const jsonData = XLSX.utils.sheet_to_json(worksheet, {
-        raw: false,          // Format values (important for VLOOKUPs!)
-        defval: '',          // Default value for empty cells
-        dateNF: 'yyyy-mm-dd' // Date format
-      });
-
-      if (jsonData.length === 0) {
-        console.warn(`⚠️ File ${file.originalname} has no data`);
-        continue;
-      }
-
-      // Get column names
-      const columns = Object.keys(jsonData[0] || {});
-
-      // Detect and handle formula errors
-      const cleanedData = jsonData.map(row => {
-        const cleanRow = {};
-        Object.keys(row).forEach(key => {
-          let value = row[key];
-          
-          // Check for Excel error values
-          if (typeof value === 'string') {
-            // Replace Excel errors with empty string
-            if (value.match(/^#(N\/A|REF!|VALUE!|DIV\/0!|NUM!|NAME\?|NULL!)/)) {
-              cleanRow[key] = '';
+        if (jsonData.length === 0) {
+          continue;
+        }
+
+        // Get column names
+        const columns = Object.keys(jsonData[0] || {});
+
+        // Detect and handle formula errors
+        const cleanedData = jsonData.map(row => {
+          const cleanRow = {};
+          Object.keys(row).forEach(key => {
+            let value = row[key];
+            
+            // Check for Excel error values
+            if (typeof value === 'string') {
+              // Replace Excel errors with empty string
+              if (value.match(/^#(N\/A|REF!|VALUE!|DIV\/0!|NUM!|NAME\?|NULL!)/)) {
+                cleanRow[key] = '';
+              } else {
+                cleanRow[key] = value.trim();
+              }
             } else {
-              cleanRow[key] = value.trim();
+              cleanRow[key] = value;
             }
-          } else {
-            cleanRow[key] = value;
-          }
+          });
+          return cleanRow;
         });
-        return cleanRow;
-      });
 
-      processedFiles.push({
-        originalName: file.originalname,
-        sheetName: firstSheetName,
-        data: cleanedData,
-        columns: columns,
-        rowCount: cleanedData.length,
-        fileSize: file.size
-      });
+        processedFiles.push({
+          originalName: file.originalname,
+          sheetName,
+          data: cleanedData,
+          columns: columns,
+          rowCount: cleanedData.length,
+          fileSize: file.size
+        });
+        sheetCount++;
+
+        console.log(`✅ Processed ${cleanedData.length} rows from ${file.originalname} [${sheetName}]`);
+      }
 
-      console.log(`✅ Processed ${cleanedData.length} rows from ${file.originalname}`);
+      if (sheetCount === 0) {
+        console.warn(`⚠️ File ${file.originalname} has no data`);
+      }
 
     } catch (error) {
       console.error(`❌ Error processing ${file.originalname}:`, error.message);
@@ -84,87 +94,6 @@ export async function processExcelFiles(files) {
   return processedFiles;
 }
 
-/**
- * Detect main tracking file from multiple files
- * Looks for PO numbers, tracking numbers, or order-related columns
- * 
- * @param {Array} processedFiles - Array of processed file objects
- * @returns {Object} Main tracking file
- */
-export function detectMainFile(processedFiles) {
-  const trackingKeywords = [
-    'po', 'purchase order', 'order', 'tracking', 'shipment',
-    'invoice', 'reference', 'order number', 'po number'
-  ];
-
-  for (const file of processedFiles) {
-    const hasTrackingColumn = file.columns.some(col => 
-      trackingKeywords.some(keyword => 
-        col.toLowerCase().includes(keyword)
-      )
-    );
-
-    if (hasTrackingColumn) {
-      return file;
-    }
-  }
-
-  // If no tracking columns found, return the file with most rows
-  return processedFiles.reduce((prev, current) => 
-    (current.rowCount > prev.rowCount) ? current : prev
-  );
-}
-
-/**
- * Merge related files based on common columns
- * Useful if customer wants all data in one JSON
- * 
- * @param {Object} mainFile - Main tracking file
- * @param {Array} lookupFiles - Array of lookup files
- * @returns {Array} Merged data
- */
-export function mergeFiles(mainFile, lookupFiles) {
-  let mergedData = [...mainFile.data];
-
-  for (const lookupFile of lookupFiles) {
-    // Find common columns between main and lookup
-    const commonColumns = mainFile.columns.filter(col => 
-      lookupFile.columns.includes(col)
-    );
-
-    if (commonColumns.length === 0) {
-      console.warn(`⚠️ No common columns between ${mainFile.originalName} and ${lookupFile.originalName}`);
-      continue;
-    }
-
-    // Use first common column as join key
-    const joinKey = commonColumns[0];
-    console.log(`🔗 Joining on column: ${joinKey}`);
-
-    // Merge data
-    mergedData = mergedData.map(mainRow => {
-      const lookupRow = lookupFile.data.find(row => 
-        row[joinKey] === mainRow[joinKey]
-      );
-
-      if (lookupRow) {
-        // Merge, but don't overwrite existing columns
-        const merged = { ...mainRow };
-        Object.keys(lookupRow).forEach(key => {
-          if (!merged[key] || merged[key] === '') {
-            merged[key + '_lookup'] = lookupRow[key];
-          }
-        });
-        return merged;
-      }
-
-      return mainRow;
-    });
-  }
-
-  return mergedData;
-}
-
 /**
  * Validate Excel file before processing
  * Checks for common issues
@@ -8,17 +8,29 @@ import { runVisionPipeline } from './vision-processor.js';
 import { getStorage } from './storage/index.js';
 import { saveJson as saveJsonArtifact, saveText as saveTextArtifact } from './services/storage-helper.js';
 import { buildProcessedKey } from './storage/paths.js';
+import { chunkProcessedFile } from './chunker.js';
+import { updateSearchIndex } from './services/search-index.js';
+import { evaluateWorkbookFormulas } from './formula-evaluator.js';
+import { parseCsvFile } from './csv-processor.js';
+import { extractPptx, extractHtml, extractMarkdown, extractJson, extractEmail, decodeHtmlEntities, TEXT_FILE_TYPES } from './knowledge-formats.js';
 
 export const TRIAGE_ROUTES = {
   PATH_A: 'structured_excel',
   PATH_B: 'text_pdf',
   PATH_B_DOCX: 'text_doc',
   PATH_B_TXT: 'text_plain',
+  PATH_B_PPTX: 'text_slides',
+  PATH_B_HTML: 'text_html',
+  PATH_B_MD: 'text_markdown',
+  PATH_B_JSON: 'text_json',
+  PATH_B_EMAIL: 'text_email',
   PATH_C: 'vision_pdf'
 };
 
+export { TEXT_FILE_TYPES };
+
 /**
- * Universal file processor - handles Excel, PDF, DOCX, CSV, TXT
+ * Universal file processor - handles Excel, PDF, DOCX, CSV, TXT, PPTX, HTML, Markdown, JSON, EML
  * Extracts text/data and converts to searchable format
  */
 
@@ -43,6 +55,7 @@ export async function processFiles(files, options = {}) {
           originalName: file.originalname,
           fileType: triageResult.fileType,
           data: triageResult.data,
+          sheets: triageResult.sheets || null,
           metadata: {
             ...(triageResult.metadata || {}),
             triageRoute: triageResult.triageRoute,
@@ -72,6 +85,23 @@ export async function processFiles(files, options = {}) {
 }
 
 async function triageAndProcessFile(file, tenantId = 'default', personaId = null) {
+  if (isCSVFile(file)) {
+    const csvResult = await processCsvFile(file);
+    const { encoding, delimiter, headerRow } = csvResult.metadata.dialect;
+    return {
+      ...csvResult,
+      triageRoute: TRIAGE_ROUTES.PATH_A,
+      triageReason: `CSV parsed locally (Path A): ${DELIMITER_NAMES[delimiter] || delimiter}-delimited, ${encoding}` +
+        (headerRow > 1 ? `, header on line ${headerRow}` : '') + '.',
+      textQuality: {
+        score: 1,
+        isUsable: true,
+        reason: 'Structured spreadsheet'
+      },
+      persona: personaId
+    };
+  }
+
   if (isExcelFile(file)) {
     const excelResult = await processExcelFile(file, { tenantId, personaId });
     return {
@@ -107,6 +137,23 @@ async function triageAndProcessFile(file, tenantId = 'default', personaId = null
     };
   }
 
+  const knowledgeFormat = KNOWLEDGE_FORMATS.find(format => format.matches(file));
+  if (knowledgeFormat) {
+    const result = await processKnowledgeFile(file, knowledgeFormat);
+    const quality = summarizeTextQuality(result.data.fullText);
+    const reason = quality.isUsable
+      ? `${knowledgeFormat.label} text extracted locally (Path B).`
+      : `${knowledgeFormat.label} text appears degraded (${quality.reason})`;
+
+    return {
+      ...result,
+      triageRoute: knowledgeFormat.route,
+      triageReason: reason,
+      textQuality: quality,
+      persona: personaId
+    };
+  }
+
   if (isTXTFile(file)) {
     const txtResult = await processTXTFile(file, { tenantId, personaId });
     const quality = summarizeTextQuality(txtResult.data.fullText);
@@ -256,9 +303,34 @@ async function triagePdfFile(file, tenantId = 'default', personaId = null) {
   };
 }
 
+/**
+ * pdf-parse page renderer that also records each page's text,
+ * so chunks can be cited by page number
+ */
+function createPageCollector(pageTexts) {
+  return function renderPage(pageData) {
+    return pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false })
+      .then(textContent => {
+        let lastY;
+        let text = '';
+        for (const item of textContent.items) {
+          if (lastY == item.transform[5] || !lastY) {
+            text += item.str;
+          } else {
+            text += '\n' + item.str;
+          }
+          lastY = item.transform[5];
+        }
+        pageTexts[pageData.pageIndex] = text;
+        return text;
+      });
+  };
+}
+
 async function quickPdfExtract(file) {
   const dataBuffer = await resolveFileBuffer(file);
-  const pdfData = await pdfParse(dataBuffer);
+  const pageTexts = [];
+  const pdfData = await pdfParse(dataBuffer, { pagerender: createPageCollector(pageTexts) });
 
   const text = pdfData.text || '';
   const paragraphs = text
@@ -273,6 +345,7 @@ async function quickPdfExtract(file) {
       fullText: text,
       paragraphs,
       pages: pdfData.numpages,
+      pageTexts: Array.from(pageTexts, pageText => pageText || ''),
       tables: [],
       hasStructuredTables: false
     },
@@ -410,38 +483,30 @@ function evaluateTableConfidence(rawText, pageCount = 1) {
   };
 }
 
-/**
- * Process Excel files (.xlsx, .xls, .csv)
- * Extracts calculated VLOOKUP values
- */
-async function processExcelFile(file, options = {}) {
-  const fileBuffer = await resolveFileBuffer(file);
-  const workbook = XLSX.read(fileBuffer, {
-    type: 'buffer',
-    cellFormula: false,  // Get calculated values, not formulas
-    cellDates: true,
-    cellNF: false,
-    cellStyles: false
-  });
+const TRACKING_COLUMN_PATTERN = /po|purchase\s*order|order|tracking|shipment|invoice|reference/i;
 
-  const firstSheetName = workbook.SheetNames[0];
-  const worksheet = workbook.Sheets[firstSheetName];
+export function hasTrackingColumns(columns = []) {
+  return Array.isArray(columns) && columns.some(col => TRACKING_COLUMN_PATTERN.test(col));
+}
 
-  // Convert to JSON
+/**
+ * Rows of one worksheet with formatted values and Excel errors blanked
+ */
+function readSheetRows(worksheet) {
   const jsonData = XLSX.utils.sheet_to_json(worksheet, {
     raw: false,          // Format values (VLOOKUP results!)
     defval: '',
     dateNF: 'yyyy-mm-dd'
   });
 
-  if (jsonData.length === 0) {
-    throw new Error('Excel file has no data');
-  }
-
-  const columns = Object.keys(jsonData[0] || {});
+  return cleanRows(jsonData);
+}
 
-  // Clean data (remove Excel errors)
-  const cleanedData = jsonData.map(row => {
+/**
+ * Trim text values and blank Excel error values (#N/A, #REF!, ...)
+ */
+function cleanRows(rows) {
+  return rows.map(row => {
     const cleanRow = {};
     Object.keys(row).forEach(key => {
       let value = row[key];
@@ -458,19 +523,159 @@ async function processExcelFile(file, options = {}) {
     });
     return cleanRow;
   });
+}
+
+/**
+ * Main tracking sheet: the first sheet with PO/order-style columns, else the first sheet
+ */
+export function pickMainSheet(sheets = []) {
+  return sheets.find(sheet => hasTrackingColumns(sheet.columns)) || sheets[0] || null;
+}
+
+/**
+ * Process Excel files (.xlsx, .xls)
+ * Extracts calculated VLOOKUP values from every non-empty sheet;
+ * `data` and the top-level metadata describe the main sheet.
+ * Formulas saved without a cached value are evaluated first.
+ */
+async function processExcelFile(file, options = {}) {
+  const fileBuffer = await resolveFileBuffer(file);
+  const workbook = XLSX.read(fileBuffer, {
+    type: 'buffer',
+    cellFormula: true,  // Cached values are used as-is; formulas only fill cells without one
+    sheetStubs: true,
+    cellDates: true,
+    cellNF: false,
+    cellStyles: false
+  });
+
+  const formulas = evaluateWorkbookFormulas(workbook);
+  if (formulas.evaluated > 0 || formulas.failed > 0) {
+    const unsupported = Object.keys(formulas.unsupported);
+    console.log(`🧮 ${file.originalname}: evaluated ${formulas.evaluated} formula cell(s) without cached values` +
+      (formulas.failed > 0 ? `, ${formulas.failed} left blank${unsupported.length ? ` (unsupported: ${unsupported.join(', ')})` : ''}` : ''));
+  }
+
+  const sheets = workbook.SheetNames
+    .map(name => {
+      const rows = readSheetRows(workbook.Sheets[name]);
+      const sheetFormulas = formulas.bySheet[name];
+      return {
+        name,
+        data: rows,
+        columns: Object.keys(rows[0] || {}),
+        rowCount: rows.length,
+        ...(sheetFormulas ? { formulas: sheetFormulas } : {})
+      };
+    })
+    .filter(sheet => sheet.rowCount > 0);
+
+  if (sheets.length === 0) {
+    throw new Error('Excel file has no data');
+  }
+
+  const mainSheet = pickMainSheet(sheets);
+  if (sheets.length > 1) {
+    console.log(`📑 ${file.originalname}: ${sheets.length} sheets, main sheet "${mainSheet.name}"`);
+  }
 
   return {
     fileType: 'excel',
-    data: cleanedData,
+    data: mainSheet.data,
+    sheets,
     metadata: {
-      sheetName: firstSheetName,
-      columns: columns,
-      rowCount: cleanedData.length,
-      isStructured: true
+      sheetName: mainSheet.name,
+      columns: mainSheet.columns,
+      rowCount: mainSheet.rowCount,
+      isStructured: true,
+      ...(mainSheet.formulas ? { formulas: mainSheet.formulas } : {}),
+      sheets: sheets.map(({ name, columns, rowCount, formulas: sheetFormulas }) => ({
+        name,
+        columns,
+        rowCount,
+        ...(sheetFormulas ? { formulas: sheetFormulas } : {})
+      }))
     }
   };
 }
 
+const DELIMITER_NAMES = { ',': 'comma', ';': 'semicolon', '\t': 'tab', '|': 'pipe' };
+
+/**
+ * Process CSV files
+ * Encoding, delimiter, quote character and header row are detected
+ * (see csv-processor.js) and recorded as `metadata.dialect`
+ */
+async function processCsvFile(file) {
+  const { rows, columns, dialect } = await parseCsvFile(file);
+  const data = cleanRows(rows);
+
+  if (data.length === 0) {
+    throw new Error('CSV file has no data');
+  }
+
+  console.log(`🧾 ${file.originalname}: ${DELIMITER_NAMES[dialect.delimiter] || dialect.delimiter}-delimited ${dialect.encoding}, header on line ${dialect.headerRow}, ${data.length} rows`);
+
+  return {
+    fileType: 'excel',
+    data,
+    metadata: {
+      columns,
+      rowCount: data.length,
+      isStructured: true,
+      dialect
+    }
+  };
+}
+
+// Checked in order before TXT: .md / .json / .eml files are often sent as text/plain
+const KNOWLEDGE_FORMATS = [
+  { fileType: 'pptx', label: 'PPTX', route: TRIAGE_ROUTES.PATH_B_PPTX, matches: isPPTXFile, extract: extractPptx },
+  { fileType: 'html', label: 'HTML', route: TRIAGE_ROUTES.PATH_B_HTML, matches: isHTMLFile, extract: extractHtml },
+  { fileType: 'markdown', label: 'Markdown', route: TRIAGE_ROUTES.PATH_B_MD, matches: isMarkdownFile, extract: extractMarkdown },
+  { fileType: 'json', label: 'JSON', route: TRIAGE_ROUTES.PATH_B_JSON, matches: isJSONFile, extract: extractJson },
+  {
+    fileType: 'email',
+    label: 'Email',
+    route: TRIAGE_ROUTES.PATH_B_EMAIL,
+    matches: isEmailFile,
+    extract: buffer => extractEmail(buffer, { extractAttachmentText: extractEmailAttachmentText })
+  }
+];
+
+/**
+ * Process PPTX, HTML, Markdown, JSON and EML files (see knowledge-formats.js)
+ * Sections follow slides, headings, JSON records or email parts
+ */
+async function processKnowledgeFile(file, format) {
+  const fileBuffer = await resolveFileBuffer(file);
+  const { fullText, sections, metadata, ...extra } = await format.extract(fileBuffer);
+
+  return {
+    fileType: format.fileType,
+    data: {
+      fullText,
+      sections,
+      ...extra
+    },
+    metadata: {
+      isStructured: false,
+      ...metadata
+    }
+  };
+}
+
+// PDF and DOCX attachments of .eml files; other formats are read by knowledge-formats.js
+async function extractEmailAttachmentText({ filename, contentType, content }) {
+  if (contentType === 'application/pdf' || /\.pdf$/i.test(filename)) {
+    return (await pdfParse(content)).text;
+  }
+  if (isDOCXFile({ mimetype: contentType, originalname: filename })) {
+    return (await mammoth.extractRawText({ buffer: content })).value;
+  }
+  return null;
+}
+
 /**
  * Process PDF files with advanced table detection
  * Extracts text content and preserves table structure
@@ -501,11 +706,14 @@ async function processDOCXFile(file, options = {}) {
   // Check for warnings (images, complex formatting, etc.)
   const warnings = result.messages.map(m => m.message);
 
+  const sections = await extractDocxSections(fileBuffer);
+
   return {
     fileType: 'docx',
     data: {
       fullText: result.value,
-      paragraphs: paragraphs
+      paragraphs: paragraphs,
+      sections
     },
     metadata: {
       isStructured: false,
@@ -515,6 +723,45 @@ async function processDOCXFile(file, options = {}) {
   };
 }
 
+/**
+ * Split a DOCX into heading-delimited sections using mammoth's HTML output
+ * Returns [] when the document has no headings (chunker falls back to plain text)
+ */
+async function extractDocxSections(fileBuffer) {
+  try {
+    const { value: html } = await mammoth.convertToHtml({ buffer: fileBuffer });
+    if (!html || !/<h[1-6][^>]*>/i.test(html)) return [];
+
+    const sections = [];
+    let current = { heading: null, level: null, parts: [] };
+    const blockPattern = /<(h[1-6]|p|li|td|th)[^>]*>([\s\S]*?)<\/\1>/gi;
+    let match;
+
+    while ((match = blockPattern.exec(html)) !== null) {
+      const tag = match[1].toLowerCase();
+      const text = decodeHtmlEntities(match[2].replace(/<[^>]+>/g, '')).trim();
+      if (!text) continue;
+
+      if (tag.startsWith('h')) {
+        if (current.heading || current.parts.length > 0) sections.push(current);
+        current = { heading: text, level: parseInt(tag.slice(1), 10), parts: [] };
+      } else {
+        current.parts.push(text);
+      }
+    }
+    if (current.heading || current.parts.length > 0) sections.push(current);
+
+    return sections.map(section => ({
+      heading: section.heading,
+      level: section.level,
+      text: section.parts.join('\n\n')
+    }));
+  } catch (error) {
+    console.warn(`⚠️ DOCX heading extraction failed: ${error.message}`);
+    return [];
+  }
+}
+
 /**
  * Process plain text files
  */
@@ -560,11 +807,16 @@ async function resolveFileBuffer(file) {
 function isExcelFile(file) {
   const excelMimeTypes = [
     'application/vnd.ms-excel',
-    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-    'text/csv'
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
   ];
   return excelMimeTypes.includes(file.mimetype) || 
-         file.originalname.match(/\.(xlsx|xls|csv)$/i);
+         file.originalname.match(/\.(xlsx|xls)$/i);
+}
+
+// Checked before isExcelFile: browsers often send .csv as application/vnd.ms-excel
+function isCSVFile(file) {
+  return file.mimetype === 'text/csv' ||
+         file.originalname.match(/\.csv$/i);
 }
 
 function isPDFFile(file) {
@@ -577,6 +829,31 @@ function isDOCXFile(file) {
          file.originalname.match(/\.docx$/i);
 }
 
+function isPPTXFile(file) {
+  return file.mimetype === 'application/vnd.openxmlformats-officedocument.presentationml.presentation' ||
+         file.originalname.match(/\.pptx$/i);
+}
+
+function isHTMLFile(file) {
+  return file.mimetype === 'text/html' ||
+         file.originalname.match(/\.html?$/i);
+}
+
+function isMarkdownFile(file) {
+  return ['text/markdown', 'text/x-markdown'].includes(file.mimetype) ||
+         file.originalname.match(/\.(md|markdown)$/i);
+}
+
+function isJSONFile(file) {
+  return file.mimetype === 'application/json' ||
+         file.originalname.match(/\.json$/i);
+}
+
+function isEmailFile(file) {
+  return file.mimetype === 'message/rfc822' ||
+         file.originalname.match(/\.eml$/i);
+}
+
 function isTXTFile(file) {
   return file.mimetype === 'text/plain' || 
          file.originalname.match(/\.txt$/i);
@@ -596,17 +873,15 @@ export function categorizeFiles(processedFiles) {
 
   processedFiles.forEach(file => {
     if (file.fileType === 'excel') {
-      // Check if it's a tracking file
-      const hasTrackingColumns = file.metadata.columns?.some(col => 
-        /po|purchase\s*order|order|tracking|shipment|invoice|reference/i.test(col)
-      );
-      
-      if (hasTrackingColumns) {
+      // Check if it's a tracking file (any sheet with PO/order-style columns)
+      const sheets = file.metadata.sheets || [{ columns: file.metadata.columns }];
+
+      if (sheets.some(sheet => hasTrackingColumns(sheet.columns))) {
         categories.tracking.push(file);
       } else {
         categories.other.push(file);
       }
-    } else if (file.fileType === 'pdf' || file.fileType === 'docx') {
+    } else if (TEXT_FILE_TYPES.includes(file.fileType) && file.fileType !== 'txt') {
       categories.knowledge.push(file);
     } else {
       categories.other.push(file);
@@ -618,10 +893,13 @@ export function categorizeFiles(processedFiles) {
 
 /**
  * Save processed files via storage abstraction for MCP access
+ * Also chunks each file and updates the tenant/persona search index incrementally
+ * (only the files passed in are re-chunked; other indexed files are left as-is)
  */
 export async function saveProcessedFiles(processedFiles, options = {}) {
   const storage = getStorage();
   const savedFiles = [];
+  const indexUpserts = [];
   const timestamp = Date.now();
   const { tenantId = '', personaId = null } = options;
 
@@ -637,32 +915,57 @@ export async function saveProcessedFiles(processedFiles, options = {}) {
     );
 
     if (file.fileType === 'excel') {
-      const jsonKey = `${artifactBaseKey}.json`;
       const txtKey = `${artifactBaseKey}.txt`;
+      const multiSheet = Array.isArray(file.sheets) && file.sheets.length > 1;
+      let jsonKey = `${artifactBaseKey}.json`;
+      let sheets = null;
+
+      if (multiSheet) {
+        // One JSON artifact per sheet; jsonKey points at the main sheet
+        sheets = [];
+        for (const [sheetIndex, sheet] of file.sheets.entries()) {
+          const sheetJsonKey = `${artifactBaseKey}_sheet-${sheetIndex + 1}.json`;
+          await saveJsonArtifact(sheetJsonKey, sheet.data, { prettyPrint: true, tenantId, personaId });
+          sheets.push({
+            name: sheet.name,
+            jsonKey: sheetJsonKey,
+            columns: sheet.columns,
+            rowCount: sheet.rowCount,
+            ...(sheet.formulas ? { formulas: sheet.formulas } : {})
+          });
+        }
+        jsonKey = sheets.find(sheet => sheet.name === file.metadata.sheetName)?.jsonKey || sheets[0].jsonKey;
+      } else {
+        await saveJsonArtifact(jsonKey, file.data, { prettyPrint: true, tenantId, personaId });
+      }
 
-      await saveJsonArtifact(jsonKey, file.data, { prettyPrint: true, tenantId, personaId });
-
-      const textContent = file.data.map((row, i) => {
-        const rowText = file.metadata.columns
-          .map(col => `${col}: ${row[col] || 'N/A'}`)
-          .join(', ');
-        return `Row ${i + 1}: ${rowText}`;
-      }).join('\n');
+      const textContent = multiSheet
+        ? file.sheets.map(sheet => `### Sheet: ${sheet.name} ###\n${formatRowsAsText(sheet.data, sheet.columns)}`).join('\n\n')
+        : formatRowsAsText(file.data, file.metadata.columns);
 
       await saveTextArtifact(txtKey, textContent, 'text/plain', { tenantId, personaId });
 
+      const chunksKey = await saveChunksArtifact(file, artifactBaseKey, { tenantId, personaId, indexUpserts });
+
       savedFiles.push({
         type: 'excel',
         name: file.originalName,
         storageKey: artifactBaseKey,
         jsonKey,
         txtKey,
+        chunksKey,
+        sheets,
         persona: personaId || file.persona || null
       });
 
-    } else if (['pdf', 'docx', 'txt'].includes(file.fileType)) {
+    } else if (TEXT_FILE_TYPES.includes(file.fileType)) {
       const txtKey = `${artifactBaseKey}.txt`;
       const metaKey = `${artifactBaseKey}_meta.json`;
+      // JSON files also keep the parsed document
+      const jsonKey = file.data?.json !== undefined ? `${artifactBaseKey}.json` : null;
+      if (jsonKey) {
+        await saveJsonArtifact(jsonKey, file.data.json, { prettyPrint: true, tenantId, personaId });
+      }
 
       if (file.data?.fullText) {
         await saveTextArtifact(txtKey, file.data.fullText, 'text/plain', { tenantId, personaId });
@@ -689,21 +992,49 @@ export async function saveProcessedFiles(processedFiles, options = {}) {
       };
       await saveJsonArtifact(metaKey, metaPayload, { prettyPrint: true, tenantId, personaId });
 
+      const chunksKey = await saveChunksArtifact(file, artifactBaseKey, { tenantId, personaId, indexUpserts });
+
       savedFiles.push({
         type: file.fileType,
         name: file.originalName,
         storageKey: artifactBaseKey,
         txtKey,
         metaKey,
+        chunksKey,
+        ...(jsonKey ? { jsonKey } : {}),
         persona: personaId || file.persona || null,
         artifacts: file.artifacts || null
       });
     }
   }
 
+  if (indexUpserts.length > 0) {
+    const { files: indexedFiles } = await updateSearchIndex(tenantId, personaId, { upserts: indexUpserts });
+    savedFiles.forEach(saved => {
+      saved.index = indexedFiles[saved.name] || null;
+    });
+  }
+
   return savedFiles;
 }
 
+function formatRowsAsText(rows, columns) {
+  return rows.map((row, i) => {
+    const rowText = columns
+      .map(col => `${col}: ${row[col] || 'N/A'}`)
+      .join(', ');
+    return `Row ${i + 1}: ${rowText}`;
+  }).join('\n');
+}
+
+async function saveChunksArtifact(file, artifactBaseKey, { tenantId, personaId, indexUpserts }) {
+  const chunks = chunkProcessedFile(file);
+  const chunksKey = `${artifactBaseKey}_chunks.json`;
+  await saveJsonArtifact(chunksKey, chunks, { tenantId, personaId });
+  indexUpserts.push({ fileName: file.originalName, fileType: file.fileType, chunks });
+  return chunksKey;
+}
+
 function createSafeBaseName(originalName, index) {
   const justName = path.basename(originalName || '').replace(/\.[^/.]+$/, '');
 
@@ -748,13 +1079,13 @@ export function validateFile(file) {
   }
 
   // Check file extension
-  const validExtensions = ['.xlsx', '.xls', '.csv', '.pdf', '.docx', '.txt'];
+  const validExtensions = ['.xlsx', '.xls', '.csv', '.pdf', '.docx', '.txt', '.pptx', '.html', '.htm', '.md', '.markdown', '.json', '.eml'];
   const hasValidExtension = validExtensions.some(ext => 
     file.originalname.toLowerCase().endsWith(ext)
   );
 
   if (!hasValidExtension) {
-    errors.push('Invalid file type. Supported: Excel, PDF, DOCX, TXT, CSV');
+    errors.push('Invalid file type. Supported: Excel, PDF, DOCX, TXT, CSV, PPTX, HTML, Markdown, JSON, EML');
   }
 
   return {
@@ -0,0 +1,930 @@
+import XLSX from 'xlsx';
+
+/**
+ * Workbook formula evaluation
+ * Workbooks written by scripts (or saved without recalculation) store formulas
+ * without cached results, so a plain read leaves those cells empty. This
+ * evaluates such cells in place — cells with a cached value keep it — for the
+ * common lookup, math, text, date and logic functions, across sheets of the
+ * same workbook. Formulas using anything else are counted per function so the
+ * quality report can point at them.
+ *
+ * Read the workbook with { cellFormula: true, sheetStubs: true } so formula
+ * cells without a value are present as stubs.
+ */
+
+const MAX_ISSUES_PER_SHEET = 20;
+const DAY_MS = 86400000;
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+const ERROR_CODES = ['#NULL!', '#DIV/0!', '#VALUE!', '#REF!', '#NAME?', '#NUM!', '#N/A'];
+
+class FormulaError extends Error {
+  constructor(code) {
+    super(code);
+    this.code = code;
+  }
+}
+
+// Not an Excel error: the formula is valid, it just can't be evaluated here (unsupported function or syntax, circular reference)
+class FormulaEvaluationError extends Error {
+  constructor(message, functionName = null) {
+    super(message);
+    this.functionName = functionName;
+  }
+}
+
+class Range {
+  constructor(sheet, start, end) {
+    this.sheet = sheet;
+    this.start = start;
+    this.end = end;
+  }
+
+  get key() {
+    return `${this.sheet}!${XLSX.utils.encode_range({ s: this.start, e: this.end })}`;
+  }
+
+  get rows() {
+    return this.end.r - this.start.r + 1;
+  }
+
+  get cols() {
+    return this.end.c - this.start.c + 1;
+  }
+}
+
+// --- Tokenizer -------------------------------------------------------------
+
+const REF_PATTERN = /^(?:(?:'((?:[^']|'')+)'|([A-Za-z0-9_.]+))!)?(\$?[A-Za-z]{1,3}\$?\d+(?::\$?[A-Za-z]{1,3}\$?\d+)?|\$?[A-Za-z]{1,3}:\$?[A-Za-z]{1,3}|\$?\d+:\$?\d+)(?![A-Za-z0-9_(!])/;
+const NUMBER_PATTERN = /^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/;
+const ERROR_PATTERN = /^#(?:NULL!|DIV\/0!|VALUE!|REF!|NAME\?|NUM!|N\/A)/;
+const NAME_PATTERN = /^[A-Za-z_\\][A-Za-z0-9_.]*/;
+const OPERATORS = ['<>', '<=', '>=', '+', '-', '*', '/', '^', '&', '=', '<', '>', '%', '(', ')', ','];
+
+function tokenize(formula) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < formula.length) {
+    const rest = formula.slice(i);
+    const char = formula[i];
+
+    if (/\s/.test(char) || char === '@') {
+      i++;
+      continue;
+    }
+
+    if (char === '"') {
+      let value = '';
+      let j = i + 1;
+      while (j < formula.length) {
+        if (formula[j] === '"') {
+          if (formula[j + 1] === '"') {
+            value += '"';
+            j += 2;
+            continue;
+          }
+          break;
+        }
+        value += formula[j++];
+      }
+      tokens.push({ type: 'str', value });
+      i = j + 1;
+      continue;
+    }
+
+    let match = rest.match(ERROR_PATTERN);
+    if (match) {
+      tokens.push({ type: 'err', value: match[0] });
+      i += match[0].length;
+      continue;
+    }
+
+    match = rest.match(REF_PATTERN);
+    if (match) {
+      tokens.push({ type: 'ref', sheet: match[1] ? match[1].replace(/''/g, "'") : match[2] || null, ref: match[3].replace(/\$/g, '') });
+      i += match[0].length;
+      continue;
+    }
+
+    match = rest.match(NUMBER_PATTERN);
+    if (match) {
+      tokens.push({ type: 'num', value: parseFloat(match[0]) });
+      i += match[0].length;
+      continue;
+    }
+
+    match = rest.match(NAME_PATTERN);
+    if (match) {
+      const name = match[0];
+      const isCall = /^\s*\(/.test(formula.slice(i + name.length));
+      if (isCall) {
+        tokens.push({ type: 'func', value: name.toUpperCase().replace(/^_XLFN\.|^_XLWS\./, '') });
+      } else if (/^(TRUE|FALSE)$/i.test(name)) {
+        tokens.push({ type: 'bool', value: name.toUpperCase() === 'TRUE' });
+      } else {
+        tokens.push({ type: 'name', value: name });
+      }
+      i += name.length;
+      continue;
+    }
+
+    const operator = OPERATORS.find(candidate => rest.startsWith(candidate));
+    if (operator) {
+      tokens.push({ type: 'op', value: operator });
+      i += operator.length;
+      continue;
+    }
+
+    throw new FormulaEvaluationError(`Unsupported formula syntax near "${rest.slice(0, 10)}"`);
+  }
+
+  return tokens;
+}
+
+// --- Parser ----------------------------------------------------------------
+
+export function parseFormula(formula) {
+  const tokens = tokenize(String(formula || '').replace(/^=/, ''));
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isOperator = (...values) => peek()?.type === 'op' && values.includes(peek().value);
+  const expect = value => {
+    if (!isOperator(value)) {
+      throw new FormulaEvaluationError(`Expected "${value}" in formula`);
+    }
+    position++;
+  };
+
+  const binary = (next, operators) => () => {
+    let left = next();
+    while (isOperator(...operators)) {
+      const op = tokens[position++].value;
+      left = { type: 'bin', op, left, right: next() };
+    }
+    return left;
+  };
+
+  function parsePrimary() {
+    const token = tokens[position++];
+    if (!token) throw new FormulaEvaluationError('Unexpected end of formula');
+
+    switch (token.type) {
+      case 'num':
+      case 'str':
+      case 'bool':
+      case 'err':
+        return { type: token.type, value: token.value };
+      case 'ref':
+        return { type: 'ref', sheet: token.sheet, ref: token.ref };
+      case 'name':
+        return { type: 'name', value: token.value };
+      case 'func': {
+        expect('(');
+        const args = [];
+        if (!isOperator(')')) {
+          do {
+            args.push(isOperator(',', ')') ? { type: 'blank' } : parseComparison());
+          } while (isOperator(',') && ++position);
+        }
+        expect(')');
+        return { type: 'call', name: token.value, args };
+      }
+      case 'op':
+        if (token.value === '(') {
+          const inner = parseComparison();
+          expect(')');
+          return inner;
+        }
+        break;
+      default:
+        break;
+    }
+    throw new FormulaEvaluationError(`Unexpected "${token.value}" in formula`);
+  }
+
+  function parsePostfix() {
+    let node = parsePrimary();
+    while (isOperator('%')) {
+      position++;
+      node = { type: 'pct', operand: node };
+    }
+    return node;
+  }
+
+  function parseUnary() {
+    if (isOperator('-', '+')) {
+      const op = tokens[position++].value;
+      const operand = parseUnary();
+      return op === '-' ? { type: 'neg', operand } : operand;
+    }
+    return parsePostfix();
+  }
+
+  const parseExponent = binary(parseUnary, ['^']);
+  const parseMultiplicative = binary(parseExponent, ['*', '/']);
+  const parseAdditive = binary(parseMultiplicative, ['+', '-']);
+  const parseConcat = binary(parseAdditive, ['&']);
+  const parseComparison = binary(parseConcat, ['=', '<>', '<', '>', '<=', '>=']);
+
+  const ast = parseComparison();
+  if (position < tokens.length) {
+    throw new FormulaEvaluationError(`Unexpected "${tokens[position].value}" in formula`);
+  }
+  return ast;
+}
+
+// --- Value coercion ----------------------------------------------------------
+
+function toSerial(date) {
+  const utc = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(), date.getHours(), date.getMinutes(), date.getSeconds());
+  return (utc - EXCEL_EPOCH) / DAY_MS;
+}
+
+function fromSerial(serial) {
+  const utc = new Date(EXCEL_EPOCH + Math.round(serial * DAY_MS));
+  return new Date(utc.getUTCFullYear(), utc.getUTCMonth(), utc.getUTCDate(), utc.getUTCHours(), utc.getUTCMinutes(), utc.getUTCSeconds());
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined) return 0;
+  if (typeof value === 'number') return value;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (value instanceof Date) return toSerial(value);
+  const text = String(value).trim();
+  if (text && !Number.isNaN(Number(text))) return Number(text);
+  const date = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (date) return toSerial(new Date(Number(date[1]), Number(date[2]) - 1, Number(date[3])));
+  throw new FormulaError('#VALUE!');
+}
+
+function formatGeneral(number) {
+  return String(Number(number.toPrecision(15)));
+}
+
+function toText(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return formatGeneral(value);
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+  if (value instanceof Date) return formatGeneral(toSerial(value));
+  return String(value);
+}
+
+function toBoolean(value) {
+  if (value === null || value === undefined) return false;
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'string') {
+    if (/^true$/i.test(value)) return true;
+    if (/^false$/i.test(value)) return false;
+    throw new FormulaError('#VALUE!');
+  }
+  return toNumber(value) !== 0;
+}
+
+function isNumeric(value) {
+  return typeof value === 'number' || value instanceof Date;
+}
+
+/**
+ * Excel ordering: numbers < text < booleans; text compares case-insensitively
+ */
+function compare(left, right) {
+  const rank = value => (isNumeric(value) ? 0 : typeof value === 'string' ? 1 : 2);
+  let a = left;
+  let b = right;
+  if (a === null || a === undefined) a = typeof b === 'string' ? '' : typeof b === 'boolean' ? false : 0;
+  if (b === null || b === undefined) b = typeof a === 'string' ? '' : typeof a === 'boolean' ? false : 0;
+
+  if (rank(a) !== rank(b)) return rank(a) - rank(b);
+  if (isNumeric(a)) return toNumber(a) - toNumber(b);
+  if (typeof a === 'string') {
+    const x = a.toLowerCase();
+    const y = b.toLowerCase();
+    return x < y ? -1 : x > y ? 1 : 0;
+  }
+  return Number(a) - Number(b);
+}
+
+function wildcardPattern(text) {
+  const escaped = String(text).replace(/~([*?~])|([.+^${}()|[\]\\])|(\*)|(\?)/g, (match, literal, special, star, question) => {
+    if (literal) return `\\${literal}`;
+    if (special) return `\\${special}`;
+    if (star) return '.*';
+    return '.';
+  });
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+/**
+ * Criteria of SUMIF/COUNTIF: a value, or text with a comparison prefix (">=10", "<>Closed", "DHL*")
+ */
+function buildCriteria(criteria) {
+  if (typeof criteria !== 'string') {
+    return value => value !== null && value !== '' && compare(value, criteria) === 0;
+  }
+
+  const match = criteria.match(/^(<>|>=|<=|=|>|<)?([\s\S]*)$/);
+  const op = match[1] || '=';
+  const operand = match[2];
+  const numeric = operand.trim() !== '' && !Number.isNaN(Number(operand)) ? Number(operand) : null;
+
+  if (op === '=' || op === '<>') {
+    let test;
+    if (operand === '') {
+      test = value => value === null || value === '';
+    } else if (numeric !== null) {
+      test = value => isNumeric(value) && toNumber(value) === numeric || (typeof value === 'string' && value.trim() !== '' && Number(value) === numeric);
+    } else {
+      const pattern = wildcardPattern(operand);
+      test = value => typeof value === 'string' && pattern.test(value);
+    }
+    return op === '=' ? test : value => !test(value);
+  }
+
+  const target = numeric !== null ? numeric : operand;
+  return value => {
+    if (value === null || value === '') return false;
+    if (numeric !== null && !isNumeric(value)) return false;
+    if (numeric === null && typeof value !== 'string') return false;
+    const result = numeric !== null ? toNumber(value) - target : compare(value, target);
+    switch (op) {
+      case '>': return result > 0;
+      case '>=': return result >= 0;
+      case '<': return result < 0;
+      default: return result <= 0;
+    }
+  };
+}
+
+// --- Evaluation ------------------------------------------------------------
+
+function createEvaluator(workbook) {
+  const cellValues = new Map();
+  const visiting = new Set();
+  const matrixCache = new Map();
+  const indexCache = new Map();
+  const astCache = new Map();
+  const definedNames = new Map(
+    (workbook.Workbook?.Names || [])
+      .filter(name => name?.Name && name.Ref && (name.Sheet === undefined || name.Sheet === null))
+      .map(name => [name.Name.toLowerCase(), name.Ref])
+  );
+
+  function getSheet(name) {
+    const sheet = workbook.Sheets[name];
+    if (!sheet) throw new FormulaError('#REF!');
+    return sheet;
+  }
+
+  function sheetBounds(name) {
+    const ref = getSheet(name)['!ref'];
+    return ref ? XLSX.utils.decode_range(ref) : { s: { c: 0, r: 0 }, e: { c: 0, r: 0 } };
+  }
+
+  function resolveRef(sheetName, ref) {
+    const [first, second] = ref.split(':');
+    if (/^\d+$/.test(first)) {
+      const bounds = sheetBounds(sheetName);
+      return new Range(sheetName, { c: bounds.s.c, r: Number(first) - 1 }, { c: bounds.e.c, r: Number(second) - 1 });
+    }
+    if (second && /^[A-Za-z]+$/.test(first)) {
+      const bounds = sheetBounds(sheetName);
+      return new Range(sheetName, { c: XLSX.utils.decode_col(first), r: 0 }, { c: XLSX.utils.decode_col(second), r: bounds.e.r });
+    }
+    const start = XLSX.utils.decode_cell(first);
+    const end = second ? XLSX.utils.decode_cell(second) : start;
+    return new Range(
+      sheetName,
+      { c: Math.min(start.c, end.c), r: Math.min(start.r, end.r) },
+      { c: Math.max(start.c, end.c), r: Math.max(start.r, end.r) }
+    );
+  }
+
+  function readCell(cell) {
+    if (!cell) return null;
+    switch (cell.t) {
+      case 'n':
+      case 'b':
+        return cell.v;
+      case 'd':
+        return cell.v instanceof Date ? cell.v : new Date(cell.v);
+      case 's':
+        return cell.v ?? '';
+      case 'e':
+        throw new FormulaError(cell.w || '#N/A');
+      default:
+        return null;
+    }
+  }
+
+  function getCellValue(sheetName, c, r) {
+    const address = XLSX.utils.encode_cell({ c, r });
+    const cell = getSheet(sheetName)[address];
+    if (!needsEvaluation(cell)) return readCell(cell);
+
+    const key = `${sheetName}!${address}`;
+    if (cellValues.has(key)) {
+      const stored = cellValues.get(key);
+      if (stored instanceof Error) throw stored;
+      return stored;
+    }
+    if (visiting.has(key)) {
+      throw new FormulaEvaluationError(`Circular reference at ${key}`);
+    }
+
+    visiting.add(key);
+    try {
+      const value = scalar(evaluateNode(parseCached(cell.f), sheetName));
+      cellValues.set(key, value);
+      return value;
+    } catch (error) {
+      cellValues.set(key, error);
+      throw error;
+    } finally {
+      visiting.delete(key);
+    }
+  }
+
+  function parseCached(formula) {
+    if (!astCache.has(formula)) astCache.set(formula, parseFormula(formula));
+    return astCache.get(formula);
+  }
+
+  function matrix(range) {
+    if (!matrixCache.has(range.key)) {
+      const rows = [];
+      for (let r = range.start.r; r <= range.end.r; r++) {
+        const row = [];
+        for (let c = range.start.c; c <= range.end.c; c++) {
+          try {
+            row.push(getCellValue(range.sheet, c, r));
+          } catch (error) {
+            if (error instanceof FormulaEvaluationError) throw error;
+            row.push(error);
+          }
+        }
+        rows.push(row);
+      }
+      matrixCache.set(range.key, rows);
+    }
+    return matrixCache.get(range.key);
+  }
+
+  function scalar(value) {
+    if (value instanceof Range) {
+      if (value.rows === 1 && value.cols === 1) {
+        return getCellValue(value.sheet, value.start.c, value.start.r);
+      }
+      throw new FormulaError('#VALUE!');
+    }
+    if (value instanceof Error) throw value;
+    return value;
+  }
+
+  function flatten(values) {
+    const result = [];
+    values.forEach(value => {
+      if (value instanceof Range) {
+        matrix(value).forEach(row => row.forEach(item => result.push({ value: item, fromRange: true })));
+      } else if (value !== undefined) {
+        result.push({ value, fromRange: false });
+      }
+    });
+    return result;
+  }
+
+  function numbersOf(values) {
+    return flatten(values)
+      .filter(({ value, fromRange }) => {
+        if (value instanceof Error) throw value;
+        return fromRange ? isNumeric(value) : value !== null;
+      })
+      .map(({ value }) => toNumber(value));
+  }
+
+  function vector(range, index, byRow) {
+    const rows = matrix(range);
+    return byRow ? rows[index] : rows.map(row => row[index]);
+  }
+
+  function findPosition(lookupValue, values, { mode = 0, cacheKey = null, reverse = false } = {}) {
+    if (mode === 0 && typeof lookupValue === 'string' && /[*?~]/.test(lookupValue)) mode = 2;
+
+    if (mode === 0 && cacheKey && !reverse) {
+      if (!indexCache.has(cacheKey)) {
+        const index = new Map();
+        values.forEach((value, position) => {
+          if (value instanceof Error || value === null) return;
+          const key = isNumeric(value) ? `n:${toNumber(value)}` : `${typeof value}:${String(value).toLowerCase()}`;
+          if (!index.has(key)) index.set(key, position);
+        });
+        indexCache.set(cacheKey, index);
+      }
+      const key = isNumeric(lookupValue) ? `n:${toNumber(lookupValue)}` : `${typeof lookupValue}:${String(lookupValue ?? '').toLowerCase()}`;
+      return indexCache.get(cacheKey).get(key) ?? -1;
+    }
+
+    const order = values.map((value, position) => position);
+    if (reverse) order.reverse();
+
+    if (mode === 2) {
+      const pattern = wildcardPattern(toText(lookupValue));
+      return order.find(position => typeof values[position] === 'string' && pattern.test(values[position])) ?? -1;
+    }
+
+    const comparable = position => values[position] !== null && !(values[position] instanceof Error) &&
+      (isNumeric(values[position]) === isNumeric(lookupValue)) && (typeof values[position] === typeof lookupValue || isNumeric(lookupValue));
+
+    if (mode === 0) {
+      return order.find(position => comparable(position) && compare(values[position], lookupValue) === 0) ?? -1;
+    }
+
+    // Next smaller (-1) or next larger (1) item when there is no exact match
+    let best = -1;
+    for (const position of order) {
+      if (!comparable(position)) continue;
+      const difference = compare(values[position], lookupValue);
+      if (difference === 0) return position;
+      if (mode === -1 && difference < 0 && (best === -1 || compare(values[position], values[best]) > 0)) best = position;
+      if (mode === 1 && difference > 0 && (best === -1 || compare(values[position], values[best]) < 0)) best = position;
+    }
+    return best;
+  }
+
+  // Sorted-range approximate match (VLOOKUP/HLOOKUP TRUE, MATCH 1/-1): last item <= value
+  function approximatePosition(lookupValue, values, descending = false) {
+    let found = -1;
+    for (let position = 0; position < values.length; position++) {
+      const value = values[position];
+      if (value === null || value instanceof Error) continue;
+      if (isNumeric(value) !== isNumeric(lookupValue)) continue;
+      const difference = compare(value, lookupValue);
+      if (descending ? difference < 0 : difference > 0) break;
+      found = position;
+      if (difference === 0 && descending) break;
+    }
+    return found;
+  }
+
+  function requireRange(value) {
+    if (!(value instanceof Range)) throw new FormulaError('#VALUE!');
+    return value;
+  }
+
+  function lookup(byRow, [lookupValue, table, index, approximate]) {
+    const range = requireRange(table);
+    const value = scalar(lookupValue);
+    const offset = Math.trunc(toNumber(scalar(index))) - 1;
+    if (offset < 0) throw new FormulaError('#VALUE!');
+    if (offset >= (byRow ? range.rows : range.cols)) throw new FormulaError('#REF!');
+
+    const keys = vector(range, 0, byRow);
+    const approx = approximate === undefined ? true : toBoolean(scalar(approximate));
+    const position = approx
+      ? approximatePosition(value, keys)
+      : findPosition(value, keys, { cacheKey: `${range.key}|${byRow ? 'r' : 'c'}0` });
+    if (position === -1) throw new FormulaError('#N/A');
+    const result = byRow ? matrix(range)[offset][position] : matrix(range)[position][offset];
+    if (result instanceof Error) throw result;
+    return result;
+  }
+
+  function lineOf(range) {
+    if (range.rows !== 1 && range.cols !== 1) throw new FormulaError('#N/A');
+    return range.cols === 1 ? { values: vector(range, 0, false), byRow: false } : { values: vector(range, 0, true), byRow: true };
+  }
+
+  const round = (number, digits, method) => {
+    const factor = 10 ** digits;
+    return method(Number((Math.abs(number) * factor).toPrecision(15))) / factor * Math.sign(number);
+  };
+
+  function aggregateIf(rangeArg, pairs, sumRangeArg) {
+    const range = requireRange(rangeArg);
+    const sumRange = sumRangeArg ? requireRange(sumRangeArg) : range;
+    const matches = [];
+    for (let r = 0; r < range.rows; r++) {
+      for (let c = 0; c < range.cols; c++) {
+        const ok = pairs.every(({ criteriaRange, test }) => {
+          const value = matrix(criteriaRange)[r]?.[c];
+          return !(value instanceof Error) && test(value ?? null);
+        });
+        if (ok) matches.push(matrix(sumRange)[r]?.[c] ?? null);
+      }
+    }
+    return matches;
+  }
+
+  function criteriaPairs(args) {
+    const pairs = [];
+    for (let i = 0; i < args.length; i += 2) {
+      pairs.push({ criteriaRange: requireRange(args[i]), test: buildCriteria(scalar(args[i + 1])) });
+    }
+    return pairs;
+  }
+
+  const sumOf = values => values.filter(isNumeric).reduce((sum, value) => sum + toNumber(value), 0);
+
+  const FUNCTIONS = {
+    // Lookup
+    VLOOKUP: args => lookup(false, args),
+    HLOOKUP: args => lookup(true, args),
+    MATCH: ([lookupValue, range, type]) => {
+      const { values } = lineOf(requireRange(range));
+      const matchType = type === undefined ? 1 : Math.trunc(toNumber(scalar(type)));
+      const value = scalar(lookupValue);
+      const position = matchType === 0
+        ? findPosition(value, values, { cacheKey: `${range.key}|line` })
+        : approximatePosition(value, values, matchType < 0);
+      if (position === -1) throw new FormulaError('#N/A');
+      return position + 1;
+    },
+    INDEX: ([range, rowArg, colArg]) => {
+      const target = requireRange(range);
+      let row = rowArg === undefined || rowArg === null ? 0 : Math.trunc(toNumber(scalar(rowArg)));
+      let col = colArg === undefined || colArg === null ? 0 : Math.trunc(toNumber(scalar(colArg)));
+      if (target.rows === 1 && col === 0 && colArg === undefined) {
+        col = row;
+        row = 1;
+      }
+      if (target.cols === 1 && col === 0) col = 1;
+      if (target.rows === 1 && row === 0) row = 1;
+      if (row < 1 || col < 1 || row > target.rows || col > target.cols) throw new FormulaError('#REF!');
+      const value = matrix(target)[row - 1][col - 1];
+      if (value instanceof Error) throw value;
+      return value;
+    },
+    XLOOKUP: ([lookupValue, lookupArray, returnArray, notFound, matchMode, searchMode]) => {
+      const lookupRange = requireRange(lookupArray);
+      const returnRange = requireRange(returnArray);
+      const { values, byRow } = lineOf(lookupRange);
+      const mode = matchMode === undefined || matchMode === null ? 0 : Math.trunc(toNumber(scalar(matchMode)));
+      const reverse = searchMode !== undefined && searchMode !== null && toNumber(scalar(searchMode)) < 0;
+      const position = findPosition(scalar(lookupValue), values, { mode, reverse, cacheKey: `${lookupRange.key}|line` });
+      if (position === -1) {
+        if (notFound !== undefined && notFound !== null) return scalar(notFound);
+        throw new FormulaError('#N/A');
+      }
+      const result = byRow
+        ? matrix(returnRange)[0]?.[position]
+        : matrix(returnRange)[position]?.[0];
+      if (result === undefined) throw new FormulaError('#VALUE!');
+      if (result instanceof Error) throw result;
+      return result;
+    },
+
+    // Math
+    SUM: args => numbersOf(args).reduce((sum, value) => sum + value, 0),
+    AVERAGE: args => {
+      const values = numbersOf(args);
+      if (values.length === 0) throw new FormulaError('#DIV/0!');
+      return values.reduce((sum, value) => sum + value, 0) / values.length;
+    },
+    MIN: args => (numbersOf(args).length ? Math.min(...numbersOf(args)) : 0),
+    MAX: args => (numbersOf(args).length ? Math.max(...numbersOf(args)) : 0),
+    COUNT: args => flatten(args).filter(({ value }) => isNumeric(value)).length,
+    COUNTA: args => flatten(args).filter(({ value }) => value !== null && value !== '').length,
+    ROUND: ([number, digits]) => round(toNumber(scalar(number)), Math.trunc(toNumber(scalar(digits ?? 0))), Math.round),
+    ROUNDUP: ([number, digits]) => round(toNumber(scalar(number)), Math.trunc(toNumber(scalar(digits ?? 0))), Math.ceil),
+    ROUNDDOWN: ([number, digits]) => round(toNumber(scalar(number)), Math.trunc(toNumber(scalar(digits ?? 0))), Math.floor),
+    ABS: ([number]) => Math.abs(toNumber(scalar(number))),
+    SUMIF: ([range, criteria, sumRange]) => sumOf(aggregateIf(range, [{ criteriaRange: requireRange(range), test: buildCriteria(scalar(criteria)) }], sumRange)),
+    SUMIFS: ([sumRange, ...rest]) => sumOf(aggregateIf(rest[0], criteriaPairs(rest), sumRange)),
+    COUNTIF: ([range, criteria]) => aggregateIf(range, [{ criteriaRange: requireRange(range), test: buildCriteria(scalar(criteria)) }]).length,
+    COUNTIFS: args => aggregateIf(args[0], criteriaPairs(args)).length,
+    AVERAGEIF: ([range, criteria, averageRange]) => {
+      const values = aggregateIf(range, [{ criteriaRange: requireRange(range), test: buildCriteria(scalar(criteria)) }], averageRange).filter(isNumeric);
+      if (values.length === 0) throw new FormulaError('#DIV/0!');
+      return sumOf(values) / values.length;
+    },
+
+    // Text
+    CONCAT: args => flatten(args).map(({ value }) => {
+      if (value instanceof Error) throw value;
+      return toText(value);
+    }).join(''),
+    CONCATENATE: args => args.map(arg => toText(scalar(arg))).join(''),
+    TEXT: ([value, format]) => {
+      const resolved = scalar(value);
+      const number = typeof resolved === 'string' && Number.isNaN(Number(resolved)) ? resolved : toNumber(resolved);
+      return XLSX.SSF.format(toText(scalar(format)), number);
+    },
+    LEFT: ([text, count]) => toText(scalar(text)).slice(0, count === undefined ? 1 : Math.max(0, toNumber(scalar(count)))),
+    RIGHT: ([text, count]) => {
+      const value = toText(scalar(text));
+      const length = count === undefined ? 1 : Math.max(0, toNumber(scalar(count)));
+      return length === 0 ? '' : value.slice(-length);
+    },
+    MID: ([text, start, count]) => {
+      const from = Math.trunc(toNumber(scalar(start)));
+      if (from < 1) throw new FormulaError('#VALUE!');
+      return toText(scalar(text)).substr(from - 1, Math.max(0, toNumber(scalar(count))));
+    },
+    LEN: ([text]) => toText(scalar(text)).length,
+    UPPER: ([text]) => toText(scalar(text)).toUpperCase(),
+    LOWER: ([text]) => toText(scalar(text)).toLowerCase(),
+    TRIM: ([text]) => toText(scalar(text)).trim().replace(/ {2,}/g, ' '),
+
+    // Date
+    DATE: ([year, month, day]) => {
+      let y = Math.trunc(toNumber(scalar(year)));
+      if (y < 1900) y += 1900;
+      return new Date(y, Math.trunc(toNumber(scalar(month))) - 1, Math.trunc(toNumber(scalar(day))));
+    },
+    TODAY: () => {
+      const now = new Date();
+      return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    },
+    YEAR: ([date]) => fromSerial(toNumber(scalar(date))).getFullYear(),
+    MONTH: ([date]) => fromSerial(toNumber(scalar(date))).getMonth() + 1,
+    DAY: ([date]) => fromSerial(toNumber(scalar(date))).getDate(),
+
+    // Logic and information
+    AND: args => flatten(args).filter(({ value }) => value !== null).every(({ value }) => toBoolean(value)),
+    OR: args => flatten(args).filter(({ value }) => value !== null).some(({ value }) => toBoolean(value)),
+    NOT: ([value]) => !toBoolean(scalar(value)),
+    ISBLANK: ([value]) => scalar(value) === null,
+    ISNUMBER: ([value]) => {
+      try {
+        return isNumeric(scalar(value));
+      } catch (error) {
+        if (error instanceof FormulaError) return false;
+        throw error;
+      }
+    }
+  };
+
+  // Only the chosen branch of IF / IFERROR is evaluated, as in Excel
+  const LAZY_FUNCTIONS = {
+    IF: (args, sheetName) => {
+      const condition = toBoolean(scalar(evaluateNode(args[0], sheetName)));
+      const branch = condition ? args[1] : args[2];
+      if (!branch) return condition && args.length < 2 ? true : false;
+      return evaluateNode(branch, sheetName);
+    },
+    IFERROR: (args, sheetName) => catchErrors(args, sheetName, () => true),
+    IFNA: (args, sheetName) => catchErrors(args, sheetName, error => error.code === '#N/A'),
+    ISERROR: (args, sheetName) => catchErrors([args[0], { type: 'bool', value: true }], sheetName, () => true, false),
+    ISNA: (args, sheetName) => catchErrors([args[0], { type: 'bool', value: true }], sheetName, error => error.code === '#N/A', false)
+  };
+
+  function catchErrors([valueNode, fallbackNode], sheetName, handles, otherwise = undefined) {
+    try {
+      const value = scalar(evaluateNode(valueNode, sheetName));
+      return otherwise === undefined ? value : otherwise;
+    } catch (error) {
+      if (!(error instanceof FormulaError) || !handles(error)) throw error;
+      return fallbackNode ? scalar(evaluateNode(fallbackNode, sheetName)) : null;
+    }
+  }
+
+  function evaluateBinary(op, left, right) {
+    switch (op) {
+      case '+': return toNumber(left) + toNumber(right);
+      case '-': return toNumber(left) - toNumber(right);
+      case '*': return toNumber(left) * toNumber(right);
+      case '/': {
+        const divisor = toNumber(right);
+        if (divisor === 0) throw new FormulaError('#DIV/0!');
+        return toNumber(left) / divisor;
+      }
+      case '^': return toNumber(left) ** toNumber(right);
+      case '&': return toText(left) + toText(right);
+      case '=': return compare(left, right) === 0;
+      case '<>': return compare(left, right) !== 0;
+      case '<': return compare(left, right) < 0;
+      case '>': return compare(left, right) > 0;
+      case '<=': return compare(left, right) <= 0;
+      default: return compare(left, right) >= 0;
+    }
+  }
+
+  function evaluateNode(node, sheetName) {
+    switch (node.type) {
+      case 'num':
+      case 'str':
+      case 'bool':
+        return node.value;
+      case 'blank':
+        return null;
+      case 'err':
+        throw new FormulaError(node.value);
+      case 'ref':
+        return resolveRef(node.sheet || sheetName, node.ref);
+      case 'name': {
+        const ref = definedNames.get(node.value.toLowerCase());
+        if (!ref) throw new FormulaError('#NAME?');
+        const defined = parseCached(ref);
+        if (defined.type !== 'ref') throw new FormulaEvaluationError(`Unsupported defined name ${node.value}`);
+        return evaluateNode(defined, sheetName);
+      }
+      case 'neg':
+        return -toNumber(scalar(evaluateNode(node.operand, sheetName)));
+      case 'pct':
+        return toNumber(scalar(evaluateNode(node.operand, sheetName))) / 100;
+      case 'bin':
+        return evaluateBinary(
+          node.op,
+          scalar(evaluateNode(node.left, sheetName)),
+          scalar(evaluateNode(node.right, sheetName))
+        );
+      case 'call': {
+        if (LAZY_FUNCTIONS[node.name]) return LAZY_FUNCTIONS[node.name](node.args, sheetName);
+        const fn = FUNCTIONS[node.name];
+        if (!fn) throw new FormulaEvaluationError(`Unsupported function ${node.name}`, node.name);
+        return fn(node.args.map(arg => evaluateNode(arg, sheetName)));
+      }
+      default:
+        throw new FormulaEvaluationError(`Unsupported formula element ${node.type}`);
+    }
+  }
+
+  return { getCellValue };
+}
+
+export const SUPPORTED_FUNCTIONS = [
+  'VLOOKUP', 'HLOOKUP', 'MATCH', 'INDEX', 'XLOOKUP',
+  'SUM', 'AVERAGE', 'MIN', 'MAX', 'COUNT', 'COUNTA', 'ROUND', 'ROUNDUP', 'ROUNDDOWN', 'ABS',
+  'SUMIF', 'SUMIFS', 'COUNTIF', 'COUNTIFS', 'AVERAGEIF',
+  'CONCAT', 'CONCATENATE', 'TEXT', 'LEFT', 'RIGHT', 'MID', 'LEN', 'UPPER', 'LOWER', 'TRIM',
+  'DATE', 'TODAY', 'YEAR', 'MONTH', 'DAY',
+  'IF', 'IFERROR', 'IFNA', 'AND', 'OR', 'NOT', 'ISBLANK', 'ISNUMBER', 'ISERROR', 'ISNA'
+];
+
+function needsEvaluation(cell) {
+  return Boolean(cell?.f) && (cell.t === 'z' || cell.v === undefined);
+}
+
+function toCell(value) {
+  if (value === null || value === undefined) return { t: 'n', v: 0 };
+  if (value instanceof Date) return { t: 'd', v: value };
+  if (typeof value === 'number') return Number.isFinite(value) ? { t: 'n', v: value } : { t: 's', v: '#NUM!' };
+  if (typeof value === 'boolean') return { t: 'b', v: value };
+  return { t: 's', v: String(value) };
+}
+
+/**
+ * Fill in formula cells that have no cached value, in place
+ * Cells that can't be evaluated stay empty; stub cells without a formula are removed
+ * @returns {Object} { evaluated, failed, unsupported: { FUNCTION: count }, bySheet: { [sheet]: { evaluated, failed, unsupported, issues: [{ cell, formula, error }] } } }
+ */
+export function evaluateWorkbookFormulas(workbook) {
+  const evaluator = createEvaluator(workbook);
+  const summary = { evaluated: 0, failed: 0, unsupported: {}, bySheet: {} };
+
+  for (const sheetName of workbook.SheetNames) {
+    const sheet = workbook.Sheets[sheetName];
+    const stats = { evaluated: 0, failed: 0, unsupported: {}, issues: [] };
+    const addIssue = (address, formula, error) => {
+      if (stats.issues.length < MAX_ISSUES_PER_SHEET) stats.issues.push({ cell: address, formula, error });
+    };
+
+    for (const address of Object.keys(sheet)) {
+      if (address.startsWith('!')) continue;
+      const cell = sheet[address];
+      if (!needsEvaluation(cell)) continue;
+
+      const { c, r } = XLSX.utils.decode_cell(address);
+      try {
+        const value = evaluator.getCellValue(sheetName, c, r);
+        sheet[address] = { ...toCell(value), f: cell.f };
+        stats.evaluated++;
+      } catch (error) {
+        if (error instanceof FormulaError && ERROR_CODES.includes(error.code)) {
+          // A genuine Excel error result (#N/A from a failed lookup, ...)
+          sheet[address] = { t: 's', v: error.code, w: error.code, f: cell.f };
+          stats.evaluated++;
+          continue;
+        }
+        stats.failed++;
+        if (error.functionName) {
+          stats.unsupported[error.functionName] = (stats.unsupported[error.functionName] || 0) + 1;
+        }
+        addIssue(address, cell.f, error.message);
+        delete sheet[address];
+      }
+    }
+
+    for (const address of Object.keys(sheet)) {
+      if (!address.startsWith('!') && sheet[address]?.t === 'z') delete sheet[address];
+    }
+
+    if (stats.evaluated > 0 || stats.failed > 0) {
+      summary.bySheet[sheetName] = stats;
+      summary.evaluated += stats.evaluated;
+      summary.failed += stats.failed;
+      Object.entries(stats.unsupported).forEach(([name, count]) => {
+        summary.unsupported[name] = (summary.unsupported[name] || 0) + count;
+      });
+    }
+  }
+
+  return summary;
+}
+
+export default {
+  parseFormula,
+  evaluateWorkbookFormulas,
+  SUPPORTED_FUNCTIONS
+};
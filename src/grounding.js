@@ -0,0 +1,239 @@
+import { getCachedContext } from './services/context-cache.js';
+import { loadManifestIndex } from './services/search-index.js';
+
+/**
+ * Post-generation grounding check
+ * The grounding rules in the prompt ask the model not to invent details; this
+ * checks the answer afterwards. Specific claims (PO and reference numbers,
+ * tracking numbers, dates, prices, document names) are extracted and looked up
+ * in the tenant's processed artifacts (search index chunks and file names),
+ * the data-tool results of the turn and what the customer said. A claim found
+ * nowhere is unverified; `score` is the verified share of checked claims.
+ */
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_NAME = '(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?';
+const MAX_UNVERIFIED = 10;
+
+const PO_PATTERN = /\bP\.?O\.?\s*(?:no\.?|number|#)?\s*[:#-]?\s*([A-Z0-9]*\d[A-Z0-9]*(?:[-/][A-Z0-9]+)*)\b/gi;
+const REFERENCE_PATTERN = /\b[A-Z0-9]+(?:[-/][A-Z0-9]+)+\b/g;
+const TRACKING_PATTERN = /\b[A-Z0-9]{10,30}\b/g;
+const ISO_DATE_PATTERN = /\b(\d{4})-(\d{1,2})-(\d{1,2})\b/g;
+const NUMERIC_DATE_PATTERN = /\b(\d{1,2})[/.](\d{1,2})[/.](\d{2}|\d{4})\b/g;
+const DAY_MONTH_PATTERN = new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+${MONTH_NAME},?\\s+(\\d{4})\\b`, 'gi');
+const MONTH_DAY_PATTERN = new RegExp(`\\b${MONTH_NAME}\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})\\b`, 'gi');
+const PRICE_PATTERN = /(?:(?:S\$|US\$|RM|\$|€|£)\s?|\b(?:SGD|USD|EUR|GBP|MYR)\s?)(\d[\d,]*(?:\.\d+)?)|\b(\d[\d,]*(?:\.\d+)?)\s?(?:SGD|USD|EUR|GBP|MYR)\b/gi;
+const NUMBER_PATTERN = /\d[\d,]*(?:\.\d+)?/g;
+const DOCUMENT_PATTERN = /\b[\w-]+(?:[ _][\w-]+){0,5}\.(?:pdf|docx?|xlsx?|csv|txt|pptx?)\b/gi;
+const TOKEN_PATTERN = /[A-Z0-9]+(?:[-/_.][A-Z0-9]+)*/g;
+
+function compact(value) {
+  return String(value).toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+function hasDigit(value) {
+  return /\d/.test(value);
+}
+
+function isoDate(year, month, day) {
+  const y = year.length === 2 ? `20${year}` : year;
+  const m = Number(month);
+  const d = Number(day);
+  if (m < 1 || m > 12 || d < 1 || d > 31) return null;
+  return `${y}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+}
+
+/**
+ * Dates in text, each as its ISO candidates (numeric dates may be day- or month-first)
+ * @returns {Array} [{ value, candidates: ['YYYY-MM-DD'] }]
+ */
+function extractDates(text) {
+  const dates = [];
+  const add = (value, candidates) => {
+    const valid = [...new Set(candidates.filter(Boolean))];
+    if (valid.length > 0) dates.push({ value, candidates: valid });
+  };
+
+  for (const match of text.matchAll(ISO_DATE_PATTERN)) {
+    add(match[0], [isoDate(match[1], match[2], match[3])]);
+  }
+  for (const match of text.matchAll(NUMERIC_DATE_PATTERN)) {
+    add(match[0], [isoDate(match[3], match[2], match[1]), isoDate(match[3], match[1], match[2])]);
+  }
+  for (const match of text.matchAll(DAY_MONTH_PATTERN)) {
+    add(match[0], [isoDate(match[3], String(MONTHS.indexOf(match[2].toLowerCase()) + 1), match[1])]);
+  }
+  for (const match of text.matchAll(MONTH_DAY_PATTERN)) {
+    add(match[0], [isoDate(match[3], String(MONTHS.indexOf(match[1].toLowerCase()) + 1), match[2])]);
+  }
+  return dates;
+}
+
+function toCents(value) {
+  const number = parseFloat(String(value).replace(/,/g, ''));
+  return Number.isFinite(number) ? Math.round(number * 100) : null;
+}
+
+/**
+ * Claims an answer makes that the artifacts should back up
+ * @returns {Array} [{ type: 'po_number'|'reference'|'tracking_number'|'date'|'price'|'document', value, ... }]
+ */
+export function extractClaims(answer = '') {
+  const text = String(answer || '');
+  const claims = [];
+  const seen = new Set();
+  const add = claim => {
+    const key = `${claim.type}:${claim.value.toLowerCase()}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    claims.push(claim);
+  };
+
+  const dates = extractDates(text);
+  const dateText = new Set(dates.map(date => date.value));
+  // An identifier is claimed once, by the first pattern that covers it
+  const spans = [];
+  const claimSpan = (start, end) => {
+    if (spans.some(span => start < span.end && span.start < end)) return false;
+    spans.push({ start, end });
+    return true;
+  };
+
+  for (const match of text.matchAll(PO_PATTERN)) {
+    if (claimSpan(match.index, match.index + match[0].length)) {
+      add({ type: 'po_number', value: match[1] });
+    }
+  }
+  for (const match of text.matchAll(REFERENCE_PATTERN)) {
+    // Needs letters and digits, so dates and plain numbers are not references
+    if (hasDigit(match[0]) && /[A-Z]/.test(match[0]) && !dateText.has(match[0]) && claimSpan(match.index, match.index + match[0].length)) {
+      add({ type: 'reference', value: match[0] });
+    }
+  }
+  for (const match of text.matchAll(TRACKING_PATTERN)) {
+    if ((match[0].match(/\d/g) || []).length >= 6 && claimSpan(match.index, match.index + match[0].length)) {
+      add({ type: 'tracking_number', value: match[0] });
+    }
+  }
+  dates.forEach(date => add({ type: 'date', value: date.value, candidates: date.candidates }));
+  for (const match of text.matchAll(PRICE_PATTERN)) {
+    add({ type: 'price', value: match[0].trim(), cents: toCents(match[1] || match[2]) });
+  }
+  for (const match of text.matchAll(DOCUMENT_PATTERN)) {
+    // The match may include words before the name ("see Q3 Report.pdf"); it is checked by suffix
+    add({ type: 'document', value: match[0].match(/[\w-]+\.\w+$/)[0], text: match[0] });
+  }
+
+  return claims;
+}
+
+/**
+ * Lookup sets for verification, built from any amount of source text
+ */
+export function buildEvidence(texts = [], fileNames = []) {
+  const tokens = new Set();
+  const numbers = new Set();
+  const dates = new Set();
+
+  for (const text of texts) {
+    const source = String(text || '');
+    for (const match of source.toUpperCase().matchAll(TOKEN_PATTERN)) {
+      tokens.add(compact(match[0]));
+      match[0].split(/[-/_.]/).filter(Boolean).forEach(part => tokens.add(part));
+    }
+    for (const match of source.matchAll(NUMBER_PATTERN)) {
+      const cents = toCents(match[0]);
+      if (cents !== null) numbers.add(cents);
+    }
+    extractDates(source).forEach(date => date.candidates.forEach(candidate => dates.add(candidate)));
+  }
+
+  return {
+    tokens,
+    numbers,
+    dates,
+    fileNames: fileNames.filter(Boolean).map(name => String(name).toLowerCase())
+  };
+}
+
+function isVerifiedBy(claim, evidence) {
+  switch (claim.type) {
+    case 'po_number':
+    case 'reference':
+    case 'tracking_number':
+      return evidence.tokens.has(compact(claim.value));
+    case 'date':
+      return claim.candidates.some(candidate => evidence.dates.has(candidate));
+    case 'price':
+      return claim.cents !== null && evidence.numbers.has(claim.cents);
+    case 'document': {
+      const name = claim.text.toLowerCase();
+      return evidence.fileNames.some(fileName => name.endsWith(fileName) || fileName.endsWith(name));
+    }
+    default:
+      return true;
+  }
+}
+
+/**
+ * Check an answer against prepared evidence (one buildEvidence() result or a list of them)
+ * @returns {Object} { score: 0-1 or null when there is nothing to check, checked, verified, unverified: [{ type, value }] }
+ */
+export function verifyClaims(answer, evidence) {
+  const sources = Array.isArray(evidence) ? evidence : [evidence];
+  const claims = extractClaims(answer);
+  const unverified = claims
+    .filter(claim => !sources.some(source => isVerifiedBy(claim, source)))
+    .map(({ type, value }) => ({ type, value }));
+  const verified = claims.length - unverified.length;
+
+  return {
+    score: claims.length > 0 ? Math.round((verified / claims.length) * 100) / 100 : null,
+    checked: claims.length,
+    verified,
+    unverified: unverified.slice(0, MAX_UNVERIFIED)
+  };
+}
+
+/**
+ * Texts from the tenant's processed artifacts, cached per manifest version
+ */
+async function loadArtifactTexts(manifest) {
+  if (!manifest) return [];
+  const index = await getCachedContext(manifest, 'search-index', () => loadManifestIndex(manifest));
+  return (index?.chunks || []).map(chunk => [chunk.heading, chunk.text].filter(Boolean).join('\n'));
+}
+
+/**
+ * Verify an answer for a chat turn
+ * @param {Object} context - { manifest, turnTexts: [question, history, tool results] }
+ */
+export async function verifyGrounding(answer, { manifest = null, turnTexts = [] } = {}) {
+  const artifactEvidence = manifest
+    ? await getCachedContext(manifest, 'grounding-evidence', async () => buildEvidence(
+        await loadArtifactTexts(manifest),
+        (manifest.files || []).map(file => file.name)
+      ))
+    : buildEvidence();
+
+  return verifyClaims(answer, [artifactEvidence, buildEvidence(turnTexts)]);
+}
+
+/**
+ * Follow-up instruction for the single regeneration attempt
+ */
+export function buildRegenerationPrompt(unverified = []) {
+  const list = unverified.map(claim => `- ${claim.value} (${claim.type.replace(/_/g, ' ')})`).join('\n');
+  return `Verification check: these values in your answer do not appear in the uploaded files or the tool results:
+${list}
+
+Rewrite your full answer to the customer using only values that appear in the files or tool results. If a value is not available, say so instead of estimating it. Do not mention this check.`;
+}
+
+export default {
+  extractClaims,
+  buildEvidence,
+  verifyClaims,
+  verifyGrounding,
+  buildRegenerationPrompt
+};
@@ -1,173 +1,488 @@
 /**
  * Guardrails System for AI Safety & Grounding
  * Prevents off-topic queries, prompt injection, data leakage
+ *
+ * Stage one is the regex checks below. When a persona enables the classifier,
+ * messages that only match an ambiguous injection phrasing, or that score as
+ * suspicious, get a second opinion from an LLM classifier (evaluateGuardrails).
  */
 
+export const GUARDRAIL_CHECKS = ['prompt_injection', 'inappropriate', 'off_topic', 'bulk_extraction', 'system_manipulation'];
+export const GUARDRAIL_SEVERITIES = ['low', 'medium', 'high'];
+// Checks an `allowTopics` entry can bypass; security checks always run
+export const ALLOW_LISTABLE_CHECKS = ['inappropriate', 'off_topic'];
+
+const MAX_POLICY_PATTERNS = 50;
+const MAX_PATTERN_LENGTH = 200;
+const MAX_CACHED_TOPIC_MATCHERS = 500;
+const MAX_BUSINESS_KEYWORDS = 200;
+const MAX_KEYWORD_LENGTH = 60;
+const MAX_REFUSAL_LENGTH = 500;
+
+const PROMPT_INJECTION_PATTERNS = [
+  /(ignore|disregard)\s+(all\s+)?(your\s+)?(previous|all|above|prior|earlier)\s+(instructions|prompts|rules)/i,
+  /system\s*:?\s*role/i,
+  /\[system\]/i,
+  /your\s+(system\s+)?prompt/i,
+  /what\s+(are\s+)?your\s+instructions/i,
+  /bypass\s+your/i,
+  /override\s+your/i,
+  /<\|im_start\|>/i,  // Chat format injection
+  /\{system\}/i
+];
+
+// Injection phrasings that also occur in ordinary requests ("act as a liaison
+// for our order"); they block on their own unless the classifier is enabled
+const AMBIGUOUS_INJECTION_PATTERNS = [
+  /forget\s+(everything|all|previous|your)/i,
+  /you\s+are\s+now/i,
+  /new\s+instructions/i,
+  /pretend\s+(you're|to\s+be)/i,
+  /act\s+as\s+(if|a)/i,
+  /reveal\s+your/i
+];
+
+// Paraphrased jailbreak signals; the summed weight is the suspicion score
+const SUSPICION_SIGNALS = [
+  { name: 'override_verb', pattern: /\b(ignore|disregard|forget|override|bypass|circumvent)\b/i, weight: 0.3 },
+  { name: 'instruction_reference', pattern: /\b(instructions?|rules|guidelines|system\s+(prompt|message)|restrictions|guardrails?|filters?)\b/i, weight: 0.3 },
+  { name: 'jailbreak_term', pattern: /\b(jailbreak|developer\s+mode|unfiltered|uncensored|no\s+limits|without\s+(any\s+)?(restrictions|limits|filters))\b/i, weight: 0.5 },
+  { name: 'roleplay', pattern: /\b(pretend|role-?play|imagine\s+you|hypothetical(ly)?|in\s+character|from\s+now\s+on)\b/i, weight: 0.25 },
+  { name: 'identity_shift', pattern: /\b(you\s+are|you're)\s+(no\s+longer|not)\s+(an?\s+)?(assistant|ai|bot|bound)/i, weight: 0.5 },
+  { name: 'hidden_content', pattern: /\b(reveal|print|repeat|output|show)\b.{0,40}\b(above|previous|initial|hidden|secret|confidential)\b/i, weight: 0.3 }
+];
+
+// Classifier categories and the check each one counts against (benign: none)
+export const CLASSIFIER_CATEGORIES = ['benign', 'prompt_injection', 'jailbreak', 'data_extraction', 'system_manipulation', 'abuse'];
+const CLASSIFIER_CATEGORY_CHECKS = {
+  prompt_injection: 'prompt_injection',
+  jailbreak: 'prompt_injection',
+  data_extraction: 'bulk_extraction',
+  system_manipulation: 'system_manipulation',
+  abuse: 'inappropriate'
+};
+
+// Be lenient - only block obvious inappropriate content
+const INAPPROPRIATE_PATTERNS = [
+  /tell\s+me\s+a\s+joke/i,
+  /write\s+(me\s+)?an?\s+(poem|song|limerick|haiku|rap)\b/i,
+  /something\s+funny/i,
+  /adult\s+content/i
+];
+
+const BULK_EXTRACTION_PATTERNS = [
+  /show\s+(me\s+)?all\s+(the\s+)?(customer|client|phone|email|address|password|credit|card)/i,
+  /export\s+all/i,
+  /dump\s+(all|entire|whole|complete)\s+(database|data|records)/i,
+  /give\s+me\s+(all|every|complete\s+list\s+of)\s+(customer|client|user|account)/i,
+  /list\s+(all|every)\s+(password|credit|card|ssn|nric)/i,
+  /\b(all|every)\s+(customer|client|user|employee)s?'?s?\s+(personal|private)\s+(details|data|info|information)/i,
+  /download\s+(all|entire|whole)\s+database/i
+];
+
+const SYSTEM_MANIPULATION_PATTERNS = [
+  /access\s+(the\s+)?(server|database|system|admin|root)/i,
+  /sudo|chmod|rm\s+-rf/i,
+  /drop\s+table/i,
+  /delete\s+from/i,
+  /; (select|insert|update|delete)/i,  // SQL injection
+  /\bselect\s+\*\s+from\s+[\w.]+/i,  // Raw SQL query; "select size, colour from the catalogue" is a normal request
+  /\b(or|and|where)\s+'?1'?\s*=\s*'?1\b/i,  // SQL tautology
+  /\$\{.*\}/,  // Template injection
+  /eval\(/i,
+  /exec\(/i
+];
+
 /**
- * Check if user query is appropriate and in-scope
- * Returns { allowed: boolean, reason: string, blockedType: string }
+ * Default policy, used as-is when a persona has no `guardrail_policy`
+ * Stored policies only hold overrides: `checks`, `refusalMessages` and
+ * `severities` are merged key by key, the pattern and keyword lists replace
+ * the defaults. Topics are plain keywords or phrases, matched as whole words
+ * regardless of case; they are never compiled as tenant-supplied regexes.
  */
-export function checkGuardrails(userMessage, manifest = null) {
-  const message = userMessage.toLowerCase().trim();
-  
-  // 1. Check for prompt injection attempts
-  const injectionCheck = detectPromptInjection(message);
-  if (injectionCheck.detected) {
-    return {
-      allowed: false,
-      reason: "I can only help with questions about your uploaded documents and tracking data.",
-      blockedType: 'prompt_injection',
-      severity: 'high'
-    };
+const DEFAULT_POLICY = {
+  checks: {
+    prompt_injection: true,
+    inappropriate: true,
+    off_topic: true,
+    bulk_extraction: true,
+    system_manipulation: true
+  },
+  // Messages matching any of these skip the inappropriate and off-topic checks
+  allowTopics: [],
+  denyTopics: [
+    'weather', 'temperature', 'forecast', 'rain', 'sunny', 'cloud',
+    'sport', 'football', 'soccer', 'basketball', 'tennis', 'world cup', 'olympic',
+    'news', 'headline', 'current event', 'latest news',
+    'politic', 'election', 'president', 'government', 'parliament',
+    'celebrity', 'famous', 'actor', 'actress', 'movie star',
+    'movie', 'film', 'cinema', 'netflix', 'tv show', 'series',
+    'recipe', 'cooking', 'food', 'restaurant', 'menu',
+    'stock market', 'trading', 'invest', 'crypto', 'bitcoin'
+  ],
+  // A denied topic is still allowed in a business context,
+  // e.g. "weather conditions affecting shipments"
+  businessKeywords: ['shipment', 'delivery', 'tracking', 'order', 'business', 'document', 'file'],
+  refusalMessages: {
+    prompt_injection: 'I can only help with questions about your uploaded documents and tracking data.',
+    inappropriate: "I'm designed to help with business document queries. Please ask about your uploaded files, tracking data, or business information.",
+    off_topic: 'I can help you with questions about your uploaded documents, tracking data, orders, shipments, and business information. What would you like to know?',
+    bulk_extraction: "For security reasons, I can answer specific queries but not export all records. Please ask about specific items (e.g., 'What's the status of PO-12345?').",
+    system_manipulation: 'I can only help with questions about your uploaded documents.'
+  },
+  severities: {
+    prompt_injection: 'high',
+    inappropriate: 'medium',
+    off_topic: 'low',
+    bulk_extraction: 'high',
+    system_manipulation: 'high'
+  },
+  // Findings below this severity are logged as warnings instead of blocking
+  blockSeverity: 'low',
+  // Second stage: messages scoring at least `suspicionThreshold` (or matching an
+  // ambiguous injection pattern) are classified; verdicts below `blockConfidence` only warn
+  classifier: {
+    enabled: false,
+    suspicionThreshold: 0.5,
+    blockConfidence: 0.7
   }
-  
-  // 2. Check for inappropriate content
-  const inappropriateCheck = detectInappropriateContent(message);
-  if (inappropriateCheck.detected) {
-    return {
-      allowed: false,
-      reason: "I'm designed to help with business document queries. Please ask about your uploaded files, tracking data, or business information.",
-      blockedType: 'inappropriate',
-      severity: 'medium'
-    };
+};
+
+export function getDefaultGuardrailPolicy() {
+  return structuredClone(DEFAULT_POLICY);
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Compiled topic lists, keyed by their terms; least recently used evicted first
+const topicMatchers = new Map();
+
+/**
+ * One case-insensitive matcher for a list of keywords/phrases: terms are
+ * escaped (linear-time, no tenant regex), any whitespace run matches the
+ * spaces in a phrase, and word edges need a word boundary
+ */
+function getTopicMatcher(terms) {
+  const key = terms.join('\u0000');
+  let matcher = topicMatchers.get(key);
+  if (!matcher) {
+    const alternatives = terms.map(term => {
+      const body = term.split(/\s+/).map(escapeRegExp).join('\\s+');
+      return `${/^\w/.test(term) ? '\\b' : ''}${body}${/\w$/.test(term) ? '\\b' : ''}`;
+    });
+    matcher = alternatives.length > 0 ? new RegExp(alternatives.join('|'), 'i') : null;
   }
-  
-  // 3. Check if query is off-topic
-  const topicCheck = checkIfOnTopic(message, manifest);
-  if (!topicCheck.onTopic) {
-    return {
-      allowed: false,
-      reason: topicCheck.suggestion,
-      blockedType: 'off_topic',
-      severity: 'low'
-    };
+  topicMatchers.delete(key);
+  topicMatchers.set(key, matcher);
+  while (topicMatchers.size > MAX_CACHED_TOPIC_MATCHERS) {
+    topicMatchers.delete(topicMatchers.keys().next().value);
   }
-  
-  // 4. Check for bulk data extraction attempts
-  const dataExtractionCheck = detectBulkDataExtraction(message);
-  if (dataExtractionCheck.detected) {
-    return {
-      allowed: false,
-      reason: "For security reasons, I can answer specific queries but not export all records. Please ask about specific items (e.g., 'What's the status of PO-12345?').",
-      blockedType: 'bulk_extraction',
-      severity: 'high'
-    };
+  return matcher;
+}
+
+function matchesTopic(terms, message) {
+  const matcher = getTopicMatcher(terms);
+  return Boolean(matcher && matcher.test(message));
+}
+
+function validateKeyedMap(field, value, validateValue) {
+  if (!isPlainObject(value)) {
+    throw new Error(`Invalid guardrail policy: ${field} must be an object`);
   }
-  
-  // 5. Check for system manipulation attempts
-  const systemCheck = detectSystemManipulation(message);
-  if (systemCheck.detected) {
-    return {
-      allowed: false,
-      reason: "I can only help with questions about your uploaded documents.",
-      blockedType: 'system_manipulation',
-      severity: 'high'
-    };
+  return Object.fromEntries(Object.entries(value).map(([key, entry]) => {
+    if (!GUARDRAIL_CHECKS.includes(key)) {
+      throw new Error(`Invalid guardrail policy: unknown check "${key}" in ${field}`);
+    }
+    return [key, validateValue(entry, key)];
+  }));
+}
+
+function validateStringList(field, value, { maxItems, maxLength }) {
+  if (!Array.isArray(value) || value.length > maxItems) {
+    throw new Error(`Invalid guardrail policy: ${field} must be a list of at most ${maxItems} entries`);
   }
-  
+  return value.map(entry => {
+    const text = typeof entry === 'string' ? entry.trim() : '';
+    if (!text || text.length > maxLength) {
+      throw new Error(`Invalid guardrail policy: ${field} entries must be 1-${maxLength} characters`);
+    }
+    return text.replace(/\s+/g, ' ');
+  });
+}
+
+function validateClassifierSettings(value) {
+  if (!isPlainObject(value)) {
+    throw new Error('Invalid guardrail policy: classifier must be an object');
+  }
+  const settings = {};
+  for (const [key, entry] of Object.entries(value)) {
+    if (key === 'enabled') {
+      if (typeof entry !== 'boolean') throw new Error('Invalid guardrail policy: classifier.enabled must be true or false');
+    } else if (key === 'suspicionThreshold' || key === 'blockConfidence') {
+      if (typeof entry !== 'number' || entry < 0 || entry > 1) {
+        throw new Error(`Invalid guardrail policy: classifier.${key} must be a number between 0 and 1`);
+      }
+    } else {
+      throw new Error(`Invalid guardrail policy: unknown classifier setting "${key}"`);
+    }
+    settings[key] = entry;
+  }
+  return settings;
+}
+
+/**
+ * Validate a policy submitted through the admin API
+ * @returns {Object} The recognised overrides, ready to store on the persona config
+ * @throws {Error} 'Invalid guardrail policy: ...'
+ */
+export function validateGuardrailPolicy(input) {
+  if (!isPlainObject(input)) {
+    throw new Error('Invalid guardrail policy: policy must be an object');
+  }
+
+  const policy = {};
+  if (input.checks !== undefined) {
+    policy.checks = validateKeyedMap('checks', input.checks, value => {
+      if (typeof value !== 'boolean') throw new Error('Invalid guardrail policy: checks values must be true or false');
+      return value;
+    });
+  }
+  if (input.allowTopics !== undefined) {
+    policy.allowTopics = validateStringList('allowTopics', input.allowTopics, { maxItems: MAX_POLICY_PATTERNS, maxLength: MAX_PATTERN_LENGTH });
+  }
+  if (input.denyTopics !== undefined) {
+    policy.denyTopics = validateStringList('denyTopics', input.denyTopics, { maxItems: MAX_POLICY_PATTERNS, maxLength: MAX_PATTERN_LENGTH });
+  }
+  if (input.businessKeywords !== undefined) {
+    policy.businessKeywords = validateStringList('businessKeywords', input.businessKeywords, { maxItems: MAX_BUSINESS_KEYWORDS, maxLength: MAX_KEYWORD_LENGTH });
+  }
+  if (input.refusalMessages !== undefined) {
+    policy.refusalMessages = validateKeyedMap('refusalMessages', input.refusalMessages, value => {
+      const text = typeof value === 'string' ? value.trim() : '';
+      if (!text || text.length > MAX_REFUSAL_LENGTH) {
+        throw new Error(`Invalid guardrail policy: refusalMessages must be 1-${MAX_REFUSAL_LENGTH} characters`);
+      }
+      return text;
+    });
+  }
+  if (input.severities !== undefined) {
+    policy.severities = validateKeyedMap('severities', input.severities, value => {
+      if (!GUARDRAIL_SEVERITIES.includes(value)) {
+        throw new Error(`Invalid guardrail policy: severities must be one of ${GUARDRAIL_SEVERITIES.join(', ')}`);
+      }
+      return value;
+    });
+  }
+  if (input.blockSeverity !== undefined) {
+    if (!GUARDRAIL_SEVERITIES.includes(input.blockSeverity)) {
+      throw new Error(`Invalid guardrail policy: blockSeverity must be one of ${GUARDRAIL_SEVERITIES.join(', ')}`);
+    }
+    policy.blockSeverity = input.blockSeverity;
+  }
+  if (input.classifier !== undefined) {
+    policy.classifier = validateClassifierSettings(input.classifier);
+  }
+
+  return policy;
+}
+
+/**
+ * Effective policy for a persona: defaults merged with its stored overrides
+ * Stored values that no longer validate are skipped rather than failing the chat turn
+ */
+export function resolveGuardrailPolicy(overrides = null) {
+  const defaults = getDefaultGuardrailPolicy();
+  if (!isPlainObject(overrides)) return defaults;
+
+  const valid = {};
+  for (const [field, value] of Object.entries(overrides)) {
+    try {
+      Object.assign(valid, validateGuardrailPolicy({ [field]: value }));
+    } catch (error) {
+      console.warn(`⚠️ Ignoring stored guardrail setting: ${error.message}`);
+    }
+  }
+
+  return {
+    ...defaults,
+    ...valid,
+    checks: { ...defaults.checks, ...valid.checks },
+    refusalMessages: { ...defaults.refusalMessages, ...valid.refusalMessages },
+    severities: { ...defaults.severities, ...valid.severities },
+    classifier: { ...defaults.classifier, ...valid.classifier }
+  };
+}
+
+/**
+ * `allowTopics` entry matching a message that was wrongly refused: the phrase
+ * of its leading words, within MAX_PATTERN_LENGTH
+ */
+export function suggestAllowPattern(excerpt = '') {
+  const words = String(excerpt).trim().split(/\s+/).filter(Boolean);
+  let pattern = '';
+  for (const word of words) {
+    const next = pattern ? `${pattern} ${word}` : word;
+    if (next.length > MAX_PATTERN_LENGTH) break;
+    pattern = next;
+  }
+  return pattern || null;
+}
+
+/**
+ * Suspicion score for paraphrased injection attempts the regexes miss
+ * @returns {Object} { score: 0-1, signals: [name] }
+ */
+export function scoreSuspicion(userMessage = '') {
+  const matched = SUSPICION_SIGNALS.filter(signal => signal.pattern.test(userMessage));
+  const score = Math.min(1, matched.reduce((total, signal) => total + signal.weight, 0));
+  return { score: Math.round(score * 100) / 100, signals: matched.map(signal => signal.name) };
+}
+
+function blockResult(policy, type, fields) {
+  return {
+    ...fields,
+    allowed: false,
+    decision: 'block',
+    reason: policy.refusalMessages[type],
+    blockedType: type,
+    severity: policy.severities[type]
+  };
+}
+
+/**
+ * Stage one: regex checks
+ * @param {string} userMessage
+ * @param {Object} manifest - Tenant manifest (unused by the built-in checks)
+ * @param {Object} policyOverrides - The persona's `guardrail_policy`; defaults when null
+ * Returns { allowed, decision: 'allow'|'block', stage: 'regex', reason, blockedType, severity,
+ *   warnings: [{ type, severity }], suspicion: { score, signals }, deferred, needsReview, classifier: null }
+ * `needsReview` means the persona's classifier should decide (see evaluateGuardrails);
+ * `deferred` marks an ambiguous injection match left to it
+ */
+export function checkGuardrails(userMessage, manifest = null, policyOverrides = null) {
+  const message = userMessage.toLowerCase().trim();
+  const policy = resolveGuardrailPolicy(policyOverrides);
+  const blockRank = GUARDRAIL_SEVERITIES.indexOf(policy.blockSeverity);
+  const allowedTopic = matchesTopic(policy.allowTopics, message);
+  const classifierEnabled = policy.classifier.enabled && policy.checks.prompt_injection;
+  const suspicion = scoreSuspicion(message);
+  const warnings = [];
+  let deferred = false;
+
+  const detectors = {
+    prompt_injection: () => {
+      const { detected, ambiguous } = detectPromptInjection(message);
+      if (!detected && ambiguous && classifierEnabled) {
+        deferred = true;
+        return false;
+      }
+      return detected || ambiguous;
+    },
+    inappropriate: () => !allowedTopic && detectInappropriateContent(message).detected,
+    off_topic: () => !allowedTopic && !checkIfOnTopic(message, policy).onTopic,
+    bulk_extraction: () => detectBulkDataExtraction(message).detected,
+    system_manipulation: () => detectSystemManipulation(message).detected
+  };
+
+  for (const type of GUARDRAIL_CHECKS) {
+    if (!policy.checks[type] || !detectors[type]()) continue;
+
+    const severity = policy.severities[type];
+    if (GUARDRAIL_SEVERITIES.indexOf(severity) < blockRank) {
+      warnings.push({ type, severity });
+      continue;
+    }
+
+    return blockResult(policy, type, { stage: 'regex', warnings, suspicion, deferred, needsReview: false, classifier: null });
+  }
+
   // All checks passed
   return {
     allowed: true,
+    decision: 'allow',
+    stage: 'regex',
     reason: null,
     blockedType: null,
-    severity: null
+    severity: null,
+    warnings,
+    suspicion,
+    deferred,
+    needsReview: classifierEnabled && (deferred || suspicion.score >= policy.classifier.suspicionThreshold),
+    classifier: null
   };
 }
 
+/**
+ * Both stages: regex checks, then the classifier for messages flagged `needsReview`
+ * @param {Object} options - { classify(message) => { category, confidence, rationale } }
+ * If the classifier is unavailable, deferred ambiguous matches block (as with the
+ * classifier disabled) and messages that were merely suspicious are allowed
+ */
+export async function evaluateGuardrails(userMessage, manifest = null, policyOverrides = null, { classify = null } = {}) {
+  const result = checkGuardrails(userMessage, manifest, policyOverrides);
+  if (!result.needsReview) return result;
+
+  const policy = resolveGuardrailPolicy(policyOverrides);
+  const reviewed = { ...result, needsReview: false };
+  let verdict;
+  try {
+    if (typeof classify !== 'function') {
+      throw new Error('no classifier configured');
+    }
+    verdict = await classify(userMessage);
+  } catch (error) {
+    console.warn(`⚠️ Guardrail classifier unavailable, keeping the regex decision: ${error.message}`);
+    return result.deferred ? blockResult(policy, 'prompt_injection', reviewed) : reviewed;
+  }
+
+  const classified = { ...reviewed, stage: 'classifier', classifier: verdict };
+  const type = CLASSIFIER_CATEGORY_CHECKS[verdict.category];
+  if (!type || !policy.checks[type]) return classified;
+
+  const severity = policy.severities[type];
+  const confident = verdict.confidence >= policy.classifier.blockConfidence;
+  if (!confident || GUARDRAIL_SEVERITIES.indexOf(severity) < GUARDRAIL_SEVERITIES.indexOf(policy.blockSeverity)) {
+    return { ...classified, warnings: [...classified.warnings, { type, severity }] };
+  }
+  return blockResult(policy, type, classified);
+}
+
 /**
  * Detect prompt injection attempts
  */
 function detectPromptInjection(message) {
-  const injectionPatterns = [
-    /ignore\s+(previous|all|above|prior)\s+(instructions|prompts|rules)/i,
-    /forget\s+(everything|all|previous|your)/i,
-    /you\s+are\s+now/i,
-    /new\s+instructions/i,
-    /system\s*:?\s*role/i,
-    /\[system\]/i,
-    /pretend\s+(you're|to\s+be)/i,
-    /act\s+as\s+(if|a)/i,
-    /your\s+(system\s+)?prompt/i,
-    /reveal\s+your/i,
-    /what\s+(are\s+)?your\s+instructions/i,
-    /bypass\s+your/i,
-    /override\s+your/i,
-    /<\|im_start\|>/i,  // Chat format injection
-    /\{system\}/i
-  ];
-  
-  const detected = injectionPatterns.some(pattern => pattern.test(message));
+  const detected = PROMPT_INJECTION_PATTERNS.some(pattern => pattern.test(message));
+  const ambiguous = AMBIGUOUS_INJECTION_PATTERNS.some(pattern => pattern.test(message));
   
-  return { detected };
+  return { detected, ambiguous };
 }
 
 /**
  * Detect inappropriate content
  */
 function detectInappropriateContent(message) {
-  // Be lenient - only block obvious inappropriate content
-  const obviouslyInappropriate = message.match(/tell\s+me\s+a\s+joke/i) ||
-                                  message.match(/something\s+funny/i) ||
-                                  message.match(/adult\s+content/i);
+  const detected = INAPPROPRIATE_PATTERNS.some(pattern => pattern.test(message));
   
-  return { detected: obviouslyInappropriate };
+  return { detected };
 }
 
 /**
- * Check if query is on-topic (related to uploaded documents/tracking)
+ * Check if query is on-topic: denied topics pass only in a business context
  */
-function checkIfOnTopic(message, manifest) {
-  // Off-topic patterns - check these first
-  const offTopicPatterns = [
-    /\b(weather|temperature|forecast|rain|sunny|cloud)\b/i,
-    /\b(sport|football|soccer|basketball|tennis|world\s+cup|olympic)\b/i,
-    /\b(news|headline|current\s+event|latest\s+news)\b/i,
-    /\b(politic|election|president|government|parliament)\b/i,
-    /\b(celebrity|famous|actor|actress|movie\s+star)\b/i,
-    /\b(movie|film|cinema|netflix|tv\s+show|series)\b/i,
-    /\b(recipe|cooking|food|restaurant|menu)\b/i,
-    /\b(stock\s+market|trading|invest|crypto|bitcoin)\b/i
-  ];
-  
-  const isObviouslyOffTopic = offTopicPatterns.some(pattern => pattern.test(message));
+function checkIfOnTopic(message, policy) {
+  const isObviouslyOffTopic = matchesTopic(policy.denyTopics, message);
   
   if (isObviouslyOffTopic) {
-    // Double-check it's not actually about business
-    // E.g., "weather conditions affecting shipments" should be allowed
-    const businessContext = /\b(shipment|delivery|tracking|order|business|document|file)\b/i.test(message);
+    const businessContext = matchesTopic(policy.businessKeywords, message);
     
     if (!businessContext) {
-      return {
-        onTopic: false,
-        suggestion: "I can help you with questions about your uploaded documents, tracking data, orders, shipments, and business information. What would you like to know?"
-      };
-    }
-  }
-  
-  // If files are uploaded, be more strict
-  if (manifest && manifest.totalFiles > 0) {
-    // Business/document related keywords
-    const businessKeywords = [
-      'po', 'order', 'shipment', 'tracking', 'status', 'eta', 'delivery',
-      'customer', 'carrier', 'invoice', 'price', 'rate', 'location',
-      'product', 'plan', 'policy', 'coverage', 'premium', 'deductible',
-      'document', 'file', 'data', 'record', 'information', 'detail',
-      'list', 'show', 'find', 'search', 'what', 'when', 'where', 'who', 'how',
-      'compare', 'difference', 'between', 'all', 'summary', 'report', 'upload'
-    ];
-    
-    const hasBusinessKeyword = businessKeywords.some(keyword => 
-      message.includes(keyword.toLowerCase())
-    );
-    
-    // If no business keywords and looks like general question
-    if (!hasBusinessKeyword && message.length < 100) {
-      // Check if it's a general question
-      const generalPatterns = /\b(what\s+is|tell\s+me\s+about|explain|how\s+does)\b/i;
-      if (generalPatterns.test(message) && !isObviouslyOffTopic) {
-        // Could be asking about capabilities, allow it
-        return { onTopic: true };
-      }
+      return { onTopic: false };
     }
   }
   
@@ -180,16 +495,7 @@ function checkIfOnTopic(message, manifest) {
  * Detect bulk data extraction attempts
  */
 function detectBulkDataExtraction(message) {
-  const bulkPatterns = [
-    /show\s+(me\s+)?all\s+(the\s+)?(customer|client|phone|email|address|password|credit|card)/i,
-    /export\s+all/i,
-    /dump\s+(all|entire|whole|complete)\s+(database|data|records)/i,
-    /give\s+me\s+(all|every|complete\s+list\s+of)\s+(customer|client|user|account)/i,
-    /list\s+(all|every)\s+(password|credit|card|ssn|nric)/i,
-    /download\s+(all|entire|whole)\s+database/i
-  ];
-  
-  const detected = bulkPatterns.some(pattern => pattern.test(message));
+  const detected = BULK_EXTRACTION_PATTERNS.some(pattern => pattern.test(message));
   
   return { detected };
 }
@@ -198,18 +504,7 @@ function detectBulkDataExtraction(message) {
  * Detect system manipulation attempts
  */
 function detectSystemManipulation(message) {
-  const manipulationPatterns = [
-    /access\s+(the\s+)?(server|database|system|admin|root)/i,
-    /sudo|chmod|rm\s+-rf/i,
-    /drop\s+table/i,
-    /delete\s+from/i,
-    /; (select|insert|update|delete)/i,  // SQL injection
-    /\$\{.*\}/,  // Template injection
-    /eval\(/i,
-    /exec\(/i
-  ];
-  
-  const detected = manipulationPatterns.some(pattern => pattern.test(message));
+  const detected = SYSTEM_MANIPULATION_PATTERNS.some(pattern => pattern.test(message));
   
   return { detected };
 }
@@ -242,9 +537,14 @@ export function extractContactIntent(output) {
 
 export function sanitizeOutput(output, context) {
   const { sanitized: withoutIntent, contactIntent } = extractContactIntent(output);
+  return { sanitized: redactSystemInfo(withoutIntent), contactIntent };
+}
 
-  // Remove any accidentally exposed system information
-  let sanitized = withoutIntent;
+/**
+ * Remove any accidentally exposed system information
+ */
+function redactSystemInfo(text) {
+  let sanitized = text;
   
   // Remove file paths
   sanitized = sanitized.replace(/[A-Z]:\\[^\s]+/g, '[FILE_PATH]');
@@ -257,7 +557,32 @@ export function sanitizeOutput(output, context) {
   sanitized = sanitized.replace(/sk-ant-[a-zA-Z0-9-]+/g, '[API_KEY]');
   sanitized = sanitized.replace(/Bearer\s+[a-zA-Z0-9-._]+/g, '[AUTH_TOKEN]');
   
-  return { sanitized, contactIntent };
+  return sanitized;
+}
+
+/**
+ * Streaming counterpart of sanitizeOutput()
+ * Deltas are held until a line completes so a path or key split across deltas
+ * is redacted before any of it is emitted; flush() releases the last line.
+ */
+export function createOutputSanitizerStream(emit) {
+  let pending = '';
+
+  return {
+    push(delta) {
+      if (!delta) return;
+      pending += delta;
+      const lineEnd = pending.lastIndexOf('\n');
+      if (lineEnd === -1) return;
+      emit(redactSystemInfo(pending.slice(0, lineEnd + 1)));
+      pending = pending.slice(lineEnd + 1);
+    },
+
+    flush() {
+      if (pending) emit(redactSystemInfo(pending));
+      pending = '';
+    }
+  };
 }
 
 /**
@@ -306,7 +631,8 @@ SCOPE BOUNDARIES:
 }
 
 /**
- * Log blocked requests for monitoring
+ * Log blocked requests to the console
+ * Chat routes also persist them as tenant incidents (services/guardrail-incidents.js)
  */
 export function logBlockedRequest(userMessage, guardrailResult, userId = 'anonymous') {
   const logEntry = {
@@ -319,9 +645,6 @@ export function logBlockedRequest(userMessage, guardrailResult, userId = 'anonym
   
   console.warn('🛡️ GUARDRAIL BLOCKED:', logEntry);
   
-  // In production, send to monitoring system
-  // sendToMonitoring(logEntry);
-  
   return logEntry;
 }
 
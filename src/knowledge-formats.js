@@ -0,0 +1,671 @@
+import path from 'path';
+import XLSX from 'xlsx';
+import { detectEncoding } from './csv-processor.js';
+
+/**
+ * Text extraction for knowledge formats beyond PDF/DOCX/TXT
+ * PPTX decks, HTML and Markdown pages, JSON feeds and .eml emails. Each
+ * extractor returns { fullText, sections: [{ heading, level, text }], metadata }
+ * so the chunker can split along slides, headings, JSON records and email
+ * parts the same way it splits DOCX headings.
+ */
+
+// Text-based file types: stored as txt + meta (+ chunks) artifacts and treated as knowledge
+export const TEXT_FILE_TYPES = ['pdf', 'docx', 'txt', 'pptx', 'html', 'markdown', 'json', 'email'];
+
+const MAX_EMAIL_DEPTH = 3;
+const JSON_LABEL_KEYS = ['name', 'title', 'label', 'sku', 'id', 'code'];
+const HEADING_MARK = '\u0000#';
+
+const NAMED_ENTITIES = {
+  nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: "'",
+  ndash: '–', mdash: '—', hellip: '…', bull: '•', middot: '·',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+  copy: '©', reg: '®', trade: '™', euro: '€', pound: '£', deg: '°'
+};
+
+export function decodeHtmlEntities(text = '') {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, code) => {
+    if (code[0] === '#') {
+      const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return point > 0 && point <= 0x10FFFF ? String.fromCodePoint(point) : match;
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Decode text bytes: an explicit charset wins, else BOM / byte-pattern detection
+ */
+export function decodeText(buffer, charset = null) {
+  const encoding = charset || detectEncoding(buffer.subarray(0, 64 * 1024)).encoding;
+  try {
+    return new TextDecoder(encoding).decode(buffer);
+  } catch {
+    return new TextDecoder('utf-8').decode(buffer);
+  }
+}
+
+function renderSections(sections) {
+  return sections
+    .map(section => (section.heading
+      ? `${'#'.repeat(Math.min(section.level || 2, 6))} ${section.heading}\n\n${section.text}`
+      : section.text))
+    .filter(text => text.trim())
+    .join('\n\n');
+}
+
+function collapseLines(lines) {
+  // Blank lines separate paragraphs; runs of blank lines collapse to one
+  return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+// --- HTML ------------------------------------------------------------------
+
+/**
+ * Heading-delimited sections of an HTML page (script/style/head dropped, lists and tables kept readable)
+ */
+export function htmlToSections(html = '') {
+  const title = decodeHtmlEntities((html.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1] || '').replace(/\s+/g, ' ').trim());
+  const inline = text => text.replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim();
+
+  const text = decodeHtmlEntities(html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|noscript|template|svg|head)\b[\s\S]*?<\/\1>/gi, '')
+    .replace(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi, (match, level, content) => `\n${HEADING_MARK}${level} ${inline(content)}\n`)
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(td|th)>/gi, ' | ')
+    .replace(/<\/tr>/gi, '\n')
+    .replace(/<\/?(p|div|section|article|header|footer|main|nav|aside|ul|ol|table|blockquote|pre|dl|dt|dd|figure|figcaption|hr|form|fieldset)\b[^>]*>/gi, '\n')
+    .replace(/<[^>]+>/g, ''));
+
+  const sections = [];
+  let current = { heading: null, level: null, lines: [] };
+  const pushCurrent = () => {
+    const body = collapseLines(current.lines);
+    if (current.heading || body) sections.push({ heading: current.heading, level: current.level, text: body });
+  };
+
+  text.split('\n').forEach(rawLine => {
+    const line = rawLine.replace(/[ \t\u00a0]+/g, ' ').replace(/\s*\|\s*$/, '').trim();
+    if (line.startsWith(HEADING_MARK)) {
+      pushCurrent();
+      const level = parseInt(line[HEADING_MARK.length], 10);
+      current = { heading: line.slice(HEADING_MARK.length + 1).trim(), level, lines: [] };
+    } else if (line === '-') {
+      // Empty list item
+    } else {
+      current.lines.push(line);
+    }
+  });
+  pushCurrent();
+
+  return { title: title || null, sections };
+}
+
+export function extractHtml(buffer) {
+  const head = buffer.subarray(0, 2048).toString('latin1');
+  const declared = head.match(/<meta[^>]+charset\s*=\s*["']?([\w-]+)/i)?.[1] || null;
+  const bom = detectEncoding(buffer.subarray(0, 4)).bom;
+  const { title, sections } = htmlToSections(decodeText(buffer, bom ? null : declared));
+
+  if (sections.length === 0) {
+    throw new Error('HTML file has no readable text');
+  }
+
+  const fullText = renderSections(sections);
+  return {
+    fullText,
+    sections,
+    metadata: {
+      title,
+      headingCount: sections.filter(section => section.heading).length,
+      textLength: fullText.length
+    }
+  };
+}
+
+// --- Markdown --------------------------------------------------------------
+
+/**
+ * Sections split on ATX (#) and setext (===/---) headings, ignoring fenced code
+ */
+export function markdownToSections(markdown = '') {
+  let text = markdown.replace(/\r\n?/g, '\n');
+  let frontMatter = null;
+  const front = text.match(/^---\n([\s\S]*?)\n---\n/);
+  if (front) {
+    frontMatter = front[1];
+    text = text.slice(front[0].length);
+  }
+
+  const lines = text.split('\n');
+  const sections = [];
+  let current = { heading: null, level: null, lines: [] };
+  let fence = null;
+  const pushCurrent = () => {
+    const body = collapseLines(current.lines);
+    if (current.heading || body) sections.push({ heading: current.heading, level: current.level, text: body });
+  };
+  const startSection = (heading, level) => {
+    pushCurrent();
+    current = { heading, level, lines: [] };
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const fenceMatch = line.match(/^\s{0,3}(```|~~~)/);
+    if (fenceMatch) {
+      fence = fence === fenceMatch[1] ? null : fence || fenceMatch[1];
+      current.lines.push(line);
+      continue;
+    }
+    if (fence) {
+      current.lines.push(line);
+      continue;
+    }
+
+    const atx = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (atx) {
+      startSection(atx[2], atx[1].length);
+      continue;
+    }
+    // Setext: a one-line paragraph underlined with === or ---
+    const next = lines[i + 1] || '';
+    const previousBlank = !current.lines.length || !current.lines[current.lines.length - 1].trim();
+    if (line.trim() && previousBlank && !/^\s*([-*+]|\d+\.)\s/.test(line) && /^\s{0,3}(=+|-+)\s*$/.test(next)) {
+      startSection(line.trim(), next.trim()[0] === '=' ? 1 : 2);
+      i++;
+      continue;
+    }
+    current.lines.push(line.replace(/\s+$/, ''));
+  }
+  pushCurrent();
+
+  const title = frontMatter?.match(/^title:\s*["']?(.+?)["']?\s*$/m)?.[1] || sections.find(section => section.level === 1)?.heading || null;
+  return { title, sections };
+}
+
+export function extractMarkdown(buffer) {
+  const markdown = decodeText(buffer);
+  const { title, sections } = markdownToSections(markdown);
+
+  if (sections.length === 0) {
+    throw new Error('Markdown file is empty');
+  }
+
+  return {
+    fullText: renderSections(sections),
+    sections,
+    metadata: {
+      title,
+      headingCount: sections.filter(section => section.heading).length,
+      textLength: markdown.length
+    }
+  };
+}
+
+// --- JSON ------------------------------------------------------------------
+
+const isContainer = value => value !== null && typeof value === 'object';
+
+function joinPath(parent, key) {
+  if (typeof key === 'number') return `${parent}[${key}]`;
+  const safe = /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+  if (!parent) return safe === key ? key : `[${safe}]`;
+  return safe === key ? `${parent}.${key}` : `${parent}[${safe}]`;
+}
+
+/**
+ * "path: value" lines for every leaf of a JSON value
+ */
+export function flattenJson(value, basePath = '') {
+  const lines = [];
+  const visit = (node, nodePath) => {
+    if (Array.isArray(node)) {
+      if (node.length === 0) lines.push(`${nodePath}: []`);
+      node.forEach((item, index) => visit(item, joinPath(nodePath, index)));
+    } else if (isContainer(node)) {
+      const keys = Object.keys(node);
+      if (keys.length === 0) lines.push(`${nodePath}: {}`);
+      keys.forEach(key => visit(node[key], joinPath(nodePath, key)));
+    } else {
+      lines.push(`${nodePath || '(root)'}: ${node === null ? 'null' : String(node)}`);
+    }
+  };
+  visit(value, basePath);
+  return lines;
+}
+
+function recordHeading(recordPath, record) {
+  const key = JSON_LABEL_KEYS.find(candidate => Object.keys(record || {}).some(name => name.toLowerCase() === candidate && !isContainer(record[name])));
+  if (!key) return recordPath;
+  const name = Object.keys(record).find(candidate => candidate.toLowerCase() === key);
+  return `${recordPath} (${record[name]})`;
+}
+
+/**
+ * Sections per record: elements of a top-level array, or of arrays one level down
+ * ({ "products": [...] }); other top-level keys get one section each
+ */
+export function jsonToSections(value) {
+  const sections = [];
+  const addRecords = (items, arrayPath, level) => {
+    items.forEach((item, index) => {
+      const itemPath = joinPath(arrayPath, index);
+      sections.push({ heading: recordHeading(itemPath, item), level, text: flattenJson(item, itemPath).join('\n') });
+    });
+  };
+
+  if (Array.isArray(value)) {
+    addRecords(value, '', 2);
+  } else if (isContainer(value)) {
+    const scalarLines = [];
+    Object.entries(value).forEach(([key, child]) => {
+      const childPath = joinPath('', key);
+      if (Array.isArray(child) && child.some(isContainer)) {
+        addRecords(child, childPath, 2);
+      } else if (isContainer(child)) {
+        sections.push({ heading: childPath, level: 2, text: flattenJson(child, childPath).join('\n') });
+      } else {
+        scalarLines.push(...flattenJson(child, childPath));
+      }
+    });
+    if (scalarLines.length > 0) sections.unshift({ heading: null, level: null, text: scalarLines.join('\n') });
+  } else {
+    sections.push({ heading: null, level: null, text: flattenJson(value).join('\n') });
+  }
+
+  return sections.filter(section => section.text);
+}
+
+/**
+ * JSON document, or JSON Lines (one value per line)
+ */
+export function parseJsonText(text) {
+  const source = text.replace(/^\uFEFF/, '');
+  try {
+    return { value: JSON.parse(source), format: 'json' };
+  } catch (error) {
+    const lines = source.split(/\r?\n/).filter(line => line.trim());
+    if (lines.length > 1) {
+      try {
+        return { value: lines.map(line => JSON.parse(line)), format: 'jsonl' };
+      } catch {
+        // Report the original parse error below
+      }
+    }
+    throw new Error(`JSON file is not valid JSON: ${error.message}`);
+  }
+}
+
+export function extractJson(buffer) {
+  const { value, format } = parseJsonText(decodeText(buffer));
+  const sections = jsonToSections(value);
+
+  if (sections.length === 0) {
+    throw new Error('JSON file has no values');
+  }
+
+  const fullText = renderSections(sections);
+  return {
+    json: value,
+    fullText,
+    sections,
+    metadata: {
+      format,
+      topLevelType: Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value,
+      recordCount: sections.filter(section => section.heading).length,
+      topLevelKeys: isContainer(value) && !Array.isArray(value) ? Object.keys(value).slice(0, 50) : undefined,
+      textLength: fullText.length
+    }
+  };
+}
+
+// --- PPTX ------------------------------------------------------------------
+
+function readZipEntries(buffer) {
+  const container = XLSX.CFB.read(buffer, { type: 'buffer' });
+  const entries = new Map();
+  container.FullPaths.forEach((fullPath, index) => {
+    const entry = container.FileIndex[index];
+    if (entry?.type !== 2 || !entry.content) return;
+    entries.set(fullPath.replace(/^[^/]*\//, ''), Buffer.from(entry.content));
+  });
+  return entries;
+}
+
+function readRelationships(entries, partPath) {
+  const relsPath = path.posix.join(path.posix.dirname(partPath), '_rels', `${path.posix.basename(partPath)}.rels`);
+  const xml = entries.get(relsPath)?.toString('utf8') || '';
+  return [...xml.matchAll(/<Relationship\b[^>]*>/g)].map(([tag]) => {
+    const attribute = name => tag.match(new RegExp(`\\b${name}="([^"]*)"`))?.[1] || '';
+    const target = attribute('Target');
+    return {
+      id: attribute('Id'),
+      type: attribute('Type').split('/').pop(),
+      target: target.startsWith('/') ? target.slice(1) : path.posix.normalize(path.posix.join(path.posix.dirname(partPath), target))
+    };
+  });
+}
+
+function drawingParagraphs(xml) {
+  return [...xml.replace(/<a:br\b[^>]*\/>/g, '<a:t>\n</a:t>').matchAll(/<a:p\b[^>]*>([\s\S]*?)<\/a:p>/g)]
+    .map(([, paragraph]) => decodeHtmlEntities([...paragraph.matchAll(/<a:t(?:\s[^>]*)?>([\s\S]*?)<\/a:t>/g)].map(([, run]) => run).join('')).trim())
+    .filter(Boolean);
+}
+
+function tableLines(xml) {
+  return [...xml.matchAll(/<a:tr\b[^>]*>([\s\S]*?)<\/a:tr>/g)]
+    .map(([, row]) => [...row.matchAll(/<a:tc\b[^>]*>([\s\S]*?)<\/a:tc>/g)].map(([, cell]) => drawingParagraphs(cell).join(' ')).join(' | '))
+    .filter(line => line.replace(/[|\s]/g, ''));
+}
+
+/**
+ * Title and body text of one slide (or notes page), shapes in document order
+ */
+function readSlideXml(xml, { placeholderTypes = null } = {}) {
+  let title = null;
+  const body = [];
+  for (const [shape] of xml.matchAll(/<p:sp\b[\s\S]*?<\/p:sp>|<p:graphicFrame\b[\s\S]*?<\/p:graphicFrame>/g)) {
+    const placeholder = shape.match(/<p:ph\b[^>]*\btype="([^"]+)"/)?.[1] || null;
+    if (placeholderTypes && !placeholderTypes.includes(placeholder)) continue;
+    if (['sldNum', 'dt', 'ftr'].includes(placeholder)) continue;
+
+    if (shape.includes('<a:tbl>')) {
+      body.push(...tableLines(shape));
+      continue;
+    }
+    const paragraphs = drawingParagraphs(shape);
+    if (!title && ['title', 'ctrTitle'].includes(placeholder) && paragraphs.length) {
+      title = paragraphs.join(' ').replace(/\s+/g, ' ');
+    } else {
+      body.push(...paragraphs);
+    }
+  }
+  return { title, text: body.join('\n') };
+}
+
+export function extractPptx(buffer) {
+  let entries;
+  try {
+    entries = readZipEntries(buffer);
+  } catch (error) {
+    throw new Error(`PPTX file could not be opened: ${error.message}`);
+  }
+
+  const presentation = entries.get('ppt/presentation.xml')?.toString('utf8');
+  if (!presentation) {
+    throw new Error('PPTX file has no presentation part');
+  }
+
+  // Slide order comes from the presentation's slide list, not the file names
+  const relationships = new Map(readRelationships(entries, 'ppt/presentation.xml').map(rel => [rel.id, rel]));
+  let slidePaths = [...presentation.matchAll(/<p:sldId\b[^>]*\br:id="([^"]+)"/g)]
+    .map(([, id]) => relationships.get(id)?.target)
+    .filter(target => target && entries.has(target));
+  if (slidePaths.length === 0) {
+    slidePaths = [...entries.keys()]
+      .filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+      .sort((a, b) => parseInt(a.match(/(\d+)\.xml$/)[1], 10) - parseInt(b.match(/(\d+)\.xml$/)[1], 10));
+  }
+
+  const slides = slidePaths.map((slidePath, index) => {
+    const { title, text } = readSlideXml(entries.get(slidePath).toString('utf8'));
+    const notesPath = readRelationships(entries, slidePath).find(rel => rel.type === 'notesSlide')?.target;
+    const notes = notesPath && entries.has(notesPath)
+      ? readSlideXml(entries.get(notesPath).toString('utf8'), { placeholderTypes: ['body'] }).text
+      : '';
+    return { number: index + 1, title, text, notes };
+  });
+
+  const sections = slides
+    .map(slide => ({
+      heading: `Slide ${slide.number}${slide.title ? `: ${slide.title}` : ''}`,
+      level: 2,
+      text: [slide.text, slide.notes ? `Speaker notes:\n${slide.notes}` : ''].filter(Boolean).join('\n\n')
+    }))
+    .filter(section => section.text || section.heading.includes(':'));
+
+  if (sections.length === 0) {
+    throw new Error('PPTX file has no slide text');
+  }
+
+  const fullText = renderSections(sections);
+  return {
+    fullText,
+    sections,
+    slides,
+    metadata: {
+      slideCount: slides.length,
+      titles: slides.map(slide => slide.title).filter(Boolean),
+      textLength: fullText.length
+    }
+  };
+}
+
+// --- Email (.eml) ------------------------------------------------------------
+
+function decodeHeaderWords(value = '') {
+  return value
+    .replace(/(=\?[^?]+\?[BbQq]\?[^?]*\?=)\s+(?==\?)/g, '$1')
+    .replace(/=\?([^?]+)\?([BbQq])\?([^?]*)\?=/g, (match, charset, encoding, encoded) => {
+      const bytes = encoding.toUpperCase() === 'B'
+        ? Buffer.from(encoded, 'base64')
+        : Buffer.from(encoded.replace(/_/g, ' ').replace(/=([0-9A-F]{2})/gi, (hex, code) => String.fromCharCode(parseInt(code, 16))), 'latin1');
+      return decodeText(bytes, charset.split('*')[0]);
+    });
+}
+
+function parseHeaders(headerText) {
+  const headers = {};
+  headerText.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/).forEach(line => {
+    const separator = line.indexOf(':');
+    if (separator <= 0) return;
+    const name = line.slice(0, separator).trim().toLowerCase();
+    if (!(name in headers)) headers[name] = line.slice(separator + 1).trim();
+  });
+  return headers;
+}
+
+/**
+ * "text/plain; charset=utf-8; name=..." => { value, params } (RFC 2231 name*= supported)
+ */
+function parseHeaderValue(header = '') {
+  const [value, ...rest] = header.split(';');
+  const params = {};
+  rest.forEach(part => {
+    const separator = part.indexOf('=');
+    if (separator === -1) return;
+    let key = part.slice(0, separator).trim().toLowerCase();
+    let paramValue = part.slice(separator + 1).trim().replace(/^"([\s\S]*)"$/, '$1');
+    if (key.endsWith('*')) {
+      key = key.slice(0, -1);
+      const [charset, , encoded = ''] = paramValue.split("'");
+      paramValue = decodeText(Buffer.from(encoded.replace(/%([0-9A-F]{2})/gi, (hex, code) => String.fromCharCode(parseInt(code, 16))), 'latin1'), charset || 'utf-8');
+    }
+    params[key] = decodeHeaderWords(paramValue);
+  });
+  return { value: value.trim().toLowerCase(), params };
+}
+
+function decodeTransfer(body, encoding = '') {
+  switch (encoding.toLowerCase()) {
+    case 'base64':
+      return Buffer.from(body.replace(/[^A-Za-z0-9+/=]/g, ''), 'base64');
+    case 'quoted-printable':
+      return Buffer.from(body
+        .replace(/=\r?\n/g, '')
+        .replace(/=([0-9A-F]{2})/gi, (hex, code) => String.fromCharCode(parseInt(code, 16))), 'latin1');
+    default:
+      return Buffer.from(body, 'latin1');
+  }
+}
+
+// Parts are handled as latin1 strings so every byte survives until the charset is known
+function parseMimePart(raw) {
+  const separator = raw.match(/\r?\n\r?\n/);
+  const headerText = separator ? raw.slice(0, separator.index) : raw;
+  const body = separator ? raw.slice(separator.index + separator[0].length) : '';
+  const headers = parseHeaders(headerText);
+  const contentType = parseHeaderValue(headers['content-type'] || 'text/plain');
+  const disposition = parseHeaderValue(headers['content-disposition'] || '');
+
+  return {
+    headers,
+    type: contentType.value,
+    charset: contentType.params.charset || null,
+    boundary: contentType.params.boundary || null,
+    filename: disposition.params.filename || contentType.params.name || null,
+    disposition: disposition.value || null,
+    transferEncoding: headers['content-transfer-encoding'] || '',
+    body
+  };
+}
+
+function splitMultipart(body, boundary) {
+  const parts = [];
+  const delimiter = `--${boundary}`;
+  const segments = body.split(new RegExp(`\\r?\\n?${delimiter.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`));
+  // segments[0] is the preamble; the segment after the closing delimiter starts with "--"
+  for (const segment of segments.slice(1)) {
+    if (segment.startsWith('--')) break;
+    parts.push(parseMimePart(segment.replace(/^[ \t]*\r?\n/, '')));
+  }
+  return parts;
+}
+
+function collectMimeParts(part, result) {
+  if (part.type.startsWith('multipart/') && part.boundary) {
+    const children = splitMultipart(part.body, part.boundary);
+    if (part.type === 'multipart/alternative') {
+      const preferred = children.find(child => child.type === 'text/plain' && !child.filename && decodeTransfer(child.body, child.transferEncoding).toString('latin1').trim())
+        || children.find(child => child.type === 'text/html' && !child.filename)
+        || children.find(child => child.type.startsWith('multipart/'))
+        || children[0];
+      if (preferred) collectMimeParts(preferred, result);
+      return;
+    }
+    children.forEach(child => collectMimeParts(child, result));
+    return;
+  }
+
+  const isAttachment = part.disposition === 'attachment' || Boolean(part.filename) || part.type === 'message/rfc822';
+  const bytes = decodeTransfer(part.body, part.transferEncoding);
+  if (isAttachment) {
+    result.attachments.push({
+      filename: part.filename || (part.type === 'message/rfc822' ? 'forwarded-message.eml' : `attachment-${result.attachments.length + 1}`),
+      contentType: part.type,
+      size: bytes.length,
+      content: bytes
+    });
+  } else if (part.type === 'text/plain' || part.type === 'text/html') {
+    result.bodies.push({ type: part.type, text: decodeText(bytes, part.charset || 'utf-8') });
+  }
+}
+
+async function extractAttachmentText(attachment, options, depth) {
+  const extension = path.extname(attachment.filename || '').toLowerCase();
+  const type = attachment.contentType;
+  if (type === 'message/rfc822' || extension === '.eml') {
+    if (depth >= MAX_EMAIL_DEPTH) return null;
+    return (await extractEmail(attachment.content, { ...options, depth: depth + 1 })).fullText;
+  }
+  if (type === 'text/html' || ['.html', '.htm'].includes(extension)) return extractHtml(attachment.content).fullText;
+  if (type === 'text/markdown' || ['.md', '.markdown'].includes(extension)) return decodeText(attachment.content);
+  if (type === 'application/json' || extension === '.json') return extractJson(attachment.content).fullText;
+  if (extension === '.pptx') return extractPptx(attachment.content).fullText;
+  if (type.startsWith('text/')) return decodeText(attachment.content);
+  if (typeof options.extractAttachmentText === 'function') {
+    return options.extractAttachmentText(attachment);
+  }
+  return null;
+}
+
+function formatSize(bytes) {
+  return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
+
+/**
+ * Headers, body (plain text preferred over HTML) and attachment text of an .eml message
+ * @param {Object} options - { extractAttachmentText(attachment) } for formats handled elsewhere (PDF, DOCX)
+ */
+export async function extractEmail(buffer, options = {}) {
+  const depth = options.depth || 0;
+  const root = parseMimePart(buffer.toString('latin1'));
+  const headers = Object.fromEntries(['from', 'to', 'cc', 'date', 'subject', 'message-id']
+    .filter(name => root.headers[name])
+    .map(name => [name, decodeHeaderWords(root.headers[name])]));
+
+  if (!headers.from && !headers.subject && !root.headers['content-type']) {
+    throw new Error('Email file has no message headers');
+  }
+
+  const collected = { bodies: [], attachments: [] };
+  collectMimeParts(root, collected);
+
+  const body = collected.bodies
+    .map(part => (part.type === 'text/html' ? renderSections(htmlToSections(part.text).sections) : part.text.replace(/\r\n?/g, '\n').trim()))
+    .filter(Boolean)
+    .join('\n\n');
+
+  const attachments = [];
+  const attachmentSections = [];
+  for (const attachment of collected.attachments) {
+    let text = null;
+    try {
+      text = await extractAttachmentText(attachment, options, depth);
+    } catch (error) {
+      console.warn(`⚠️ Could not read email attachment ${attachment.filename}: ${error.message}`);
+    }
+    attachments.push({ filename: attachment.filename, contentType: attachment.contentType, size: attachment.size, extracted: Boolean(text?.trim()) });
+    if (text?.trim()) {
+      attachmentSections.push({ heading: `Attachment: ${attachment.filename}`, level: 2, text: text.trim() });
+    }
+  }
+
+  const headerLines = [
+    headers.from && `From: ${headers.from}`,
+    headers.to && `To: ${headers.to}`,
+    headers.cc && `Cc: ${headers.cc}`,
+    headers.date && `Date: ${headers.date}`,
+    headers.subject && `Subject: ${headers.subject}`,
+    attachments.length && `Attachments: ${attachments.map(item => `${item.filename} (${item.contentType}, ${formatSize(item.size)})`).join(', ')}`
+  ].filter(Boolean);
+
+  const sections = [
+    { heading: headers.subject || 'Email', level: 1, text: [headerLines.join('\n'), body].filter(Boolean).join('\n\n') },
+    ...attachmentSections
+  ];
+  const fullText = renderSections(sections);
+
+  return {
+    fullText,
+    sections,
+    metadata: {
+      subject: headers.subject || null,
+      from: headers.from || null,
+      to: headers.to || null,
+      cc: headers.cc || null,
+      date: headers.date || null,
+      messageId: headers['message-id'] || null,
+      attachments,
+      textLength: fullText.length
+    }
+  };
+}
+
+export default {
+  extractPptx,
+  extractHtml,
+  extractMarkdown,
+  extractJson,
+  extractEmail,
+  htmlToSections,
+  markdownToSections,
+  jsonToSections,
+  flattenJson,
+  decodeHtmlEntities,
+  decodeText
+};
@@ -0,0 +1,94 @@
+import Anthropic from '@anthropic-ai/sdk';
+import { createRecorder } from './recording.js';
+
+/**
+ * Anthropic Messages API provider
+ * Requests and responses use the Messages API shape for every provider,
+ * so tool_use / tool_result handling stays in the callers.
+ * SDK retries are disabled; retries and timeouts live in ./resilience.js.
+ */
+export function createAnthropicProvider({ apiKey, recordFile } = {}) {
+  if (!apiKey) {
+    throw new Error('ANTHROPIC_API_KEY is required. Please set it in your .env file (or set LLM_PROVIDER=stub to run offline).');
+  }
+
+  const anthropic = new Anthropic({ apiKey, maxRetries: 0 });
+  const recorder = recordFile ? createRecorder(recordFile) : null;
+
+  async function create(kind, request, { signal } = {}) {
+    const response = await anthropic.messages.create(request, { signal });
+    recorder?.record(kind, request, response);
+    return response;
+  }
+
+  return {
+    name: 'anthropic',
+
+    async chat(request, options = {}) {
+      return create('chat', request, options);
+    },
+
+    /**
+     * Stream a message, forwarding text deltas; resolves with the final message
+     */
+    async chatStream(request, { onText, signal } = {}) {
+      const stream = anthropic.messages.stream(request);
+
+      if (signal) {
+        if (signal.aborted) {
+          stream.abort();
+        } else {
+          signal.addEventListener('abort', () => stream.abort(), { once: true });
+        }
+      }
+
+      if (typeof onText === 'function') {
+        stream.on('text', delta => onText(delta));
+      }
+
+      const response = await stream.finalMessage();
+      recorder?.record('chat', request, response);
+      return response;
+    },
+
+    async rawChat(request, options = {}) {
+      return create('raw', request, options);
+    },
+
+    /**
+     * Send a base64 document (PDF) with instructions
+     * @param {Object} options - { model, system, maxTokens, temperature, document: { data, mediaType }, prompt }
+     */
+    async analyzeDocument({ model, system, maxTokens, temperature, document, prompt }, options = {}) {
+      return create('document', buildDocumentRequest({ model, system, maxTokens, temperature, document, prompt }), options);
+    }
+  };
+}
+
+export function buildDocumentRequest({ model, system, maxTokens, temperature, document = {}, prompt }) {
+  return {
+    model,
+    system,
+    max_tokens: maxTokens,
+    temperature,
+    messages: [
+      {
+        role: 'user',
+        content: [
+          {
+            type: 'document',
+            source: {
+              type: 'base64',
+              media_type: document.mediaType || 'application/pdf',
+              data: document.data
+            }
+          },
+          {
+            type: 'text',
+            text: prompt || ''
+          }
+        ]
+      }
+    ]
+  };
+}
@@ -0,0 +1,62 @@
+import { createAnthropicProvider } from './anthropic.js';
+import { createStubProvider } from './stub.js';
+import { withResilience } from './resilience.js';
+
+/**
+ * LLM provider selection
+ *
+ * LLM_PROVIDER=anthropic (default) calls the Anthropic API; set LLM_RECORD_FILE
+ * to append every response to a JSONL file.
+ * LLM_PROVIDER=stub runs offline: responses come from LLM_STUB_SCRIPT (a JSON
+ * script or a recording) or deterministic defaults.
+ *
+ * Providers share one interface, using Messages API request/response shapes:
+ *   chat(request, options), chatStream(request, { onText, signal }), rawChat(request, options),
+ *   analyzeDocument({ model, system, maxTokens, temperature, document, prompt }, options)
+ *
+ * Every provider is wrapped with the retry/timeout/fallback policy in
+ * ./resilience.js; call options there: { signal, timeoutMs, onAttempt }.
+ */
+
+const providerCache = new Map();
+
+function resolveOptions(rawOptions = {}) {
+  const provider = (rawOptions.provider || process.env.LLM_PROVIDER || 'anthropic').toLowerCase();
+
+  if (provider === 'anthropic') {
+    return {
+      provider,
+      apiKey: rawOptions.apiKey || process.env.ANTHROPIC_API_KEY,
+      recordFile: rawOptions.recordFile ?? process.env.LLM_RECORD_FILE ?? null
+    };
+  }
+
+  if (provider === 'stub') {
+    return {
+      provider,
+      scriptFile: rawOptions.scriptFile ?? process.env.LLM_STUB_SCRIPT ?? null
+    };
+  }
+
+  throw new Error(`Unsupported LLM_PROVIDER: ${provider}`);
+}
+
+export function getLLMProvider(options = {}) {
+  const resolved = resolveOptions(options);
+  const cacheKey = JSON.stringify(resolved);
+
+  if (!options.forceNew && providerCache.has(cacheKey)) {
+    return providerCache.get(cacheKey);
+  }
+
+  const instance = withResilience(resolved.provider === 'stub'
+    ? createStubProvider({ scriptFile: resolved.scriptFile })
+    : createAnthropicProvider({ apiKey: resolved.apiKey, recordFile: resolved.recordFile }));
+
+  providerCache.set(cacheKey, instance);
+  return instance;
+}
+
+export function resetLLMProvider() {
+  providerCache.clear();
+}
@@ -0,0 +1,117 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Shared helpers for scripted/recorded LLM responses
+ *
+ * Script entries (JSON array, { "responses": [...] } or JSONL):
+ *   {
+ *     "kind": "chat" | "raw" | "document",   // optional, any kind when omitted
+ *     "match": "regex",                       // tested against the last user text
+ *     "system": "regex",                      // tested against the system prompt
+ *     "turn": 0,                              // tool rounds already completed for this question
+ *     "content": [ ...content blocks ],       // text and tool_use blocks, or
+ *     "text": "shorthand for a single text block"
+ *   }
+ */
+
+function textOf(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content
+    .filter(part => part?.type === 'text' && typeof part.text === 'string')
+    .map(part => part.text)
+    .join('\n');
+}
+
+function hasToolResult(message) {
+  return Array.isArray(message?.content) && message.content.some(part => part?.type === 'tool_result');
+}
+
+function escapeRegex(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Summarize a Messages API request for matching
+ * @returns {Object} { lastUserText, turn, system, toolNames, toolResults }
+ */
+export function describeRequest(request = {}) {
+  const messages = Array.isArray(request.messages) ? request.messages : [];
+  let lastUserIndex = -1;
+  for (let i = messages.length - 1; i >= 0; i--) {
+    if (messages[i]?.role === 'user' && !hasToolResult(messages[i])) {
+      lastUserIndex = i;
+      break;
+    }
+  }
+
+  const followUps = lastUserIndex === -1 ? [] : messages.slice(lastUserIndex + 1);
+  const toolResults = followUps
+    .filter(hasToolResult)
+    .flatMap(message => message.content.filter(part => part?.type === 'tool_result'));
+
+  return {
+    lastUserText: lastUserIndex === -1 ? '' : textOf(messages[lastUserIndex].content),
+    turn: followUps.filter(hasToolResult).length,
+    system: typeof request.system === 'string' ? request.system : textOf(request.system),
+    toolNames: (request.tools || []).map(tool => tool.name),
+    toolResults
+  };
+}
+
+export function loadScript(filePath) {
+  if (!filePath) return [];
+  const resolved = path.resolve(filePath);
+  if (!fs.existsSync(resolved)) {
+    console.warn(`⚠️ LLM stub script not found: ${resolved}`);
+    return [];
+  }
+
+  const content = fs.readFileSync(resolved, 'utf-8').trim();
+  if (!content) return [];
+
+  if (content.startsWith('[') || /^\{\s*"responses"/.test(content)) {
+    const parsed = JSON.parse(content);
+    return Array.isArray(parsed) ? parsed : (parsed.responses || []);
+  }
+
+  return content
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => JSON.parse(line));
+}
+
+export function matchesEntry(entry, kind, summary) {
+  if (entry.kind && entry.kind !== kind) return false;
+  if (entry.turn !== undefined && entry.turn !== summary.turn) return false;
+  if (entry.match && !new RegExp(entry.match, 'i').test(summary.lastUserText.trim())) return false;
+  if (entry.system && !new RegExp(entry.system, 'i').test(summary.system)) return false;
+  return true;
+}
+
+/**
+ * Append live responses to a JSONL file that the stub provider can replay
+ */
+export function createRecorder(filePath) {
+  const resolved = path.resolve(filePath);
+  fs.mkdirSync(path.dirname(resolved), { recursive: true });
+
+  return {
+    record(kind, request, response) {
+      try {
+        const summary = describeRequest(request);
+        const entry = {
+          kind,
+          match: `^${escapeRegex(summary.lastUserText.trim())}$`,
+          turn: summary.turn,
+          content: response?.content || []
+        };
+        fs.appendFileSync(resolved, `${JSON.stringify(entry)}\n`);
+      } catch (error) {
+        console.warn(`⚠️ Unable to record LLM response: ${error.message}`);
+      }
+    }
+  };
+}
@@ -0,0 +1,319 @@
+/**
+ * Retry, timeout, circuit-breaker and fallback policy for LLM calls
+ *
+ * Wraps any provider. Transient failures (429, 5xx, overloaded, timeouts,
+ * dropped connections) are retried with exponential backoff and full jitter.
+ * Consecutive transient failures open a per-model circuit for
+ * LLM_CIRCUIT_COOLDOWN_MS, during which calls fail fast. When the primary
+ * model is unavailable, CLAUDE_FALLBACK_MODEL (if set) gets the same policy.
+ *
+ * Every attempt is logged and reported through the `onAttempt` call option:
+ *   { kind, model, attempt, fallback, outcome, status, error, retryable, delayMs, durationMs }
+ */
+
+const RETRYABLE_STATUS = new Set([408, 409, 429, 500, 502, 503, 504, 529]);
+const RETRYABLE_NETWORK_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN']);
+const MAX_RETRY_AFTER_MS = 30000;
+
+export class LLMUnavailableError extends Error {
+  constructor(message, { cause = null, status = null } = {}) {
+    super(message);
+    this.name = 'LLMUnavailableError';
+    this.code = 'LLM_UNAVAILABLE';
+    this.status = status;
+    this.cause = cause;
+  }
+}
+
+function readInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+export function resolvePolicy(overrides = {}) {
+  return {
+    maxRetries: readInt(process.env.LLM_MAX_RETRIES, 2),
+    baseDelayMs: readInt(process.env.LLM_RETRY_BASE_MS, 500),
+    maxDelayMs: readInt(process.env.LLM_RETRY_MAX_MS, 8000),
+    timeoutMs: readInt(process.env.LLM_TIMEOUT_MS, 60000),
+    documentTimeoutMs: readInt(process.env.LLM_DOCUMENT_TIMEOUT_MS, 180000),
+    failureThreshold: readInt(process.env.LLM_CIRCUIT_FAILURE_THRESHOLD, 5),
+    cooldownMs: readInt(process.env.LLM_CIRCUIT_COOLDOWN_MS, 30000),
+    fallbackModel: process.env.CLAUDE_FALLBACK_MODEL || null,
+    ...overrides
+  };
+}
+
+export function isRetryableError(error) {
+  if (!error) return false;
+  if (error.code === 'LLM_TIMEOUT') return true;
+  if (RETRYABLE_STATUS.has(error.status)) return true;
+  const type = error.error?.error?.type || error.error?.type;
+  if (type === 'overloaded_error') return true;
+  // Connection failures carry no HTTP status
+  return error.status === undefined
+    && (error.name === 'APIConnectionError' || RETRYABLE_NETWORK_CODES.has(error.code) || RETRYABLE_NETWORK_CODES.has(error.cause?.code));
+}
+
+function isUnavailable(error) {
+  return error?.code === 'LLM_CIRCUIT_OPEN' || isRetryableError(error);
+}
+
+function retryAfterMs(error) {
+  const headers = error?.headers;
+  const value = typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after'];
+  const seconds = parseFloat(value);
+  return Number.isFinite(seconds) && seconds > 0 ? Math.min(seconds * 1000, MAX_RETRY_AFTER_MS) : 0;
+}
+
+/**
+ * Full-jitter exponential backoff: random delay in [0, min(max, base * 2^attempt)]
+ */
+export function backoffDelay(attempt, policy, random = Math.random) {
+  const ceiling = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** attempt);
+  return Math.round(random() * ceiling);
+}
+
+/**
+ * Per-model circuit: opens after `failureThreshold` consecutive transient
+ * failures; after the cooldown a single trial call is let through
+ */
+export function createCircuitBreaker({ failureThreshold, cooldownMs }, now = Date.now) {
+  const circuits = new Map();
+
+  return {
+    canRequest(model) {
+      const circuit = circuits.get(model);
+      if (!circuit?.openUntil) return true;
+      if (now() < circuit.openUntil || circuit.trialInFlight) return false;
+      circuit.trialInFlight = true;
+      return true;
+    },
+
+    recordSuccess(model) {
+      circuits.delete(model);
+    },
+
+    // The trial ended without a verdict (caller aborted): let the next call try again
+    releaseTrial(model) {
+      const circuit = circuits.get(model);
+      if (circuit) circuit.trialInFlight = false;
+    },
+
+    recordFailure(model) {
+      const circuit = circuits.get(model) || { failures: 0, openUntil: null, trialInFlight: false };
+      circuit.failures++;
+      circuit.trialInFlight = false;
+      if (failureThreshold > 0 && circuit.failures >= failureThreshold) {
+        circuit.openUntil = now() + cooldownMs;
+        console.warn(`🚧 LLM circuit open for ${model} (${circuit.failures} consecutive failures, cooldown ${cooldownMs}ms)`);
+      }
+      circuits.set(model, circuit);
+    },
+
+    describe() {
+      return [...circuits.entries()].map(([model, circuit]) => ({
+        model,
+        failures: circuit.failures,
+        open: Boolean(circuit.openUntil && now() < circuit.openUntil),
+        openUntil: circuit.openUntil ? new Date(circuit.openUntil).toISOString() : null
+      }));
+    }
+  };
+}
+
+/**
+ * Abort signal for one attempt: fires on timeout or when the caller aborts
+ * `touch()` restarts the timer, so streams time out on silence rather than length
+ */
+function createAttemptSignal(parentSignal, timeoutMs) {
+  const controller = new AbortController();
+  let timedOut = false;
+  let timer = null;
+
+  const arm = () => {
+    if (!timeoutMs) return;
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+  };
+  const onParentAbort = () => controller.abort();
+
+  if (parentSignal?.aborted) {
+    controller.abort();
+  } else {
+    parentSignal?.addEventListener('abort', onParentAbort, { once: true });
+  }
+  arm();
+
+  return {
+    signal: controller.signal,
+    touch: arm,
+    timedOut: () => timedOut,
+    cleanup() {
+      clearTimeout(timer);
+      parentSignal?.removeEventListener('abort', onParentAbort);
+    }
+  };
+}
+
+/**
+ * Totals for usage events and logs
+ * @param {Array} attempts - Entries reported through onAttempt
+ */
+export function summarizeAttempts(attempts = []) {
+  return {
+    attempts: attempts.length,
+    failures: attempts.filter(entry => entry.outcome !== 'success').length,
+    fallbackUsed: attempts.some(entry => entry.fallback && entry.outcome === 'success'),
+    models: [...new Set(attempts.map(entry => entry.model))],
+    log: attempts
+  };
+}
+
+export function withResilience(provider, overrides = {}) {
+  const policy = resolvePolicy(overrides);
+  const breaker = overrides.breaker || createCircuitBreaker(policy);
+  const sleep = overrides.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+
+  async function runWithModel(kind, model, invoke, options, record, fallback) {
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= policy.maxRetries + 1; attempt++) {
+      if (!breaker.canRequest(model)) {
+        lastError = Object.assign(new Error(`Circuit open for ${model}`), { code: 'LLM_CIRCUIT_OPEN' });
+        record({ kind, model, attempt, fallback, outcome: 'circuit_open', status: null, error: lastError.message, retryable: false, delayMs: 0, durationMs: 0 });
+        break;
+      }
+
+      const started = Date.now();
+      const attemptSignal = createAttemptSignal(options.signal, options.timeoutMs);
+      try {
+        const response = await invoke(model, attemptSignal);
+        breaker.recordSuccess(model);
+        record({ kind, model, attempt, fallback, outcome: 'success', status: null, error: null, retryable: false, delayMs: 0, durationMs: Date.now() - started });
+        return response;
+      } catch (rawError) {
+        if (options.signal?.aborted) {
+          // The caller gave up (e.g. client disconnected); nothing to retry
+          breaker.releaseTrial(model);
+          throw rawError;
+        }
+
+        const error = attemptSignal.timedOut()
+          ? Object.assign(new Error(`Timed out after ${options.timeoutMs}ms`), { code: 'LLM_TIMEOUT' })
+          : rawError;
+        const retryable = isRetryableError(error);
+        if (retryable) {
+          breaker.recordFailure(model);
+        } else {
+          // The service answered; a bad request says nothing about availability
+          breaker.recordSuccess(model);
+        }
+
+        const canRetry = retryable && attempt <= policy.maxRetries && (options.canRetry ? options.canRetry() : true);
+        const delayMs = canRetry ? Math.max(backoffDelay(attempt - 1, policy), retryAfterMs(error)) : 0;
+        record({
+          kind,
+          model,
+          attempt,
+          fallback,
+          outcome: error.code === 'LLM_TIMEOUT' ? 'timeout' : 'error',
+          status: error.status ?? null,
+          error: error.message,
+          retryable,
+          delayMs,
+          durationMs: Date.now() - started
+        });
+        console.warn(`⚠️ LLM ${kind} attempt ${attempt} on ${model} failed (${error.status || error.code || 'error'}): ${error.message}${canRetry ? ` - retrying in ${delayMs}ms` : ''}`);
+
+        lastError = error;
+        if (!canRetry) break;
+        await sleep(delayMs);
+      } finally {
+        attemptSignal.cleanup();
+      }
+    }
+
+    throw lastError;
+  }
+
+  async function call(kind, model, invoke, options = {}) {
+    const record = entry => {
+      if (typeof options.onAttempt === 'function') {
+        options.onAttempt(entry);
+      }
+    };
+
+    try {
+      return await runWithModel(kind, model, invoke, options, record, false);
+    } catch (error) {
+      if (!isUnavailable(error)) throw error;
+
+      const fallbackModel = policy.fallbackModel;
+      const canFallback = fallbackModel && fallbackModel !== model && (options.canRetry ? options.canRetry() : true);
+      if (canFallback) {
+        console.warn(`🔁 ${model} unavailable, falling back to ${fallbackModel} for LLM ${kind}`);
+        try {
+          return await runWithModel(kind, fallbackModel, invoke, options, record, true);
+        } catch (fallbackError) {
+          if (!isUnavailable(fallbackError)) throw fallbackError;
+          throw new LLMUnavailableError(`LLM unavailable: ${fallbackError.message}`, { cause: fallbackError, status: fallbackError.status ?? null });
+        }
+      }
+
+      throw new LLMUnavailableError(`LLM unavailable: ${error.message}`, { cause: error, status: error.status ?? null });
+    }
+  }
+
+  return {
+    name: provider.name,
+
+    async chat(request, options = {}) {
+      return call('chat', request.model, (model, attempt) => (
+        provider.chat({ ...request, model }, { signal: attempt.signal })
+      ), { ...options, timeoutMs: options.timeoutMs ?? policy.timeoutMs });
+    },
+
+    async chatStream(request, options = {}) {
+      let emitted = false;
+      return call('chat_stream', request.model, (model, attempt) => (
+        provider.chatStream({ ...request, model }, {
+          signal: attempt.signal,
+          onText: delta => {
+            emitted = true;
+            attempt.touch();
+            options.onText?.(delta);
+          }
+        })
+      ), {
+        ...options,
+        timeoutMs: options.timeoutMs ?? policy.timeoutMs,
+        // Text already reached the client; a retry would duplicate it
+        canRetry: () => !emitted
+      });
+    },
+
+    async rawChat(request, options = {}) {
+      return call('raw', request.model, (model, attempt) => (
+        provider.rawChat({ ...request, model }, { signal: attempt.signal })
+      ), { ...options, timeoutMs: options.timeoutMs ?? policy.timeoutMs });
+    },
+
+    async analyzeDocument(params, options = {}) {
+      return call('document', params.model, (model, attempt) => (
+        provider.analyzeDocument({ ...params, model }, { signal: attempt.signal })
+      ), { ...options, timeoutMs: options.timeoutMs ?? policy.documentTimeoutMs });
+    },
+
+    getHealth() {
+      return {
+        provider: provider.name,
+        fallbackModel: policy.fallbackModel,
+        circuits: breaker.describe()
+      };
+    }
+  };
+}
@@ -0,0 +1,363 @@
+import { readJson, saveJson } from './services/storage-helper.js';
+import { getStorage } from './storage/index.js';
+import { getEntrySheets } from './data-tools.js';
+
+/**
+ * Cross-file lookup joins
+ * A persona can define joins that bring columns of a lookup spreadsheet (e.g.
+ * a carrier list) into its tracking file at ingestion: rows are matched on a
+ * key column of each file and the lookup columns are appended. The joined
+ * rows are stored as an enriched artifact next to the sheet they extend, so
+ * data tools read them while the original artifact stays untouched. Keys
+ * without a lookup row are reported in the quality report.
+ */
+
+export const MAX_LOOKUP_JOINS = 10;
+const MAX_JOIN_COLUMNS = 50;
+const MAX_UNMATCHED_KEYS = 20;
+const WARNING_KEY_SAMPLE = 5;
+
+function fail(message) {
+  throw new Error(`Invalid lookup join: ${message}`);
+}
+
+function optionalString(value, field, index) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value !== 'string' || !value.trim()) {
+    fail(`joins[${index}].${field} must be a string`);
+  }
+  return value.trim();
+}
+
+/**
+ * Normalize stored join definitions
+ * @param {Array|null} input - [{ mainFile, mainSheet, mainKey, lookupFile, lookupSheet, lookupKey, columns }]; null resets
+ * @returns {Array|null}
+ */
+export function validateLookupJoins(input) {
+  if (input === null || input === undefined) return null;
+  if (!Array.isArray(input)) {
+    fail('joins must be an array');
+  }
+  if (input.length > MAX_LOOKUP_JOINS) {
+    fail(`at most ${MAX_LOOKUP_JOINS} joins are allowed`);
+  }
+
+  return input.map((join, index) => {
+    if (!join || typeof join !== 'object' || Array.isArray(join)) {
+      fail(`joins[${index}] must be an object`);
+    }
+
+    const lookupFile = optionalString(join.lookupFile, 'lookupFile', index);
+    const mainKey = optionalString(join.mainKey, 'mainKey', index);
+    if (!lookupFile) fail(`joins[${index}].lookupFile is required`);
+    if (!mainKey) fail(`joins[${index}].mainKey is required`);
+
+    let columns = null;
+    if (join.columns !== undefined && join.columns !== null) {
+      if (!Array.isArray(join.columns) || join.columns.some(column => typeof column !== 'string' || !column.trim())) {
+        fail(`joins[${index}].columns must be an array of column names`);
+      }
+      if (join.columns.length > MAX_JOIN_COLUMNS) {
+        fail(`joins[${index}].columns allows at most ${MAX_JOIN_COLUMNS} columns`);
+      }
+      columns = [...new Set(join.columns.map(column => column.trim()))];
+    }
+
+    return {
+      mainFile: optionalString(join.mainFile, 'mainFile', index),
+      mainSheet: optionalString(join.mainSheet, 'mainSheet', index),
+      mainKey,
+      lookupFile,
+      lookupSheet: optionalString(join.lookupSheet, 'lookupSheet', index),
+      lookupKey: optionalString(join.lookupKey, 'lookupKey', index) || mainKey,
+      columns
+    };
+  });
+}
+
+function normalizeColumnName(name) {
+  return String(name || '').toLowerCase().replace(/[\s_\-.]+/g, '');
+}
+
+function findColumn(columns, requested) {
+  return columns.find(column => column === requested) ||
+    columns.find(column => normalizeColumnName(column) === normalizeColumnName(requested)) ||
+    null;
+}
+
+function normalizeKey(value) {
+  return String(value ?? '').trim().toLowerCase();
+}
+
+/**
+ * Append lookup columns to rows matched on key columns
+ * Lookup columns that clash with a main column are added as `<column>_lookup`
+ * @returns {Object} { rows, addedColumns, matched, unmatched, emptyKeys, unmatchedKeys }
+ */
+export function joinRows(mainRows, lookupRows, { mainKey, lookupKey, columns = null, mainColumns = null, lookupColumns = null }) {
+  const resolvedMainColumns = mainColumns?.length ? mainColumns : Object.keys(mainRows[0] || {});
+  const resolvedLookupColumns = lookupColumns?.length ? lookupColumns : Object.keys(lookupRows[0] || {});
+
+  const mainKeyColumn = findColumn(resolvedMainColumns, mainKey);
+  if (!mainKeyColumn) {
+    throw new Error(`Column "${mainKey}" not found in the main file`);
+  }
+  const lookupKeyColumn = findColumn(resolvedLookupColumns, lookupKey);
+  if (!lookupKeyColumn) {
+    throw new Error(`Column "${lookupKey}" not found in the lookup file`);
+  }
+
+  const selected = (columns || resolvedLookupColumns.filter(column => column !== lookupKeyColumn)).map(column => {
+    const resolved = findColumn(resolvedLookupColumns, column);
+    if (!resolved) {
+      throw new Error(`Column "${column}" not found in the lookup file`);
+    }
+    return resolved;
+  });
+  const targets = selected.map(column => ({
+    source: column,
+    target: resolvedMainColumns.includes(column) ? `${column}_lookup` : column
+  }));
+
+  // First lookup row wins for duplicate keys
+  const lookupByKey = new Map();
+  lookupRows.forEach(row => {
+    const key = normalizeKey(row[lookupKeyColumn]);
+    if (key && !lookupByKey.has(key)) lookupByKey.set(key, row);
+  });
+
+  let matched = 0;
+  let emptyKeys = 0;
+  const unmatchedKeys = new Map();
+
+  const rows = mainRows.map(row => {
+    const key = normalizeKey(row[mainKeyColumn]);
+    const lookupRow = key ? lookupByKey.get(key) : null;
+    const joined = { ...row };
+    targets.forEach(({ source, target }) => {
+      joined[target] = lookupRow ? lookupRow[source] ?? '' : '';
+    });
+
+    if (!key) {
+      emptyKeys++;
+    } else if (lookupRow) {
+      matched++;
+    } else {
+      const original = String(row[mainKeyColumn]).trim();
+      unmatchedKeys.set(original, (unmatchedKeys.get(original) || 0) + 1);
+    }
+    return joined;
+  });
+
+  return {
+    rows,
+    mainKey: mainKeyColumn,
+    lookupKey: lookupKeyColumn,
+    addedColumns: targets.map(({ target }) => target),
+    matched,
+    unmatched: [...unmatchedKeys.values()].reduce((sum, count) => sum + count, 0),
+    emptyKeys,
+    unmatchedKeys: [...unmatchedKeys.keys()].slice(0, MAX_UNMATCHED_KEYS)
+  };
+}
+
+function findEntry(files, name) {
+  const wanted = String(name).toLowerCase();
+  return files.find(entry => String(entry.name).toLowerCase() === wanted) || null;
+}
+
+function findSheet(entry, sheetName) {
+  const sheets = getEntrySheets(entry);
+  if (!sheetName) return sheets[0];
+  return sheets.find(sheet => String(sheet.name).toLowerCase() === sheetName.toLowerCase()) || null;
+}
+
+/**
+ * Apply a persona's joins to its manifest
+ * Rebuilds the enriched artifacts of the targeted sheets, drops enrichment
+ * from files no join targets any more, and records per-join results on
+ * `manifest.lookupJoins`. Mutates and returns the manifest.
+ * @returns {Object} { manifest, results: [{ ...join, status: 'applied'|'skipped'|'error', reason, matched, unmatched, unmatchedKeys, ... }] }
+ */
+export async function applyLookupJoins(manifest, joins, { tenantId, personaId }) {
+  const files = Array.isArray(manifest?.files) ? manifest.files : [];
+  const storageOptions = { tenantId, personaId };
+  const rowCache = new Map();
+  const targets = new Map();
+  const results = [];
+
+  const loadRows = async sheet => {
+    if (!rowCache.has(sheet.jsonKey)) {
+      const rows = await readJson(sheet.jsonKey, storageOptions);
+      rowCache.set(sheet.jsonKey, Array.isArray(rows) ? rows : null);
+    }
+    return rowCache.get(sheet.jsonKey);
+  };
+
+  for (const join of joins || []) {
+    const mainName = join.mainFile || manifest?.mainFile?.filename;
+    const mainEntry = mainName ? findEntry(files, mainName) : null;
+    const lookupEntry = findEntry(files, join.lookupFile);
+    const result = { ...join, mainFile: mainEntry?.name || join.mainFile };
+
+    if (!mainEntry || mainEntry.type !== 'excel') {
+      results.push({ ...result, status: 'skipped', reason: mainName ? `Main file ${mainName} is not an uploaded spreadsheet` : 'No main tracking file uploaded' });
+      continue;
+    }
+    if (!lookupEntry || lookupEntry.type !== 'excel') {
+      results.push({ ...result, status: 'skipped', reason: `Lookup file ${join.lookupFile} is not an uploaded spreadsheet` });
+      continue;
+    }
+
+    const mainSheet = findSheet(mainEntry, join.mainSheet);
+    const lookupSheet = findSheet(lookupEntry, join.lookupSheet);
+    if (!mainSheet || !lookupSheet) {
+      results.push({ ...result, status: 'skipped', reason: `Sheet ${!mainSheet ? join.mainSheet : join.lookupSheet} not found` });
+      continue;
+    }
+
+    try {
+      const targetKey = `${mainEntry.name}\u0000${mainSheet.name}`;
+      if (!targets.has(targetKey)) {
+        const rows = await loadRows(mainSheet);
+        if (!rows) throw new Error(`Data for ${mainEntry.name} is unavailable`);
+        targets.set(targetKey, { entry: mainEntry, sheet: mainSheet, rows, columns: [...(mainSheet.columns || Object.keys(rows[0] || {}))], results: [] });
+      }
+      const target = targets.get(targetKey);
+      const lookupRows = await loadRows(lookupSheet);
+      if (!lookupRows) throw new Error(`Data for ${lookupEntry.name} is unavailable`);
+
+      const joined = joinRows(target.rows, lookupRows, {
+        mainKey: join.mainKey,
+        lookupKey: join.lookupKey,
+        columns: join.columns,
+        mainColumns: target.columns,
+        lookupColumns: lookupSheet.columns
+      });
+      target.rows = joined.rows;
+      target.columns.push(...joined.addedColumns);
+
+      const applied = {
+        ...result,
+        mainSheet: mainSheet.name,
+        lookupFile: lookupEntry.name,
+        lookupSheet: lookupSheet.name,
+        mainKey: joined.mainKey,
+        lookupKey: joined.lookupKey,
+        status: 'applied',
+        addedColumns: joined.addedColumns,
+        totalRows: joined.rows.length,
+        matched: joined.matched,
+        unmatched: joined.unmatched,
+        emptyKeys: joined.emptyKeys,
+        unmatchedKeys: joined.unmatchedKeys
+      };
+      target.results.push(applied);
+      results.push(applied);
+    } catch (error) {
+      results.push({ ...result, status: 'error', reason: error.message });
+    }
+  }
+
+  const appliedAt = new Date().toISOString();
+  const staleKeys = [];
+  for (const entry of files) {
+    const target = [...targets.values()].find(candidate => candidate.entry === entry);
+    const previousKey = entry.enrichment?.jsonKey || null;
+
+    if (!target) {
+      if (previousKey) staleKeys.push(previousKey);
+      delete entry.enrichment;
+      continue;
+    }
+
+    const jsonKey = `${String(target.sheet.jsonKey).replace(/\.json$/, '')}_enriched.json`;
+    await saveJson(jsonKey, target.rows, { prettyPrint: true, ...storageOptions });
+    if (previousKey && previousKey !== jsonKey) staleKeys.push(previousKey);
+
+    entry.enrichment = {
+      sheet: target.sheet.name,
+      jsonKey,
+      sourceJsonKey: target.sheet.jsonKey,
+      columns: target.columns,
+      joins: target.results.map(({ lookupFile, lookupSheet, mainKey, lookupKey, addedColumns, matched, unmatched }) => ({
+        lookupFile, lookupSheet, mainKey, lookupKey, addedColumns, matched, unmatched
+      })),
+      appliedAt
+    };
+    console.log(`🔗 Enriched ${entry.name}${target.sheet.name ? ` [${target.sheet.name}]` : ''} with ${target.results.length} lookup join(s)`);
+  }
+
+  const storage = getStorage();
+  await Promise.all(staleKeys.map(key => storage.remove(key).catch(() => {})));
+
+  if (manifest) {
+    if (results.length > 0) {
+      manifest.lookupJoins = results;
+    } else {
+      delete manifest.lookupJoins;
+    }
+    manifest.qualityReport = attachJoinReport(manifest.qualityReport, results);
+  }
+
+  return { manifest, results };
+}
+
+/**
+ * Add join results for the report's file to a quality report
+ * Replaces join findings from an earlier run, so it can be applied repeatedly
+ */
+export function attachJoinReport(report, results = []) {
+  if (!report) return report;
+
+  const relevant = results.filter(result => (
+    !report.file || result.mainFile === report.file
+  ) && (
+    result.status !== 'applied' || !report.sheet || result.mainSheet === report.sheet
+  ));
+
+  const warnings = (report.warnings || []).filter(warning => !['lookup_unmatched', 'lookup_join'].includes(warning.type));
+  const recommendations = (report.recommendations || []).filter(recommendation => recommendation.type !== 'lookup_join');
+  const { lookupJoins, ...base } = report;
+
+  relevant.forEach(result => {
+    if (result.status === 'applied' && result.unmatched > 0) {
+      const sample = result.unmatchedKeys.slice(0, WARNING_KEY_SAMPLE).join(', ');
+      warnings.push({
+        type: 'lookup_unmatched',
+        message: `${result.unmatched} rows have ${result.mainKey} values not found in ${result.lookupFile}: ${sample}${result.unmatchedKeys.length > WARNING_KEY_SAMPLE ? ', ...' : ''}`,
+        severity: 'warning'
+      });
+    } else if (result.status !== 'applied') {
+      warnings.push({
+        type: 'lookup_join',
+        message: `Lookup join with ${result.lookupFile} not applied: ${result.reason}`,
+        severity: 'warning'
+      });
+    }
+  });
+
+  if (relevant.some(result => result.unmatched > 0)) {
+    recommendations.push({
+      type: 'lookup_join',
+      message: 'Some tracking rows reference keys missing from the lookup file. Add them to the lookup file or correct them in the tracker, then re-upload.',
+      priority: 'medium'
+    });
+  }
+
+  return {
+    ...base,
+    warnings,
+    recommendations,
+    ...(relevant.length > 0 ? { lookupJoins: relevant } : {})
+  };
+}
+
+export default {
+  validateLookupJoins,
+  joinRows,
+  applyLookupJoins,
+  attachJoinReport,
+  MAX_LOOKUP_JOINS
+};
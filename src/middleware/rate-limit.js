@@ -0,0 +1,176 @@
+import crypto from 'node:crypto';
+import { isFlagEnabled } from '../utils/env.js';
+
+/**
+ * Request rate limiting
+ * Fixed-window counters per route group, each with its own budget per
+ * dimension: the client IP, the share link (tenant + persona) and the tenant. A request is refused with 429 and
+ * Retry-After as soon as any dimension is over budget.
+ *
+ * Counters live in a store with an async interface, so a shared store (e.g.
+ * Redis) can replace the in-memory default on multi-instance deployments:
+ *   increment(key, windowMs) => { count, resetAt }
+ *   reset(key)
+ */
+
+export const RATE_LIMIT_DIMENSIONS = ['ip', 'shareLink', 'tenant'];
+
+// Requests per window; 0 disables a dimension
+export const RATE_LIMIT_DEFAULTS = {
+  chat: { windowMs: 60000, ip: 20, shareLink: 60, tenant: 300 },
+  upload: { windowMs: 600000, ip: 20, shareLink: 30, tenant: 60 },
+  interview: { windowMs: 60000, ip: 30, shareLink: 60, tenant: 200 },
+  // Customer chat polls for agent replies every 4 s during a handoff
+  poll: { windowMs: 60000, ip: 60, shareLink: 0, tenant: 0 }
+};
+
+const MEMORY_STORE_MAX_KEYS = 50000;
+
+/**
+ * In-process store; expired windows are swept when the key count gets large
+ */
+export function createMemoryRateLimitStore({ maxKeys = MEMORY_STORE_MAX_KEYS, now = Date.now } = {}) {
+  const windows = new Map();
+
+  function sweep() {
+    const time = now();
+    for (const [key, entry] of windows) {
+      if (entry.resetAt <= time) windows.delete(key);
+    }
+    // Still full: drop the oldest windows (Maps iterate in insertion order)
+    for (const key of windows.keys()) {
+      if (windows.size <= maxKeys) break;
+      windows.delete(key);
+    }
+  }
+
+  return {
+    async increment(key, windowMs) {
+      const time = now();
+      let entry = windows.get(key);
+      if (!entry || entry.resetAt <= time) {
+        windows.delete(key);
+        entry = { count: 0, resetAt: time + windowMs };
+        windows.set(key, entry);
+        if (windows.size > maxKeys) sweep();
+      }
+      entry.count++;
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+
+    async reset(key) {
+      windows.delete(key);
+    }
+  };
+}
+
+/**
+ * Budget for a route group: defaults, then RATE_LIMIT_<GROUP>_<WINDOW_MS|IP|SHARE_LINK|TENANT>
+ */
+export function resolveRateLimitConfig(name, env = process.env) {
+  const defaults = RATE_LIMIT_DEFAULTS[name];
+  if (!defaults) {
+    throw new Error(`Unknown rate limit group: ${name}`);
+  }
+  const read = (suffix, fallback) => {
+    const value = parseInt(env[`RATE_LIMIT_${name.toUpperCase()}_${suffix}`], 10);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+  };
+
+  return {
+    windowMs: read('WINDOW_MS', defaults.windowMs) || defaults.windowMs,
+    limits: {
+      ip: read('IP', defaults.ip),
+      shareLink: read('SHARE_LINK', defaults.shareLink),
+      tenant: read('TENANT', defaults.tenant)
+    }
+  };
+}
+
+export function getClientIp(req) {
+  return req.ip || req.socket?.remoteAddress || 'unknown';
+}
+
+// Client IPs go into usage events hashed, so throttled visitors can be correlated without storing the address
+export function hashClientIp(ip) {
+  return crypto.createHash('sha256').update(String(ip)).digest('hex').slice(0, 16);
+}
+
+const sharedMemoryStore = createMemoryRateLimitStore();
+
+/**
+ * @param {Object} options - { name, windowMs, limits: { ip, shareLink, tenant }, identify(req) => { ip, shareLink, tenant }, skip(req), store, onLimited(req, details) }
+ * @returns {Function} Express middleware
+ */
+export function createRateLimiter({
+  name,
+  windowMs,
+  limits,
+  identify = req => ({ ip: getClientIp(req) }),
+  skip = null,
+  store = sharedMemoryStore,
+  onLimited = null,
+  enabled = process.env.RATE_LIMIT_ENABLED === undefined || isFlagEnabled(process.env.RATE_LIMIT_ENABLED)
+}) {
+  return async function rateLimit(req, res, next) {
+    if (!enabled || (typeof skip === 'function' && skip(req))) return next();
+
+    try {
+      const identity = identify(req) || {};
+      const checks = RATE_LIMIT_DIMENSIONS
+        .filter(dimension => limits[dimension] > 0 && identity[dimension])
+        .map(dimension => ({ dimension, key: `${name}:${dimension}:${identity[dimension]}`, limit: limits[dimension] }));
+
+      const counts = await Promise.all(checks.map(check => store.increment(check.key, windowMs)));
+      const states = checks.map((check, index) => ({
+        ...check,
+        count: counts[index].count,
+        remaining: Math.max(0, check.limit - counts[index].count),
+        resetAt: counts[index].resetAt
+      }));
+      if (states.length === 0) return next();
+
+      const tightest = states.reduce((lowest, state) => (state.remaining < lowest.remaining ? state : lowest));
+      const retryAfter = Math.max(1, Math.ceil((tightest.resetAt - Date.now()) / 1000));
+      res.setHeader('RateLimit-Limit', tightest.limit);
+      res.setHeader('RateLimit-Remaining', tightest.remaining);
+      res.setHeader('RateLimit-Reset', retryAfter);
+
+      const exceeded = states.filter(state => state.count > state.limit);
+      if (exceeded.length === 0) return next();
+
+      res.setHeader('Retry-After', retryAfter);
+      console.warn(`🚦 Rate limited ${req.method} ${req.originalUrl} (${name}: ${exceeded.map(state => state.dimension).join(', ')})`);
+      // Report the first refusal of each window, not every retry of a flood
+      if (typeof onLimited === 'function' && exceeded.some(state => state.count === state.limit + 1)) {
+        Promise.resolve(onLimited(req, {
+          limiter: name,
+          dimensions: exceeded.map(state => state.dimension),
+          limit: exceeded[0].limit,
+          windowMs,
+          retryAfter
+        })).catch(error => console.warn('⚠️ Failed to record rate limit event:', error.message));
+      }
+
+      return res.status(429).json({
+        success: false,
+        error: 'Too many requests. Please try again later.',
+        retryAfter
+      });
+    } catch (error) {
+      // A failing store must not take the API down with it
+      console.warn(`⚠️ Rate limiter ${name} unavailable:`, error.message);
+      return next();
+    }
+  };
+}
+
+export default {
+  createRateLimiter,
+  createMemoryRateLimitStore,
+  resolveRateLimitConfig,
+  getClientIp,
+  hashClientIp,
+  RATE_LIMIT_DEFAULTS,
+  RATE_LIMIT_DIMENSIONS
+};
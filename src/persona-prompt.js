@@ -0,0 +1,224 @@
+/**
+ * Persona-specific system prompt sections for live chat
+ * Built from the Sales AI / Support AI configuration admins save through
+ * /api/sales-ai and /api/support-ai (see aiConfigService).
+ */
+
+export const CHAT_PERSONA_TYPES = ['sales', 'support'];
+
+const TONE_DESCRIPTIONS = {
+  professional: 'professional — focused, factual and concise',
+  friendly: 'friendly — warm and conversational',
+  enthusiastic: 'enthusiastic — energetic and positive, without overstating what the documents support',
+  consultative: 'consultative — thoughtful and guidance-driven; ask before recommending',
+  helpful: 'helpful — practical, calm and solution-driven',
+  empathetic: 'empathetic — acknowledge the customer\'s frustration and reassure before solving'
+};
+
+/**
+ * Config fields are stored as JSON strings by the admin pages; accept either form
+ */
+function parseJsonField(value, fallback) {
+  if (value === null || value === undefined || value === '') return fallback;
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+function describeTone(value) {
+  if (!value) return null;
+  return TONE_DESCRIPTIONS[String(value).toLowerCase()] || value;
+}
+
+function buildLanguageRules(config = {}) {
+  const language = config.primary_language ? String(config.primary_language).trim() : '';
+  const multiLanguage = config.multi_language === true || config.multi_language === 'true';
+
+  if (language && multiLanguage) {
+    return `- Reply in ${language} by default. If the customer writes in another language, reply in their language.`;
+  }
+  if (language) {
+    return `- Always reply in ${language}, even if documents are in another language (translate quoted content).`;
+  }
+  if (multiLanguage) {
+    return '- Reply in the language the customer writes in.';
+  }
+  return null;
+}
+
+function buildCustomInstructions(config = {}) {
+  const custom = config.custom_prompt ? String(config.custom_prompt).trim() : '';
+  if (!custom) return '';
+  return `
+### Company Instructions
+The business has provided these instructions. Follow them unless they conflict with the grounding rules or safety rules above:
+${custom}
+`;
+}
+
+function buildSalesSection(config = {}) {
+  const lines = [];
+  const tone = describeTone(config.response_tone);
+  const approach = config.sales_approach ? String(config.sales_approach).trim() : '';
+  const questions = parseJsonField(config.qualification_questions, []);
+  const qualificationQuestions = Array.isArray(questions)
+    ? questions.map(question => String(question).trim()).filter(Boolean)
+    : String(questions).split('\n').map(question => question.trim()).filter(Boolean);
+
+  lines.push('## Sales Conversation Guidelines');
+  lines.push(`- Tone: ${tone || 'professional — focused, factual and concise'}.`);
+  if (approach) {
+    lines.push(`- Sales approach: ${approach}.`);
+  }
+  lines.push('- Lead with the customer\'s need, then match it to products, pricing and terms found in the uploaded documents.');
+  lines.push('- Highlight relevant benefits and differentiators, but never invent prices, discounts, stock levels or delivery dates.');
+  lines.push('- Move qualified conversations toward a next step (demo, quote, call) and capture a **sales follow-up intent** when the customer agrees.');
+
+  if (qualificationQuestions.length > 0) {
+    lines.push('');
+    lines.push('### Lead Qualification');
+    lines.push('Work these questions into the conversation naturally — at most one per reply, skip any the customer has already answered, and never block an answer on them:');
+    qualificationQuestions.forEach((question, index) => {
+      lines.push(`${index + 1}. ${question}`);
+    });
+    lines.push('Include the answers you collect in the contact intent "notes" field.');
+  }
+
+  const languageRule = buildLanguageRules(config);
+  if (languageRule) {
+    lines.push('');
+    lines.push('### Language');
+    lines.push(languageRule);
+  }
+
+  lines.push(`
+### Response Expectations
+- Answer the question directly first, in a few short paragraphs or bullets; use a table when comparing products or prices.
+- Cite the document you took product details from (name and section/page) in a short "References" line at the end.
+- End with one helpful next step or question that keeps the conversation moving.`);
+
+  return lines.join('\n') + '\n' + buildCustomInstructions(config);
+}
+
+function buildSupportSection(config = {}) {
+  const lines = [];
+  const style = describeTone(config.response_style);
+  const categories = parseJsonField(config.support_categories, []);
+  const escalation = parseJsonField(config.escalation_rules, null);
+
+  lines.push('## Support Conversation Guidelines');
+  lines.push(`- Response style: ${style || 'helpful — practical, calm and solution-driven'}.`);
+  lines.push('- Identify the customer\'s issue, confirm anything ambiguous, then give step-by-step resolution from the knowledge base.');
+  lines.push('- Check whether the answer solved the problem before closing the topic.');
+
+  if (Array.isArray(categories) && categories.length > 0) {
+    lines.push('');
+    lines.push('### Support Categories');
+    lines.push('Classify each request into one of these categories and follow its handling notes:');
+    categories.forEach(category => {
+      if (!category) return;
+      const name = typeof category === 'string' ? category : category.name;
+      if (!name) return;
+      const description = typeof category === 'object' && category.description ? ` — ${category.description}` : '';
+      lines.push(`- **${name}**${description}`);
+    });
+  }
+
+  lines.push('');
+  lines.push('### Escalation');
+  if (escalation && typeof escalation === 'object') {
+    if (escalation.autoEscalate) {
+      lines.push('- Escalate to a human as soon as the knowledge base does not resolve the issue, the customer asks for a person, or the customer is clearly frustrated.');
+    } else {
+      lines.push('- Offer escalation to a human only when the customer asks for it or the issue cannot be resolved from the knowledge base.');
+    }
+    if (escalation.escalationContact) {
+      lines.push(`- Our support team can be reached at ${escalation.escalationContact}.`);
+    }
+    const hours = escalation.businessHours || {};
+    if (hours.from && hours.to) {
+      lines.push(`- Our team is available ${hours.from}–${hours.to}. Outside these hours, tell the customer when to expect a reply.`);
+    }
+  } else if (typeof escalation === 'string' && escalation.trim()) {
+    lines.push(`- ${escalation.trim()}`);
+  } else {
+    lines.push('- Offer escalation to a human when the issue cannot be resolved from the knowledge base.');
+  }
+  lines.push('- When escalating, collect contact details and record a **support escalation intent**.');
+
+  const languageRule = buildLanguageRules(config);
+  if (languageRule) {
+    lines.push('');
+    lines.push('### Language');
+    lines.push(languageRule);
+  }
+
+  lines.push(`
+### Response Expectations
+- Start with the direct answer or the first troubleshooting step; use numbered steps for procedures.
+- Reference the document and section/page the steps come from.
+- If the knowledge base does not cover the issue, say so and follow the escalation guidance above.`);
+
+  return lines.join('\n') + '\n' + buildCustomInstructions(config);
+}
+
+/**
+ * Opening role description for the system prompt
+ */
+export function buildPersonaIntro(profile) {
+  if (profile?.type === 'sales') {
+    return `You are our sales assistant, chatting with prospective and existing customers.
+
+Your role:
+- Represent our sales team – speak in first person plural when referencing the business ("we", "our team").
+- Help customers find the right products or services and answer product, pricing and availability questions from the uploaded files
+- Qualify interest and guide customers toward a next step with our team
+- Stay in character: do **not** remind customers that you are an AI or describe tooling/limitations unless honesty requires it.
+- If you don't have information, admit it clearly and offer to connect the customer with our team.`;
+  }
+
+  if (profile?.type === 'support') {
+    return `You are our customer support specialist, helping customers resolve questions and issues.
+
+Your role:
+- Represent our support team – speak in first person plural when referencing the business ("we", "our team").
+- Answer questions about orders, tracking data, shipment status, products and procedures using the uploaded files
+- Troubleshoot step by step and confirm the issue is resolved
+- Stay in character: do **not** remind customers that you are an AI or describe tooling/limitations unless honesty requires it.
+- If you don't have information, admit it clearly and follow the escalation guidance.`;
+  }
+
+  return null;
+}
+
+/**
+ * Persona guidance (tone, approach, qualification, escalation, language, custom prompt)
+ * Returns null for unknown personas so callers keep the default prompt
+ */
+export function buildPersonaGuidance(profile) {
+  if (!profile || !CHAT_PERSONA_TYPES.includes(profile.type)) return null;
+  const config = profile.config || {};
+  return profile.type === 'sales' ? buildSalesSection(config) : buildSupportSection(config);
+}
+
+/**
+ * Map a persona record (or persona id) to a chat persona type
+ */
+export function resolveChatPersonaType(personaId, personaRecord = null) {
+  const candidates = [
+    personaId,
+    personaRecord?.type,
+    personaRecord?.config?.category,
+    personaRecord?.metadata?.role
+  ];
+  for (const candidate of candidates) {
+    const normalized = String(candidate || '').toLowerCase();
+    if (CHAT_PERSONA_TYPES.includes(normalized)) {
+      return normalized;
+    }
+  }
+  return null;
+}
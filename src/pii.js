@@ -0,0 +1,382 @@
+import crypto from 'crypto';
+
+/**
+ * PII detection, redaction and masking
+ * Detects emails, phone numbers, card numbers (Luhn-checked), Singapore
+ * NRIC/FIN (checksum-checked), passport numbers and street addresses. A
+ * persona's `pii_policy` decides what happens to them: redacted in stored
+ * transcripts (originals kept in an encrypted vault field), masked in model
+ * output, and/or blocked before the message is sent to the model.
+ */
+
+export const PII_TYPES = ['email', 'phone', 'credit_card', 'nric', 'passport', 'address'];
+
+const REDACTION_LABELS = {
+  email: '[EMAIL]',
+  phone: '[PHONE]',
+  credit_card: '[CARD]',
+  nric: '[NRIC]',
+  passport: '[PASSPORT]',
+  address: '[ADDRESS]'
+};
+
+const TYPE_DESCRIPTIONS = {
+  email: 'email addresses',
+  phone: 'phone numbers',
+  credit_card: 'card numbers',
+  nric: 'NRIC/FIN numbers',
+  passport: 'passport numbers',
+  address: 'home addresses'
+};
+
+const VAULT_VERSION = 'v1';
+
+const DEFAULT_POLICY = {
+  types: PII_TYPES,
+  redactTranscripts: false,
+  maskOutput: false,
+  blockInput: false
+};
+
+const EMAIL_PATTERN = /\b[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}\b/gi;
+// Not part of a longer digit run, e.g. 16 digits inside a tracking or AWB number
+const CARD_PATTERN = /(?<!\d[ -]?)\b\d(?:[ -]?\d){12,18}\b(?![ -]?\d)/g;
+// Issuer prefix and length: Visa, Mastercard, Amex, Discover, JCB, Diners Club, UnionPay
+const CARD_ISSUER_PATTERN = /^(?:4\d{12}(?:\d{3}){0,2}|(?:5[1-5]\d{2}|222[1-9]|22[3-9]\d|2[3-6]\d{2}|27[01]\d|2720)\d{12}|3[47]\d{13}|(?:6011|64[4-9]\d|65\d{2})\d{12,15}|35(?:2[89]|[3-8]\d)\d{12,15}|3(?:0[0-5]|[689]\d)\d{11,16}|62\d{14,17})$/;
+const NRIC_PATTERN = /\b[STFGM]\d{7}[A-Z]\b/gi;
+const SG_PASSPORT_PATTERN = /\b[EK]\d{7}[A-Z]\b/g;
+const LABELLED_PASSPORT_PATTERN = /\bpassport(?:\s*(?:no\.?|number|#))?\s*[:#-]?\s*([A-Z0-9]{6,9})\b/gi;
+const INTERNATIONAL_PHONE_PATTERN = /\+\d{1,3}[\s.-]?(?:\(?\d{1,4}\)?[\s.-]?){1,4}\d{2,4}\b/g;
+// Not part of a longer digit run, e.g. the leading "9400 1000" of a tracking number
+const LOCAL_PHONE_PATTERN = /(?<!\d[\s-]?)\b[689]\d{3}[\s-]?\d{4}\b(?![\s-]?\d)/g;
+const PHONE_CONTEXT = /\b(phone|tel|mobile|hp|contact|call|whatsapp|sms|text me)\b[^\n]{0,20}$/i;
+// An identifier label between the phone label and the number wins ("call about invoice 8123-4567")
+const IDENTIFIER_CONTEXT = /\b(invoice|inv|po|purchase\s+order|order|tracking|awb|ref|reference|shipment|container|booking|sku|account|acct|case|ticket|serial|batch|lot|item)\b[^\n]{0,6}$/i;
+const STREET_PATTERN = /\b(?:(?:Blk|Block|blk|block)\s+)?\d{1,5}[A-Z]?\s+(?:[A-Z][A-Za-z'.-]*\s+){1,4}(?:Street|St|Road|Rd|Avenue|Ave|Drive|Dr|Lane|Ln|Boulevard|Blvd|Crescent|Cres|Close|Way|Place|Link|Walk|Terrace|Park|Jalan|Lorong)\b\.?(?:\s+\d{1,3}\b)?(?:,?\s*#\d{1,3}-\d{1,4})?(?:,?\s*(?:Singapore|S)\s*\(?\d{6}\)?)?/g;
+const POSTAL_PATTERN = /\b(?:Singapore\s+\d{6}|S\(\d{6}\))/gi;
+
+function digitsOf(text) {
+  return text.replace(/\D/g, '');
+}
+
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * NRIC/FIN checksum for S/T/F/G prefixes; M-series FINs are accepted on format
+ */
+function isValidNric(value) {
+  const id = value.toUpperCase();
+  const prefix = id[0];
+  if (prefix === 'M') return true;
+
+  const weights = [2, 7, 6, 5, 4, 3, 2];
+  let sum = weights.reduce((total, weight, i) => total + weight * Number(id[i + 1]), 0);
+  if (prefix === 'T' || prefix === 'G') sum += 4;
+  const table = prefix === 'S' || prefix === 'T' ? 'JZIHGFEDCBA' : 'XWUTRQPNMLK';
+  return table[sum % 11] === id[8];
+}
+
+function collect(text, pattern, type, accept = () => true) {
+  const findings = [];
+  for (const match of text.matchAll(pattern)) {
+    const value = match[1] !== undefined && type === 'passport' ? match[1] : match[0];
+    const start = match.index + match[0].lastIndexOf(value);
+    if (accept(value, start, match)) {
+      findings.push({ type, value, start, end: start + value.length });
+    }
+  }
+  return findings;
+}
+
+const DETECTORS = {
+  email: text => collect(text, EMAIL_PATTERN, 'email'),
+  credit_card: text => collect(text, CARD_PATTERN, 'credit_card', value => {
+    const digits = digitsOf(value);
+    return CARD_ISSUER_PATTERN.test(digits) && passesLuhn(digits);
+  }),
+  nric: text => collect(text, NRIC_PATTERN, 'nric', isValidNric),
+  passport: text => [
+    ...collect(text, SG_PASSPORT_PATTERN, 'passport'),
+    ...collect(text, LABELLED_PASSPORT_PATTERN, 'passport', value => /\d/.test(value))
+  ],
+  phone: text => [
+    ...collect(text, INTERNATIONAL_PHONE_PATTERN, 'phone', value => {
+      const length = digitsOf(value).length;
+      return length >= 8 && length <= 15;
+    }),
+    // Local 8-digit numbers look exactly like PO, invoice and tracking numbers, with
+    // or without a separator; only a phone label right before them makes them a phone
+    ...collect(text, LOCAL_PHONE_PATTERN, 'phone', (value, start) => {
+      const before = text.slice(Math.max(0, start - 40), start);
+      return PHONE_CONTEXT.test(before) && !IDENTIFIER_CONTEXT.test(before);
+    })
+  ],
+  address: text => [
+    ...collect(text, STREET_PATTERN, 'address'),
+    ...collect(text, POSTAL_PATTERN, 'address')
+  ]
+};
+
+// Earlier types win when matches overlap (a card number is not also a phone number)
+const DETECTION_ORDER = ['email', 'credit_card', 'nric', 'passport', 'phone', 'address'];
+
+/**
+ * Find PII in text
+ * @returns {Array} [{ type, value, start, end }] sorted by position, non-overlapping
+ */
+export function detectPii(text, { types = PII_TYPES } = {}) {
+  if (!text || typeof text !== 'string') return [];
+
+  const accepted = [];
+  for (const type of DETECTION_ORDER) {
+    if (!types.includes(type)) continue;
+    for (const finding of DETECTORS[type](text)) {
+      const overlaps = accepted.some(other => finding.start < other.end && other.start < finding.end);
+      if (!overlaps) accepted.push(finding);
+    }
+  }
+  return accepted.sort((a, b) => a.start - b.start);
+}
+
+function replaceFindings(text, findings, replacement) {
+  let result = '';
+  let position = 0;
+  for (const finding of findings) {
+    result += text.slice(position, finding.start) + replacement(finding);
+    position = finding.end;
+  }
+  return result + text.slice(position);
+}
+
+function maskValue({ type, value }) {
+  if (type === 'email') {
+    const [local, domain] = value.split('@');
+    return `${local[0]}***@${domain}`;
+  }
+  if (type === 'address') return REDACTION_LABELS.address;
+
+  // Keep the last four characters so the customer can still recognise the value
+  let remaining = 4;
+  return value
+    .split('')
+    .reverse()
+    .map(char => {
+      if (!/[A-Za-z0-9]/.test(char)) return char;
+      if (remaining > 0) {
+        remaining--;
+        return char;
+      }
+      return '*';
+    })
+    .reverse()
+    .join('');
+}
+
+/**
+ * Replace PII with type labels such as [EMAIL]
+ * @returns {Object} { text, findings }
+ */
+export function redactPii(text, options = {}) {
+  const findings = detectPii(text, options);
+  return {
+    text: findings.length > 0 ? replaceFindings(text, findings, finding => REDACTION_LABELS[finding.type]) : text,
+    findings
+  };
+}
+
+/**
+ * Redact every string inside a JSON-like value (objects, arrays), e.g. a reasoning trace
+ */
+export function redactPiiDeep(value, options = {}) {
+  if (typeof value === 'string') return redactPii(value, options).text;
+  if (Array.isArray(value)) return value.map(item => redactPiiDeep(item, options));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactPiiDeep(item, options)]));
+  }
+  return value;
+}
+
+/**
+ * Partially mask PII for display, e.g. j***@example.com or ****-****-****-1111
+ */
+export function maskPii(text, options = {}) {
+  const findings = detectPii(text, options);
+  return findings.length > 0 ? replaceFindings(text, findings, maskValue) : text;
+}
+
+/**
+ * Wrap a text-delta callback so streamed output is masked
+ * Text is held back until the end of a line, so values split across deltas are still caught
+ */
+export function createPiiMaskStream(emit, options = {}) {
+  let pending = '';
+
+  return {
+    push(delta) {
+      if (!delta) return;
+      pending += delta;
+      const lineEnd = pending.lastIndexOf('\n');
+      if (lineEnd === -1) return;
+      emit(maskPii(pending.slice(0, lineEnd + 1), options));
+      pending = pending.slice(lineEnd + 1);
+    },
+
+    flush() {
+      if (pending) emit(maskPii(pending, options));
+      pending = '';
+    }
+  };
+}
+
+let missingKeyWarned = false;
+
+function getVaultKey() {
+  const secret = process.env.PII_VAULT_KEY;
+  if (!secret) {
+    if (!missingKeyWarned) {
+      console.warn('⚠️ PII_VAULT_KEY is not set; redacted transcript values cannot be recovered');
+      missingKeyWarned = true;
+    }
+    return null;
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+/**
+ * Encrypt a value for the transcript vault (AES-256-GCM)
+ * @returns {string|null} 'v1:<iv>:<tag>:<ciphertext>' (base64 parts), or null without PII_VAULT_KEY
+ */
+export function sealVault(value) {
+  const key = getVaultKey();
+  if (!key) return null;
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+  return [VAULT_VERSION, iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+}
+
+export function openVault(token) {
+  const key = getVaultKey();
+  if (!key) {
+    throw new Error('PII vault key is not configured');
+  }
+
+  const [version, iv, tag, ciphertext] = String(token || '').split(':');
+  if (version !== VAULT_VERSION || !iv || !tag || !ciphertext) {
+    throw new Error('Unsupported PII vault entry');
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    const plaintext = Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]);
+    return JSON.parse(plaintext.toString('utf8'));
+  } catch (error) {
+    throw new Error('Unable to decrypt PII vault entry');
+  }
+}
+
+/**
+ * Transcript message fields for `content` under the policy
+ * @returns {Object} { content, piiTypes?, piiVault? } - piiVault holds the original content
+ */
+export function protectForStorage(content, policy) {
+  if (!policy?.redactTranscripts || !content) return { content };
+
+  const { text, findings } = redactPii(content, { types: policy.types });
+  if (findings.length === 0) return { content };
+
+  const vault = sealVault({ content });
+  return {
+    content: text,
+    piiTypes: [...new Set(findings.map(finding => finding.type))],
+    ...(vault ? { piiVault: vault } : {})
+  };
+}
+
+/**
+ * Refusal for a message that must not reach the model, or null when it may be sent
+ */
+export function checkPiiInput(message, policy) {
+  if (!policy?.blockInput) return null;
+
+  const types = [...new Set(detectPii(message, { types: policy.types }).map(finding => finding.type))];
+  if (types.length === 0) return null;
+
+  return {
+    types,
+    reason: `For your privacy, please don't share ${types.map(type => TYPE_DESCRIPTIONS[type]).join(', ')} in this chat. Could you rephrase your question without them?`
+  };
+}
+
+export function getDefaultPiiPolicy() {
+  return { ...DEFAULT_POLICY, types: [...DEFAULT_POLICY.types] };
+}
+
+/**
+ * Validate a policy submitted through the admin API
+ * @returns {Object} The recognised fields, ready to store as the persona's `pii_policy`
+ * @throws {Error} 'Invalid PII policy: ...'
+ */
+export function validatePiiPolicy(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('Invalid PII policy: policy must be an object');
+  }
+
+  const policy = {};
+  if (input.types !== undefined) {
+    if (!Array.isArray(input.types) || input.types.some(type => !PII_TYPES.includes(type))) {
+      throw new Error(`Invalid PII policy: types must be a list of ${PII_TYPES.join(', ')}`);
+    }
+    policy.types = [...new Set(input.types)];
+  }
+  for (const field of ['redactTranscripts', 'maskOutput', 'blockInput']) {
+    if (input[field] === undefined) continue;
+    if (typeof input[field] !== 'boolean') {
+      throw new Error(`Invalid PII policy: ${field} must be true or false`);
+    }
+    policy[field] = input[field];
+  }
+  return policy;
+}
+
+/**
+ * Effective policy for a persona; stored values that no longer validate fall back to the defaults
+ */
+export function resolvePiiPolicy(overrides = null) {
+  const defaults = getDefaultPiiPolicy();
+  if (!overrides || typeof overrides !== 'object') return defaults;
+
+  try {
+    return { ...defaults, ...validatePiiPolicy(overrides) };
+  } catch (error) {
+    console.warn(`⚠️ Ignoring stored PII policy: ${error.message}`);
+    return defaults;
+  }
+}
+
+export default {
+  detectPii,
+  redactPii,
+  redactPiiDeep,
+  maskPii,
+  createPiiMaskStream,
+  sealVault,
+  openVault,
+  protectForStorage,
+  checkPiiInput,
+  validatePiiPolicy,
+  resolvePiiPolicy
+};
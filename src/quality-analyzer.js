@@ -7,9 +7,10 @@
  * Main quality analysis function
  * @param {Array} data - Parsed Excel data
  * @param {Array} columns - Column names
+ * @param {Object} options - { formulas } formula evaluation stats of the sheet
  * @returns {Object} Quality report
  */
-export function analyzeDataQuality(data, columns) {
+export function analyzeDataQuality(data, columns, options = {}) {
   const issues = [];
   const warnings = [];
   const recommendations = [];
@@ -96,6 +97,10 @@ export function analyzeDataQuality(data, columns) {
     warnings.push(...dateIssues);
   }
 
+  // Formulas saved without a cached value that could not be evaluated
+  const formulaWarnings = checkFormulaEvaluation(options.formulas);
+  warnings.push(...formulaWarnings);
+
   // Generate recommendations
   if (incompleteRows > 0) {
     recommendations.push({
@@ -113,6 +118,14 @@ export function analyzeDataQuality(data, columns) {
     });
   }
 
+  if (formulaWarnings.length > 0) {
+    recommendations.push({
+      type: 'formula_recalculation',
+      message: 'Some formulas have no saved results and could not be evaluated here. Open the file in Excel, recalculate (F9) and save it so the calculated values are stored, then upload it again.',
+      priority: 'high'
+    });
+  }
+
   // Calculate quality score
   const totalCells = data.length * criticalFields.length;
   const emptyCells = issues.filter(i => i.issue === 'Missing value').length;
@@ -138,11 +151,45 @@ export function analyzeDataQuality(data, columns) {
     },
     details: {
       criticalFields: criticalFields,
-      analyzedColumns: columns
+      analyzedColumns: columns,
+      ...(options.formulas ? {
+        formulas: {
+          evaluated: options.formulas.evaluated,
+          failed: options.formulas.failed,
+          unsupported: options.formulas.unsupported
+        }
+      } : {})
     }
   };
 }
 
+/**
+ * Warnings for formula cells left blank: one per unsupported function, one for other failures
+ */
+function checkFormulaEvaluation(formulas) {
+  if (!formulas || !formulas.failed) return [];
+
+  const warnings = Object.entries(formulas.unsupported || {}).map(([name, count]) => ({
+    type: 'unsupported_formula',
+    function: name,
+    message: `${count} formula cell(s) use ${name}, which cannot be evaluated without saved results; those cells are blank.`,
+    severity: 'warning'
+  }));
+
+  const unsupportedCount = Object.values(formulas.unsupported || {}).reduce((sum, count) => sum + count, 0);
+  const otherFailures = formulas.failed - unsupportedCount;
+  if (otherFailures > 0) {
+    const cells = (formulas.issues || []).filter(issue => !/^Unsupported function/.test(issue.error)).map(issue => issue.cell);
+    warnings.push({
+      type: 'formula_evaluation',
+      message: `${otherFailures} formula cell(s) could not be evaluated${cells.length ? ` (e.g. ${cells.slice(0, 5).join(', ')})` : ''}; those cells are blank.`,
+      severity: 'warning'
+    });
+  }
+
+  return warnings;
+}
+
 /**
  * Detect which fields are critical based on column names
  */
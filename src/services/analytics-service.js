@@ -1,7 +1,9 @@
 import dataStore from './data-store.js';
+import transcriptService from './transcript-service.js';
 import { sanitizeTenantId } from '../file-processor.js';
 
 const COLLECTION = 'usage_analytics';
+const FEEDBACK_TREND_DAYS = 30;
 
 function normalizeTenantId(rawTenantId) {
   return sanitizeTenantId(rawTenantId || 'default') || 'default';
@@ -79,6 +81,120 @@ export async function listAnalyticsRecords({ tenantId, type, personaId = null, l
   return limit > 0 ? sorted.slice(0, limit) : sorted;
 }
 
+function roundRate(numerator, denominator) {
+  return denominator > 0 ? Math.round((numerator / denominator) * 1000) / 1000 : null;
+}
+
+/**
+ * Answer ratings and CSAT responses stored on a persona's transcripts
+ * csatScore is the share of 4-5 responses; trend is per day over the last FEEDBACK_TREND_DAYS
+ */
+export async function getFeedbackSummary(tenantId, personaId) {
+  const transcripts = await transcriptService.listByTenant(tenantId, personaId);
+  const since = Date.now() - FEEDBACK_TREND_DAYS * 24 * 60 * 60 * 1000;
+  const days = new Map();
+  const reasons = {};
+  let positive = 0;
+  let negative = 0;
+  let csatResponses = 0;
+  let csatSatisfied = 0;
+  let csatTotal = 0;
+
+  const dayFor = timestamp => {
+    const time = new Date(timestamp || 0).getTime();
+    if (!Number.isFinite(time) || time < since) return null;
+    const date = new Date(time).toISOString().slice(0, 10);
+    if (!days.has(date)) {
+      days.set(date, { date, positive: 0, negative: 0, csatResponses: 0, csatTotal: 0 });
+    }
+    return days.get(date);
+  };
+
+  transcripts.forEach(transcript => {
+    (transcript.messages || []).forEach(message => {
+      const feedback = message.feedback;
+      if (!feedback?.rating) return;
+      const isPositive = feedback.rating === 'up';
+      if (isPositive) positive++; else negative++;
+      (feedback.reasons || []).forEach(code => {
+        reasons[code] = (reasons[code] || 0) + 1;
+      });
+      const day = dayFor(feedback.submittedAt);
+      if (day) {
+        if (isPositive) day.positive++; else day.negative++;
+      }
+    });
+
+    const score = transcript.csat?.score;
+    if (Number.isFinite(score)) {
+      csatResponses++;
+      csatTotal += score;
+      if (score >= 4) csatSatisfied++;
+      const day = dayFor(transcript.csat.submittedAt);
+      if (day) {
+        day.csatResponses++;
+        day.csatTotal += score;
+      }
+    }
+  });
+
+  return {
+    ratings: positive + negative,
+    positive,
+    negative,
+    negativeRate: roundRate(negative, positive + negative),
+    reasons,
+    csatResponses,
+    csatScore: roundRate(csatSatisfied, csatResponses),
+    csatAverage: csatResponses > 0 ? Math.round((csatTotal / csatResponses) * 100) / 100 : null,
+    trend: [...days.values()]
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .map(({ csatTotal: total, ...day }) => ({
+        ...day,
+        negativeRate: roundRate(day.negative, day.positive + day.negative),
+        csatAverage: day.csatResponses > 0 ? Math.round((total / day.csatResponses) * 100) / 100 : null
+      }))
+  };
+}
+
+/**
+ * Grounding check results stored on a persona's assistant messages
+ * averageScore covers answers that had values to check; byType counts unverified values
+ */
+export async function getGroundingSummary(tenantId, personaId) {
+  const transcripts = await transcriptService.listByTenant(tenantId, personaId);
+  const byType = {};
+  let checkedAnswers = 0;
+  let flaggedAnswers = 0;
+  let regenerated = 0;
+  let scoreTotal = 0;
+
+  transcripts.forEach(transcript => {
+    (transcript.messages || []).forEach(message => {
+      if (message.role !== 'assistant' || !message.grounding) return;
+      // A regenerated answer may have nothing left to check, so it is counted first
+      if (message.grounding.regeneration?.adopted) regenerated++;
+      if (!Number.isFinite(message.groundingScore)) return;
+      checkedAnswers++;
+      scoreTotal += message.groundingScore;
+      const unverified = message.grounding.unverified || [];
+      if (unverified.length > 0) flaggedAnswers++;
+      unverified.forEach(claim => {
+        byType[claim.type] = (byType[claim.type] || 0) + 1;
+      });
+    });
+  });
+
+  return {
+    checkedAnswers,
+    averageScore: checkedAnswers > 0 ? Math.round((scoreTotal / checkedAnswers) * 100) / 100 : null,
+    flaggedAnswers,
+    flaggedRate: roundRate(flaggedAnswers, checkedAnswers),
+    regenerated,
+    byType
+  };
+}
+
 // Get aggregated metrics from actual data
 export async function getAnalyticsSummary(tenantId) {
   const normalizedTenant = normalizeTenantId(tenantId);
@@ -86,26 +202,46 @@ export async function getAnalyticsSummary(tenantId) {
   // Load all analytics events
   const allEvents = await listAnalyticsRecords({ tenantId: normalizedTenant, limit: 10000 });
   
+  // Throttled requests never reached the assistant, so they are counted separately
+  const throttledEvents = allEvents.filter(e => e.action === 'rate_limited');
+  const interactionEvents = allEvents.filter(e => e.action !== 'rate_limited');
+
   // Categorize by type
-  const salesEvents = allEvents.filter(e => getAiTypeFromRecord(e) === 'sales');
-  const supportEvents = allEvents.filter(e => getAiTypeFromRecord(e) === 'support');
-  const interviewEvents = allEvents.filter(e => getAiTypeFromRecord(e) === 'interview');
+  const salesEvents = interactionEvents.filter(e => getAiTypeFromRecord(e) === 'sales');
+  const supportEvents = interactionEvents.filter(e => getAiTypeFromRecord(e) === 'support');
+  const interviewEvents = interactionEvents.filter(e => getAiTypeFromRecord(e) === 'interview');
+  const throttledFor = type => throttledEvents.filter(e => getAiTypeFromRecord(e) === type).length;
+
+  const [salesFeedback, supportFeedback, salesGrounding, supportGrounding] = await Promise.all([
+    getFeedbackSummary(normalizedTenant, 'sales'),
+    getFeedbackSummary(normalizedTenant, 'support'),
+    getGroundingSummary(normalizedTenant, 'sales'),
+    getGroundingSummary(normalizedTenant, 'support')
+  ]);
   
   return {
     sales: {
       totalInteractions: salesEvents.length,
       successfulInteractions: salesEvents.filter(e => e.success !== false).length,
-      leadsGenerated: salesEvents.filter(e => e.metadata?.contactIntent).length
+      leadsGenerated: salesEvents.filter(e => e.metadata?.contactIntent).length,
+      throttled: throttledFor('sales'),
+      feedback: salesFeedback,
+      grounding: salesGrounding
     },
     support: {
       totalInteractions: supportEvents.length,
       resolved: supportEvents.filter(e => e.success !== false).length,
-      escalations: supportEvents.filter(e => e.metadata?.contactIntent?.type === 'support_escalation').length
+      escalations: supportEvents.filter(e => e.metadata?.contactIntent?.type === 'support_escalation').length,
+      throttled: throttledFor('support'),
+      feedback: supportFeedback,
+      grounding: supportGrounding
     },
     interview: {
       totalSessions: interviewEvents.length,
-      completed: interviewEvents.filter(e => e.action === 'interview_completed' || e.metadata?.status === 'completed').length
+      completed: interviewEvents.filter(e => e.action === 'interview_completed' || e.metadata?.status === 'completed').length,
+      throttled: throttledFor('interview')
     },
+    throttledRequests: throttledEvents.length,
     lastUpdated: new Date().toISOString()
   };
 }
@@ -147,6 +283,8 @@ export async function recordAnalyticsEvent(event = {}) {
 export default {
   listAnalyticsRecords,
   recordAnalyticsEvent,
-  getAnalyticsSummary
+  getAnalyticsSummary,
+  getFeedbackSummary,
+  getGroundingSummary
 };
 
@@ -0,0 +1,132 @@
+import { isFlagEnabled } from '../utils/env.js';
+
+/**
+ * In-process cache of per-manifest chat context
+ * Chat turns reuse the synced search index, tracking rows and the stable part
+ * of the system prompt while the manifest version is unchanged. Upload, delete
+ * and clear also invalidate explicitly, since deleting a file keeps `uploadTime`.
+ */
+
+const MAX_ENTRIES = parseInt(process.env.CONTEXT_CACHE_MAX_ENTRIES || '200', 10);
+
+const entries = new Map();
+const stats = { hits: 0, misses: 0, invalidations: 0 };
+const tenantStats = new Map();
+
+function isCacheEnabled() {
+  return process.env.CONTEXT_CACHE_ENABLED === undefined || isFlagEnabled(process.env.CONTEXT_CACHE_ENABLED);
+}
+
+function cacheKey(tenantId, personaId = null) {
+  return `${(tenantId || 'default').toLowerCase()}::${(personaId || 'default').toLowerCase()}`;
+}
+
+function countFor(key) {
+  const counts = tenantStats.get(key) || { hits: 0, misses: 0, invalidations: 0 };
+  // Bounded like the cache itself: least recently counted tenants are dropped first
+  tenantStats.delete(key);
+  tenantStats.set(key, counts);
+  while (tenantStats.size > MAX_ENTRIES) {
+    tenantStats.delete(tenantStats.keys().next().value);
+  }
+  return counts;
+}
+
+/**
+ * Changes whenever files are added, replaced, removed or re-indexed
+ */
+export function getManifestVersion(manifest) {
+  return [
+    manifest?.uploadTime || '',
+    Array.isArray(manifest?.files) ? manifest.files.length : 0,
+    manifest?.searchIndex?.updatedAt || ''
+  ].join('|');
+}
+
+/**
+ * Return a cached value for the manifest, building it on first use
+ * Concurrent turns share the pending build; failed builds are not cached.
+ * @param {Object} manifest - Tenant/persona manifest
+ * @param {string} name - Value name, e.g. 'search-index' or 'system:<variant>'; only the latest
+ *   variant of a name is kept, since variants (persona config, date) replace each other
+ * @param {Function} build - async () => value
+ */
+export async function getCachedContext(manifest, name, build) {
+  if (!manifest || !isCacheEnabled()) {
+    return build();
+  }
+
+  const key = cacheKey(manifest.tenantId, manifest.persona);
+  const version = getManifestVersion(manifest);
+  let entry = entries.get(key);
+
+  if (!entry || entry.version !== version) {
+    entry = { version, values: new Map() };
+  }
+  // Re-insert so the Map keeps least recently used entries first
+  entries.delete(key);
+  entries.set(key, entry);
+  while (entries.size > MAX_ENTRIES) {
+    entries.delete(entries.keys().next().value);
+  }
+
+  if (entry.values.has(name)) {
+    stats.hits++;
+    countFor(key).hits++;
+    return entry.values.get(name);
+  }
+
+  stats.misses++;
+  countFor(key).misses++;
+  const family = `${name.split(':')[0]}:`;
+  for (const existing of entry.values.keys()) {
+    if (existing.startsWith(family)) entry.values.delete(existing);
+  }
+  const pending = Promise.resolve().then(build);
+  entry.values.set(name, pending);
+  pending.catch(() => {
+    if (entry.values.get(name) === pending) {
+      entry.values.delete(name);
+    }
+  });
+  return pending;
+}
+
+export function invalidateContext(tenantId, personaId = null) {
+  const key = cacheKey(tenantId, personaId);
+  if (entries.delete(key)) {
+    stats.invalidations++;
+    countFor(key).invalidations++;
+  }
+}
+
+/**
+ * Hit/miss counters for /api/status
+ * @returns {Object} { enabled, entries, hits, misses, invalidations, hitRate, tenant: { hits, misses, invalidations, cached } }
+ */
+export function getContextCacheStats(tenantId = null, personaId = null) {
+  const lookups = stats.hits + stats.misses;
+  const summary = {
+    enabled: isCacheEnabled(),
+    entries: entries.size,
+    ...stats,
+    hitRate: lookups > 0 ? Math.round((stats.hits / lookups) * 1000) / 1000 : null
+  };
+
+  if (tenantId) {
+    const key = cacheKey(tenantId, personaId);
+    summary.tenant = {
+      ...(tenantStats.get(key) || { hits: 0, misses: 0, invalidations: 0 }),
+      cached: entries.has(key)
+    };
+  }
+
+  return summary;
+}
+
+export default {
+  getManifestVersion,
+  getCachedContext,
+  invalidateContext,
+  getContextCacheStats
+};
@@ -0,0 +1,132 @@
+import transcriptService, { isHandoffOpen } from './transcript-service.js';
+import { estimateTokens } from '../chunker.js';
+
+/**
+ * Server-side conversation memory
+ * Chat context is rebuilt from the stored transcript instead of the history the
+ * browser sends. The most recent turns that fit CHAT_HISTORY_TOKEN_BUDGET are
+ * replayed verbatim; older turns are folded into a rolling summary stored on
+ * the transcript as `memory: { summary, summarizedCount, updatedAt }`.
+ */
+
+const HISTORY_TOKEN_BUDGET = parseInt(process.env.CHAT_HISTORY_TOKEN_BUDGET || '4000', 10);
+const SUMMARY_MAX_TOKENS = parseInt(process.env.CHAT_SUMMARY_MAX_TOKENS || '500', 10);
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+const SUMMARY_SYSTEM_PROMPT = `You maintain a running summary of a customer support conversation.
+Keep every fact the assistant may need later: names, order/PO/reference numbers, dates, products, quoted figures, the customer's goals, open questions and commitments made.
+Write plain sentences, no headings, at most 200 words. Do not invent details.`;
+
+// Turns refused for PII (`withheld`) are never sent to the model, not even redacted
+function isReplayable(message) {
+  return ['user', 'assistant', 'agent'].includes(message?.role)
+    && !message.withheld
+    && typeof message.content === 'string'
+    && message.content.trim().length > 0;
+}
+
+/**
+ * Messages API turns: human agent replies are replayed as assistant turns so the
+ * AI knows what was promised after a takeover; consecutive same-role turns
+ * (customer messages sent while the AI was paused) are merged
+ */
+function toApiMessages(messages) {
+  const turns = [];
+  for (const message of messages) {
+    const role = message.role === 'agent' ? 'assistant' : message.role;
+    const agentLabel = message.agent?.name ? `Human agent ${message.agent.name}` : 'Human agent';
+    const content = message.role === 'agent' ? `[${agentLabel}] ${message.content}` : message.content;
+    const previous = turns[turns.length - 1];
+    if (previous?.role === role) {
+      previous.content += `\n\n${content}`;
+    } else {
+      turns.push({ role, content });
+    }
+  }
+  return turns;
+}
+
+function messageTokens(message) {
+  return estimateTokens(message.content) + MESSAGE_OVERHEAD_TOKENS;
+}
+
+/**
+ * Index where the replayed window starts: the remainder fits `budget` and
+ * begins with a user turn (the Messages API requires it)
+ */
+export function findWindowStart(messages, from = 0, budget = HISTORY_TOKEN_BUDGET) {
+  let tokens = 0;
+  let start = messages.length;
+  for (let i = messages.length - 1; i >= from; i--) {
+    tokens += messageTokens(messages[i]);
+    if (tokens > budget) break;
+    if (messages[i].role === 'user') start = i;
+  }
+  return start;
+}
+
+async function summarizeTurns(previousSummary, messages, summarize) {
+  const turns = messages
+    .map(message => `${message.role === 'user' ? 'Customer' : message.role === 'agent' ? 'Human agent' : 'Assistant'}: ${message.content}`)
+    .join('\n\n');
+  const prompt = [
+    previousSummary ? `Summary so far:\n${previousSummary}` : null,
+    `Earlier turns to fold into the summary:\n${turns}`,
+    'Return the updated summary only.'
+  ].filter(Boolean).join('\n\n');
+
+  const summary = String(await summarize(
+    [{ role: 'user', content: prompt }],
+    { system: SUMMARY_SYSTEM_PROMPT, maxTokens: SUMMARY_MAX_TOKENS }
+  ) || '').trim();
+
+  if (!summary) {
+    throw new Error('Summary response was empty');
+  }
+  return summary;
+}
+
+/**
+ * Load the chat context for a conversation
+ * @param {Object} options - { tenantId, personaId, conversationId, summarize(messages, { system, maxTokens }) }
+ * @returns {Object} { transcript, history: [{ role, content }], summary }
+ */
+export async function loadConversationMemory({ tenantId, personaId = null, conversationId = null, summarize = null } = {}) {
+  const empty = { transcript: null, history: [], summary: null };
+  if (!conversationId) return empty;
+
+  const transcript = await transcriptService.findByConversation(tenantId, conversationId, personaId);
+  if (!transcript) return empty;
+
+  const messages = (transcript.messages || []).filter(isReplayable);
+  let summary = transcript.memory?.summary || null;
+  let summarizedCount = Math.min(transcript.memory?.summarizedCount || 0, messages.length);
+  let start = findWindowStart(messages, summarizedCount);
+
+  // While a human agent owns the conversation the AI does not answer, so there is nothing to summarize for
+  if (start > summarizedCount && typeof summarize === 'function' && !isHandoffOpen(transcript)) {
+    // Fold turns down to half the budget so the next few turns fit without another call
+    const cut = findWindowStart(messages, summarizedCount, Math.floor(HISTORY_TOKEN_BUDGET / 2));
+    try {
+      summary = await summarizeTurns(summary, messages.slice(summarizedCount, cut), summarize);
+      summarizedCount = cut;
+      start = cut;
+      await transcriptService.updateMemory(transcript.id, tenantId, personaId, { summary, summarizedCount });
+      console.log(`🧾 Summarized ${cut} earlier message(s) for conversation ${conversationId}`);
+    } catch (error) {
+      // Keep the previous summary; turns outside the window are simply dropped this time
+      console.warn(`⚠️ Conversation summary failed for ${conversationId}: ${error.message}`);
+    }
+  }
+
+  return {
+    transcript,
+    history: toApiMessages(messages.slice(start)),
+    summary
+  };
+}
+
+export default {
+  findWindowStart,
+  loadConversationMemory
+};
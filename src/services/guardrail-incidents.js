@@ -0,0 +1,163 @@
+import dataStore from './data-store.js';
+import { sanitizeTenantId } from '../file-processor.js';
+import { redactPii } from '../pii.js';
+
+/**
+ * Guardrail incident log
+ * Every guardrail decision that is not a clean pass is stored per tenant and
+ * persona: `blocked` when the message was refused, `near_miss` for findings
+ * below the policy's block threshold. Admins review incidents and can mark
+ * false positives, which may then be fed back into the persona's allow list.
+ */
+
+const COLLECTION = 'guardrail_incidents';
+const EXCERPT_LENGTH = 200;
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+const MAX_NOTE_LENGTH = 500;
+
+export const INCIDENT_DECISIONS = ['blocked', 'near_miss'];
+
+function normalizeTenantId(rawTenantId) {
+  return sanitizeTenantId(rawTenantId || 'default') || 'default';
+}
+
+function storeOptions(tenantId, personaId) {
+  return { tenantId: normalizeTenantId(tenantId), personaId: personaId || null };
+}
+
+function buildExcerpt(message, piiPolicy) {
+  const text = String(message || '').slice(0, EXCERPT_LENGTH);
+  return piiPolicy?.redactTranscripts ? redactPii(text, { types: piiPolicy.types }).text : text;
+}
+
+/**
+ * Persist the findings of one guardrail check
+ * @param {Object} result - evaluateGuardrails() result
+ * @param {Object} context - { tenantId, personaId, message, conversationId, transcriptId, messageIndex, shareLinkId, piiPolicy }
+ * @returns {Array} Stored incidents (empty for a clean pass)
+ */
+export async function recordGuardrailIncidents(result, context = {}) {
+  if (!result) return [];
+
+  const findings = [
+    ...(!result.allowed ? [{ decision: 'blocked', type: result.blockedType, severity: result.severity }] : []),
+    ...(result.warnings || []).map(warning => ({ decision: 'near_miss', type: warning.type, severity: warning.severity }))
+  ];
+  if (findings.length === 0) return [];
+
+  const options = storeOptions(context.tenantId, context.personaId);
+  const excerpt = buildExcerpt(context.message, context.piiPolicy);
+  const occurredAt = new Date().toISOString();
+  const incidents = [];
+
+  for (const finding of findings) {
+    incidents.push(await dataStore.create(COLLECTION, {
+      tenantId: options.tenantId,
+      persona: options.personaId,
+      decision: finding.decision,
+      blockedType: finding.type,
+      severity: finding.severity,
+      stage: result.stage || 'regex',
+      classifier: result.classifier
+        ? { category: result.classifier.category, confidence: result.classifier.confidence, rationale: result.classifier.rationale }
+        : null,
+      excerpt,
+      conversationId: context.conversationId || null,
+      transcriptId: context.transcriptId || null,
+      messageIndex: Number.isInteger(context.messageIndex) ? context.messageIndex : null,
+      shareLinkId: context.shareLinkId || null,
+      falsePositive: false,
+      review: null,
+      occurredAt
+    }, options));
+  }
+
+  console.warn(`🛡️ Guardrail ${findings.map(finding => `${finding.decision}:${finding.type}`).join(', ')} (${options.tenantId}/${options.personaId || 'all'})`);
+  return incidents;
+}
+
+function countBy(incidents, field) {
+  return incidents.reduce((counts, incident) => {
+    const key = incident[field] || 'unknown';
+    counts[key] = (counts[key] || 0) + 1;
+    return counts;
+  }, {});
+}
+
+/**
+ * Incidents for a tenant/persona, newest first
+ * @param {Object} filters - { decision, type, severity, falsePositive, conversationId, shareLinkId, since, until, limit }
+ * @returns {Object} { incidents, counts: { total, byDecision, byType, bySeverity, falsePositives } }
+ */
+export async function listGuardrailIncidents(tenantId, personaId, filters = {}) {
+  const since = filters.since ? new Date(filters.since).getTime() : null;
+  const until = filters.until ? new Date(filters.until).getTime() : null;
+  if (Number.isNaN(since) || Number.isNaN(until)) {
+    throw new Error('Invalid incident filter: since/until must be dates');
+  }
+  if (filters.decision && !INCIDENT_DECISIONS.includes(filters.decision)) {
+    throw new Error(`Invalid incident filter: decision must be one of ${INCIDENT_DECISIONS.join(', ')}`);
+  }
+
+  const matches = await dataStore.list(COLLECTION, incident => {
+    const occurred = new Date(incident.occurredAt || incident.createdAt || 0).getTime();
+    if (filters.decision && incident.decision !== filters.decision) return false;
+    if (filters.type && incident.blockedType !== filters.type) return false;
+    if (filters.severity && incident.severity !== filters.severity) return false;
+    if (typeof filters.falsePositive === 'boolean' && Boolean(incident.falsePositive) !== filters.falsePositive) return false;
+    if (filters.conversationId && incident.conversationId !== filters.conversationId) return false;
+    if (filters.shareLinkId && incident.shareLinkId !== filters.shareLinkId) return false;
+    if (since !== null && occurred < since) return false;
+    if (until !== null && occurred > until) return false;
+    return true;
+  }, storeOptions(tenantId, personaId));
+
+  const limit = Math.min(MAX_LIMIT, parseInt(filters.limit, 10) || DEFAULT_LIMIT);
+  const sorted = matches.sort((a, b) => (
+    new Date(b.occurredAt || b.createdAt || 0).getTime() - new Date(a.occurredAt || a.createdAt || 0).getTime()
+  ));
+
+  return {
+    incidents: sorted.slice(0, limit),
+    counts: {
+      total: matches.length,
+      byDecision: countBy(matches, 'decision'),
+      byType: countBy(matches, 'blockedType'),
+      bySeverity: countBy(matches, 'severity'),
+      falsePositives: matches.filter(incident => incident.falsePositive).length
+    }
+  };
+}
+
+export async function getGuardrailIncident(tenantId, personaId, incidentId) {
+  return dataStore.get(COLLECTION, incidentId, storeOptions(tenantId, personaId));
+}
+
+/**
+ * Mark (or unmark) an incident as a false positive
+ * @param {Object} review - { falsePositive, note, reviewedBy, allowPattern }
+ */
+export async function reviewGuardrailIncident(tenantId, personaId, incidentId, { falsePositive = true, note = null, reviewedBy = null, allowPattern = null } = {}) {
+  const incident = await getGuardrailIncident(tenantId, personaId, incidentId);
+  if (!incident) {
+    throw new Error('Incident not found');
+  }
+
+  return dataStore.update(COLLECTION, incidentId, {
+    falsePositive: Boolean(falsePositive),
+    review: {
+      reviewedAt: new Date().toISOString(),
+      reviewedBy: reviewedBy || null,
+      note: note ? String(note).slice(0, MAX_NOTE_LENGTH) : null,
+      allowPattern: allowPattern || null
+    }
+  }, storeOptions(tenantId, personaId));
+}
+
+export default {
+  recordGuardrailIncidents,
+  listGuardrailIncidents,
+  getGuardrailIncident,
+  reviewGuardrailIncident
+};
@@ -0,0 +1,361 @@
+import { getStorage } from '../storage/index.js';
+import { searchIndexKey } from '../storage/paths.js';
+import { readJson, readText } from './storage-helper.js';
+import { chunkRows, chunkText, looksGarbled } from '../chunker.js';
+
+/**
+ * Lexical (BM25) search index over chunked uploads
+ * One index per tenant/persona, stored next to the manifest:
+ *   {tenant}/{persona}/processed/search-index.json
+ *
+ * Bump SEARCH_INDEX_VERSION whenever tokenization or the stored chunk shape
+ * changes; stale files are re-indexed from their artifacts on next use.
+ */
+export const SEARCH_INDEX_VERSION = 1;
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const DEFAULT_TOKEN_BUDGET = parseInt(process.env.RETRIEVAL_TOKEN_BUDGET || '6000', 10);
+const DEFAULT_MAX_CHUNKS = parseInt(process.env.RETRIEVAL_MAX_CHUNKS || '12', 10);
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'could', 'do', 'does', 'for', 'from',
+  'has', 'have', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'our',
+  'please', 'should', 'so', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they',
+  'this', 'to', 'us', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'who', 'why', 'will',
+  'with', 'would', 'you', 'your'
+]);
+
+function isNotFoundError(error) {
+  if (!error) return false;
+  if (error.code === 'ENOENT') return true;
+  if (error.name === 'NoSuchKey') return true;
+  if (error.$metadata?.httpStatusCode === 404) return true;
+  return false;
+}
+
+function normalizeTerm(term) {
+  if (term.length > 4 && term.endsWith('ies')) return `${term.slice(0, -3)}y`;
+  if (term.length > 3 && term.endsWith('s') && !term.endsWith('ss')) return term.slice(0, -1);
+  return term;
+}
+
+/**
+ * Tokenize text for indexing/querying
+ * Compound identifiers (SG-001, INV/2024/17) are kept whole as well as split
+ */
+export function tokenize(text = '') {
+  const terms = [];
+  const matches = String(text || '').toLowerCase().match(/[a-z0-9]+(?:[-_/.][a-z0-9]+)*/g) || [];
+
+  for (const match of matches) {
+    const parts = match.split(/[-_/.]/).filter(Boolean);
+    if (parts.length > 1) {
+      terms.push(match);
+    }
+    for (const part of parts) {
+      if (STOPWORDS.has(part)) continue;
+      terms.push(normalizeTerm(part));
+    }
+  }
+
+  return terms;
+}
+
+function indexChunk(chunk) {
+  const terms = tokenize([chunk.heading, chunk.text].filter(Boolean).join('\n'));
+  const tf = {};
+  for (const term of terms) {
+    tf[term] = (tf[term] || 0) + 1;
+  }
+  return { ...chunk, length: terms.length, tf };
+}
+
+function emptyIndex(tenantId, personaId) {
+  return {
+    version: SEARCH_INDEX_VERSION,
+    tenantId: tenantId || 'default',
+    persona: personaId || null,
+    updatedAt: null,
+    files: {},
+    chunks: []
+  };
+}
+
+/**
+ * Load the stored index; an index written by an older version is discarded
+ */
+export async function loadSearchIndex(tenantId, personaId = null) {
+  const storage = getStorage();
+  const key = searchIndexKey(tenantId, personaId);
+
+  try {
+    const buffer = await storage.read(key);
+    const parsed = JSON.parse(buffer.toString('utf-8') || 'null');
+    if (!parsed || parsed.version !== SEARCH_INDEX_VERSION || !Array.isArray(parsed.chunks)) {
+      return emptyIndex(tenantId, personaId);
+    }
+    return { ...emptyIndex(tenantId, personaId), ...parsed };
+  } catch (error) {
+    if (isNotFoundError(error)) {
+      return emptyIndex(tenantId, personaId);
+    }
+    throw error;
+  }
+}
+
+async function persistSearchIndex(tenantId, personaId, index) {
+  const storage = getStorage();
+  const key = searchIndexKey(tenantId, personaId);
+  await storage.save(key, JSON.stringify(index), { contentType: 'application/json' });
+  return key;
+}
+
+function applyIndexUpdates(index, { upserts = [], removals = [] } = {}) {
+  const replaced = new Set([...removals, ...upserts.map(entry => entry.fileName)]);
+  index.chunks = index.chunks.filter(chunk => !replaced.has(chunk.fileName));
+  removals.forEach(fileName => {
+    delete index.files[fileName];
+  });
+
+  const indexedAt = new Date().toISOString();
+  for (const { fileName, fileType, chunks = [] } of upserts) {
+    index.chunks.push(...chunks.map(indexChunk));
+    index.files[fileName] = {
+      version: SEARCH_INDEX_VERSION,
+      fileType: fileType || null,
+      chunkCount: chunks.length,
+      garbled: fileType === 'excel' ? false : looksGarbled(chunks.map(chunk => chunk.text).join('\n\n')),
+      indexedAt
+    };
+  }
+
+  index.updatedAt = indexedAt;
+  return index;
+}
+
+/**
+ * Summary stored on the manifest (manifest.searchIndex)
+ */
+export function describeSearchIndex(index, tenantId, personaId = null) {
+  return {
+    version: index?.version ?? SEARCH_INDEX_VERSION,
+    key: searchIndexKey(tenantId, personaId),
+    fileCount: Object.keys(index?.files || {}).length,
+    chunkCount: index?.chunks?.length || 0,
+    updatedAt: index?.updatedAt || null
+  };
+}
+
+/**
+ * Incrementally add/replace/remove files in the index
+ * @param {Object} updates - { upserts: [{ fileName, fileType, chunks }], removals: [fileName] }
+ * @returns {Object} { summary, files } - manifest summary plus per-file index info
+ */
+export async function updateSearchIndex(tenantId, personaId = null, updates = {}) {
+  const index = await loadSearchIndex(tenantId, personaId);
+  applyIndexUpdates(index, updates);
+  await persistSearchIndex(tenantId, personaId, index);
+  return {
+    summary: describeSearchIndex(index, tenantId, personaId),
+    files: index.files
+  };
+}
+
+export async function deleteSearchIndex(tenantId, personaId = null) {
+  const storage = getStorage();
+  const key = searchIndexKey(tenantId, personaId);
+  try {
+    await storage.remove(key);
+  } catch (error) {
+    if (!isNotFoundError(error)) {
+      console.warn(`SearchIndex: failed to delete index ${key}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Load (or rebuild) the chunks of a manifest entry from its stored artifacts
+ * Prefers the chunk artifact written at ingestion (keeps page/heading info)
+ */
+export async function loadFileChunks(entry, { tenantId, personaId }) {
+  const artifacts = entry?.artifacts || {};
+  const storageOptions = { tenantId, personaId };
+
+  if (artifacts.chunksKey) {
+    const stored = await readJson(artifacts.chunksKey, storageOptions);
+    if (Array.isArray(stored)) return stored;
+  }
+
+  const type = (entry.type || '').toLowerCase();
+  if (type === 'excel' && Array.isArray(entry.sheets) && entry.sheets.length > 1) {
+    const chunks = [];
+    for (const sheet of entry.sheets) {
+      const rows = await readJson(sheet.jsonKey, storageOptions);
+      if (!Array.isArray(rows)) continue;
+      chunks.push(...chunkRows(rows, {
+        fileName: entry.name,
+        columns: sheet.columns,
+        sheet: sheet.name,
+        startIndex: chunks.length
+      }));
+    }
+    if (chunks.length > 0) return chunks;
+  }
+
+  if (type === 'excel' && artifacts.jsonKey) {
+    const rows = await readJson(artifacts.jsonKey, storageOptions);
+    if (Array.isArray(rows)) {
+      return chunkRows(rows, {
+        fileName: entry.name,
+        columns: entry.metadata?.columns,
+        sheet: entry.metadata?.sheetName || null
+      });
+    }
+  }
+
+  if (artifacts.txtKey) {
+    const text = await readText(artifacts.txtKey, storageOptions);
+    return chunkText(text || '', { fileName: entry.name, fileType: type || 'txt' });
+  }
+
+  return [];
+}
+
+/**
+ * Index manifest files that are missing from the index or were indexed by an older version
+ */
+async function syncIndexWithManifest(index, manifestFiles, { tenantId, personaId }) {
+  const stale = manifestFiles.filter(entry => {
+    const indexed = index.files[entry.name];
+    return !indexed || indexed.version !== SEARCH_INDEX_VERSION;
+  });
+  if (stale.length === 0) return index;
+
+  const upserts = [];
+  for (const entry of stale) {
+    try {
+      const chunks = await loadFileChunks(entry, { tenantId, personaId });
+      upserts.push({ fileName: entry.name, fileType: entry.type, chunks });
+    } catch (error) {
+      console.warn(`⚠️ Unable to index ${entry.name}: ${error.message}`);
+    }
+  }
+
+  if (upserts.length > 0) {
+    applyIndexUpdates(index, { upserts });
+    await persistSearchIndex(tenantId, personaId, index);
+    console.log(`🔎 Re-indexed ${upserts.length} file(s) for ${tenantId}/${personaId || 'default'}`);
+  }
+
+  return index;
+}
+
+function scoreChunks(chunks, queryTerms) {
+  const uniqueTerms = [...new Set(queryTerms)];
+  if (uniqueTerms.length === 0 || chunks.length === 0) return [];
+
+  const totalLength = chunks.reduce((sum, chunk) => sum + (chunk.length || 0), 0);
+  const avgLength = totalLength / chunks.length || 1;
+  const docFreq = {};
+  for (const chunk of chunks) {
+    for (const term of uniqueTerms) {
+      if (chunk.tf?.[term]) docFreq[term] = (docFreq[term] || 0) + 1;
+    }
+  }
+
+  return chunks.map(chunk => {
+    let score = 0;
+    for (const term of uniqueTerms) {
+      const freq = chunk.tf?.[term] || 0;
+      if (!freq) continue;
+      const df = docFreq[term] || 0;
+      const idf = Math.log(1 + (chunks.length - df + 0.5) / (df + 0.5));
+      const norm = freq + BM25_K1 * (1 - BM25_B + BM25_B * ((chunk.length || 0) / avgLength));
+      score += idf * ((freq * (BM25_K1 + 1)) / norm);
+    }
+    return { chunk, score };
+  });
+}
+
+function stripIndexFields({ tf, length, ...chunk }) {
+  return chunk;
+}
+
+/**
+ * Stored index for a manifest, re-indexing files that are missing or stale
+ */
+export async function loadManifestIndex(manifest) {
+  const tenantId = manifest?.tenantId || 'default';
+  const personaId = manifest?.persona || null;
+  const manifestFiles = Array.isArray(manifest?.files) ? manifest.files : [];
+  return syncIndexWithManifest(await loadSearchIndex(tenantId, personaId), manifestFiles, { tenantId, personaId });
+}
+
+/**
+ * Retrieve the most relevant chunks for a query within a token budget
+ * When nothing matches (e.g. "summarize my files"), the opening chunk of each
+ * file is used so the model still sees an overview.
+ * @param {Object} manifest - Tenant/persona manifest
+ * @param {string} query - Search text (usually the user message)
+ * @param {Object} options - { tokenBudget, maxChunks, index } - pass `index` to reuse one from loadManifestIndex
+ * @returns {Object} { chunks, files, tokensUsed, totalChunks }
+ */
+export async function retrieveChunks(manifest, query = '', options = {}) {
+  const tokenBudget = options.tokenBudget || DEFAULT_TOKEN_BUDGET;
+  const maxChunks = options.maxChunks || DEFAULT_MAX_CHUNKS;
+  const manifestFiles = Array.isArray(manifest?.files) ? manifest.files : [];
+
+  if (manifestFiles.length === 0) {
+    return { chunks: [], files: {}, tokensUsed: 0, totalChunks: 0 };
+  }
+
+  const index = options.index || await loadManifestIndex(manifest);
+
+  const fileOrder = new Map(manifestFiles.map((entry, position) => [entry.name, position]));
+  const candidates = index.chunks.filter(chunk => fileOrder.has(chunk.fileName));
+  const ranked = scoreChunks(candidates, tokenize(query))
+    .filter(result => result.score > 0)
+    .sort((a, b) => b.score - a.score);
+
+  const selected = [];
+  const selectedIds = new Set();
+  let tokensUsed = 0;
+
+  const trySelect = (chunk, score) => {
+    if (selected.length >= maxChunks || selectedIds.has(chunk.id)) return;
+    const cost = chunk.tokens || 0;
+    if (tokensUsed + cost > tokenBudget) return;
+    selected.push({ ...stripIndexFields(chunk), score: Math.round(score * 1000) / 1000 });
+    selectedIds.add(chunk.id);
+    tokensUsed += cost;
+  };
+
+  ranked.forEach(({ chunk, score }) => trySelect(chunk, score));
+
+  if (selected.length === 0) {
+    candidates
+      .filter(chunk => chunk.index === 0)
+      .sort((a, b) => fileOrder.get(a.fileName) - fileOrder.get(b.fileName))
+      .forEach(chunk => trySelect(chunk, 0));
+  }
+
+  return {
+    chunks: selected,
+    files: index.files,
+    tokensUsed,
+    totalChunks: candidates.length
+  };
+}
+
+export default {
+  SEARCH_INDEX_VERSION,
+  tokenize,
+  loadSearchIndex,
+  loadManifestIndex,
+  updateSearchIndex,
+  deleteSearchIndex,
+  describeSearchIndex,
+  loadFileChunks,
+  retrieveChunks
+};
@@ -4,10 +4,18 @@ import { saveJson, downloadToTemp } from './storage-helper.js';
 import { buildTranscriptKey, tenantPersonaPrefix } from '../storage/paths.js';
 import nodemailer from 'nodemailer';
 import { getStorage } from '../storage/index.js';
+import { protectForStorage, openVault, redactPiiDeep } from '../pii.js';
 
 const COLLECTION = 'transcripts';
 const TRANSCRIPT_ARCHIVE_PREFIX = 'transcripts';
 
+export const HANDOFF_OPEN_STATUSES = ['awaiting_agent', 'active'];
+export const AGENT_MESSAGE_MAX_LENGTH = 4000;
+
+export const FEEDBACK_RATINGS = ['up', 'down'];
+export const FEEDBACK_REASON_CODES = ['helpful', 'accurate', 'incorrect', 'incomplete', 'not_relevant', 'unclear', 'missing_source', 'other'];
+export const FEEDBACK_COMMENT_MAX_LENGTH = 1000;
+
 function now() {
   return new Date().toISOString();
 }
@@ -24,14 +32,47 @@ function ensureConversationId(conversationId) {
   return conversationId || crypto.randomUUID();
 }
 
-function buildMessages(history = [], assistantResponse) {
-  const messages = Array.isArray(history) ? [...history] : [];
+function buildTurnMessages(userMessage, assistantResponse, citations = null, timestamp = now(), trace = null, piiPolicy = null, grounding = null, withheld = false) {
+  const messages = [];
+  if (userMessage) {
+    // A message withheld for its PII is stored redacted even when transcripts are not
+    const userPolicy = withheld ? { ...piiPolicy, redactTranscripts: true } : piiPolicy;
+    messages.push({ role: 'user', ...protectForStorage(userMessage, userPolicy), timestamp, ...(withheld ? { withheld: true } : {}) });
+  }
   if (assistantResponse) {
-    messages.push({ role: 'assistant', content: assistantResponse, timestamp: now() });
+    messages.push({
+      role: 'assistant',
+      ...protectForStorage(assistantResponse, piiPolicy),
+      timestamp,
+      ...(withheld ? { withheld: true } : {}),
+      ...(Array.isArray(citations) && citations.length > 0 ? { citations } : {}),
+      // Think steps and tool inputs repeat the customer's words; redacted without a vault copy
+      ...(trace ? { trace: piiPolicy?.redactTranscripts ? redactPiiDeep(trace, { types: piiPolicy.types }) : trace } : {}),
+      ...(grounding ? {
+        groundingScore: grounding.score,
+        grounding: piiPolicy?.redactTranscripts ? redactPiiDeep(grounding, { types: piiPolicy.types }) : grounding
+      } : {})
+    });
   }
   return messages;
 }
 
+export function isHandoffOpen(transcript) {
+  return HANDOFF_OPEN_STATUSES.includes(transcript?.handoff?.status);
+}
+
+/**
+ * Copy of a transcript without admin-only message metadata (reasoning traces, PII vault)
+ * Used for archives, downloads and emails that may reach the customer
+ */
+function toPublicTranscript(transcript) {
+  if (!transcript) return transcript;
+  return {
+    ...transcript,
+    messages: (transcript.messages || []).map(({ trace, piiVault, ...message }) => message)
+  };
+}
+
 async function getTranscriptArchiveKey(transcript) {
   if (!transcript) return null;
   const tenantId = normalizeTenant(transcript.tenantId);
@@ -51,7 +92,7 @@ async function ensureTranscriptArchive(transcript) {
     : archiveKey;
   await saveJson(
     relativeKey,
-    transcript,
+    toPublicTranscript(transcript),
     { prettyPrint: true, tenantId: normalizeTenant(transcript.tenantId), personaId: normalizePersona(transcript.persona) }
   );
   return archiveKey;
@@ -160,17 +201,24 @@ class TranscriptService {
     return dataStore.get(COLLECTION, id);
   }
 
-  async logInteraction({ tenantId, persona, conversationId, userMessage, assistantResponse, conversationHistory = [], contactIntent = null }) {
+  /**
+   * Append a chat turn to the conversation's transcript
+   * Earlier messages always come from the stored transcript, never from the client
+   */
+  async logInteraction({ tenantId, persona, conversationId, userMessage, assistantResponse, contactIntent = null, citations = null, trace = null, piiPolicy = null, grounding = null, withheld = false }) {
     const normalizedTenant = normalizeTenant(tenantId);
     const normalizedPersona = normalizePersona(persona);
     const conversation = ensureConversationId(conversationId);
-  const existing = await this.findByConversation(normalizedTenant, conversation, normalizedPersona);
+    const existing = await this.findByConversation(normalizedTenant, conversation, normalizedPersona);
 
     const timestamp = now();
-    const messages = buildMessages(conversationHistory, assistantResponse).map(message => ({
-      ...message,
-      timestamp: message.timestamp || timestamp
-    }));
+    const turnMessages = buildTurnMessages(userMessage, assistantResponse, citations, timestamp, trace, piiPolicy, grounding, withheld);
+    const messages = [
+      ...(Array.isArray(existing?.messages) ? existing.messages : []),
+      ...turnMessages
+    ];
+    // Redacted like the stored message, so list views never show the original
+    const storedUserMessage = turnMessages.find(message => message.role === 'user')?.content || null;
 
     let savedRecord;
 
@@ -184,7 +232,7 @@ class TranscriptService {
           updatedAt: timestamp,
           metadata: {
             ...(existing.metadata || {}),
-            lastUserMessage: userMessage || existing.metadata?.lastUserMessage || null,
+            lastUserMessage: storedUserMessage || existing.metadata?.lastUserMessage || null,
             contactIntent: contactIntent || existing.metadata?.contactIntent || null
           }
         },
@@ -201,7 +249,7 @@ class TranscriptService {
           lastMessageAt: timestamp,
           messages,
           metadata: {
-            lastUserMessage: userMessage || null,
+            lastUserMessage: storedUserMessage,
             contactIntent: contactIntent || null
           }
         },
@@ -211,7 +259,7 @@ class TranscriptService {
 
     const transcriptKey = buildTranscriptKey(normalizedTenant, normalizedPersona, conversation, `${timestamp}.json`);
 
-    const archiveData = {
+    const archiveData = toPublicTranscript({
       id: savedRecord.id,
       tenantId: normalizedTenant,
       persona: normalizedPersona,
@@ -220,7 +268,7 @@ class TranscriptService {
       lastMessageAt: timestamp,
       messages,
       metadata: savedRecord.metadata || {}
-    };
+    });
 
     const tenantPrefix = tenantPersonaPrefix(normalizedTenant, normalizedPersona);
     const relativeKey = transcriptKey.startsWith(`${tenantPrefix}/`)
@@ -233,6 +281,21 @@ class TranscriptService {
     return savedRecord;
   }
 
+  /**
+   * Store the rolling summary used by conversation memory
+   * @param {Object} memory - { summary, summarizedCount }
+   */
+  async updateMemory(id, tenantId, personaId = null, memory = {}) {
+    const normalizedTenant = normalizeTenant(tenantId);
+    const normalizedPersona = normalizePersona(personaId);
+    return dataStore.update(
+      COLLECTION,
+      id,
+      { memory: { ...memory, updatedAt: now() } },
+      { tenantId: normalizedTenant, personaId: normalizedPersona }
+    );
+  }
+
   async deleteTranscript(id, tenantId, personaId = null) {
     const normalizedTenant = normalizeTenant(tenantId);
     const normalizedPersona = normalizePersona(personaId);
@@ -268,6 +331,249 @@ class TranscriptService {
     return url;
   }
 
+  /**
+   * Admin-only reasoning traces for each assistant turn
+   * @returns {Object} { id, conversationId, persona, turns: [{ index, timestamp, userMessage, assistantPreview, trace }] }
+   */
+  async getTrace(id, tenantId, personaId = null) {
+    const transcript = await this.getOwnedTranscript(id, tenantId, personaId);
+    const messages = transcript.messages || [];
+    const turns = [];
+    messages.forEach((message, index) => {
+      if (message.role !== 'assistant') return;
+      const previous = messages[index - 1];
+      turns.push({
+        index,
+        timestamp: message.timestamp || null,
+        userMessage: previous?.role === 'user' ? previous.content : null,
+        assistantPreview: String(message.content || '').slice(0, 200),
+        trace: message.trace || null
+      });
+    });
+
+    return {
+      id: transcript.id,
+      conversationId: transcript.conversationId,
+      persona: transcript.persona || null,
+      turns
+    };
+  }
+
+  async getOwnedTranscript(id, tenantId, personaId = null) {
+    const transcript = await this.getById(id, tenantId, personaId);
+    if (!transcript) {
+      throw new Error('Transcript not found');
+    }
+
+    if (normalizeTenant(transcript.tenantId) !== normalizeTenant(tenantId)) {
+      throw new Error('Forbidden');
+    }
+
+    return transcript;
+  }
+
+  /**
+   * Store a thumbs up/down rating on one assistant message
+   * A second submission for the same message replaces the first
+   * @param {Object} feedback - { rating: 'up'|'down', comment, reasons: [code] }
+   */
+  async recordMessageFeedback(id, tenantId, personaId, messageIndex, { rating, comment = null, reasons = [] }) {
+    const transcript = await this.getOwnedTranscript(id, tenantId, personaId);
+    const messages = Array.isArray(transcript.messages) ? [...transcript.messages] : [];
+    const message = messages[messageIndex];
+    if (!message || message.role !== 'assistant') {
+      throw new Error('Message not found');
+    }
+
+    const submittedAt = now();
+    messages[messageIndex] = {
+      ...message,
+      feedback: { rating, comment: comment || null, reasons, submittedAt }
+    };
+
+    await dataStore.update(
+      COLLECTION,
+      transcript.id,
+      { messages, updatedAt: submittedAt },
+      { tenantId: normalizeTenant(transcript.tenantId), personaId: normalizePersona(transcript.persona) }
+    );
+
+    return { transcript, messageIndex, feedback: messages[messageIndex].feedback };
+  }
+
+  /**
+   * Store the end-of-conversation satisfaction score (1-5)
+   */
+  async recordCsat(id, tenantId, personaId, { score, comment = null }) {
+    const transcript = await this.getOwnedTranscript(id, tenantId, personaId);
+    const csat = { score, comment: comment || null, submittedAt: now() };
+
+    await dataStore.update(
+      COLLECTION,
+      transcript.id,
+      { csat, updatedAt: csat.submittedAt },
+      { tenantId: normalizeTenant(transcript.tenantId), personaId: normalizePersona(transcript.persona) }
+    );
+
+    return { transcript, csat };
+  }
+
+  /**
+   * Human takeover state: awaiting_agent -> active (claimed) -> released (AI resumes)
+   * Stored on the transcript as `handoff: { status, reason, requestedAt, agent, claimedAt, releasedAt }`
+   */
+  async requestHandoff(transcript, { reason = null, contactIntent = null } = {}) {
+    if (!transcript || isHandoffOpen(transcript)) return transcript;
+
+    const handoff = {
+      status: 'awaiting_agent',
+      reason: reason || contactIntent?.notes || null,
+      contactIntent: contactIntent || null,
+      requestedAt: now(),
+      agent: null,
+      claimedAt: null,
+      releasedAt: null
+    };
+
+    return dataStore.update(
+      COLLECTION,
+      transcript.id,
+      { handoff },
+      { tenantId: normalizeTenant(transcript.tenantId), personaId: normalizePersona(transcript.persona) }
+    );
+  }
+
+  /**
+   * Conversations waiting for or being handled by a human agent, oldest request first
+   */
+  async listHandoffQueue(tenantId, personaId = null) {
+    const transcripts = await this.listByTenant(tenantId, personaId);
+    return transcripts
+      .filter(isHandoffOpen)
+      .sort((a, b) => new Date(a.handoff.requestedAt || 0) - new Date(b.handoff.requestedAt || 0));
+  }
+
+  async claimHandoff(id, tenantId, personaId, agent) {
+    const transcript = await this.getOwnedTranscript(id, tenantId, personaId);
+    if (!isHandoffOpen(transcript)) {
+      throw new Error('Conversation is not awaiting an agent');
+    }
+    if (transcript.handoff.status === 'active' && transcript.handoff.agent?.id !== agent.id) {
+      throw new Error('Conversation already claimed by another agent');
+    }
+
+    const handoff = {
+      ...transcript.handoff,
+      status: 'active',
+      agent: { id: agent.id, name: agent.name || transcript.handoff.agent?.name || 'Support agent' },
+      claimedAt: transcript.handoff.claimedAt || now()
+    };
+
+    return dataStore.update(
+      COLLECTION,
+      transcript.id,
+      { handoff },
+      { tenantId: normalizeTenant(transcript.tenantId), personaId: normalizePersona(transcript.persona) }
+    );
+  }
+
+  /**
+   * Append a human reply (`role: 'agent'`) to a claimed conversation
+   */
+  async appendAgentMessage(id, tenantId, personaId, agent, content) {
+    const transcript = await this.getOwnedTranscript(id, tenantId, personaId);
+    if (transcript.handoff?.status !== 'active') {
+      throw new Error('Conversation must be claimed before replying');
+    }
+    if (transcript.handoff.agent?.id !== agent.id) {
+      throw new Error('Conversation already claimed by another agent');
+    }
+
+    const timestamp = now();
+    const message = {
+      role: 'agent',
+      content,
+      timestamp,
+      agent: { id: agent.id, name: agent.name || transcript.handoff.agent.name }
+    };
+    const messages = [...(transcript.messages || []), message];
+
+    const saved = await dataStore.update(
+      COLLECTION,
+      transcript.id,
+      { messages, lastMessageAt: timestamp, updatedAt: timestamp },
+      { tenantId: normalizeTenant(transcript.tenantId), personaId: normalizePersona(transcript.persona) }
+    );
+    await ensureTranscriptArchive(saved);
+
+    return { transcript: saved, message, messageIndex: messages.length - 1 };
+  }
+
+  /**
+   * Hand the conversation back to the AI
+   */
+  async releaseHandoff(id, tenantId, personaId, agent) {
+    const transcript = await this.getOwnedTranscript(id, tenantId, personaId);
+    if (!isHandoffOpen(transcript)) {
+      throw new Error('Conversation is not awaiting an agent');
+    }
+    if (transcript.handoff.status === 'active' && transcript.handoff.agent?.id !== agent.id) {
+      throw new Error('Conversation already claimed by another agent');
+    }
+
+    const handoff = { ...transcript.handoff, status: 'released', releasedAt: now() };
+    return dataStore.update(
+      COLLECTION,
+      transcript.id,
+      { handoff },
+      { tenantId: normalizeTenant(transcript.tenantId), personaId: normalizePersona(transcript.persona) }
+    );
+  }
+
+  /**
+   * Messages after `afterIndex` plus the handoff state, for customer polling and the agent console
+   * Admin-only metadata (traces) is never included
+   */
+  async getConversationUpdates(id, tenantId, personaId = null, afterIndex = -1) {
+    const transcript = await this.getOwnedTranscript(id, tenantId, personaId);
+    const { messages } = toPublicTranscript(transcript);
+
+    return {
+      id: transcript.id,
+      conversationId: transcript.conversationId,
+      handoff: transcript.handoff || null,
+      messageCount: messages.length,
+      messages: messages
+        .map((message, index) => ({ index, ...message }))
+        .filter(message => message.index > afterIndex)
+    };
+  }
+
+  /**
+   * Original content of a redacted message, decrypted from its PII vault
+   * Callers must restrict this to authorised admins
+   */
+  async revealMessage(id, tenantId, personaId, messageIndex) {
+    const transcript = await this.getOwnedTranscript(id, tenantId, personaId);
+    const message = transcript.messages?.[messageIndex];
+    if (!message) {
+      throw new Error('Message not found');
+    }
+    if (!message.piiVault) {
+      throw new Error('Message has no redacted content');
+    }
+
+    const { content } = openVault(message.piiVault);
+    return {
+      index: messageIndex,
+      role: message.role,
+      timestamp: message.timestamp,
+      piiTypes: message.piiTypes || [],
+      redacted: message.content,
+      content
+    };
+  }
+
   async getFormattedTranscript(id, tenantId, personaId = null) {
     const transcript = await this.getById(id, tenantId, personaId);
     if (!transcript) {
@@ -282,6 +588,19 @@ class TranscriptService {
   }
 }
 
+function formatCitationLocation(citation = {}) {
+  const parts = [citation.fileName || 'Unknown file'];
+  if (citation.page) parts.push(`Page ${citation.page}`);
+  if (citation.sheet) parts.push(`Sheet ${citation.sheet}`);
+  if (citation.rowStart) {
+    parts.push(citation.rowEnd && citation.rowEnd !== citation.rowStart
+      ? `Rows ${citation.rowStart}-${citation.rowEnd}`
+      : `Row ${citation.rowStart}`);
+  }
+  if (citation.heading) parts.push(citation.heading);
+  return parts.join(' · ');
+}
+
 // Generate formatted HTML transcript
 function generateFormattedHTML(transcript, timezone = 'Asia/Singapore') {
   const messages = transcript.messages || [];
@@ -312,10 +631,17 @@ function generateFormattedHTML(transcript, timezone = 'Asia/Singapore') {
 
   const messagesHtml = messages.map((msg, index) => {
     const isUser = msg.role === 'user';
-    const icon = isUser ? '👤' : '🤖';
-    const label = isUser ? 'Customer' : personaLabel;
-    const bgColor = isUser ? '#f3f4f6' : '#fef2f2';
-    const borderColor = isUser ? '#e5e7eb' : '#C8102E';
+    const isAgent = msg.role === 'agent';
+    const icon = isUser ? '👤' : isAgent ? '🧑‍💼' : '🤖';
+    const label = isUser ? 'Customer' : isAgent ? (msg.agent?.name || 'Support agent') : personaLabel;
+    const bgColor = isUser ? '#f3f4f6' : isAgent ? '#eff6ff' : '#fef2f2';
+    const borderColor = isUser ? '#e5e7eb' : isAgent ? '#2563eb' : '#C8102E';
+    const citations = Array.isArray(msg.citations) ? msg.citations : [];
+    const citationsHtml = citations.length > 0 ? `
+        <div style="margin-top: 8px; padding-top: 8px; border-top: 1px dashed #e5e7eb; color: #6b7280; font-size: 12px;">
+          <strong>Sources:</strong>
+          ${citations.map(citation => `<div>[${citation.index}] ${escapeHtml(formatCitationLocation(citation))}${citation.excerpt ? ` — <em>“${escapeHtml(citation.excerpt)}”</em>` : ''}</div>`).join('')}
+        </div>` : '';
     
     return `
       <div style="margin-bottom: 16px; padding: 12px 16px; background: ${bgColor}; border-left: 4px solid ${borderColor}; border-radius: 4px;">
@@ -327,7 +653,7 @@ function generateFormattedHTML(transcript, timezone = 'Asia/Singapore') {
         </div>
         <div style="color: #4b5563; line-height: 1.6;">
           ${escapeHtml(msg.content)}
-        </div>
+        </div>${citationsHtml}
       </div>
     `;
   }).join('');
@@ -48,6 +48,10 @@ export function manifestsKey(tenantId, personaId) {
   return joinSegments(processedPrefix(tenantId, personaId), 'manifest.json');
 }
 
+export function searchIndexKey(tenantId, personaId) {
+  return joinSegments(processedPrefix(tenantId, personaId), 'search-index.json');
+}
+
 export function buildRawKey(tenantId, personaId, ...segments) {
   return joinSegments(rawPrefix(tenantId, personaId), ...segments);
 }
@@ -81,6 +85,7 @@ export default {
   processedPrefix,
   transcriptsPrefix,
   manifestsKey,
+  searchIndexKey,
   buildRawKey,
   buildProcessedKey,
   buildTranscriptKey,
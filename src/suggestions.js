@@ -0,0 +1,223 @@
+import { getCachedContext } from './services/context-cache.js';
+import { loadManifestIndex, tokenize } from './services/search-index.js';
+import { loadVisionPayload } from './services/storage-helper.js';
+
+/**
+ * Suggested follow-up questions for chat answers
+ * Candidates come from the uploaded files only: vision `qa_pairs`, document
+ * headings and tracking columns (with a real value from the first row). The
+ * pool is cached per manifest version; each turn ranks it against the
+ * question, the answer and the cited files, skipping questions already asked.
+ */
+
+export const MIN_SUGGESTIONS = 2;
+export const MAX_SUGGESTIONS = 4;
+export const DEFAULT_SUGGESTIONS = 3;
+
+const MAX_HEADINGS_PER_FILE = 6;
+const MAX_QA_PAIRS_PER_FILE = 4;
+const MAX_PER_FILE = 2;
+const MAX_QUESTION_CHARS = 120;
+const MAX_HEADING_CHARS = 60;
+const DUPLICATE_OVERLAP = 0.8;
+
+const ID_COLUMN = /\b(po|order|invoice|shipment|tracking|ref|reference|sku|code|id|no|number)\b/i;
+const STATUS_COLUMN = /\b(status|stage|state)\b/i;
+const DATE_COLUMN = /\b(date|eta|etd|due|deadline|delivery)\b/i;
+
+function displayName(fileName = '') {
+  return String(fileName)
+    .replace(/\.[a-z0-9]+$/i, '')
+    .replace(/^\d+[_\s-]+/, '')
+    .replace(/_+/g, ' ')
+    .trim() || fileName;
+}
+
+function columnLabel(column = '') {
+  return String(column).replace(/[_-]+/g, ' ').trim();
+}
+
+function cleanQuestion(text = '') {
+  const question = String(text || '').replace(/\s+/g, ' ').trim();
+  if (!question || question.length > MAX_QUESTION_CHARS) return null;
+  return /[?]$/.test(question) ? question : `${question}?`;
+}
+
+function isUsefulHeading(heading = '') {
+  const text = String(heading || '').trim();
+  return text.length >= 4
+    && text.length <= MAX_HEADING_CHARS
+    && /[a-z]{3}/i.test(text)
+    && tokenize(text).length > 0;
+}
+
+/**
+ * Value of `column` in the first "Row n: col: value, …" line of a tracking chunk
+ */
+function firstRowValue(chunkText = '', columns = [], column) {
+  const firstLine = String(chunkText || '').split('\n')[0] || '';
+  const start = firstLine.indexOf(`${column}: `);
+  if (start === -1) return null;
+  const valueStart = start + column.length + 2;
+  const nextColumn = columns
+    .filter(other => other !== column)
+    .map(other => firstLine.indexOf(`, ${other}: `, valueStart))
+    .filter(position => position !== -1)
+    .sort((a, b) => a - b)[0];
+  const value = firstLine.slice(valueStart, nextColumn ?? firstLine.length).trim();
+  return value && value.length <= 40 ? value : null;
+}
+
+function columnCandidates(entry, chunks) {
+  const columns = entry.metadata?.columns;
+  if (!Array.isArray(columns) || columns.length === 0) return [];
+
+  const findColumn = pattern => columns.find(column => pattern.test(columnLabel(column)));
+  const idColumn = findColumn(ID_COLUMN);
+  const statusColumn = findColumn(STATUS_COLUMN);
+  const dateColumn = findColumn(DATE_COLUMN);
+  const firstChunk = chunks.find(chunk => chunk.rowStart === 1) || chunks[0];
+  const sampleId = idColumn && firstChunk ? firstRowValue(firstChunk.text, columns, idColumn) : null;
+
+  const questions = [];
+  if (idColumn && sampleId) {
+    questions.push(statusColumn
+      ? `What is the ${columnLabel(statusColumn)} of ${columnLabel(idColumn)} ${sampleId}?`
+      : `What are the details of ${columnLabel(idColumn)} ${sampleId}?`);
+  }
+  if (statusColumn) {
+    questions.push(`How many records are there for each ${columnLabel(statusColumn)}?`);
+  }
+  if (dateColumn) {
+    questions.push(`Which records have the earliest ${columnLabel(dateColumn)}?`);
+  }
+  if (questions.length === 0) {
+    questions.push(`Can you summarize ${displayName(entry.name)}?`);
+  }
+  return questions.map(question => ({ question, source: 'columns' }));
+}
+
+function headingCandidates(entry, chunks) {
+  const seen = new Set();
+  const questions = [];
+  for (const chunk of chunks) {
+    const heading = String(chunk.heading || '').trim();
+    const key = heading.toLowerCase();
+    if (!isUsefulHeading(heading) || seen.has(key)) continue;
+    seen.add(key);
+    questions.push({ question: `What does ${displayName(entry.name)} say about ${heading}?`, source: 'heading' });
+    if (questions.length >= MAX_HEADINGS_PER_FILE) break;
+  }
+  return questions;
+}
+
+async function visionCandidates(entry, storageOptions) {
+  if (!['pdf', 'docx', 'txt'].includes((entry.type || '').toLowerCase())) return [];
+  try {
+    const payload = await loadVisionPayload(entry, storageOptions);
+    const pairs = Array.isArray(payload?.qa_pairs) ? payload.qa_pairs : [];
+    return pairs
+      .slice(0, MAX_QA_PAIRS_PER_FILE)
+      .map(pair => ({ question: pair?.question, source: 'vision' }));
+  } catch (error) {
+    console.warn(`⚠️ Unable to load vision Q&A for ${entry.name}: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * All grounded candidates for a manifest
+ * @returns {Array} [{ question, source: 'vision'|'heading'|'columns', fileName, terms }]
+ */
+export async function buildSuggestionPool(manifest, { index = null } = {}) {
+  const manifestFiles = Array.isArray(manifest?.files) ? manifest.files : [];
+  if (manifestFiles.length === 0) return [];
+
+  const storageOptions = { tenantId: manifest.tenantId || 'default', personaId: manifest.persona || null };
+  const searchIndex = index || await loadManifestIndex(manifest);
+  const pool = [];
+  const seen = new Set();
+
+  for (const entry of manifestFiles) {
+    const chunks = (searchIndex?.chunks || []).filter(chunk => chunk.fileName === entry.name);
+    const candidates = [
+      ...await visionCandidates(entry, storageOptions),
+      ...headingCandidates(entry, chunks),
+      ...columnCandidates(entry, chunks)
+    ];
+
+    for (const candidate of candidates) {
+      const question = cleanQuestion(candidate.question);
+      if (!question || seen.has(question.toLowerCase())) continue;
+      seen.add(question.toLowerCase());
+      pool.push({ question, source: candidate.source, fileName: entry.name, terms: [...new Set(tokenize(question))] });
+    }
+  }
+
+  return pool;
+}
+
+function overlapRatio(terms, otherTerms) {
+  if (terms.length === 0) return 0;
+  return terms.filter(term => otherTerms.has(term)).length / terms.length;
+}
+
+/**
+ * Rank the pool for one turn
+ * @param {Array} pool - From buildSuggestionPool
+ * @param {Object} context - { userMessage, assistantMessage, citations, askedQuestions, count }
+ * @returns {Array} [{ question, source, fileName }] - empty when fewer than MIN_SUGGESTIONS qualify
+ */
+export function selectSuggestions(pool = [], { userMessage = '', assistantMessage = '', citations = [], askedQuestions = [], count = DEFAULT_SUGGESTIONS } = {}) {
+  const limit = Math.min(MAX_SUGGESTIONS, Math.max(MIN_SUGGESTIONS, parseInt(count, 10) || DEFAULT_SUGGESTIONS));
+  const turnTerms = new Set(tokenize(`${userMessage}\n${assistantMessage}`));
+  const citedFiles = new Set((citations || []).map(citation => citation.fileName).filter(Boolean));
+  const asked = [userMessage, ...askedQuestions]
+    .filter(Boolean)
+    .map(question => new Set(tokenize(question)));
+
+  const ranked = pool
+    .filter(candidate => !asked.some(terms => terms.size > 0 && overlapRatio(candidate.terms, terms) >= DUPLICATE_OVERLAP))
+    .map((candidate, position) => ({
+      candidate,
+      position,
+      score: overlapRatio(candidate.terms, turnTerms)
+        + (citedFiles.has(candidate.fileName) ? 1 : 0)
+        + (candidate.source === 'vision' ? 0.25 : 0)
+    }))
+    .sort((a, b) => b.score - a.score || a.position - b.position);
+
+  const perFile = new Map();
+  const selected = [];
+  for (const { candidate } of ranked) {
+    const used = perFile.get(candidate.fileName) || 0;
+    if (used >= MAX_PER_FILE) continue;
+    perFile.set(candidate.fileName, used + 1);
+    selected.push({ question: candidate.question, source: candidate.source, fileName: candidate.fileName });
+    if (selected.length >= limit) break;
+  }
+
+  return selected.length >= MIN_SUGGESTIONS ? selected : [];
+}
+
+/**
+ * Follow-up questions for a chat answer
+ * Failures are logged and yield no suggestions; they never fail the turn
+ */
+export async function suggestFollowUps(manifest, context = {}) {
+  if (!manifest) return [];
+  try {
+    const index = await getCachedContext(manifest, 'search-index', () => loadManifestIndex(manifest));
+    const pool = await getCachedContext(manifest, 'suggestion-pool', () => buildSuggestionPool(manifest, { index }));
+    return selectSuggestions(pool, context);
+  } catch (error) {
+    console.warn(`⚠️ Follow-up suggestions unavailable: ${error.message}`);
+    return [];
+  }
+}
+
+export default {
+  buildSuggestionPool,
+  selectSuggestions,
+  suggestFollowUps
+};
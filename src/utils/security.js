@@ -1,4 +1,4 @@
-import rateLimit from 'express-rate-limit';
+import { createRateLimiter, getClientIp } from '../middleware/rate-limit.js';
 
 const parsedApiKeys = (() => {
   try {
@@ -26,10 +26,17 @@ export function authenticateRequest(req, res, next) {
   next();
 }
 
-export const apiRateLimiter = rateLimit({
-  windowMs: parseInt(process.env.API_RATE_LIMIT_WINDOW_MS || '60000', 10),
-  max: parseInt(process.env.API_RATE_LIMIT_MAX || '120', 10),
-  standardHeaders: true,
-  legacyHeaders: false
-});
+// Baseline per-IP budget for every /api route; chat, upload and interview have their own limiters
+// and `skip` exempts routes that must not share it (provider webhooks, polling with its own budget)
+export function createApiRateLimiter({ onLimited = null, skip = null } = {}) {
+  return createRateLimiter({
+    name: 'api',
+    windowMs: parseInt(process.env.API_RATE_LIMIT_WINDOW_MS || '60000', 10),
+    limits: { ip: parseInt(process.env.API_RATE_LIMIT_MAX || '120', 10) },
+    identify: req => ({ ip: getClientIp(req) }),
+    skip,
+    onLimited
+  });
+}
 
+export const apiRateLimiter = createApiRateLimiter();
@@ -1,5 +1,5 @@
 import fs from 'fs';
-import Anthropic from '@anthropic-ai/sdk';
+import { getLLMProvider } from './llm/index.js';
 
 function extractTextSegments(parts) {
   if (!Array.isArray(parts)) return [];
@@ -9,9 +9,11 @@ function extractTextSegments(parts) {
 }
 
 export function createVisionClient() {
-  const apiKey = process.env.ANTHROPIC_API_KEY;
-  if (!apiKey) {
-    console.warn('VISION_PDF_ENABLED is true but ANTHROPIC_API_KEY is missing. Vision client will be disabled.');
+  let provider;
+  try {
+    provider = getLLMProvider();
+  } catch (error) {
+    console.warn(`VISION_PDF_ENABLED is true but no LLM provider is available (${error.message}). Vision client will be disabled.`);
     return null;
   }
 
@@ -19,8 +21,6 @@ export function createVisionClient() {
   const maxTokens = parseInt(process.env.CLAUDE_MAX_TOKENS, 10) || 4096;
   const temperature = parseFloat(process.env.CLAUDE_TEMPERATURE) || 0.2;
 
-  const anthropic = new Anthropic({ apiKey });
-
   async function processPdf({ filePath, originalName, preview }) {
     if (!filePath) {
       throw new Error('processPdf requires filePath');
@@ -29,9 +29,9 @@ export function createVisionClient() {
     const pdfBuffer = fs.readFileSync(filePath);
     const start = Date.now();
 
-    const response = await anthropic.messages.create({
+    const response = await provider.analyzeDocument({
       model,
-      max_tokens: maxTokens,
+      maxTokens,
       temperature,
       system: `You are a document intelligence assistant. Analyze attached PDF files and return **valid JSON only** with this schema:
 {
@@ -46,13 +46,8 @@ export function createVisionClient() {
   ]
 }
 Always populate "tables" (use [] if none). Keep JSON compact and avoid Markdown.`,
-      messages: [
-        {
-          role: 'user',
-          content: [
-            {
-              type: 'text',
-              text: `You are given a PDF file named "${originalName || 'document.pdf'}". Extract the essential content and return JSON only with this schema:
+      document: { data: pdfBuffer.toString('base64'), mediaType: 'application/pdf' },
+      prompt: `You are given a PDF file named "${originalName || 'document.pdf'}". Extract the essential content and return JSON only with this schema:
 {
   "summary": string,
   "full_text": string,
@@ -65,18 +60,6 @@ Always populate "tables" (use [] if none). Keep JSON compact and avoid Markdown.
   ]
 }
 Ensure JSON is compact, no Markdown or additional prose. Include tables when present; otherwise set tables to an empty array.`
-            },
-            {
-              type: 'document',
-              document: {
-                name: originalName || 'document.pdf',
-                media_type: 'application/pdf',
-                data: pdfBuffer.toString('base64')
-              }
-            }
-          ]
-        }
-      ]
     });
 
     const textSegments = extractTextSegments(response.content);
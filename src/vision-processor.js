@@ -1,9 +1,11 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import Anthropic from '@anthropic-ai/sdk';
 import { processPDFAdvanced } from './pdf-processor-advanced.js';
 import { getStorage } from './storage/index.js';
+import { getLLMProvider } from './llm/index.js';
+import { summarizeAttempts } from './llm/resilience.js';
+import { emitUsageEvent } from './services/usage-events.js';
 import {
   buildProcessedKey,
   buildRawKey,
@@ -16,22 +18,12 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const PROJECT_ROOT = path.join(__dirname, '..');
 
-let anthropicClient = null;
 let storage = null;
 
-function getAnthropicClient() {
-  if (anthropicClient) {
-    return anthropicClient;
-  }
-
-  const apiKey = process.env.ANTHROPIC_API_KEY;
-  if (!apiKey) {
-    throw new Error('ANTHROPIC_API_KEY is required for vision processing');
-  }
-
-  anthropicClient = new Anthropic({ apiKey });
-  storage = getStorage();
-  return anthropicClient;
+function getVisionProvider() {
+  const provider = getLLMProvider();
+  storage = storage || getStorage();
+  return provider;
 }
 
 function resolveProjectPath(targetPath, fallback) {
@@ -199,6 +191,8 @@ export async function runVisionPipeline({ file, tenantId, personaId = null, quic
     const temperature = Number.isFinite(parseFloat(temperatureEnv)) ? parseFloat(temperatureEnv) : 0;
 
     let anthropicResponse = null;
+    let providerName = null;
+    const attempts = [];
     let parsedPayload = null;
     let combinedText = '';
 
@@ -206,7 +200,8 @@ export async function runVisionPipeline({ file, tenantId, personaId = null, quic
       const pdfBuffer = await ensureVisionBuffer(file);
       const pdfBase64 = pdfBuffer.toString('base64');
 
-      const client = getAnthropicClient();
+      const provider = getVisionProvider();
+      providerName = provider.name;
 
       const instructionLines = [
         `Filename: ${file.originalname}`,
@@ -217,30 +212,15 @@ export async function runVisionPipeline({ file, tenantId, personaId = null, quic
         'Return a strictly valid JSON object that captures the document structure and insights as instructed.'
       ].filter(Boolean);
 
-      anthropicResponse = await client.messages.create({
+      anthropicResponse = await provider.analyzeDocument({
         model,
         system: promptContent || 'You are an expert document cognition and extraction system. Return structured JSON.',
-        max_tokens: maxTokens,
+        maxTokens,
         temperature,
-        messages: [
-          {
-            role: 'user',
-            content: [
-              {
-                type: 'document',
-                source: {
-                  type: 'base64',
-                  media_type: 'application/pdf',
-                  data: pdfBase64
-                }
-              },
-              {
-                type: 'text',
-                text: instructionLines.join('\n')
-              }
-            ]
-          }
-        ]
+        document: { data: pdfBase64, mediaType: 'application/pdf' },
+        prompt: instructionLines.join('\n')
+      }, {
+        onAttempt: entry => attempts.push(entry)
       });
 
       const textSegments = (anthropicResponse.content || [])
@@ -275,10 +255,25 @@ export async function runVisionPipeline({ file, tenantId, personaId = null, quic
         }
       }
     } catch (err) {
-      console.error('Anthropic vision call failed:', err);
+      console.error('Vision model call failed:', err);
     }
 
-    let sourceTag = 'anthropic_vision';
+    const llm = summarizeAttempts(attempts);
+    if (attempts.length > 0) {
+      await emitUsageEvent({
+        tenantId,
+        persona: personaId || 'vision',
+        action: 'vision_extraction',
+        metadata: {
+          fileName: file.originalname,
+          reason,
+          succeeded: Boolean(anthropicResponse),
+          llm
+        }
+      });
+    }
+
+    let sourceTag = `${providerName || 'anthropic'}_vision`;
     let modelUsed = anthropicResponse?.model || model;
     const createdAt = anthropicResponse?.created_at;
     const generatedAt = createdAt
@@ -340,7 +335,9 @@ export async function runVisionPipeline({ file, tenantId, personaId = null, quic
       model: modelUsed,
       generatedAt,
       promptPath: promptPathRelative,
-      source: sourceTag
+      source: sourceTag,
+      llmAttempts: llm.attempts,
+      fallbackUsed: llm.fallbackUsed
     };
 
     if (parsedJsonPath) {
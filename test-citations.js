@@ -0,0 +1,121 @@
+/**
+ * Test citation resolution
+ * Run: node test-citations.js
+ *
+ * Chunks and tool results are registered by hand the way the chat loop does;
+ * nothing is sent to a model.
+ */
+
+import { createCitationRegistry, isCitedLocation, selectQuote, getManifestFileId } from './src/citations.js';
+import { printBanner, check, printSummary } from './test-helpers.js';
+
+printBanner('📎 Testing citations');
+
+const manifest = {
+  tenantId: 'citations-test',
+  files: [
+    { id: 'faq', name: 'faq.txt', type: 'txt' },
+    { id: 'tracker', name: 'tracker.csv', type: 'csv' }
+  ]
+};
+const returnsChunk = {
+  id: 'faq.txt#0',
+  fileName: 'faq.txt',
+  heading: 'Returns',
+  text: 'Returns. Items can be returned within 30 days of delivery. Refunds are issued to the original payment method.'
+};
+const shippingChunk = {
+  id: 'faq.txt#1',
+  fileName: 'faq.txt',
+  page: 2,
+  text: 'Standard shipping to Malaysia takes 5 to 7 working days.'
+};
+const lookupResult = {
+  searchedColumns: ['PO Number'],
+  matchType: 'exact',
+  totalMatches: 1,
+  rows: [{ _row: 7, 'PO Number': 'SG-001', Status: 'In transit' }]
+};
+
+// Markers are renumbered in order of first use
+{
+  const registry = createCitationRegistry(manifest);
+  const returns = registry.registerChunk(returnsChunk);
+  const shipping = registry.registerChunk(shippingChunk);
+  const tool = registry.registerToolResult({ toolName: 'lookup_record', fileName: 'tracker.csv', result: lookupResult });
+  check('Labels are assigned per kind', `${returns},${shipping},${tool}` === 'S1,S2,T1');
+
+  const { message, citations } = registry.resolve(
+    `PO SG-001 is in transit. [${tool}] Shipping to Malaysia takes 5 to 7 working days [${shipping}]. Again [${tool}, ${shipping}].`
+  );
+  check('Markers become [1], [2] in order of first use',
+    message === 'PO SG-001 is in transit. [1] Shipping to Malaysia takes 5 to 7 working days [2]. Again [1][2].', message);
+  check('Each source is cited once', citations.length === 2 && citations.map(citation => citation.index).join() === '1,2',
+    JSON.stringify(citations));
+
+  const [row, page] = citations;
+  check('Data tool citation names the tool and rows',
+    row.source === 'data_tool' && row.tool === 'lookup_record' && row.fileId === 'tracker' && row.rows.join() === '7' && row.rowStart === 7,
+    JSON.stringify(row));
+  check('Data tool excerpt shows the row', row.excerpt === 'Row 7: PO Number: SG-001, Status: In transit', row.excerpt);
+  check('Document citation carries the file and location',
+    page.source === 'document' && page.fileId === 'faq' && page.fileType === 'txt' && page.chunkId === 'faq.txt#1' && page.page === 2,
+    JSON.stringify(page));
+}
+
+// Unknown labels are dropped
+{
+  const registry = createCitationRegistry(manifest);
+  registry.registerChunk(returnsChunk);
+  const { message, citations } = registry.resolve('Returns are accepted within 30 days [S1]. Invented source [S9].');
+  check('Unknown label and its space are removed', message === 'Returns are accepted within 30 days [1]. Invented source.', message);
+  check('Only known labels are cited', citations.length === 1, JSON.stringify(citations));
+}
+
+// Answers without markers fall back to the sources they draw on
+{
+  const registry = createCitationRegistry(manifest);
+  registry.registerChunk(returnsChunk);
+  registry.registerChunk(shippingChunk);
+  registry.registerToolResult({ toolName: 'lookup_record', fileName: 'tracker.csv', result: lookupResult });
+  const { message, citations } = registry.resolve('Standard shipping to Malaysia takes 5 to 7 working days.');
+  check('Message is left unchanged', message === 'Standard shipping to Malaysia takes 5 to 7 working days.');
+  check('Tool results and the matching excerpt are cited',
+    citations.map(citation => citation.chunkId || citation.tool).join() === 'lookup_record,faq.txt#1', JSON.stringify(citations));
+
+  const empty = createCitationRegistry(manifest).resolve('No sources were given.');
+  check('Nothing is cited without sources', empty.citations.length === 0);
+}
+
+// Quotes are the passage the answer relies on
+{
+  const { quote } = selectQuote(returnsChunk.text, 'Refunds go back to the original payment method');
+  check('Quote picks the matching sentence', quote === 'Refunds are issued to the original payment method.', quote);
+  check('Manifest ids fall back to a hash of the artifact key',
+    /^[0-9a-f]{16}$/.test(getManifestFileId({ name: 'old.pdf', artifacts: { jsonKey: 'tenants/a/old.json' } })));
+}
+
+// Excerpts are only served for locations cited in the transcript
+{
+  const messages = [
+    { role: 'user', content: 'Where is SG-001?' },
+    {
+      role: 'assistant',
+      content: 'In transit [1]. Shipping takes a week [2].',
+      citations: [
+        { index: 1, source: 'data_tool', fileId: 'tracker', sheet: 'Orders', rowStart: 7, rowEnd: 9 },
+        { index: 2, source: 'document', fileId: 'faq', chunkId: 'faq.txt#1', page: 2 }
+      ]
+    }
+  ];
+  check('Cited chunk is allowed', isCitedLocation(messages, 'faq', { chunkId: 'faq.txt#1' }));
+  check('Uncited chunk of a cited file is refused', !isCitedLocation(messages, 'faq', { chunkId: 'faq.txt#0' }));
+  check('Cited page is allowed, given as a query string', isCitedLocation(messages, 'faq', { page: '2' }));
+  check('Rows inside a cited range are allowed', isCitedLocation(messages, 'tracker', { row: '8', sheet: 'Orders' }));
+  check('Rows outside a cited range are refused', !isCitedLocation(messages, 'tracker', { row: '10' }));
+  check('Rows of another sheet are refused', !isCitedLocation(messages, 'tracker', { row: '8', sheet: 'Suppliers' }));
+  check('A file id alone is refused', !isCitedLocation(messages, 'faq', {}));
+  check('Uncited files are refused', !isCitedLocation(messages, 'manual', { chunkId: 'faq.txt#1' }));
+}
+
+printSummary('citation');
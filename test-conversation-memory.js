@@ -0,0 +1,126 @@
+/**
+ * Test server-side conversation memory
+ * Run: node test-conversation-memory.js
+ *
+ * Transcripts live in throwaway local storage; the summarizer is a stub that
+ * records its calls, so nothing is sent to a model.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { printBanner, check, printSummary } from './test-helpers.js';
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'memory-test-'));
+process.env.STORAGE_BACKEND = 'local';
+process.env.LOCAL_STORAGE_DIR = path.join(workDir, 'storage');
+process.env.CHAT_HISTORY_TOKEN_BUDGET = '100';
+
+const { default: transcriptService } = await import('./src/services/transcript-service.js');
+const { loadConversationMemory, findWindowStart } = await import('./src/services/conversation-memory.js');
+
+printBanner('🧾 Testing conversation memory');
+
+const tenantId = 'memory-test';
+const personaId = 'support';
+const turn = (index, extra = {}) => transcriptService.logInteraction({
+  tenantId,
+  persona: personaId,
+  conversationId: extra.conversationId || 'long',
+  userMessage: `Question ${index}: where is purchase order SG-${String(index).padStart(3, '0')} right now?`,
+  assistantResponse: `Answer ${index}: SG-${String(index).padStart(3, '0')} left the Singapore warehouse today.`,
+  ...extra
+});
+
+function createSummarizer(reply = 'Customer asked about SG-001 to SG-006.') {
+  const calls = [];
+  const summarize = async (messages, options) => {
+    calls.push({ messages, options });
+    if (reply instanceof Error) throw reply;
+    return reply;
+  };
+  return { calls, summarize };
+}
+
+// Window selection
+{
+  const messages = [
+    { role: 'user', content: 'x'.repeat(80) },
+    { role: 'assistant', content: 'x'.repeat(80) },
+    { role: 'user', content: 'x'.repeat(80) },
+    { role: 'assistant', content: 'x'.repeat(80) }
+  ];
+  check('Window fits the budget and starts at a user turn', findWindowStart(messages, 0, 60) === 2, String(findWindowStart(messages, 0, 60)));
+  check('Window is empty when only an assistant turn fits', findWindowStart(messages, 0, 30) === 4, String(findWindowStart(messages, 0, 30)));
+}
+
+try {
+  check('No conversation id means no history', (await loadConversationMemory({ tenantId, conversationId: null })).history.length === 0);
+
+  // Short conversations are replayed verbatim
+  {
+    await turn(1, { conversationId: 'short' });
+    const { calls, summarize } = createSummarizer();
+    const { history, summary } = await loadConversationMemory({ tenantId, personaId, conversationId: 'short', summarize });
+    check('Short conversation is replayed in full', history.map(message => message.role).join() === 'user,assistant', JSON.stringify(history));
+    check('Short conversation is not summarized', calls.length === 0 && summary === null);
+  }
+
+  // Older turns are folded into a stored summary
+  {
+    for (let i = 1; i <= 6; i++) await turn(i);
+    const { calls, summarize } = createSummarizer();
+    const { history, summary, transcript } = await loadConversationMemory({ tenantId, personaId, conversationId: 'long', summarize });
+    check('Older turns are summarized once', calls.length === 1 && summary === 'Customer asked about SG-001 to SG-006.', String(calls.length));
+    check('Summary prompt carries the folded turns', calls[0]?.messages[0].content.includes('Customer: Question 1:'), calls[0]?.messages[0].content);
+    check('Replayed window starts at a user turn', history[0]?.role === 'user' && history.length < 12, JSON.stringify(history.map(m => m.role)));
+    check('Latest turn is always replayed', history[history.length - 1]?.content.startsWith('Answer 6:'), JSON.stringify(history));
+
+    const stored = await transcriptService.getById(transcript.id, tenantId, personaId);
+    check('Summary is stored on the transcript', stored.memory?.summary === summary && stored.memory.summarizedCount > 0, JSON.stringify(stored.memory));
+
+    const again = createSummarizer();
+    const reloaded = await loadConversationMemory({ tenantId, personaId, conversationId: 'long', summarize: again.summarize });
+    check('Stored summary is reused without another call', again.calls.length === 0 && reloaded.summary === summary);
+  }
+
+  // A failed summary keeps the previous one
+  {
+    for (let i = 7; i <= 10; i++) await turn(i);
+    const failing = createSummarizer(new Error('overloaded'));
+    const { history, summary } = await loadConversationMemory({ tenantId, personaId, conversationId: 'long', summarize: failing.summarize });
+    check('Previous summary is kept when summarizing fails', failing.calls.length === 1 && summary === 'Customer asked about SG-001 to SG-006.', summary);
+    check('Window still fits the budget', history.length > 0 && history.length < 8, String(history.length));
+  }
+
+  // Withheld turns and human agent replies
+  {
+    await turn(1, { conversationId: 'mixed' });
+    await turn(2, { conversationId: 'mixed', withheld: true });
+    const transcript = await transcriptService.findByConversation(tenantId, 'mixed', personaId);
+    await transcriptService.requestHandoff(transcript, { reason: 'Wants a refund' });
+    await transcriptService.claimHandoff(transcript.id, tenantId, personaId, { id: 'agent-1', name: 'Mei' });
+    await transcriptService.appendAgentMessage(transcript.id, tenantId, personaId, { id: 'agent-1', name: 'Mei' }, 'I have refunded SG-001.');
+
+    const { history } = await loadConversationMemory({ tenantId, personaId, conversationId: 'mixed' });
+    check('Withheld turns are never replayed', history.every(message => !message.content.includes('Question 2')), JSON.stringify(history));
+    const last = history[history.length - 1];
+    check('Agent replies are replayed as labelled assistant turns',
+      last?.role === 'assistant' && last.content.endsWith('[Human agent Mei] I have refunded SG-001.'), JSON.stringify(last));
+    check('Consecutive assistant turns are merged', history.map(message => message.role).join() === 'user,assistant', JSON.stringify(history));
+  }
+
+  // Nothing is summarized while a human agent owns the conversation
+  {
+    for (let i = 1; i <= 6; i++) await turn(i, { conversationId: 'handoff' });
+    const transcript = await transcriptService.findByConversation(tenantId, 'handoff', personaId);
+    await transcriptService.requestHandoff(transcript, { reason: 'Escalation' });
+    const { calls, summarize } = createSummarizer();
+    const { history } = await loadConversationMemory({ tenantId, personaId, conversationId: 'handoff', summarize });
+    check('Open handoff skips the summary', calls.length === 0 && history.length > 0, String(calls.length));
+  }
+} finally {
+  fs.rmSync(workDir, { recursive: true, force: true });
+}
+
+printSummary('conversation memory');
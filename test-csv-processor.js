@@ -0,0 +1,88 @@
+/**
+ * Test CSV dialect detection and parsing
+ * Run: node test-csv-processor.js
+ *
+ * Files are built in memory as multer would hand them over.
+ */
+
+import { parseCsvFile, sniffDialect, detectEncoding } from './src/csv-processor.js';
+import { printBanner, check, printSummary } from './test-helpers.js';
+
+printBanner('🧾 Testing CSV processing');
+
+const upload = (buffer, originalname = 'export.csv') => ({ originalname, buffer });
+
+// Report title and export lines above the header
+{
+  const text = [
+    'Open orders report',
+    'Exported 2024-05-01 by ERP',
+    '',
+    'PO,Supplier,ETA',
+    'PO-1,Acme,2024-05-10',
+    'PO-2,Globex,2024-05-12'
+  ].join('\r\n');
+  const { rows, columns, dialect } = await parseCsvFile(upload(Buffer.from(text)));
+
+  check('Header is found below the preamble', columns.join() === 'PO,Supplier,ETA', columns.join());
+  check('Preamble lines are skipped', dialect.headerRow === 4 && dialect.skippedRows === 3, JSON.stringify(dialect));
+  check('Rows after the header are parsed', rows.length === 2 && rows[1].Supplier === 'Globex', JSON.stringify(rows));
+}
+
+// Semicolon-delimited export with decimal commas
+{
+  const text = 'Item;Qty;Price\nBolts;10;1,25\n"Nuts; M8";5;0,40\n';
+  const { rows, dialect } = await parseCsvFile(upload(Buffer.from(text)));
+
+  check('Semicolon delimiter is detected', dialect.delimiter === ';', JSON.stringify(dialect.delimiter));
+  check('Decimal commas stay inside their field', rows[0].Price === '1,25', JSON.stringify(rows[0]));
+  check('Quoted delimiter stays inside its field', rows[1].Item === 'Nuts; M8', JSON.stringify(rows[1]));
+}
+
+// UTF-16 with and without a byte order mark
+{
+  const text = 'Name\tCity\nJosé\tSão Paulo\nZoë\tZürich\n';
+  const utf16 = Buffer.from(text, 'utf16le');
+
+  const withBom = await parseCsvFile(upload(Buffer.concat([Buffer.from([0xFF, 0xFE]), utf16])));
+  check('UTF-16LE BOM is detected', withBom.dialect.encoding === 'utf-16le' && withBom.dialect.bom === true, JSON.stringify(withBom.dialect));
+  check('UTF-16 text is decoded', withBom.rows[0]?.City === 'São Paulo' && withBom.columns[0] === 'Name', JSON.stringify(withBom.rows));
+  check('Tab delimiter is detected', withBom.dialect.delimiter === '\t');
+
+  check('UTF-16LE without BOM is detected', detectEncoding(utf16).encoding === 'utf-16le', JSON.stringify(detectEncoding(utf16)));
+}
+
+// Windows-1252 bytes that are not valid UTF-8
+{
+  const buffer = Buffer.from([...Buffer.from('Name,City\nJos'), 0xE9, ...Buffer.from(',Lyon\n')]);
+  const { rows, dialect } = await parseCsvFile(upload(buffer));
+  check('Windows-1252 is detected', dialect.encoding === 'windows-1252', dialect.encoding);
+  check('Windows-1252 text is decoded', rows[0]?.Name === 'José', JSON.stringify(rows));
+}
+
+// Quote character sniffing
+{
+  const singleQuoted = "'Name','City'\n'Smith, J','Rome'\n'Lee','Oslo'\n";
+  check('Single-quoted fields select the single quote', sniffDialect(singleQuoted).quoteChar === "'", JSON.stringify(sniffDialect(singleQuoted)));
+
+  const apostrophes = "Name,Note,City\nBob,'ok' fine,Rome\nAnn,Customers' orders,Oslo\n";
+  const sniffed = sniffDialect(apostrophes);
+  check('Apostrophes inside values keep the double quote', sniffed.quoteChar === '"', JSON.stringify(sniffed));
+
+  const mixed = `${apostrophes}Tim,"Smith, J",Bern\n`;
+  const { rows } = await parseCsvFile(upload(Buffer.from(mixed)));
+  check('Values with apostrophes are kept as written', rows[0]?.Note === "'ok' fine" && rows[1]?.Note === "Customers' orders",
+    JSON.stringify(rows));
+  check('Double-quoted field keeps its comma', rows[2]?.Note === 'Smith, J', JSON.stringify(rows[2]));
+
+  check('Plain text defaults to the double quote', sniffDialect('a,b\n1,2\n').quoteChar === '"');
+}
+
+// Extra fields past the header get their own columns
+{
+  const { rows, columns } = await parseCsvFile(upload(Buffer.from('A,B\n1,2\n3,4,5\n')));
+  check('Extra field gets a generated column', columns.join() === 'A,B,Column 3' && rows[0]['Column 3'] === '' && rows[1]['Column 3'] === '5',
+    JSON.stringify({ columns, rows }));
+}
+
+printSummary('CSV');
@@ -0,0 +1,95 @@
+/**
+ * Test the tracking data tools
+ * Run: node test-data-tools.js
+ *
+ * Rows are handed to the executor through its row cache; nothing is read from storage.
+ */
+
+import { createDataToolExecutor } from './src/data-tools.js';
+import { printBanner, check, printSummary } from './test-helpers.js';
+
+printBanner('🔧 Testing data tools');
+
+const rows = [
+  { 'PO Number': 'SG-001', Port: 'Singapore', 'Report Date': '2024-05-01', Status: 'In transit', Qty: '5', ETA: '2024-05-10', Notes: '' },
+  { 'PO Number': 'SG-002', Port: 'Port Klang', 'Report Date': '2024-05-01', Status: 'Delivered', Qty: '5.00', ETA: '12/05/2024', Notes: 'rush' },
+  { 'PO Number': 'SG-003', Port: 'Jakarta', 'Report Date': '2024-05-02', Status: 'Delayed', Qty: '12', ETA: '2024-06-01', Notes: 'Rush order' },
+  { 'PO Number': 'SG-004', Port: 'Singapore', 'Report Date': '2024-05-02', Status: 'In transit', Qty: '', ETA: '', Notes: '' }
+];
+const manifest = {
+  tenantId: 'data-tools-test',
+  mainFile: { filename: 'tracker.csv' },
+  files: [{
+    name: 'tracker.csv',
+    category: 'tracking',
+    artifacts: { jsonKey: 'tracker.json' },
+    metadata: { columns: Object.keys(rows[0]), rowCount: rows.length }
+  }]
+};
+const executor = createDataToolExecutor(manifest, { rowCache: new Map([['tracker.csv', rows]]) });
+
+async function run(name, input) {
+  const result = await executor.execute({ id: 'tool-1', name, input });
+  return { ...JSON.parse(result.content), isError: result.isError };
+}
+
+async function filterPOs(conditions, match) {
+  const result = await run('filter_rows', { conditions, match, columns: ['PO Number'] });
+  return result.rows.map(row => row['PO Number']).join();
+}
+
+// Comparison operators
+{
+  check('eq matches numerically ("5" = "5.00")', await filterPOs([{ column: 'Qty', operator: 'eq', value: '5' }]) === 'SG-001,SG-002');
+  const neq = await filterPOs([{ column: 'Qty', operator: 'neq', value: '5' }]);
+  check('neq is the exact negation of eq', neq === 'SG-003,SG-004', neq);
+  check('eq ignores case and surrounding spaces', await filterPOs([{ column: 'Status', operator: 'eq', value: ' delivered ' }]) === 'SG-002');
+  check('eq matches dates across formats', await filterPOs([{ column: 'ETA', operator: 'eq', value: '2024-05-12' }]) === 'SG-002');
+  check('contains is case-insensitive', await filterPOs([{ column: 'Notes', operator: 'contains', value: 'RUSH' }]) === 'SG-002,SG-003');
+  check('not_contains keeps the rest', await filterPOs([{ column: 'Notes', operator: 'not_contains', value: 'rush' }]) === 'SG-001,SG-004');
+  check('in matches any listed value', await filterPOs([{ column: 'Port', operator: 'in', value: ['jakarta', 'Port Klang'] }]) === 'SG-002,SG-003');
+  check('gt compares numbers, not text', await filterPOs([{ column: 'Qty', operator: 'gt', value: '9' }]) === 'SG-003');
+  check('lte skips empty values', await filterPOs([{ column: 'Qty', operator: 'lte', value: 5 }]) === 'SG-001,SG-002');
+  const between = await filterPOs([{ column: 'ETA', operator: 'between', value: ['2024-05-11', '2024-05-31'] }]);
+  check('between compares dates chronologically', between === 'SG-002', between);
+  check('is_empty matches blank cells', await filterPOs([{ column: 'Notes', operator: 'is_empty' }]) === 'SG-001,SG-004');
+  check('match "any" combines conditions with OR', await filterPOs([
+    { column: 'Status', operator: 'eq', value: 'Delayed' },
+    { column: 'Port', operator: 'eq', value: 'Port Klang' }
+  ], 'any') === 'SG-002,SG-003');
+}
+
+// Errors are returned to the model rather than thrown
+{
+  const unknownColumn = await run('filter_rows', { conditions: [{ column: 'Carrier', operator: 'eq', value: 'DHL' }] });
+  check('Unknown column is reported with the available columns', unknownColumn.isError && /Available columns: PO Number/.test(unknownColumn.error),
+    JSON.stringify(unknownColumn));
+  const badBetween = await run('filter_rows', { conditions: [{ column: 'Qty', operator: 'between', value: 5 }] });
+  check('between without [min, max] is refused', badBetween.isError && /between/.test(badBetween.error), JSON.stringify(badBetween));
+}
+
+// Aggregates
+{
+  const byStatus = await run('aggregate_rows', { group_by: ['Status'], metrics: [{ op: 'count' }, { op: 'sum', column: 'Qty' }] });
+  const inTransit = byStatus.groups.find(group => group.Status === 'In transit');
+  check('Groups are counted', byStatus.totalGroups === 3 && inTransit?.count === 2, JSON.stringify(byStatus.groups));
+  check('Sums skip empty values', inTransit?.sum_Qty === 5, JSON.stringify(inTransit));
+
+  const none = await run('aggregate_rows', { conditions: [{ column: 'Port', operator: 'eq', value: 'Manila' }] });
+  check('No matching rows count as 0', none.matchedRows === 0 && none.groups[0]?.count === 0, JSON.stringify(none));
+}
+
+// Lookups search key columns only
+{
+  const byPO = await run('lookup_record', { value: 'sg-003' });
+  check('Lookup matches the PO column exactly', byPO.matchType === 'exact' && byPO.rows[0]?._row === 3, JSON.stringify(byPO));
+  check('Port and Report columns are not key columns', byPO.searchedColumns.join() === 'PO Number', JSON.stringify(byPO.searchedColumns));
+
+  const byPort = await run('lookup_record', { value: 'Singapore' });
+  check('Port names are not matched as keys', byPort.matchType === 'none', JSON.stringify(byPort));
+
+  const partial = await run('lookup_record', { value: '00' });
+  check('Partial matches are the fallback', partial.matchType === 'partial' && partial.totalMatches === 4, JSON.stringify(partial));
+}
+
+printSummary('data tool');
@@ -0,0 +1,122 @@
+/**
+ * Test workbook formula evaluation
+ * Run: node test-formula-evaluator.js
+ *
+ * Builds workbooks in memory whose formula cells have no cached value,
+ * the way script-generated workbooks arrive.
+ */
+
+import XLSX from 'xlsx';
+import { evaluateWorkbookFormulas } from './src/formula-evaluator.js';
+import { printBanner, check, printSummary } from './test-helpers.js';
+
+printBanner('🧮 Testing formula evaluation');
+
+/**
+ * @param {Object} sheets - { [name]: { rows: [[...]], formulas: { A1: '=...' } } }
+ */
+function buildWorkbook(sheets) {
+  const workbook = XLSX.utils.book_new();
+  for (const [name, { rows = [], formulas = {} }] of Object.entries(sheets)) {
+    const sheet = XLSX.utils.aoa_to_sheet(rows);
+    const range = XLSX.utils.decode_range(sheet['!ref'] || 'A1');
+    for (const [address, formula] of Object.entries(formulas)) {
+      sheet[address] = { t: 'z', f: formula.replace(/^=/, '') };
+      const { c, r } = XLSX.utils.decode_cell(address);
+      range.e.c = Math.max(range.e.c, c);
+      range.e.r = Math.max(range.e.r, r);
+    }
+    sheet['!ref'] = XLSX.utils.encode_range(range);
+    XLSX.utils.book_append_sheet(workbook, sheet, name);
+  }
+  return workbook;
+}
+
+const value = (workbook, sheet, address) => workbook.Sheets[sheet][address]?.v;
+
+// Lookups against a second sheet
+{
+  const workbook = buildWorkbook({
+    Orders: {
+      rows: [
+        ['PO', 'Supplier ID', 'Supplier', 'Country', 'Lead time'],
+        ['PO-1', 'S2'],
+        ['PO-2', 'S9']
+      ],
+      formulas: {
+        C2: '=VLOOKUP(B2,Suppliers!A:C,2,FALSE)',
+        D2: '=INDEX(Suppliers!C2:C3,MATCH(B2,Suppliers!A2:A3,0))',
+        E2: '=XLOOKUP(B2,Suppliers!A2:A3,Suppliers!D2:D3)',
+        C3: '=VLOOKUP(B3,Suppliers!A:C,2,FALSE)',
+        D3: '=IFERROR(VLOOKUP(B3,Suppliers!A:C,2,FALSE),"Unknown")',
+        E3: '=XLOOKUP(B3,Suppliers!A2:A3,Suppliers!D2:D3,"n/a")'
+      }
+    },
+    Suppliers: {
+      rows: [
+        ['ID', 'Name', 'Country', 'Lead time'],
+        ['S1', 'Acme', 'SG', 14],
+        ['S2', 'Globex', 'MY', 21]
+      ]
+    }
+  });
+  const summary = evaluateWorkbookFormulas(workbook);
+
+  check('VLOOKUP resolves across sheets', value(workbook, 'Orders', 'C2') === 'Globex', value(workbook, 'Orders', 'C2'));
+  check('INDEX/MATCH resolves', value(workbook, 'Orders', 'D2') === 'MY', value(workbook, 'Orders', 'D2'));
+  check('XLOOKUP resolves', value(workbook, 'Orders', 'E2') === 21, value(workbook, 'Orders', 'E2'));
+  check('Missed lookup yields #N/A', value(workbook, 'Orders', 'C3') === '#N/A', value(workbook, 'Orders', 'C3'));
+  check('IFERROR catches a missed lookup', value(workbook, 'Orders', 'D3') === 'Unknown', value(workbook, 'Orders', 'D3'));
+  check('XLOOKUP uses its if_not_found value', value(workbook, 'Orders', 'E3') === 'n/a', value(workbook, 'Orders', 'E3'));
+  check('Every formula counts as evaluated', summary.evaluated === 6 && summary.failed === 0, JSON.stringify(summary));
+}
+
+// Formulas depending on other formula cells, and cached values left alone
+{
+  const workbook = buildWorkbook({
+    Sheet1: {
+      rows: [['Qty', 'Price', 'Total'], [3, 2.5, 99]],
+      formulas: { A3: '=A2*2', B3: '=ROUND(A3*B2,0)' }
+    }
+  });
+  workbook.Sheets.Sheet1.C2.f = 'A2*B2';
+  evaluateWorkbookFormulas(workbook);
+
+  check('Formula chains are evaluated in dependency order', value(workbook, 'Sheet1', 'B3') === 15, value(workbook, 'Sheet1', 'B3'));
+  check('Cells with a cached value keep it', value(workbook, 'Sheet1', 'C2') === 99, value(workbook, 'Sheet1', 'C2'));
+}
+
+// Circular references fail the cells involved without looping
+{
+  const workbook = buildWorkbook({
+    Sheet1: {
+      rows: [['A', 'B', 'C'], [1]],
+      formulas: { B2: '=C2+1', C2: '=B2+1', A3: '=A2+1' }
+    }
+  });
+  const summary = evaluateWorkbookFormulas(workbook);
+  const issues = summary.bySheet.Sheet1?.issues || [];
+
+  check('Circular cells are reported as failed', summary.failed === 2, JSON.stringify(summary));
+  check('Circular reference is named in the issue', issues.length > 0 && issues.every(issue => /circular reference/i.test(issue.error)),
+    JSON.stringify(issues));
+  check('Circular cells are left empty', value(workbook, 'Sheet1', 'B2') === undefined && value(workbook, 'Sheet1', 'C2') === undefined);
+  check('Unrelated formulas still evaluate', value(workbook, 'Sheet1', 'A3') === 2, value(workbook, 'Sheet1', 'A3'));
+}
+
+// Unsupported functions are counted, not guessed
+{
+  const workbook = buildWorkbook({
+    Sheet1: {
+      rows: [['Value'], [4], [9]],
+      formulas: { B2: '=SQRT(A2)', B3: '=SQRT(A3)', C2: '=OFFSET(A1,1,0)' }
+    }
+  });
+  const summary = evaluateWorkbookFormulas(workbook);
+
+  check('Unsupported functions are counted per function', summary.unsupported.SQRT === 2 && summary.unsupported.OFFSET === 1,
+    JSON.stringify(summary.unsupported));
+  check('Unsupported cells are left empty', value(workbook, 'Sheet1', 'B2') === undefined);
+}
+
+printSummary('formula evaluation');
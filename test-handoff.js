@@ -0,0 +1,124 @@
+/**
+ * Test the human handoff lifecycle
+ * Run: node test-handoff.js
+ *
+ * Drives the transcript service against throwaway local storage; no server is started.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { printBanner, check, printSummary } from './test-helpers.js';
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'handoff-test-'));
+process.env.STORAGE_BACKEND = 'local';
+process.env.LOCAL_STORAGE_DIR = path.join(workDir, 'storage');
+
+const { default: transcriptService, isHandoffOpen } = await import('./src/services/transcript-service.js');
+
+printBanner('🙋 Testing human handoff');
+
+const tenantId = 'handoff-test';
+const personaId = 'support';
+const mei = { id: 'agent-1', name: 'Mei' };
+const raj = { id: 'agent-2', name: 'Raj' };
+
+async function errorOf(promise) {
+  try {
+    await promise;
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+async function startConversation(conversationId) {
+  return transcriptService.logInteraction({
+    tenantId,
+    persona: personaId,
+    conversationId,
+    userMessage: 'My order SG-001 arrived damaged, I want to talk to a person.',
+    assistantResponse: 'I have asked a support agent to join.',
+    trace: { iterations: 1, tools: ['think'] }
+  });
+}
+
+try {
+  // Request and queue
+  {
+    const first = await startConversation('first');
+    const second = await startConversation('second');
+    const requested = await transcriptService.requestHandoff(first, { contactIntent: { type: 'support_escalation', notes: 'Damaged delivery' } });
+    await transcriptService.requestHandoff(second, { reason: 'Refund' });
+
+    check('Request opens the handoff', requested.handoff?.status === 'awaiting_agent' && isHandoffOpen(requested), JSON.stringify(requested.handoff));
+    check('Reason falls back to the contact intent notes', requested.handoff.reason === 'Damaged delivery', requested.handoff.reason);
+
+    const repeated = await transcriptService.requestHandoff(requested, { reason: 'Again' });
+    check('An open handoff is not requested twice', repeated.handoff.requestedAt === requested.handoff.requestedAt && repeated.handoff.reason === 'Damaged delivery');
+
+    const queue = await transcriptService.listHandoffQueue(tenantId, personaId);
+    check('Queue lists open handoffs, oldest first', queue.map(item => item.conversationId).join() === 'first,second', queue.map(item => item.conversationId).join());
+  }
+
+  // Claiming and replying
+  {
+    const transcript = await transcriptService.findByConversation(tenantId, 'first', personaId);
+    check('Replying before claiming is refused', /must be claimed/.test(await errorOf(
+      transcriptService.appendAgentMessage(transcript.id, tenantId, personaId, mei, 'Hello')
+    )));
+
+    const claimed = await transcriptService.claimHandoff(transcript.id, tenantId, personaId, mei);
+    check('Claim assigns the agent', claimed.handoff.status === 'active' && claimed.handoff.agent.name === 'Mei' && claimed.handoff.claimedAt,
+      JSON.stringify(claimed.handoff));
+    check('Another agent cannot take over', /another agent/.test(await errorOf(
+      transcriptService.claimHandoff(transcript.id, tenantId, personaId, raj)
+    )));
+    check('Another agent cannot reply', /another agent/.test(await errorOf(
+      transcriptService.appendAgentMessage(transcript.id, tenantId, personaId, raj, 'Hi')
+    )));
+
+    const reclaimed = await transcriptService.claimHandoff(transcript.id, tenantId, personaId, mei);
+    check('Claiming again keeps the first claim time', reclaimed.handoff.claimedAt === claimed.handoff.claimedAt);
+
+    const { message, messageIndex } = await transcriptService.appendAgentMessage(transcript.id, tenantId, personaId, mei, 'A replacement is on its way.');
+    check('Agent reply is stored with the agent', message.role === 'agent' && message.agent.name === 'Mei' && messageIndex === 2,
+      JSON.stringify({ message, messageIndex }));
+
+    const updates = await transcriptService.getConversationUpdates(transcript.id, tenantId, personaId, 1);
+    check('Updates start after the given index', updates.messages.map(item => item.index).join() === '2', JSON.stringify(updates.messages));
+    const all = await transcriptService.getConversationUpdates(transcript.id, tenantId, personaId);
+    const stored = await transcriptService.getById(transcript.id, tenantId, personaId);
+    check('Updates never include reasoning traces', stored.messages[1].trace && all.messages.length === 3 &&
+      all.messages.every(item => item.trace === undefined),
+      JSON.stringify(all.messages));
+    check('Other tenants cannot read the updates', /not found|Forbidden/.test(await errorOf(
+      transcriptService.getConversationUpdates(transcript.id, 'someone-else', personaId)
+    )));
+  }
+
+  // Releasing back to the AI
+  {
+    const transcript = await transcriptService.findByConversation(tenantId, 'first', personaId);
+    check('Another agent cannot release', /another agent/.test(await errorOf(
+      transcriptService.releaseHandoff(transcript.id, tenantId, personaId, raj)
+    )));
+
+    const released = await transcriptService.releaseHandoff(transcript.id, tenantId, personaId, mei);
+    check('Release hands the conversation back', released.handoff.status === 'released' && !isHandoffOpen(released) && released.handoff.releasedAt,
+      JSON.stringify(released.handoff));
+    check('Released conversations leave the queue', (await transcriptService.listHandoffQueue(tenantId, personaId))
+      .every(item => item.conversationId !== 'first'));
+    check('Released conversations cannot be claimed', /not awaiting an agent/.test(await errorOf(
+      transcriptService.claimHandoff(transcript.id, tenantId, personaId, mei)
+    )));
+
+    const again = await transcriptService.requestHandoff(released, { reason: 'Still damaged' });
+    check('A new request reopens a released conversation', again.handoff.status === 'awaiting_agent' && again.handoff.agent === null,
+      JSON.stringify(again.handoff));
+  }
+} finally {
+  fs.rmSync(workDir, { recursive: true, force: true });
+}
+
+printSummary('handoff');
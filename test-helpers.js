@@ -0,0 +1,44 @@
+/**
+ * Shared output for the node test-*.js scripts
+ *
+ * printBanner() opens a script, check() reports one expectation and
+ * printSummary() closes it, setting a failing exit code when any check failed.
+ */
+
+let failed = 0;
+
+export function printBanner(title) {
+  console.log('');
+  console.log(title);
+  console.log('============================');
+  console.log('');
+}
+
+export function check(name, condition, detail = '') {
+  if (condition) {
+    console.log(`✅ ${name}`);
+  } else {
+    console.log(`❌ ${name}${detail ? `: ${detail}` : ''}`);
+    failed++;
+  }
+}
+
+/**
+ * @param {string} label - What was tested, e.g. "PII" in "All PII tests passed!"
+ */
+export function printSummary(label) {
+  console.log('');
+  if (failed === 0) {
+    console.log(`🎉 All ${label} tests passed!`);
+  } else {
+    console.log(`⚠️ ${failed} ${label} test(s) failed. Check the output above.`);
+    process.exitCode = 1;
+  }
+  console.log('');
+}
+
+export default {
+  printBanner,
+  check,
+  printSummary
+};
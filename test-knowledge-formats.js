@@ -0,0 +1,133 @@
+/**
+ * Test text extraction for PPTX, HTML, Markdown, JSON and email files
+ * Run: node test-knowledge-formats.js
+ *
+ * Files are built in memory; the PPTX deck is a minimal zip with two slides.
+ */
+
+import XLSX from 'xlsx';
+import { extractPptx, extractHtml, extractMarkdown, extractJson, extractEmail, TEXT_FILE_TYPES } from './src/knowledge-formats.js';
+import { printBanner, check, printSummary } from './test-helpers.js';
+
+printBanner('📚 Testing knowledge formats');
+
+const headings = sections => sections.map(section => section.heading).join('|');
+
+// HTML pages
+{
+  const html = `<!doctype html><html><head><meta charset="utf-8"><title>Returns &amp; refunds</title>
+    <style>body { color: red }</style><script>var hidden = 'do not index';</script></head>
+    <body><nav>Home</nav><h1>Returns</h1><p>Items can be returned within <b>30 days</b>.</p>
+    <h2>Exceptions</h2><ul><li>Sale items</li><li>Gift cards</li></ul>
+    <table><tr><th>Region</th><th>Days</th></tr><tr><td>SG</td><td>30</td></tr></table></body></html>`;
+  const { fullText, sections, metadata } = extractHtml(Buffer.from(html));
+
+  check('HTML title is read', metadata.title === 'Returns & refunds', metadata.title);
+  check('HTML headings split sections', headings(sections) === '|Returns|Exceptions', headings(sections));
+  check('Scripts and styles are dropped', !fullText.includes('do not index') && !fullText.includes('color'), fullText);
+  check('Inline markup is flattened', sections[1].text === 'Items can be returned within 30 days.', sections[1].text);
+  check('Lists and tables stay readable', /- Sale items\n- Gift cards/.test(sections[2].text) && /SG \| 30/.test(sections[2].text), sections[2].text);
+}
+
+// Markdown with front matter and fenced code
+{
+  const markdown = [
+    '---',
+    'title: Shipping guide',
+    '---',
+    '# Shipping',
+    'We ship across Southeast Asia.',
+    '',
+    'Rates',
+    '-----',
+    '```',
+    '# not a heading',
+    '```',
+    'Flat $10 per order.'
+  ].join('\n');
+  const { sections, metadata } = extractMarkdown(Buffer.from(markdown));
+
+  check('Front matter title is used', metadata.title === 'Shipping guide', metadata.title);
+  check('ATX and setext headings split sections', headings(sections) === 'Shipping|Rates', headings(sections));
+  check('Headings inside code fences are ignored', sections[1].text.includes('# not a heading'), sections[1].text);
+}
+
+// JSON documents and JSON Lines
+{
+  const catalogue = { store: 'SG', products: [{ sku: 'A-1', name: 'Kettle', price: 39 }, { sku: 'B-2', name: 'Toaster', price: 59 }] };
+  const json = extractJson(Buffer.from(JSON.stringify(catalogue)));
+  check('Scalar keys come first', json.sections[0].heading === null && json.sections[0].text === 'store: SG', JSON.stringify(json.sections[0]));
+  check('Nested records get a labelled section each', headings(json.sections.slice(1)) === 'products[0] (Kettle)|products[1] (Toaster)',
+    headings(json.sections));
+  check('Records are flattened to path: value lines', json.sections[2].text.includes('products[1].price: 59'), json.sections[2].text);
+
+  const lines = extractJson(Buffer.from('{"id":1,"status":"open"}\n{"id":2,"status":"closed"}\n'));
+  check('JSON Lines are read as records', lines.metadata.format === 'jsonl' && lines.metadata.recordCount === 2, JSON.stringify(lines.metadata));
+
+  let error = null;
+  try {
+    extractJson(Buffer.from('{ "broken": '));
+  } catch (caught) {
+    error = caught;
+  }
+  check('Invalid JSON is reported', /not valid JSON/.test(error?.message), error?.message);
+}
+
+// Emails with encoded headers and a text attachment
+{
+  const eml = [
+    'From: Jane Tan <jane@example.com>',
+    'To: support@example.com',
+    'Subject: =?UTF-8?B?RGVsYXllZCBvcmRlciDigJMgU0ctMDAx?=',
+    'Date: Tue, 7 May 2024 09:00:00 +0800',
+    'MIME-Version: 1.0',
+    'Content-Type: multipart/mixed; boundary="b1"',
+    '',
+    '--b1',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: quoted-printable',
+    '',
+    'My order has not arrived =E2=80=93 please check.',
+    '--b1',
+    'Content-Type: text/plain; name="notes.txt"',
+    'Content-Disposition: attachment; filename="notes.txt"',
+    'Content-Transfer-Encoding: base64',
+    '',
+    Buffer.from('Courier ref 123').toString('base64'),
+    '--b1--',
+    ''
+  ].join('\r\n');
+  const { sections, metadata } = await extractEmail(Buffer.from(eml));
+
+  check('Encoded subject is decoded', metadata.subject === 'Delayed order – SG-001', metadata.subject);
+  check('Quoted-printable body is decoded', sections[0].text.includes('My order has not arrived – please check.'), sections[0].text);
+  check('Text attachment gets its own section', sections[1]?.heading === 'Attachment: notes.txt' && sections[1].text === 'Courier ref 123',
+    JSON.stringify(sections[1]));
+}
+
+// PPTX decks
+{
+  const slide = (title, body) => `<p:sld xmlns:a="a" xmlns:p="p"><p:cSld><p:spTree>
+    <p:sp><p:nvSpPr><p:nvPr><p:ph type="title"/></p:nvPr></p:nvSpPr><p:txBody><a:p><a:r><a:t>${title}</a:t></a:r></a:p></p:txBody></p:sp>
+    <p:sp><p:nvSpPr><p:nvPr><p:ph idx="1"/></p:nvPr></p:nvSpPr><p:txBody><a:p><a:r><a:t>${body}</a:t></a:r></a:p></p:txBody></p:sp>
+    <p:sp><p:nvSpPr><p:nvPr><p:ph type="sldNum"/></p:nvPr></p:nvSpPr><p:txBody><a:p><a:r><a:t>99</a:t></a:r></a:p></p:txBody></p:sp>
+    </p:spTree></p:cSld></p:sld>`;
+  const relationship = (id, target) => `<Relationship Id="${id}" Type="http://schemas/officeDocument/2006/relationships/slide" Target="${target}"/>`;
+  const zip = XLSX.CFB.utils.cfb_new();
+  const add = (name, text) => XLSX.CFB.utils.cfb_add(zip, name, Buffer.from(text));
+  add('ppt/presentation.xml', '<p:presentation xmlns:p="p" xmlns:r="r"><p:sldIdLst><p:sldId id="256" r:id="rId1"/><p:sldId id="257" r:id="rId2"/></p:sldIdLst></p:presentation>');
+  add('ppt/_rels/presentation.xml.rels', `<Relationships>${relationship('rId1', 'slides/slide2.xml')}${relationship('rId2', 'slides/slide1.xml')}</Relationships>`);
+  // Deck order comes from the slide list, not the part names
+  add('ppt/slides/slide1.xml', slide('Next steps', 'Open the Penang warehouse'));
+  add('ppt/slides/slide2.xml', slide('Q2 results', 'Revenue up 12% &amp; margin flat'));
+  const { sections } = extractPptx(Buffer.from(XLSX.CFB.write(zip, { fileType: 'zip', type: 'buffer' })));
+
+  check('Slides follow the presentation order', headings(sections) === 'Slide 1: Q2 results|Slide 2: Next steps', headings(sections));
+  check('Slide text is decoded', sections.some(section => section.text.includes('Revenue up 12% & margin flat')), JSON.stringify(sections));
+  check('Slide numbers are left out', sections.every(section => !section.text.includes('99')), JSON.stringify(sections));
+}
+
+check('Every extracted format counts as a text file type',
+  ['pptx', 'html', 'markdown', 'json', 'email'].every(type => TEXT_FILE_TYPES.includes(type)), TEXT_FILE_TYPES.join());
+
+printSummary('knowledge format');
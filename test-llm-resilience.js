@@ -0,0 +1,109 @@
+/**
+ * Test LLM retry and circuit-breaker policy
+ * Run: node test-llm-resilience.js
+ *
+ * Uses a fake provider and clock; nothing is sent to a model.
+ */
+
+import { createCircuitBreaker, withResilience } from './src/llm/resilience.js';
+import { printBanner, check, printSummary } from './test-helpers.js';
+
+printBanner('🚧 Testing LLM resilience');
+
+const overloaded = () => Object.assign(new Error('Overloaded'), { status: 529 });
+const abortError = () => Object.assign(new Error('Request was aborted'), { name: 'AbortError' });
+
+function createHarness() {
+  let clock = 0;
+  const breaker = createCircuitBreaker({ failureThreshold: 2, cooldownMs: 1000 }, () => clock);
+  let behaviour = 'fail';
+  let calls = 0;
+
+  const provider = {
+    name: 'fake',
+    async chat(request, { signal }) {
+      calls++;
+      if (behaviour === 'fail') throw overloaded();
+      if (behaviour === 'hang') {
+        // Resolves only when the caller aborts
+        return new Promise((resolve, reject) => {
+          signal.addEventListener('abort', () => reject(abortError()), { once: true });
+        });
+      }
+      return { content: [{ type: 'text', text: 'ok' }] };
+    }
+  };
+
+  const client = withResilience(provider, { maxRetries: 0, timeoutMs: 0, fallbackModel: null, breaker, sleep: async () => {} });
+  return {
+    breaker,
+    client,
+    advance: ms => { clock += ms; },
+    setBehaviour: value => { behaviour = value; },
+    calls: () => calls
+  };
+}
+
+async function outcome(promise) {
+  try {
+    await promise;
+    return 'success';
+  } catch (error) {
+    return error.code || error.name;
+  }
+}
+
+// Consecutive transient failures open the circuit, calls then fail fast
+{
+  const harness = createHarness();
+  await outcome(harness.client.chat({ model: 'm' }));
+  await outcome(harness.client.chat({ model: 'm' }));
+  const callsBefore = harness.calls();
+  const result = await outcome(harness.client.chat({ model: 'm' }));
+  check('Circuit opens after the failure threshold', result === 'LLM_UNAVAILABLE' && harness.calls() === callsBefore,
+    `${result}, ${harness.calls() - callsBefore} provider calls`);
+
+  // After the cooldown a successful trial closes it again
+  harness.advance(1000);
+  harness.setBehaviour('ok');
+  check('Successful half-open trial closes the circuit', await outcome(harness.client.chat({ model: 'm' })) === 'success');
+  check('Closed circuit serves the next call', await outcome(harness.client.chat({ model: 'm' })) === 'success');
+}
+
+// A half-open trial the caller aborts must not leave the circuit stuck
+{
+  const harness = createHarness();
+  await outcome(harness.client.chat({ model: 'm' }));
+  await outcome(harness.client.chat({ model: 'm' }));
+  harness.advance(1000);
+  harness.setBehaviour('hang');
+
+  const controller = new AbortController();
+  const trial = outcome(harness.client.chat({ model: 'm' }, { signal: controller.signal }));
+  controller.abort();
+  const trialResult = await trial;
+  check('Aborted trial is rethrown to the caller', trialResult === 'AbortError', trialResult);
+
+  harness.setBehaviour('ok');
+  const next = await outcome(harness.client.chat({ model: 'm' }));
+  check('Next call after an aborted half-open trial is let through', next === 'success', next);
+  check('Circuit is closed after the following trial succeeds',
+    harness.breaker.describe().every(circuit => circuit.model !== 'm'));
+}
+
+// A second caller during a half-open trial still fails fast
+{
+  let clock = 0;
+  const breaker = createCircuitBreaker({ failureThreshold: 1, cooldownMs: 10 }, () => clock);
+  breaker.recordFailure('m');
+  check('Open circuit rejects calls during the cooldown', breaker.canRequest('m') === false);
+
+  clock = 10;
+  const first = breaker.canRequest('m');
+  const second = breaker.canRequest('m');
+  check('Only one trial is let through while half-open', first === true && second === false, `${first}, ${second}`);
+  breaker.releaseTrial('m');
+  check('Released trial lets the next call try', breaker.canRequest('m') === true);
+}
+
+printSummary('LLM resilience');
@@ -0,0 +1,134 @@
+/**
+ * Test cross-file lookup joins
+ * Run: node test-lookup-joins.js
+ *
+ * Uses throwaway local storage for the tracking and lookup artifacts.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { printBanner, check, printSummary } from './test-helpers.js';
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lookup-joins-test-'));
+process.env.STORAGE_BACKEND = 'local';
+process.env.LOCAL_STORAGE_DIR = path.join(workDir, 'storage');
+
+const { validateLookupJoins, joinRows, applyLookupJoins, attachJoinReport } = await import('./src/lookup-joins.js');
+const { createDataToolExecutor } = await import('./src/data-tools.js');
+const { saveJson, readJson } = await import('./src/services/storage-helper.js');
+const { buildProcessedKey } = await import('./src/storage/paths.js');
+
+printBanner('🔗 Testing lookup joins');
+
+const orders = [
+  { PO: 'SG-001', Carrier: 'dhl ', Status: 'In transit' },
+  { PO: 'SG-002', Carrier: 'FEDEX', Status: 'Delivered' },
+  { PO: 'SG-003', Carrier: 'Ninja Van', Status: 'Delayed' },
+  { PO: 'SG-004', Carrier: '', Status: 'Booked' }
+];
+const carriers = [
+  { Carrier: 'DHL', Hotline: '6789 1111', Status: 'Preferred' },
+  { Carrier: 'FedEx', Hotline: '6789 2222', Status: 'Active' },
+  { Carrier: 'DHL', Hotline: '0000 0000', Status: 'Duplicate' }
+];
+
+// Join definitions
+{
+  const [join] = validateLookupJoins([{ lookupFile: ' carriers.xlsx ', mainKey: 'Carrier', columns: ['Hotline', 'Hotline'] }]);
+  check('Lookup key defaults to the main key', join.lookupKey === 'Carrier' && join.lookupFile === 'carriers.xlsx', JSON.stringify(join));
+  check('Duplicate columns are dropped', join.columns.join() === 'Hotline', JSON.stringify(join.columns));
+  check('null resets the joins', validateLookupJoins(null) === null);
+
+  const errorFor = input => {
+    try {
+      validateLookupJoins(input);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  };
+  check('lookupFile is required', /joins\[0\]\.lookupFile is required/.test(errorFor([{ mainKey: 'PO' }])), errorFor([{ mainKey: 'PO' }]));
+  check('Columns must be names', /columns must be an array/.test(errorFor([{ lookupFile: 'a.xlsx', mainKey: 'PO', columns: [''] }])));
+}
+
+// Row matching
+{
+  const joined = joinRows(orders, carriers, { mainKey: 'carrier', lookupKey: 'Carrier' });
+  check('Keys match ignoring case and spaces', joined.rows[0].Hotline === '6789 1111' && joined.rows[1].Hotline === '6789 2222',
+    JSON.stringify(joined.rows));
+  check('First lookup row wins for duplicate keys', joined.rows[0].Status_lookup === 'Preferred', JSON.stringify(joined.rows[0]));
+  check('Clashing columns get a _lookup suffix', joined.addedColumns.join() === 'Hotline,Status_lookup' && joined.rows[0].Status === 'In transit',
+    joined.addedColumns.join());
+  check('Unmatched and empty keys are counted apart', joined.matched === 2 && joined.unmatched === 1 && joined.emptyKeys === 1 &&
+    joined.unmatchedKeys.join() === 'Ninja Van', JSON.stringify({ ...joined, rows: undefined }));
+  check('Unmatched rows get empty lookup values', joined.rows[2].Hotline === '', JSON.stringify(joined.rows[2]));
+
+  let error = null;
+  try {
+    joinRows(orders, carriers, { mainKey: 'Carrier', lookupKey: 'Carrier', columns: ['Fax'] });
+  } catch (caught) {
+    error = caught;
+  }
+  check('Unknown lookup column is refused', /"Fax" not found in the lookup file/.test(error?.message), error?.message);
+}
+
+try {
+  const tenantId = 'joins-test';
+  const storageOptions = { tenantId, personaId: 'support' };
+  const ordersKey = buildProcessedKey(tenantId, 'support', 'orders.json');
+  const carriersKey = buildProcessedKey(tenantId, 'support', 'carriers.json');
+  const enrichedKey = buildProcessedKey(tenantId, 'support', 'orders_enriched.json');
+  await saveJson(ordersKey, orders, storageOptions);
+  await saveJson(carriersKey, carriers, storageOptions);
+  const manifest = {
+    tenantId,
+    persona: 'support',
+    mainFile: { filename: 'orders.xlsx' },
+    files: [
+      { name: 'orders.xlsx', type: 'excel', category: 'tracking', artifacts: { jsonKey: ordersKey }, metadata: { columns: ['PO', 'Carrier', 'Status'] } },
+      { name: 'carriers.xlsx', type: 'excel', category: 'reference', artifacts: { jsonKey: carriersKey }, metadata: { columns: ['Carrier', 'Hotline', 'Status'] } },
+      { name: 'faq.pdf', type: 'pdf', category: 'knowledge', artifacts: {} }
+    ],
+    qualityReport: { file: 'orders.xlsx', warnings: [], recommendations: [] }
+  };
+
+  // Applying joins to the manifest
+  {
+    const { results } = await applyLookupJoins(manifest, validateLookupJoins([
+      { lookupFile: 'carriers.xlsx', mainKey: 'Carrier', columns: ['Hotline'] },
+      { lookupFile: 'faq.pdf', mainKey: 'Carrier' }
+    ]), storageOptions);
+    const enrichment = manifest.files[0].enrichment;
+
+    check('Join is applied to the main tracking file', results[0].status === 'applied' && results[0].mainFile === 'orders.xlsx', JSON.stringify(results[0]));
+    check('Non-spreadsheet lookup is skipped with a reason', results[1].status === 'skipped' && /not an uploaded spreadsheet/.test(results[1].reason),
+      JSON.stringify(results[1]));
+    check('Enriched artifact sits next to the original', enrichment?.jsonKey === enrichedKey &&
+      enrichment.columns.join() === 'PO,Carrier,Status,Hotline', JSON.stringify(enrichment));
+    const original = await readJson(ordersKey, storageOptions);
+    check('Original artifact is left untouched', original.every(row => row.Hotline === undefined));
+
+    const warnings = manifest.qualityReport.warnings.map(warning => warning.type).join();
+    check('Unmatched keys and skipped joins are reported', warnings === 'lookup_unmatched,lookup_join', warnings);
+    const again = attachJoinReport(manifest.qualityReport, results);
+    check('Reports can be rebuilt without duplicating findings', again.warnings.length === 2 && again.recommendations.length === 1,
+      JSON.stringify(again));
+
+    const tools = createDataToolExecutor(manifest);
+    const lookup = JSON.parse((await tools.execute({ id: 't1', name: 'lookup_record', input: { value: 'SG-002' } })).content);
+    check('Data tools read the joined columns', lookup.rows?.[0]?.Hotline === '6789 2222', JSON.stringify(lookup));
+  }
+
+  // Removing the joins
+  {
+    await applyLookupJoins(manifest, [], storageOptions);
+    const enriched = await readJson(enrichedKey, storageOptions);
+    check('Enrichment is dropped when no join targets the file', manifest.files[0].enrichment === undefined && manifest.lookupJoins === undefined);
+    check('Stale enriched artifact is deleted', !enriched, JSON.stringify(enriched));
+  }
+} finally {
+  fs.rmSync(workDir, { recursive: true, force: true });
+}
+
+printSummary('lookup join');
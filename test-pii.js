@@ -0,0 +1,127 @@
+/**
+ * Test PII detection and blocked-turn handling
+ * Run: node test-pii.js
+ *
+ * Uses the offline stub provider and throwaway local storage.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { printBanner, check, printSummary } from './test-helpers.js';
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pii-test-'));
+process.env.STORAGE_BACKEND = 'local';
+process.env.LOCAL_STORAGE_DIR = path.join(workDir, 'storage');
+
+const { detectPii } = await import('./src/pii.js');
+const { createClaudeClient } = await import('./src/claude-client.js');
+const { getLLMProvider } = await import('./src/llm/index.js');
+const { default: transcriptService } = await import('./src/services/transcript-service.js');
+const { loadConversationMemory } = await import('./src/services/conversation-memory.js');
+const { updateSearchIndex } = await import('./src/services/search-index.js');
+const { chunkText } = await import('./src/chunker.js');
+
+printBanner('🔒 Testing PII handling');
+
+const phoneCases = [
+  { text: 'Call me at 9123 4567', phone: '9123 4567' },
+  { text: 'Tel: 6123-4567', phone: '6123-4567' },
+  { text: 'Mobile 91234567 after 6pm', phone: '91234567' },
+  { text: 'Reach me on +65 9123 4567', phone: '+65 9123 4567' },
+  // Identifiers that look like local numbers
+  { text: 'Invoice 8123-4567 is overdue', phone: null },
+  { text: 'PO 91234567 shipped yesterday', phone: null },
+  { text: 'Tracking 9400 1000 0000 0000 0000 00 is in transit', phone: null },
+  { text: 'Please call about invoice 8123-4567', phone: null },
+  { text: 'Order no 8123 4567 and 9123 4567 are delayed', phone: null }
+];
+
+for (const test of phoneCases) {
+  const phones = detectPii(test.text, { types: ['phone'] }).map(finding => finding.value);
+  const expected = test.phone ? [test.phone] : [];
+  check(`${test.phone ? 'Phone' : 'No phone'} in "${test.text}"`, JSON.stringify(phones) === JSON.stringify(expected), JSON.stringify(phones));
+}
+console.log('');
+
+const cardCases = [
+  { text: 'Please charge 4111 1111 1111 1111 today', card: '4111 1111 1111 1111' },
+  { text: 'Amex 3782 822463 10005 on file', card: '3782 822463 10005' },
+  { text: 'Card 5555555555554444 expired', card: '5555555555554444' },
+  // Luhn-valid digit runs that are not cards
+  { text: 'Tracking 4111 1111 1111 1111 2345 is in transit', card: null },
+  { text: 'AWB 23-4111111111111111 landed', card: null },
+  { text: 'Shipment ref 9400 1111 1111 1110 arrived', card: null },
+  { text: 'Order 1234567890123452 shipped', card: null }
+];
+
+for (const test of cardCases) {
+  const cards = detectPii(test.text, { types: ['credit_card'] }).map(finding => finding.value);
+  const expected = test.card ? [test.card] : [];
+  check(`${test.card ? 'Card' : 'No card'} in "${test.text}"`, JSON.stringify(cards) === JSON.stringify(expected), JSON.stringify(cards));
+}
+console.log('');
+
+// A turn refused under blockInput must never reach the model on a later turn
+const card = '4111 1111 1111 1111';
+const requests = [];
+const stub = getLLMProvider({ provider: 'stub' });
+const provider = {
+  ...stub,
+  name: 'capture',
+  chat: (request, options) => {
+    requests.push(JSON.stringify(request));
+    return stub.chat(request, options);
+  }
+};
+const client = createClaudeClient({ provider });
+const manifest = { tenantId: 'pii-test', totalFiles: 1, files: [] };
+const piiPolicy = { blockInput: true, types: ['credit_card', 'phone', 'email'] };
+const personaProfile = { type: 'support', personaId: 'support', config: { pii_policy: piiPolicy } };
+const conversationId = 'pii-blocked-turn';
+
+try {
+  let withheld = false;
+  const blockedMessage = `Please charge my card ${card} for order SG-001`;
+  const refusal = await client.chat(blockedMessage, [], manifest, {
+    personaProfile,
+    onPiiBlock: () => { withheld = true; }
+  });
+  check('Message with a card number is refused', typeof refusal === 'string' && withheld && requests.length === 0);
+
+  await transcriptService.logInteraction({
+    tenantId: manifest.tenantId,
+    persona: 'support',
+    conversationId,
+    userMessage: blockedMessage,
+    assistantResponse: refusal,
+    piiPolicy,
+    withheld
+  });
+
+  const memory = await loadConversationMemory({ tenantId: manifest.tenantId, personaId: 'support', conversationId });
+  const stored = memory.transcript.messages[0];
+  check('Refused turn is stored redacted and flagged', stored.withheld === true && !stored.content.includes(card), stored.content);
+  check('Refused turn is not replayed as history', memory.history.length === 0, JSON.stringify(memory.history));
+
+  const answer = await client.chat("What's the status of order SG-001?", memory.history, manifest, { personaProfile });
+  check('Next turn is answered', typeof answer === 'object' && Boolean(answer.message));
+  check('Card number never reaches the model', requests.length > 0 && requests.every(request => !request.includes('4111')));
+
+  // Excerpts quoted in citations are masked like the answer itself
+  const contactsFile = 'contacts.txt';
+  const contactsText = 'Escalations go to Jane Tan, jane.tan@example.com, phone 9123 4567, who handles late shipments.';
+  await updateSearchIndex('pii-cite', null, {
+    upserts: [{ fileName: contactsFile, fileType: 'txt', chunks: chunkText(contactsText, { fileName: contactsFile }) }]
+  });
+  const citedManifest = { tenantId: 'pii-cite', totalFiles: 1, files: [{ name: contactsFile, type: 'txt' }] };
+  const maskingProfile = { type: 'support', personaId: 'support', config: { pii_policy: { maskOutput: true, types: ['email', 'phone'] } } };
+  const cited = await client.chat('Who handles late shipments escalations?', [], citedManifest, { personaProfile: maskingProfile });
+  const excerpts = (cited.citations || []).map(citation => citation.excerpt).join('\n');
+  check('Answer cites the contacts file', excerpts.includes('late shipments'), JSON.stringify(cited.citations));
+  check('Cited email and phone number are masked', !excerpts.includes('jane.tan@example.com') && !excerpts.includes('9123 4567'), excerpts);
+} finally {
+  fs.rmSync(workDir, { recursive: true, force: true });
+}
+
+printSummary('PII');
@@ -0,0 +1,119 @@
+/**
+ * Test request rate limiting
+ * Run: node test-rate-limit.js
+ *
+ * Drives the middleware with fake requests and a fake clock; no server is started.
+ */
+
+import { createRateLimiter, createMemoryRateLimitStore, resolveRateLimitConfig } from './src/middleware/rate-limit.js';
+import { printBanner, check, printSummary } from './test-helpers.js';
+
+printBanner('🚦 Testing rate limiting');
+
+function createHarness({ limits, windowMs = 1000 }) {
+  let clock = Date.now();
+  const store = createMemoryRateLimitStore({ now: () => clock });
+  const limited = [];
+  const limiter = createRateLimiter({
+    name: 'test',
+    windowMs,
+    limits,
+    identify: req => req.identity,
+    store,
+    onLimited: (req, details) => { limited.push(details); },
+    enabled: true
+  });
+
+  async function send(identity) {
+    const res = {
+      statusCode: 200,
+      headers: {},
+      body: null,
+      setHeader(name, value) { this.headers[name] = value; },
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; return this; }
+    };
+    let passed = false;
+    await limiter({ identity, method: 'POST', originalUrl: '/api/test' }, res, () => { passed = true; });
+    return { passed, res };
+  }
+
+  return { send, limited, advance: ms => { clock += ms; } };
+}
+
+// Budget is enforced within a window and restored when it rolls over
+{
+  const harness = createHarness({ limits: { ip: 2 } });
+  const identity = { ip: '10.0.0.1' };
+  const first = await harness.send(identity);
+  const second = await harness.send(identity);
+  const third = await harness.send(identity);
+  check('Requests within the budget pass', first.passed && second.passed);
+  check('Request over the budget is refused with 429', !third.passed && third.res.statusCode === 429, String(third.res.statusCode));
+  check('Refusal carries Retry-After', third.res.headers['Retry-After'] >= 1, JSON.stringify(third.res.headers));
+  check('Remaining budget is reported', first.res.headers['RateLimit-Remaining'] === 1 && third.res.headers['RateLimit-Remaining'] === 0);
+
+  harness.advance(999);
+  check('Window still applies just before it ends', !(await harness.send(identity)).passed);
+
+  harness.advance(1);
+  const rolled = await harness.send(identity);
+  check('Budget is restored when the window rolls over', rolled.passed && rolled.res.headers['RateLimit-Remaining'] === 1,
+    JSON.stringify(rolled.res.headers));
+  check('Only the first refusal of a window is reported', harness.limited.length === 1, String(harness.limited.length));
+}
+
+// Each dimension has its own budget; any dimension over budget refuses the request
+{
+  const harness = createHarness({ limits: { ip: 10, shareLink: 2, tenant: 10 } });
+  await harness.send({ ip: 'a', shareLink: 't1:support', tenant: 't1' });
+  await harness.send({ ip: 'b', shareLink: 't1:support', tenant: 't1' });
+  const third = await harness.send({ ip: 'c', shareLink: 't1:support', tenant: 't1' });
+  check('Share link budget applies across client IPs', !third.passed);
+  check('Exceeded dimension is reported', harness.limited[0]?.dimensions.join() === 'shareLink', JSON.stringify(harness.limited));
+
+  const otherPersona = await harness.send({ ip: 'c', shareLink: 't1:sales', tenant: 't1' });
+  check('Another persona of the tenant has its own share link budget', otherPersona.passed);
+}
+
+// Disabled dimensions and missing identities are skipped
+{
+  const harness = createHarness({ limits: { ip: 0, tenant: 1 } });
+  const first = await harness.send({ ip: 'a' });
+  const second = await harness.send({ ip: 'a' });
+  check('Dimension with a 0 limit is not counted', first.passed && second.passed);
+}
+
+// Skipped requests are neither counted nor refused
+{
+  const limiter = createRateLimiter({
+    name: 'skip-test',
+    windowMs: 1000,
+    limits: { ip: 1 },
+    identify: req => req.identity,
+    skip: req => req.originalUrl === '/api/billing/webhook',
+    store: createMemoryRateLimitStore(),
+    enabled: true
+  });
+  const res = { setHeader() {}, status() { return this; }, json() { return this; } };
+  const send = async originalUrl => {
+    let passed = false;
+    await limiter({ identity: { ip: 'a' }, method: 'POST', originalUrl }, res, () => { passed = true; });
+    return passed;
+  };
+
+  const webhooks = [await send('/api/billing/webhook'), await send('/api/billing/webhook'), await send('/api/billing/webhook')];
+  check('Skipped route is never throttled', webhooks.every(Boolean), JSON.stringify(webhooks));
+  const first = await send('/api/test');
+  const second = await send('/api/test');
+  check('Skipped requests do not use the budget of other routes', first && !second, `${first}, ${second}`);
+}
+
+// Environment overrides
+{
+  const config = resolveRateLimitConfig('chat', { RATE_LIMIT_CHAT_SHARE_LINK: '5', RATE_LIMIT_CHAT_IP: 'nope', RATE_LIMIT_CHAT_WINDOW_MS: '0' });
+  check('Environment overrides a budget', config.limits.shareLink === 5);
+  check('Invalid values fall back to the default', config.limits.ip === 20 && config.windowMs === 60000, JSON.stringify(config));
+}
+
+printSummary('rate limit');
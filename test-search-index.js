@@ -0,0 +1,108 @@
+/**
+ * Test chunking and retrieval
+ * Run: node test-search-index.js
+ *
+ * Uses throwaway local storage; nothing is sent to a model.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { printBanner, check, printSummary } from './test-helpers.js';
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'search-index-test-'));
+process.env.STORAGE_BACKEND = 'local';
+process.env.LOCAL_STORAGE_DIR = path.join(workDir, 'storage');
+
+const { chunkText, chunkPages, chunkRows } = await import('./src/chunker.js');
+const { tokenize, updateSearchIndex, retrieveChunks, loadSearchIndex } = await import('./src/services/search-index.js');
+const { saveText } = await import('./src/services/storage-helper.js');
+
+printBanner('🔎 Testing chunking and retrieval');
+
+const paragraph = topic => `${topic} `.repeat(10).trim() + '.';
+
+// Chunk boundaries and locations
+{
+  const text = ['RETURNS POLICY', paragraph('Returns are accepted within thirty days'), '2.1 Refund Timing', paragraph('Refunds take five working days')].join('\n\n');
+  const chunks = chunkText(text, { fileName: 'policy.txt', maxChars: 1000 });
+  check('Chunks start at headings once they have content', chunks.length === 2, JSON.stringify(chunks.map(chunk => chunk.heading)));
+  check('Chunks carry their heading', chunks[0]?.heading === 'RETURNS POLICY' && chunks[1]?.heading === '2.1 Refund Timing',
+    JSON.stringify(chunks.map(chunk => chunk.heading)));
+  check('Chunk ids are file name and position', chunks.map(chunk => chunk.id).join() === 'policy.txt#0,policy.txt#1');
+
+  const pages = chunkPages(['SHIPPING\n\nWe ship to Malaysia.', 'Customs forms are included.'], { fileName: 'guide.pdf' });
+  check('PDF chunks stay within a page', pages.map(chunk => chunk.page).join() === '1,2', JSON.stringify(pages));
+  check('Headings carry over to the next page', pages[1]?.heading === 'SHIPPING', pages[1]?.heading);
+
+  const rows = Array.from({ length: 25 }, (_, i) => ({ PO: `SG-${String(i + 1).padStart(3, '0')}`, Status: 'Open' }));
+  const rowChunks = chunkRows(rows, { fileName: 'tracker.xlsx', rowsPerChunk: 20 });
+  check('Row chunks keep their row range', rowChunks.map(chunk => `${chunk.rowStart}-${chunk.rowEnd}`).join() === '1-20,21-25',
+    JSON.stringify(rowChunks.map(chunk => [chunk.rowStart, chunk.rowEnd])));
+  check('Rows are labelled as in citations', rowChunks[1]?.text.startsWith('Row 21: PO: SG-021, Status: Open'), rowChunks[1]?.text);
+}
+
+// Tokenizing
+{
+  const terms = tokenize('Where is PO SG-001 and the invoices?');
+  check('Compound identifiers are kept whole and split', ['sg-001', 'sg', '001'].every(term => terms.includes(term)), terms.join());
+  check('Stopwords are dropped and plurals folded', !terms.includes('where') && !terms.includes('the') && terms.includes('invoice'), terms.join());
+}
+
+try {
+  const tenantId = 'search-test';
+  const faq = chunkText('Shipping to Malaysia takes five working days.\n\nRETURNS\n\nReturns are accepted within thirty days.', {
+    fileName: 'faq.txt',
+    maxChars: 50
+  });
+  const tracker = chunkRows([{ PO: 'SG-001', Status: 'Delivered' }, { PO: 'SG-002', Status: 'Delayed at port' }], {
+    fileName: 'tracker.xlsx',
+    rowsPerChunk: 1
+  });
+  await updateSearchIndex(tenantId, null, {
+    upserts: [
+      { fileName: 'faq.txt', fileType: 'txt', chunks: faq },
+      { fileName: 'tracker.xlsx', fileType: 'excel', chunks: tracker },
+      { fileName: 'removed.txt', fileType: 'txt', chunks: chunkText('Delayed shipments are refunded.', { fileName: 'removed.txt' }) }
+    ]
+  });
+  const manifest = {
+    tenantId,
+    files: [{ name: 'faq.txt', type: 'txt' }, { name: 'tracker.xlsx', type: 'excel' }]
+  };
+
+  // Ranking
+  {
+    const { chunks, totalChunks } = await retrieveChunks(manifest, 'Why is SG-002 delayed?');
+    check('Identifier match ranks first', chunks[0]?.id === 'tracker.xlsx#1', JSON.stringify(chunks.map(chunk => chunk.id)));
+    check('Files missing from the manifest are not searched', totalChunks === faq.length + tracker.length &&
+      chunks.every(chunk => chunk.fileName !== 'removed.txt'), JSON.stringify(chunks.map(chunk => chunk.id)));
+    check('Index fields are not returned', chunks.every(chunk => chunk.tf === undefined && typeof chunk.score === 'number'));
+  }
+
+  // Fallback and budget
+  {
+    const overview = await retrieveChunks(manifest, 'summarise everything');
+    check('Unmatched questions get the opening chunk of each file', overview.chunks.map(chunk => chunk.id).join() === 'faq.txt#0,tracker.xlsx#0',
+      JSON.stringify(overview.chunks.map(chunk => chunk.id)));
+
+    const limited = await retrieveChunks(manifest, 'returns shipping delayed SG-001 SG-002', { maxChunks: 2 });
+    check('maxChunks caps the excerpts', limited.chunks.length === 2, String(limited.chunks.length));
+    const budget = await retrieveChunks(manifest, 'returns shipping delayed SG-001 SG-002', { tokenBudget: faq[0].tokens });
+    check('Token budget caps the excerpts', budget.tokensUsed <= faq[0].tokens && budget.chunks.length >= 1, JSON.stringify(budget));
+  }
+
+  // Files uploaded before indexing are indexed on first use
+  {
+    await saveText('processed/legacy.txt', 'Warranty claims need the original receipt.', 'text/plain', { tenantId });
+    const legacy = { ...manifest, files: [...manifest.files, { name: 'legacy.txt', type: 'txt', artifacts: { txtKey: 'processed/legacy.txt' } }] };
+    const { chunks } = await retrieveChunks(legacy, 'warranty receipt');
+    check('Missing file is indexed from its text artifact', chunks[0]?.fileName === 'legacy.txt', JSON.stringify(chunks));
+    const stored = await loadSearchIndex(tenantId);
+    check('Re-indexed file is saved with the index', stored.files['legacy.txt']?.chunkCount === 1, JSON.stringify(stored.files));
+  }
+} finally {
+  fs.rmSync(workDir, { recursive: true, force: true });
+}
+
+printSummary('search index');